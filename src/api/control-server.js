@@ -0,0 +1,328 @@
+import { createServer } from 'http';
+import { timingSafeEqual } from 'crypto';
+import { Logger } from '../utils/logger.js';
+
+const MAX_PAGE_SIZE = 500;
+const MAX_BODY_BYTES = 64 * 1024;
+const DASHBOARD_SNAPSHOTS = 200;
+const DASHBOARD_EVENTS = 50;
+
+/**
+ * Control Server - HTTP API embedded in the TreasuryAgent process
+ * Read endpoints expose state, metrics, costs and history; control endpoints
+ * pause/resume the loop, trigger cycles and answer approval requests.
+ * Every /api route requires "Authorization: Bearer <AGENT_API_TOKEN>"; AGENT_DASHBOARD_TOKEN, which a
+ * browser dashboard may embed, is read-only and accepted for GET /api/dashboard alone
+ */
+export class ControlServer {
+    constructor(agent, options = {}) {
+        this.logger = new Logger('CONTROL_API');
+        this.agent = agent;
+        this.port = options.port ?? parseInt(process.env.CONTROL_API_PORT || '8787');
+        this.host = options.host || process.env.CONTROL_API_HOST || '127.0.0.1';
+        this.authToken = options.authToken || process.env.AGENT_API_TOKEN;
+        this.dashboardToken = options.dashboardToken || process.env.AGENT_DASHBOARD_TOKEN || null;
+        // Browser origin allowed to call the API, e.g. the Next.js dashboard in development
+        this.corsOrigin = options.corsOrigin || process.env.CONTROL_API_CORS_ORIGIN || null;
+        this.server = null;
+
+        if (!this.authToken) {
+            throw new Error('Control API requires AGENT_API_TOKEN to be set');
+        }
+        if (this.dashboardToken === this.authToken) {
+            throw new Error('AGENT_DASHBOARD_TOKEN must differ from AGENT_API_TOKEN, it ships in the dashboard bundle');
+        }
+
+        this.routes = [
+            ['GET', /^\/api\/dashboard$/, () => this.getDashboard()],
+            ['GET', /^\/api\/status$/, () => this.agent.getStatus()],
+            ['GET', /^\/api\/state$/, (req, url) => this.getState(url)],
+            ['GET', /^\/api\/balances$/, () => this.agent.getBalances()],
+            ['GET', /^\/api\/metrics$/, () => this.getMetrics()],
+            ['GET', /^\/api\/llm$/, () => this.agent.decisionEngine.getLLMHealth()],
+            ['GET', /^\/api\/costs$/, () => this.agent.costManager.getOperationalStats()],
+            ['GET', /^\/api\/costs\/entries$/, (req, url) => this.getCostEntries(url)],
+            ['GET', /^\/api\/payments$/, (req, url) => paginate(this.agent.costManager.getReceipts(), url)],
+            ['GET', /^\/api\/transfers$/, (req, url) => paginate(this.agent.transferJournal.list(), url)],
+            ['GET', /^\/api\/wallet-policy$/, () => this.agent.walletPolicy.getStatus()],
+            ['GET', /^\/api\/confirmations$/, (req, url) => paginate(this.agent.confirmations.list(), url)],
+            ['GET', /^\/api\/bridges$/, (req, url) => paginate(this.agent.bridges.list(), url)],
+            ['GET', /^\/api\/strategies$/, () => this.agent.strategies.describe()],
+            ['GET', /^\/api\/pnl$/, () => this.agent.accountant.getStatement()],
+            ['GET', /^\/api\/snapshots$/, (req, url) => paginate(this.agent.performanceTracker.getSnapshots(), url)],
+            ['GET', /^\/api\/decisions$/, (req, url) => this.getDecisions(url)],
+            ['GET', /^\/api\/events$/, (req, url) => this.getEvents(url)],
+            ['GET', /^\/api\/approvals$/, (req, url) => this.getApprovals(url)],
+            ['POST', /^\/api\/approvals\/([\w-]+)\/(approve|reject)$/, (req, url, body, match) => this.resolveApproval(match[1], match[2], body)],
+            ['POST', /^\/api\/loop\/pause$/, () => this.control(() => this.agent.pause())],
+            ['POST', /^\/api\/loop\/resume$/, () => this.control(() => this.agent.resume())],
+            ['POST', /^\/api\/loop\/interval$/, (req, url, body) => this.control(() => this.agent.setLoopInterval(Number(body.intervalMs)))],
+            ['POST', /^\/api\/cycle$/, () => this.triggerCycle()],
+            ['POST', /^\/api\/capital-flows$/, (req, url, body) => this.recordCapitalFlow(body)]
+        ];
+    }
+
+    async start() {
+        this.server = createServer((req, res) => this.handle(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.logger.info(`🌐 Control API listening on http://${this.host}:${this.port}`);
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (this.corsOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+            res.setHeader('Vary', 'Origin');
+        }
+
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                return res.end();
+            }
+
+            if (url.pathname === '/health') {
+                return this.send(res, 200, { ok: true });
+            }
+
+            const scope = this.authorize(req);
+            if (!scope) {
+                return this.send(res, 401, { error: 'Missing or invalid bearer token' });
+            }
+            if (scope === 'dashboard' && !(req.method === 'GET' && url.pathname === '/api/dashboard')) {
+                return this.send(res, 403, { error: 'The dashboard token only reads /api/dashboard' });
+            }
+
+            const candidates = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+            if (candidates.length === 0) {
+                return this.send(res, 404, { error: `No route for ${url.pathname}` });
+            }
+
+            const route = candidates.find(([method]) => method === req.method);
+            if (!route) {
+                return this.send(res, 405, { error: `${req.method} not allowed on ${url.pathname}` });
+            }
+
+            const [, pattern, handler] = route;
+            const body = req.method === 'POST' ? await this.readBody(req) : {};
+            const result = await handler(req, url, body, url.pathname.match(pattern));
+
+            this.send(res, 200, result);
+        } catch (error) {
+            const status = error.status || 500;
+            if (status >= 500) {
+                this.logger.error(`❌ ${req.method} ${url.pathname} failed:`, error);
+            }
+            this.send(res, status, { error: error.message });
+        }
+    }
+
+    /**
+     * Scope of the request's bearer token: 'control', 'dashboard' (read-only) or null
+     */
+    authorize(req) {
+        const header = req.headers.authorization || '';
+        const [scheme, credential] = header.split(' ');
+        if (scheme !== 'Bearer' || !credential) return null;
+
+        if (tokenMatches(this.authToken, credential)) return 'control';
+        if (this.dashboardToken && tokenMatches(this.dashboardToken, credential)) return 'dashboard';
+        return null;
+    }
+
+    async readBody(req) {
+        let raw = '';
+        for await (const chunk of req) {
+            raw += chunk;
+            if (raw.length > MAX_BODY_BYTES) {
+                throw httpError(413, 'Request body too large');
+            }
+        }
+
+        if (!raw.trim()) return {};
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            throw httpError(400, 'Request body must be valid JSON');
+        }
+    }
+
+    send(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload ?? null));
+    }
+
+    /**
+     * Everything the dashboard renders in one poll
+     */
+    async getDashboard() {
+        const tracker = this.agent.performanceTracker;
+        const queue = this.agent.approvalQueue;
+        await queue?.sync();
+
+        return {
+            generatedAt: Date.now(),
+            status: this.agent.getStatus(),
+            state: this.agent.lastState,
+            metrics: tracker.getMetrics(),
+            costs: {
+                ...await this.agent.costManager.getOperationalStats(),
+                dailyBurnRate: this.agent.costManager.getDailyBurnRate()
+            },
+            valueHistory: tracker.getSnapshots().slice(-DASHBOARD_SNAPSHOTS).map(s => ({
+                timestamp: s.timestamp,
+                totalValue: s.data.totalValue,
+                type: s.type
+            })),
+            events: tracker.getEvents().slice(-DASHBOARD_EVENTS).reverse(),
+            approvals: queue ? queue.list().slice(-DASHBOARD_EVENTS).reverse() : []
+        };
+    }
+
+    async getState(url) {
+        // The last cycle's assessment is free; ?refresh=true re-reads balances and prices
+        const state = url.searchParams.get('refresh') === 'true' || !this.agent.lastState
+            ? await this.agent.assessCurrentState()
+            : this.agent.lastState;
+
+        return { status: this.agent.getStatus(), state };
+    }
+
+    async getMetrics() {
+        return {
+            metrics: this.agent.performanceTracker.getMetrics(),
+            performance: await this.agent.performanceTracker.getCurrentPerformance()
+        };
+    }
+
+    async getDecisions(url) {
+        // The repository holds the full lifetime, memory only the last 100 records
+        const records = this.agent.repository
+            ? await this.agent.repository.readAll('decisions')
+            : this.agent.decisionEngine.getDecisionHistory();
+
+        return paginate(records, url);
+    }
+
+    async getCostEntries(url) {
+        const entries = await this.agent.costManager.getCostEntries({
+            cycleId: url.searchParams.get('cycleId'),
+            decisionId: url.searchParams.get('decisionId')
+        });
+        return paginate(entries, url);
+    }
+
+    getEvents(url) {
+        const type = url.searchParams.get('type');
+        const events = this.agent.performanceTracker.getEvents();
+
+        return paginate(type ? events.filter(e => e.type === type) : events, url);
+    }
+
+    async getApprovals(url) {
+        const queue = this.requireApprovalQueue();
+        await queue.sync();
+
+        const status = url.searchParams.get('status');
+        const requests = queue.list();
+        return paginate(status ? requests.filter(r => r.status === status) : requests, url);
+    }
+
+    async resolveApproval(id, verb, body) {
+        const queue = this.requireApprovalQueue();
+        const options = { by: body.by || 'api', note: body.note };
+
+        try {
+            return verb === 'approve'
+                ? await queue.approve(id, options)
+                : await queue.reject(id, options);
+        } catch (error) {
+            throw httpError(error.message.startsWith('Unknown') ? 404 : 409, error.message);
+        }
+    }
+
+    control(action) {
+        try {
+            action();
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+        return this.agent.getStatus();
+    }
+
+    async triggerCycle() {
+        if (!this.agent.isActive) {
+            throw httpError(409, 'Agent is not active');
+        }
+
+        const cycle = await this.agent.triggerCycle();
+        return {
+            status: this.agent.getStatus(),
+            timestamp: cycle?.timestamp,
+            totalValue: cycle?.state.totalValue,
+            results: cycle?.results || []
+        };
+    }
+
+    async recordCapitalFlow(body) {
+        try {
+            return await this.agent.recordCapitalFlow(body);
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+    }
+
+    requireApprovalQueue() {
+        if (!this.agent.approvalQueue) {
+            throw httpError(404, 'Approval queue is disabled (APPROVAL_MODE is not supervised)');
+        }
+        return this.agent.approvalQueue;
+    }
+}
+
+/**
+ * Newest-first page of records: ?limit=50&offset=0
+ */
+function paginate(records, url) {
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), MAX_PAGE_SIZE);
+    const offset = parseInt(url.searchParams.get('offset') || '0');
+
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+        throw httpError(400, 'limit must be a positive integer and offset a non-negative integer');
+    }
+
+    const newestFirst = [...records].reverse();
+    return {
+        items: newestFirst.slice(offset, offset + limit),
+        total: records.length,
+        limit,
+        offset
+    };
+}
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function tokenMatches(expected, credential) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(credential);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Approval CLI for supervised mode
+ * Lists, approves or rejects decisions the running agent parked for human sign-off
+ *
+ * Usage:
+ *   node src/approve.js list [--all]
+ *   node src/approve.js approve <id> [--by name] [--note text]
+ *   node src/approve.js reject <id> [--by name] [--note text]
+ */
+
+import { config } from 'dotenv';
+import { parseArgs } from 'util';
+import { ApprovalQueue } from './services/approval-queue.js';
+import { JsonlRepository } from './storage/jsonl-repository.js';
+import { Logger } from './utils/logger.js';
+
+config();
+
+const logger = new Logger('APPROVE_CLI');
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            all: { type: 'boolean', default: false },
+            by: { type: 'string', default: process.env.USER || 'operator' },
+            note: { type: 'string' }
+        }
+    });
+
+    const [command = 'list', id] = positionals;
+
+    const queue = new ApprovalQueue({
+        repository: new JsonlRepository({ dataDir: process.env.TREASURY_DATA_DIR || './data' })
+    });
+    await queue.sync();
+
+    switch (command) {
+        case 'list': {
+            const requests = values.all ? queue.list() : queue.getPending();
+            if (requests.length === 0) {
+                console.log(values.all ? 'No approval requests.' : 'No decisions awaiting approval.');
+                return;
+            }
+            requests.forEach(printRequest);
+            return;
+        }
+        case 'approve':
+        case 'reject': {
+            if (!id) {
+                throw new Error(`Usage: approve.js ${command} <id>`);
+            }
+            const request = command === 'approve'
+                ? await queue.approve(id, { by: values.by, note: values.note })
+                : await queue.reject(id, { by: values.by, note: values.note });
+            logger.success(`${request.decision.action} ${request.id} ${request.status}; the agent acts on it next cycle`);
+            return;
+        }
+        default:
+            throw new Error(`Unknown command "${command}", expected list, approve or reject`);
+    }
+}
+
+function printRequest(request) {
+    const { decision } = request;
+    const params = decision.params || {};
+    const amount = params.amount !== undefined ? `${params.amount.toFixed(4)} ${params.asset?.toUpperCase()}` : '';
+
+    console.log('─'.repeat(60));
+    console.log(`${request.id}  [${request.status}${request.outcome ? ` → ${request.outcome}` : ''}]`);
+    console.log(`  ${decision.action} ${amount}${params.target ? ` → ${params.target}` : ''} (~$${request.notional.toFixed(2)})`);
+    console.log(`  Why held:  ${request.reasons.join(', ')}`);
+    console.log(`  Reasoning: ${decision.reasoning}`);
+    console.log(`  Expires:   ${new Date(request.expiresAt).toISOString()}`);
+}
+
+main().catch((error) => {
+    logger.error('❌ Approval command failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,79 @@
+import { readFile } from 'fs/promises';
+import { getAssetInfo } from '../utils/assets.js';
+
+/**
+ * Market series loader for backtests
+ * Normalizes recorded CSV or JSONL history into { timestamp, prices, apys } rows
+ *
+ * CSV:   timestamp,sol,usdc,eth,kamino_apy,marinade_apy
+ *        2026-01-01T00:00:00Z,88.5,1,2133.26,0.065,0.085
+ * JSONL: {"timestamp": "...", "prices": {"sol": 88.5}, "apys": {"kamino": 0.065}}
+ */
+export async function loadMarketSeries(filePath) {
+    const content = await readFile(filePath, 'utf-8');
+    const rows = filePath.endsWith('.csv')
+        ? parseCsv(content)
+        : parseJsonl(content);
+
+    if (rows.length === 0) {
+        throw new Error(`Market series is empty: ${filePath}`);
+    }
+
+    return rows.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function parseCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    const headers = lines.shift().split(',').map(h => h.trim().toLowerCase());
+
+    return lines.map((line, i) => {
+        const cells = line.split(',').map(c => c.trim());
+        const row = { timestamp: null, prices: {}, apys: {} };
+
+        headers.forEach((header, col) => {
+            const cell = cells[col];
+            if (cell === undefined || cell === '') return;
+
+            if (header === 'timestamp') {
+                row.timestamp = parseTimestamp(cell, i + 2);
+            } else if (header.endsWith('_apy')) {
+                row.apys[header.slice(0, -4)] = parseFloat(cell);
+            } else if (getAssetInfo(header)) {
+                row.prices[header] = parseFloat(cell);
+            }
+        });
+
+        if (row.timestamp === null) {
+            throw new Error(`Missing timestamp on line ${i + 2}`);
+        }
+        return row;
+    });
+}
+
+function parseJsonl(content) {
+    return content.split(/\r?\n/)
+        .filter(line => line.trim())
+        .map((line, i) => {
+            const record = JSON.parse(line);
+            return {
+                timestamp: parseTimestamp(record.timestamp, i + 1),
+                prices: lowerKeys(record.prices || {}),
+                apys: lowerKeys(record.apys || {})
+            };
+        });
+}
+
+function parseTimestamp(value, line) {
+    const timestamp = typeof value === 'number' || /^\d+$/.test(value)
+        ? Number(value)
+        : Date.parse(value);
+
+    if (!Number.isFinite(timestamp)) {
+        throw new Error(`Invalid timestamp "${value}" on line ${line}`);
+    }
+    return timestamp;
+}
+
+function lowerKeys(object) {
+    return Object.fromEntries(Object.entries(object).map(([k, v]) => [k.toLowerCase(), v]));
+}
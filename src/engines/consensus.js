@@ -0,0 +1,152 @@
+import { RISK_LEVELS, PRIORITIES } from './decision-schema.js';
+
+/**
+ * Multi-model consensus over validated decision lists
+ *
+ * ballots - [{ voter, decisions }] for voters that answered validly, or { voter, error } for those that did not
+ * options - { quorum: share of valid voters that must agree, amountTolerance: relative band
+ *             around the agreed amount, minVoters: valid voters needed before anything can pass }
+ *
+ * Two votes agree when they share action, asset and target (strategy for rebalance) and their
+ * token amounts are within amountTolerance of each other. A voter returning no decisions counts
+ * as a vote for doing nothing.
+ *
+ * Returns { decisions, voters, accepted, rejected } where every accepted decision carries
+ * decision.consensus = { score, supporters, dissent }
+ */
+export function buildConsensus(ballots, options = {}) {
+    const quorum = options.quorum ?? 0.6;
+    const amountTolerance = options.amountTolerance ?? 0.25;
+    const minVoters = options.minVoters ?? 2;
+
+    const valid = ballots.filter(b => Array.isArray(b.decisions));
+    const voters = ballots.map(b => ({
+        voter: b.voter,
+        decisions: b.decisions || null,
+        error: b.error || null
+    }));
+
+    if (valid.length < minVoters) {
+        return {
+            decisions: [],
+            voters,
+            accepted: [],
+            rejected: [],
+            reason: `Only ${valid.length} valid ballot(s), need ${minVoters}`
+        };
+    }
+
+    // One vote per voter per action key
+    const proposals = new Map();
+    for (const ballot of valid) {
+        for (const decision of ballot.decisions) {
+            const key = decisionKey(decision);
+            if (!proposals.has(key)) proposals.set(key, new Map());
+            const votes = proposals.get(key);
+            if (!votes.has(ballot.voter)) votes.set(ballot.voter, decision);
+        }
+    }
+
+    const decisions = [];
+    const accepted = [];
+    const rejected = [];
+
+    for (const [key, votes] of proposals) {
+        const supporters = agreeingVotes([...votes.entries()], amountTolerance);
+        const score = supporters.length / valid.length;
+        const summary = {
+            key,
+            score,
+            supporters: supporters.map(([voter]) => voter),
+            proposals: [...votes.entries()].map(([voter, d]) => ({ voter, amount: d.params.amount ?? null }))
+        };
+
+        if (score < quorum) {
+            rejected.push(summary);
+            continue;
+        }
+
+        const supporterNames = new Set(summary.supporters);
+        const dissent = valid
+            .filter(b => !supporterNames.has(b.voter))
+            .map(b => ({
+                voter: b.voter,
+                proposed: b.decisions.map(d => ({
+                    action: d.action,
+                    params: d.params,
+                    reasoning: d.reasoning
+                }))
+            }));
+
+        decisions.push({
+            ...mergeVotes(supporters.map(([, decision]) => decision)),
+            consensus: { score, supporters: summary.supporters, dissent }
+        });
+        accepted.push(summary);
+    }
+
+    return { decisions, voters, accepted, rejected };
+}
+
+function decisionKey(decision) {
+    const params = decision.params || {};
+    return decision.action === 'rebalance'
+        ? `rebalance:${params.strategy}`
+        : `${decision.action}:${params.asset}:${params.target}:${params.chain}${params.side ? `:${params.side}` : ''}`;
+}
+
+/**
+ * Largest group of votes whose amounts sit within the tolerance band of one of them
+ * Ties go to the smaller amount, the conservative choice
+ */
+function agreeingVotes(votes, tolerance) {
+    const withAmount = votes.filter(([, d]) => d.params.amount !== undefined);
+    if (withAmount.length === 0) return votes;
+
+    let best = [];
+    const byAmount = [...withAmount].sort(([, a], [, b]) => a.params.amount - b.params.amount);
+
+    for (const [, center] of byAmount) {
+        const c = center.params.amount;
+        const group = byAmount.filter(([, d]) => Math.abs(d.params.amount - c) <= c * tolerance);
+        if (group.length > best.length) best = group;
+    }
+
+    return best;
+}
+
+/**
+ * Median amount, the most cautious risk level and the most common priority across supporters
+ * The reasoning comes from the vote closest to the agreed amount
+ */
+function mergeVotes(decisions) {
+    const amounts = decisions.map(d => d.params.amount).filter(a => a !== undefined).sort((a, b) => a - b);
+    const amount = amounts.length > 0 ? median(amounts) : undefined;
+
+    const representative = amount === undefined
+        ? decisions[0]
+        : decisions.reduce((best, d) =>
+            Math.abs(d.params.amount - amount) < Math.abs(best.params.amount - amount) ? d : best);
+
+    const riskLevel = decisions
+        .map(d => d.riskLevel)
+        .reduce((a, b) => RISK_LEVELS.indexOf(b) > RISK_LEVELS.indexOf(a) ? b : a);
+
+    const priorityCounts = new Map();
+    for (const d of decisions) priorityCounts.set(d.priority, (priorityCounts.get(d.priority) || 0) + 1);
+    const priority = [...priorityCounts.entries()]
+        .sort((a, b) => b[1] - a[1] || PRIORITIES.indexOf(a[0]) - PRIORITIES.indexOf(b[0]))[0][0];
+
+    return {
+        ...representative,
+        riskLevel,
+        priority,
+        emergency: decisions.every(d => d.emergency),
+        params: amount === undefined ? representative.params : { ...representative.params, amount }
+    };
+}
+
+function median(sorted) {
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
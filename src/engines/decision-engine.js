@@ -1,76 +1,96 @@
 import { Logger } from '../utils/logger.js';
-import { OpenRouterClient } from './openrouter-client.js';
+import { createLLMRouter } from './llm-router.js';
+import { buildConsensus } from './consensus.js';
+import {
+    ACTION_SPECS,
+    AMOUNT_UNITS,
+    UNSTAKE_MODES,
+    PREDICT_SIDES,
+    extractJson,
+    validateDecisionOutput,
+    formatValidationErrors
+} from './decision-schema.js';
+import { WALLET_KINDS } from '../services/portfolio.js';
+import { CHAIN_NAMES, PROTOCOL_CHAINS } from '../utils/chains.js';
 
 /**
  * AI-powered decision engine using local Llama 3.1
  * Makes autonomous investment decisions based on market data and performance
  */
 export class DecisionEngine {
-    constructor() {
+    constructor(options = {}) {
         this.logger = new Logger('DECISION_ENGINE');
-        this.ollamaUrl = 'http://ollama-service.trai-voice:80';
-        this.model = 'llama3.1:latest';
+        this.clock = options.clock || Date;
+        
+        // Optional record/replay cache so backtests are deterministic offline
+        this.responseCache = options.responseCache || null;
+        this.repository = options.repository || null;
+        this.performanceTracker = options.performanceTracker || null;
+        this.costMeter = options.costMeter || null; // Prices the tokens of every live model call
+        
+        // Invalid model output is sent back with the errors, up to this many times
+        this.maxRepairAttempts = options.maxRepairAttempts ?? 2;
         this.decisionHistory = [];
         this.riskTolerance = 0.7; // Moderate risk
         
-        // OpenRouter as fallback for free model access
-        this.openRouter = new OpenRouterClient();
-        this.useLocalFirst = true; // Prefer local Llama for true autonomy
+        // Local Llama first for true autonomy, then OpenRouter free models
+        this.llmRouter = options.llmRouter || createLLMRouter(options);
+        
+        // Consensus mode: several models vote and only agreed actions pass
+        const consensus = options.consensus || {};
+        this.consensus = {
+            enabled: (consensus.mode || process.env.DECISION_MODE) === 'consensus',
+            voters: consensus.voters
+                || (process.env.CONSENSUS_PROVIDERS ? process.env.CONSENSUS_PROVIDERS.split(',').map(s => s.trim()) : null),
+            quorum: consensus.quorum ?? parseFloat(process.env.CONSENSUS_QUORUM || '0.6'),
+            amountTolerance: consensus.amountTolerance ?? parseFloat(process.env.CONSENSUS_AMOUNT_TOLERANCE || '0.25'),
+            minVoters: consensus.minVoters ?? parseInt(process.env.CONSENSUS_MIN_VOTERS || '2')
+        };
     }
 
     async initialize() {
         this.logger.info('🧠 Initializing AI decision engine...');
         
-        // Test connection to local Llama 3.1 (preferred for true autonomy)
-        let localLlamaAvailable = false;
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/tags`);
-            const models = await response.json();
-            const hasLlama = models.models.some(m => m.name.includes('llama3.1'));
-            
-            if (hasLlama) {
-                localLlamaAvailable = true;
-                this.logger.info('✅ Local Llama 3.1 connected successfully (PRIMARY)');
-            }
-        } catch (error) {
-            this.logger.warn('⚠️ Local Llama 3.1 not available:', error.message);
+        if (this.responseCache?.isReplay()) {
+            this.logger.info('🎞️ Replay mode: serving recorded LLM responses, no live models needed');
+            return;
         }
         
-        // Test OpenRouter connection (fallback for free models)
-        let openRouterAvailable = false;
-        if (this.openRouter.isConfigured()) {
-            openRouterAvailable = await this.openRouter.testConnection();
-            if (openRouterAvailable) {
-                this.logger.info('✅ OpenRouter connected successfully (FALLBACK)');
-            }
-        } else {
-            this.logger.info('ℹ️ OpenRouter not configured (set OPENROUTER_API_KEY)');
-        }
+        // Probe providers in fallback order (local Llama first for true autonomy)
+        const available = await this.llmRouter.probe();
         
         // Require at least one AI model
-        if (!localLlamaAvailable && !openRouterAvailable) {
+        if (available.length === 0) {
             throw new Error('No AI models available - need either local Llama 3.1 or OpenRouter access');
         }
         
-        this.logger.info(`🎯 Decision engine ready: Local=${localLlamaAvailable}, OpenRouter=${openRouterAvailable}`);
+        this.logger.info(`🎯 Decision engine ready: ${available.join(', ')}`);
     }
 
-    async analyzeAndDecide(currentState) {
+    /**
+     * cycleId - when given, decisions get ids `${cycleId}-${n}` that follow them through
+     * approvals, execution and cost attribution
+     */
+    async analyzeAndDecide(currentState, { cycleId = null } = {}) {
         this.logger.info('🔍 Analyzing market conditions and portfolio...');
         
         try {
             // Prepare context for AI decision making
             const analysisPrompt = this.buildAnalysisPrompt(currentState);
             
-            // Get AI analysis and recommendations
-            const aiResponse = await this.queryLlama(analysisPrompt);
-            const decisions = this.parseDecisions(aiResponse);
+            // Get AI analysis and recommendations (validated, with repair re-prompts)
+            const { decisions, llmCalls, consensus } = this.consensus.enabled
+                ? await this.getConsensusDecisions(analysisPrompt, currentState)
+                : await this.getValidatedDecisions(analysisPrompt, currentState);
             
             // Apply risk management filters
-            const filteredDecisions = this.applyRiskFilters(decisions, currentState);
+            const filtered = this.applyRiskFilters(decisions, currentState);
+            const filteredDecisions = cycleId
+                ? filtered.map((decision, index) => ({ id: `${cycleId}-${index + 1}`, ...decision }))
+                : filtered;
             
             // Log decisions for transparency
-            this.logDecisions(filteredDecisions, currentState);
+            await this.logDecisions(filteredDecisions, currentState, { cycleId, llmCalls, consensus });
             
             return filteredDecisions;
             
@@ -82,22 +102,36 @@ export class DecisionEngine {
 
     buildAnalysisPrompt(state) {
         const performance = state.performance || {};
-        const balances = state.balances || {};
+        const actions = this.getActions(state);
+        const specs = this.getActionSpecs(state);
         
         return `You are an autonomous AI treasury manager for the ClawDuck Sovereign Agent Treasury. 
-Your goal is economic self-sufficiency through DeFi yield optimization on Solana.
+Your goal is economic self-sufficiency through DeFi yield optimization across Solana and EVM chains (Base, Monad).
 
 CURRENT PORTFOLIO STATE:
 - Total Value: $${state.totalValue?.toFixed(2) || '0.00'}
 - Performance: ${performance.totalReturn || 0}% return
-- Balances: ${JSON.stringify(balances, null, 2)}
+- Allocation: ${this.formatAllocation(state.allocation)}
+- Value by Chain: ${this.formatChains(state.exposure?.byChain, state.totalValue)}
+- Unpriced Assets: ${this.formatUnpriced(state.unpricedAssets)}
+- Compute Runway: ${this.formatRunway(state.runway, state.survivalMode)}
+
+HOLDINGS:
+${this.formatHoldings(state.holdings)}
 
 MARKET CONDITIONS:
-- SOL: $${state.marketData?.sol?.price || 88.50} (${state.marketData?.sol?.change24h || 0}% 24h)
-- ETH: $${state.marketData?.eth?.price || 2133.26} (${state.marketData?.eth?.change24h || 0}% 24h)
+- SOL: ${this.formatQuote(state.marketData?.sol)}
+- ETH: ${this.formatQuote(state.marketData?.eth)}
 - Kamino Lending APY: ${(state.marketData?.kamino_apy || 0.065) * 100}%
+- Aave (Base) Lending APY: ${((state.marketData?.aave_apy || 0.045) * 100).toFixed(2)}%
 - Marinade Staking APY: ${(state.marketData?.marinade_apy || 0.085) * 100}%
 
+STRATEGIES:
+${this.formatStrategies(state.strategies)}
+
+OPPORTUNITIES:
+${this.formatOpportunities(state.opportunities)}
+
 RECENT DECISIONS:
 ${this.getRecentDecisionsSummary()}
 
@@ -111,102 +145,302 @@ Please analyze the situation and provide 0-3 actionable decisions in JSON format
 {
   "decisions": [
     {
-      "action": "lend|stake|swap|rebalance",
+      "action": "${actions.join('|')}",
       "reasoning": "Clear explanation of why this decision optimizes the portfolio",
       "params": {
-        "amount": "amount to act on",
-        "asset": "asset symbol",
-        "target": "target protocol or asset",
-        "expectedYield": "expected annual yield percentage"
+        "amount": 1.5,
+        "unit": "${AMOUNT_UNITS.join('|')}",
+        "asset": "asset symbol to act on",
+        "target": "protocol to deposit into or exit from (lend/stake/withdraw/unstake), asset to receive (swap), destination chain (bridge) or market ticker (predict)",
+        "chain": "${CHAIN_NAMES.join('|')} (optional, defaults to the target protocol's chain; required source chain for bridge)",
+        "expectedYield": 6.5
       },
       "priority": "high|medium|low",
-      "riskLevel": "low|medium|high"
+      "riskLevel": "low|medium|high",
+      "emergency": false
     }
   ]
 }
 
+ALLOWED VALUES:
+${this.describeActionSpecs(actions, specs)}
+- "amount" must be a JSON number; "unit" says whether it is token units, USD value, or percent of the held balance
+- "rebalance" takes no amount/asset/target, only an optional "strategy" name
+- "withdraw" and "unstake" free liquidity from an existing position; a "percent" amount is of that position
+- "unstake" takes an optional "mode": "${UNSTAKE_MODES.join('" or "')}" (delayed has no fee but funds unlock only after the unbonding period; instant pays a fee)
+- "emergency" is optional; set it to true only for urgent moves that reduce risk
+- Each protocol runs on one chain (${this.describeProtocolChains()}) and swaps run on solana; a decision only uses funds already on its chain
+- "bridge" moves USDC from "chain" to the "target" chain; it takes several minutes, and until it lands the funds show as pending and cannot be used
+${actions.includes('predict') ? `- "predict" takes a "side": "${PREDICT_SIDES.join('" or "')}"; buy spends "amount" USDC on outcome tokens of the "target" market, sell sells "amount" outcome tokens of a held market (a "percent" amount is of that position)
+` : ''}
 Only respond with valid JSON. If no actions are needed, return {"decisions": []}.`;
     }
 
-    async queryLlama(prompt) {
-        // Try local Llama first (preferred for true autonomy - no API costs)
-        if (this.useLocalFirst) {
-            try {
-                this.logger.info('🤖 Querying local Llama 3.1 for investment decisions...');
-                
-                const requestData = {
-                    model: this.model,
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.3, // Lower temperature for more consistent financial decisions
-                        top_p: 0.9,
-                        max_tokens: 1000
-                    }
-                };
-                
-                const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(requestData)
-                });
-
-                if (response.ok) {
-                    const data = await response.json();
-                    this.logger.info('✅ Local Llama response received');
-                    return data.response;
-                }
-                
-                throw new Error(`Local Llama API error: ${response.status}`);
-                
-            } catch (localError) {
-                this.logger.warn('⚠️ Local Llama failed, trying OpenRouter fallback:', localError.message);
-            }
+    /**
+     * The schema's ACTION_SPECS with the specs registered strategies add for their own actions
+     */
+    getActionSpecs(state) {
+        const specs = { ...ACTION_SPECS };
+        for (const strategy of state.strategies || []) {
+            Object.assign(specs, strategy.actionSpecs);
         }
+        return specs;
+    }
+
+    /**
+     * Actions some registered strategy can execute, every schema action when the state does not list strategies
+     */
+    getActions(state) {
+        return Object.keys(this.getActionSpecs(state))
+            .filter(action => !state.strategies || state.strategies.some(strategy => strategy.actions.includes(action)));
+    }
+
+    describeActionSpecs(actions = Object.keys(ACTION_SPECS), specs = ACTION_SPECS) {
+        return Object.entries(specs)
+            .filter(([action, spec]) => spec.targets && actions.includes(action))
+            .map(([action, spec]) => {
+                const targets = action === 'swap' ? 'any listed asset' : spec.targets.join(', ');
+                return `- ${action}: asset in [${spec.assets.join(', ')}], target in [${targets}]`;
+            })
+            .join('\n');
+    }
+
+    describeProtocolChains() {
+        return Object.entries(PROTOCOL_CHAINS).map(([protocol, chain]) => `${protocol}: ${chain}`).join(', ');
+    }
+
+    formatChains(byChain = {}, totalValue = 0) {
+        const entries = Object.entries(byChain).filter(([, value]) => value > 0);
+        if (entries.length === 0) return 'Unknown';
+        return entries
+            .map(([chain, value]) => `${chain} $${value.toFixed(2)}${totalValue > 0 ? ` (${(value / totalValue * 100).toFixed(1)}%)` : ''}`)
+            .join(', ');
+    }
+
+    formatStrategies(strategies = []) {
+        if (strategies.length === 0) return '- None';
+        return strategies
+            .map(s => `- ${s.name} (${s.actions.join(', ')}): ${s.description}; ${s.risk.level} risk, ${s.risk.liquidity.replace('_', ' ')} liquidity`)
+            .join('\n');
+    }
+
+    formatOpportunities(opportunities = []) {
+        if (opportunities.length === 0) return '- None';
+        return opportunities.map(o => {
+            const where = [o.protocol, o.chain && `on ${o.chain}`].filter(Boolean).join(' ');
+            const details = [
+                o.target && `market ${o.target}${o.question ? ` "${o.question}"` : ''}`,
+                o.apy != null && `${(o.apy * 100).toFixed(2)}% APY`,
+                o.unbondingDays && `${o.unbondingDays}d unbonding`,
+                o.price != null && `price ${o.price.toFixed(2)}`,
+                o.expectedReturn != null && `${(o.expectedReturn * 100).toFixed(1)}% edge`,
+                o.confidence != null && `${(o.confidence * 100).toFixed(0)}% confidence`,
+                o.suggestedShare != null && `suggested size ${(o.suggestedShare * 100).toFixed(1)}% of NAV`
+            ].filter(Boolean).join(', ');
+            return `- ${o.action} ${where}${details ? `: ${details}` : ''}`;
+        }).join('\n');
+    }
+
+    formatQuote(quote) {
+        if (!quote?.price) return 'price unavailable';
         
-        // Fallback to OpenRouter free models
-        if (this.openRouter.isConfigured()) {
-            try {
-                const response = await this.openRouter.queryModel(prompt, null, {
-                    temperature: 0.3,
-                    maxTokens: 1000,
-                    topP: 0.9
-                });
-                
-                if (response) {
-                    this.logger.info('✅ OpenRouter fallback successful');
-                    return response;
-                }
-                
-            } catch (openRouterError) {
-                this.logger.error('❌ OpenRouter fallback failed:', openRouterError);
-            }
+        const change = quote.change24h != null ? ` (${quote.change24h}% 24h)` : '';
+        const stale = quote.stale ? ' [STALE]' : '';
+        return `$${quote.price.toFixed(2)}${change}${stale}`;
+    }
+
+    formatHoldings(holdings = []) {
+        if (holdings.length === 0) return '- None';
+        
+        return holdings.map(h => {
+            const where = h.kind === 'pending'
+                ? `pending${h.protocol ? ` from ${h.protocol}` : ''}${h.availableAt ? `, available ${new Date(h.availableAt).toISOString()}` : ''}`
+                : `${h.kind.replace('_', ' ')}${h.protocol ? ` in ${h.protocol}` : ''}`;
+            const chain = h.chain ? ` on ${h.chain}` : '';
+            const yieldText = h.yieldSource?.apy != null ? `, ${(h.yieldSource.apy * 100).toFixed(2)}% APY` : '';
+            const pnl = h.unrealizedPnl != null ? `, cost $${h.costBasis.toFixed(2)} (${h.unrealizedPnl >= 0 ? '+' : '-'}$${Math.abs(h.unrealizedPnl).toFixed(2)})` : '';
+            return `- ${h.amount.toFixed(6)} ${h.asset.toUpperCase()} ${where}${chain}: $${h.value.toFixed(2)}${yieldText}${pnl}`;
+        }).join('\n');
+    }
+
+    formatAllocation(allocation = {}) {
+        const entries = Object.entries(allocation).filter(([, share]) => share > 0);
+        if (entries.length === 0) return 'Unknown';
+        return entries.map(([key, share]) => `${key} ${(share * 100).toFixed(1)}%`).join(', ');
+    }
+
+    formatRunway(runway, mode) {
+        if (!runway) return 'Unknown';
+        const days = runway.days === null ? 'unlimited, yield covers the burn' : `${runway.days.toFixed(1)} days of liquid USDC`;
+        return `${days} ($${runway.netDailyBurn.toFixed(2)}/day net burn)${mode && mode !== 'normal' ? `, ${mode.toUpperCase()} MODE: rebuild liquid USDC, avoid new USDC deployments` : ''}`;
+    }
+
+    formatUnpriced(unpriced = []) {
+        if (unpriced.length === 0) return 'None';
+        return unpriced.map(u => `${u.amount} ${u.asset.toUpperCase()} (no price feed, value unknown)`).join(', ');
+    }
+
+    /**
+     * Query the LLM router, through the record/replay cache when one is set
+     * Returns { content, provider, model, latencyMs, attempts }
+     */
+    async queryModel(prompt, provider = null) {
+        const ask = async () => {
+            const answer = provider
+                ? await this.llmRouter.completeWith(provider, prompt)
+                : await this.llmRouter.complete(prompt);
+            await this.costMeter?.recordLLMUsage(answer);
+            return answer;
+        };
+        
+        if (!this.responseCache) {
+            return ask();
         }
         
-        // Both failed
-        throw new Error('All AI models failed - cannot make investment decisions');
+        // Consensus votes are cached per provider, routed answers per prompt
+        let answered = null;
+        const content = await this.responseCache.wrap(provider ? { provider, prompt } : prompt, async () => {
+            answered = await ask();
+            return answered.content;
+        });
+        
+        return answered || { content, provider: provider || 'response-cache', model: null, latencyMs: 0, attempts: [] };
     }
 
-    parseDecisions(aiResponse) {
-        try {
-            // Extract JSON from AI response
-            const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-                this.logger.warn('No valid JSON found in AI response');
-                return [];
+    async getValidatedDecisions(analysisPrompt, state, provider = null) {
+        const context = this.buildValidationContext(state);
+        const llmCalls = []; // Which provider answered each attempt, for the decision log
+        let prompt = analysisPrompt;
+        
+        for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+            const answer = await this.queryModel(prompt, provider);
+            const aiResponse = answer.content;
+            const report = this.parseDecisions(aiResponse, context);
+            
+            llmCalls.push({
+                attempt: attempt + 1,
+                provider: answer.provider,
+                model: answer.model,
+                usage: answer.usage || null,
+                latencyMs: answer.latencyMs,
+                fallbacks: answer.attempts,
+                valid: report.valid
+            });
+            
+            if (report.valid) {
+                this.logger.info(`🎯 AI generated ${report.decisions.length} valid decisions via ${answer.provider}${attempt > 0 ? ` after ${attempt} repair(s)` : ''}`);
+                return { decisions: report.decisions, llmCalls };
             }
-
-            const parsed = JSON.parse(jsonMatch[0]);
-            const decisions = parsed.decisions || [];
             
-            this.logger.info(`🎯 AI generated ${decisions.length} potential decisions`);
+            this.logger.warn(`⚠️ AI output failed validation (attempt ${attempt + 1}/${this.maxRepairAttempts + 1}):\n${formatValidationErrors(report.errors)}`);
             
-            return decisions;
+            await this.performanceTracker?.recordEvent('decision_output_rejected', {
+                attempt: attempt + 1,
+                provider: answer.provider,
+                errors: report.errors,
+                response: typeof aiResponse === 'string' ? aiResponse.slice(0, 2000) : null
+            });
             
-        } catch (error) {
-            this.logger.error('❌ Failed to parse AI decisions:', error);
-            return [];
+            prompt = this.buildRepairPrompt(analysisPrompt, aiResponse, report.errors);
         }
+        
+        this.logger.error(`❌ AI output still invalid after ${this.maxRepairAttempts} repair attempts - no decisions this cycle`);
+        return { decisions: [], llmCalls, valid: false };
+    }
+
+    /**
+     * Ask every voter in parallel and keep only the actions a quorum agrees on
+     */
+    async getConsensusDecisions(analysisPrompt, state) {
+        const voters = this.consensus.voters || this.llmRouter.getProviderNames();
+        this.logger.info(`🗳️ Consensus vote across ${voters.length} models (quorum ${(this.consensus.quorum * 100).toFixed(0)}%)`);
+        
+        const ballots = await Promise.all(voters.map(async voter => {
+            try {
+                const result = await this.getValidatedDecisions(analysisPrompt, state, voter);
+                return result.valid === false
+                    ? { voter, error: 'invalid output after repairs', llmCalls: result.llmCalls }
+                    : { voter, decisions: result.decisions, llmCalls: result.llmCalls };
+            } catch (error) {
+                this.logger.warn(`⚠️ ${voter} did not vote:`, error.message);
+                return { voter, error: error.message, llmCalls: [] };
+            }
+        }));
+        
+        const consensus = buildConsensus(ballots, this.consensus);
+        
+        for (const item of consensus.accepted) {
+            this.logger.info(`✅ Agreed: ${item.key} (${(item.score * 100).toFixed(0)}%: ${item.supporters.join(', ')})`);
+        }
+        for (const item of consensus.rejected) {
+            this.logger.info(`🚫 No quorum: ${item.key} (${(item.score * 100).toFixed(0)}%: ${item.supporters.join(', ')})`);
+        }
+        if (consensus.reason) {
+            this.logger.warn(`⚠️ No consensus this cycle: ${consensus.reason}`);
+        }
+        
+        return {
+            decisions: consensus.decisions,
+            llmCalls: ballots.flatMap(b => b.llmCalls),
+            consensus: {
+                quorum: this.consensus.quorum,
+                amountTolerance: this.consensus.amountTolerance,
+                voters: consensus.voters,
+                accepted: consensus.accepted,
+                rejected: consensus.rejected,
+                reason: consensus.reason || null
+            }
+        };
+    }
+
+    parseDecisions(aiResponse, context = {}) {
+        const extracted = extractJson(aiResponse);
+        if (extracted.error) {
+            return {
+                valid: false,
+                decisions: [],
+                errors: [{ path: '$', code: 'invalid_json', message: extracted.error }]
+            };
+        }
+        
+        return validateDecisionOutput(extracted.value, context);
+    }
+
+    buildValidationContext(state) {
+        // Prices, liquid balances (in total and per chain) and protocol positions used to resolve
+        // usd/percent amounts into token units, and the actions a strategy can execute
+        const prices = {};
+        const balances = {};
+        const chainBalances = {};
+        const positions = {};
+        
+        for (const holding of state.holdings || []) {
+            prices[holding.asset] = holding.price;
+            if (WALLET_KINDS.includes(holding.kind)) {
+                balances[holding.asset] = (balances[holding.asset] || 0) + holding.amount;
+                if (holding.chain) {
+                    chainBalances[holding.chain] = chainBalances[holding.chain] || {};
+                    chainBalances[holding.chain][holding.asset] = (chainBalances[holding.chain][holding.asset] || 0) + holding.amount;
+                }
+            } else if (['lending', 'staking', 'outcome'].includes(holding.kind)) {
+                positions[holding.protocol] = positions[holding.protocol] || {};
+                positions[holding.protocol][holding.asset] = (positions[holding.protocol][holding.asset] || 0) + holding.amount;
+            }
+        }
+        
+        return { prices, balances, chainBalances, positions, actionSpecs: this.getActionSpecs(state), actions: this.getActions(state) };
+    }
+
+    buildRepairPrompt(analysisPrompt, aiResponse, errors) {
+        return `${analysisPrompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED:
+${typeof aiResponse === 'string' ? aiResponse.slice(0, 2000) : '(empty response)'}
+
+VALIDATION ERRORS:
+${formatValidationErrors(errors)}
+
+Fix every error above and respond again with only the corrected JSON.`;
     }
 
     applyRiskFilters(decisions, currentState) {
@@ -236,17 +470,21 @@ Only respond with valid JSON. If no actions are needed, return {"decisions": []}
         return filtered;
     }
 
-    logDecisions(decisions, state) {
+    async logDecisions(decisions, state, details = {}) {
         // Record decisions for history and transparency
         const decisionRecord = {
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
+            cycleId: details.cycleId || null,
             portfolioValue: state.totalValue,
             decisions: decisions,
             marketConditions: state.marketData,
-            reasoning: 'autonomous_ai_analysis'
+            reasoning: details.consensus ? 'consensus_ai_analysis' : 'autonomous_ai_analysis',
+            llmCalls: details.llmCalls || [],
+            consensus: details.consensus || null
         };
 
         this.decisionHistory.push(decisionRecord);
+        await this.repository?.append('decisions', decisionRecord);
         
         // Keep only last 100 decisions
         if (this.decisionHistory.length > 100) {
@@ -257,10 +495,23 @@ Only respond with valid JSON. If no actions are needed, return {"decisions": []}
         this.logger.info('📊 Decision Analysis Complete:', {
             portfolioValue: state.totalValue,
             decisionsCount: decisions.length,
-            actions: decisions.map(d => d.action)
+            actions: decisions.map(d => d.action),
+            providers: decisionRecord.llmCalls.map(c => c.provider)
         });
     }
 
+    /**
+     * Rehydrate recent decision history from the repository after a restart
+     */
+    async restore() {
+        if (!this.repository) return;
+        
+        const records = await this.repository.readAll('decisions');
+        this.decisionHistory = records.slice(-100);
+        
+        this.logger.info(`♻️ Restored ${this.decisionHistory.length} of ${records.length} decision records`);
+    }
+
     getRecentDecisionsSummary() {
         const recent = this.decisionHistory.slice(-3);
         if (recent.length === 0) {
@@ -275,4 +526,8 @@ Only respond with valid JSON. If no actions are needed, return {"decisions": []}
     getDecisionHistory() {
         return this.decisionHistory;
     }
+
+    getLLMHealth() {
+        return this.llmRouter.getHealth();
+    }
 }
\ No newline at end of file
@@ -0,0 +1,373 @@
+import { ASSETS } from '../utils/assets.js';
+import { BRIDGE_CHAINS, CHAIN_NAMES, PROTOCOL_CHAINS, resolveChain } from '../utils/chains.js';
+
+/**
+ * Decision schema for LLM output
+ * Every decision the model proposes must pass validateDecisionOutput before it can execute
+ */
+export const PRIORITIES = ['high', 'medium', 'low'];
+export const RISK_LEVELS = ['low', 'medium', 'high'];
+export const AMOUNT_UNITS = ['token', 'usd', 'percent'];
+export const UNSTAKE_MODES = ['delayed', 'instant'];
+export const PREDICT_SIDES = ['buy', 'sell'];
+export const MAX_DECISIONS = 3;
+
+// Swaps go through Jupiter, so only assets with a Solana mint can be swapped
+const SWAPPABLE_ASSETS = Object.keys(ASSETS).filter(asset => ASSETS[asset].solanaMint);
+
+// Allowed assets and protocol targets per action
+// fromPosition actions size "percent" amounts against the position held in the target protocol
+// The chain a decision runs on is its protocol's (PROTOCOL_CHAINS), or that of the protocol the
+// action always goes through; bridges move funds from their "chain" to the target chain
+export const ACTION_SPECS = {
+    lend: {
+        assets: ['usdc', 'usdt', 'sol'],
+        targets: ['kamino', 'marginfi', 'aave'],
+        requiresAmount: true
+    },
+    stake: {
+        assets: ['sol'],
+        targets: ['marinade', 'jito'],
+        requiresAmount: true
+    },
+    withdraw: {
+        assets: ['usdc', 'usdt', 'sol'],
+        targets: ['kamino', 'marginfi', 'aave'], // Protocol to withdraw from
+        requiresAmount: true,
+        fromPosition: true
+    },
+    unstake: {
+        assets: ['sol'],
+        targets: ['marinade', 'jito'],
+        requiresAmount: true,
+        fromPosition: true
+    },
+    swap: {
+        assets: SWAPPABLE_ASSETS,
+        targets: SWAPPABLE_ASSETS, // Swap target is the asset to receive
+        protocol: 'jupiter',
+        requiresAmount: true
+    },
+    bridge: {
+        assets: ['usdc'],
+        targets: BRIDGE_CHAINS, // Destination chain
+        requiresAmount: true
+    },
+    predict: {
+        assets: ['usdc'], // Outcome tokens are bought with and sold for USDC
+        targets: null, // Market ticker
+        protocol: 'dflow',
+        requiresAmount: true
+    },
+    rebalance: {
+        assets: null,
+        targets: null,
+        requiresAmount: false
+    }
+};
+
+export const DECISION_ACTIONS = Object.keys(ACTION_SPECS);
+
+// Prediction market tickers, e.g. KXBTCD-25DEC31-T100000
+const TICKER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+/**
+ * Pull a JSON object out of a model response
+ * Accepts bare JSON, fenced ```json blocks, or the first balanced {...} in prose
+ */
+export function extractJson(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { error: 'Response is empty' };
+    }
+
+    const candidates = [text.trim()];
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) candidates.push(fenced[1].trim());
+
+    const balanced = findBalancedObject(text);
+    if (balanced) candidates.push(balanced);
+
+    for (const candidate of candidates) {
+        try {
+            return { value: JSON.parse(candidate) };
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+
+    return { error: 'No valid JSON object found in response' };
+}
+
+function findBalancedObject(text) {
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+
+        if (char === '"') inString = true;
+        else if (char === '{') depth++;
+        else if (char === '}' && --depth === 0) {
+            return text.slice(start, i + 1);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate and normalize parsed model output
+ * context.prices ({ asset: usdPrice }), context.balances ({ asset: liquidAmount }),
+ * context.chainBalances ({ chain: { asset: liquidAmount } }) and context.positions ({ protocol: { asset: amount } })
+ * are used to resolve usd/percent amounts into token units; context.actionSpecs (ACTION_SPECS and the
+ * specs strategies add) and context.actions limit the actions to those a registered strategy can execute
+ *
+ * Returns { valid, decisions, errors: [{ path, code, message }] }
+ */
+export function validateDecisionOutput(parsed, context = {}) {
+    const errors = [];
+    const error = (path, code, message) => errors.push({ path, code, message });
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        error('$', 'invalid_type', 'Output must be a JSON object with a "decisions" array');
+        return { valid: false, decisions: [], errors };
+    }
+
+    if (!Array.isArray(parsed.decisions)) {
+        error('decisions', 'invalid_type', '"decisions" must be an array');
+        return { valid: false, decisions: [], errors };
+    }
+
+    if (parsed.decisions.length > MAX_DECISIONS) {
+        error('decisions', 'too_many', `At most ${MAX_DECISIONS} decisions are allowed, got ${parsed.decisions.length}`);
+    }
+
+    const decisions = parsed.decisions.map((decision, i) =>
+        normalizeDecision(decision, `decisions[${i}]`, context, error)
+    );
+
+    return {
+        valid: errors.length === 0,
+        decisions: errors.length === 0 ? decisions : [],
+        errors
+    };
+}
+
+function normalizeDecision(decision, path, context, error) {
+    if (!decision || typeof decision !== 'object') {
+        error(path, 'invalid_type', 'Decision must be an object');
+        return null;
+    }
+
+    const specs = context.actionSpecs || ACTION_SPECS;
+    const actions = context.actions || Object.keys(specs);
+    const spec = actions.includes(decision.action) ? specs[decision.action] : null;
+    if (!spec) {
+        error(`${path}.action`, 'invalid_enum', `Unknown action "${decision.action}", expected one of: ${actions.join(', ')}`);
+    }
+
+    if (typeof decision.reasoning !== 'string' || !decision.reasoning.trim()) {
+        error(`${path}.reasoning`, 'required', 'Reasoning must be a non-empty string');
+    }
+
+    if (!PRIORITIES.includes(decision.priority)) {
+        error(`${path}.priority`, 'invalid_enum', `Priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+
+    if (!RISK_LEVELS.includes(decision.riskLevel)) {
+        error(`${path}.riskLevel`, 'invalid_enum', `Risk level must be one of: ${RISK_LEVELS.join(', ')}`);
+    }
+
+    if (decision.emergency !== undefined && typeof decision.emergency !== 'boolean') {
+        error(`${path}.emergency`, 'invalid_type', 'Emergency must be a boolean');
+    }
+
+    const params = decision.params;
+    if (!params || typeof params !== 'object') {
+        error(`${path}.params`, 'required', 'Params must be an object');
+        return null;
+    }
+
+    const normalized = {
+        action: decision.action,
+        reasoning: decision.reasoning,
+        priority: decision.priority,
+        riskLevel: decision.riskLevel,
+        emergency: decision.emergency === true,
+        params: {}
+    };
+
+    if (!spec) return normalized;
+
+    if (decision.action === 'rebalance') {
+        normalized.params.strategy = typeof params.strategy === 'string' ? params.strategy : 'target_allocation';
+        return normalized;
+    }
+
+    const asset = typeof params.asset === 'string' ? params.asset.toLowerCase() : null;
+    if (!asset || !spec.assets.includes(asset)) {
+        error(`${path}.params.asset`, 'invalid_enum', `Asset for ${decision.action} must be one of: ${spec.assets.join(', ')}`);
+    }
+
+    let target = typeof params.target === 'string' ? params.target.toLowerCase() : null;
+    if (decision.action === 'bridge') {
+        // Destination chains may come as an alias or chain ID
+        target = resolveChain(target) || target;
+    }
+    if (!spec.targets) {
+        // Market tickers are case-sensitive and open-ended
+        target = typeof params.target === 'string' && TICKER_PATTERN.test(params.target) ? params.target : null;
+        if (!target) {
+            error(`${path}.params.target`, 'invalid_value', `Target for ${decision.action} must be a market ticker`);
+        }
+    } else if (!target || !spec.targets.includes(target)) {
+        error(`${path}.params.target`, 'invalid_enum', `Target for ${decision.action} must be one of: ${spec.targets.join(', ')}`);
+    } else if (decision.action === 'swap' && target === asset) {
+        error(`${path}.params.target`, 'invalid_value', 'Swap target must differ from the source asset');
+    }
+
+    normalized.params.asset = asset;
+    normalized.params.target = target;
+    const chain = normalizeChain(decision.action, spec, target, params.chain, `${path}.params.chain`, error);
+    normalized.params.chain = chain;
+
+    if (decision.action === 'unstake') {
+        const mode = params.mode ?? UNSTAKE_MODES[0];
+        if (!UNSTAKE_MODES.includes(mode)) {
+            error(`${path}.params.mode`, 'invalid_enum', `Unstake mode must be one of: ${UNSTAKE_MODES.join(', ')}`);
+        }
+        normalized.params.mode = mode;
+    }
+
+    // Selling outcome tokens sizes the amount in tokens of the market position
+    let sizing = { asset, fromPosition: spec.fromPosition, protocol: target };
+    if (decision.action === 'predict') {
+        const side = params.side ?? PREDICT_SIDES[0];
+        if (!PREDICT_SIDES.includes(side)) {
+            error(`${path}.params.side`, 'invalid_enum', `Predict side must be one of: ${PREDICT_SIDES.join(', ')}`);
+        }
+        normalized.params.side = side;
+        if (side === 'sell') {
+            sizing = { asset: target, fromPosition: true, protocol: spec.protocol };
+        }
+    }
+
+    if (params.expectedYield !== undefined) {
+        const expectedYield = Number(params.expectedYield);
+        if (!Number.isFinite(expectedYield)) {
+            error(`${path}.params.expectedYield`, 'invalid_type', 'Expected yield must be a number (annual %)');
+        } else {
+            normalized.params.expectedYield = expectedYield;
+        }
+    }
+
+    if (spec.requiresAmount) {
+        const { asset: sized, fromPosition, protocol } = sizing;
+        let held;
+        if (fromPosition) {
+            held = { amount: context.positions?.[protocol]?.[sized] || 0, label: `${sized} position in ${protocol}` };
+        } else if (context.chainBalances && chain) {
+            held = { amount: context.chainBalances[chain]?.[sized] || 0, label: `${sized} held on ${chain}` };
+        } else {
+            held = { amount: context.balances?.[sized] || 0, label: `${sized} held` };
+        }
+        const amount = resolveAmount(params, sized, `${path}.params`, context, held, error);
+        if (amount !== null) {
+            normalized.params.amount = amount;
+            normalized.params.requestedAmount = { amount: params.amount, unit: params.unit };
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * The chain a decision runs on: its protocol's, which an explicit "chain" may restate but not change
+ * A bridge has no protocol chain, its "chain" is the required source
+ */
+function normalizeChain(action, spec, target, requested, path, error) {
+    if (action === 'bridge') {
+        const source = resolveChain(requested);
+        if (!source || !BRIDGE_CHAINS.includes(source)) {
+            error(path, requested === undefined || requested === null ? 'required' : 'invalid_enum',
+                `Source chain for bridge must be one of: ${BRIDGE_CHAINS.join(', ')}`);
+            return null;
+        }
+        if (source === target) {
+            error(path, 'invalid_value', 'Bridge source chain must differ from the target chain');
+        }
+        return source;
+    }
+
+    const protocol = spec.protocol || target;
+    const protocolChain = spec.chain || PROTOCOL_CHAINS[protocol] || null;
+    if (requested === undefined || requested === null) return protocolChain;
+
+    const chain = resolveChain(requested);
+    if (!chain) {
+        error(path, 'invalid_enum', `Chain must be one of: ${CHAIN_NAMES.join(', ')}`);
+        return protocolChain;
+    }
+    if (protocolChain && chain !== protocolChain) {
+        const where = action === 'swap' ? 'Swaps run' : `${protocol} runs`;
+        error(path, 'invalid_value', `${where} on ${protocolChain}, not ${chain}`);
+        return protocolChain;
+    }
+    return chain;
+}
+
+function resolveAmount(params, asset, path, context, held, error) {
+    if (typeof params.amount !== 'number' || !Number.isFinite(params.amount) || params.amount <= 0) {
+        error(`${path}.amount`, 'invalid_type', 'Amount must be a positive number (not a string)');
+        return null;
+    }
+
+    if (!AMOUNT_UNITS.includes(params.unit)) {
+        error(`${path}.unit`, 'invalid_enum', `Unit must be one of: ${AMOUNT_UNITS.join(', ')}`);
+        return null;
+    }
+
+    if (!asset) return null;
+
+    switch (params.unit) {
+        case 'token':
+            return params.amount;
+        case 'usd': {
+            const price = context.prices?.[asset];
+            if (!price) {
+                error(`${path}.unit`, 'unpriced', `No price available for ${asset}, use unit "token"`);
+                return null;
+            }
+            return params.amount / price;
+        }
+        case 'percent': {
+            if (params.amount > 100) {
+                error(`${path}.amount`, 'out_of_range', 'Percent amount must be between 0 and 100');
+                return null;
+            }
+            if (held.amount <= 0) {
+                error(`${path}.amount`, 'insufficient_balance', `No ${held.label} to take a percentage of`);
+                return null;
+            }
+            return held.amount * params.amount / 100;
+        }
+    }
+
+    return null;
+}
+
+export function formatValidationErrors(errors) {
+    return errors.map(e => `- ${e.path}: ${e.message}`).join('\n');
+}
@@ -0,0 +1,201 @@
+import fetch from 'node-fetch';
+import { OpenRouterClient } from './openrouter-client.js';
+
+/**
+ * LLM providers for the LLMRouter
+ * Each provider exposes:
+ *   name                        - unique id used in health stats and decision logs
+ *   isConfigured()              - whether it can be called at all
+ *   healthCheck({ signal })     - cheap availability probe
+ *   complete(prompt, options)   - { content, model, usage }, throws on failure
+ *
+ * usage is the API's token count ({ prompt_tokens, completion_tokens, cost? }) or null, for the CostMeter
+ *
+ * options: { signal, temperature, maxTokens, topP }
+ */
+
+export class OllamaProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'ollama';
+        this.url = options.url || process.env.OLLAMA_URL || 'http://ollama-service.trai-voice:80';
+        this.model = options.model || process.env.OLLAMA_MODEL || 'llama3.1:latest';
+    }
+
+    isConfigured() {
+        return Boolean(this.url);
+    }
+
+    async healthCheck({ signal } = {}) {
+        const response = await fetch(`${this.url}/api/tags`, { signal });
+        const data = await response.json();
+        const base = this.model.split(':')[0];
+        return (data.models || []).some(m => m.name.includes(base));
+    }
+
+    async complete(prompt, options = {}) {
+        const response = await fetch(`${this.url}/api/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.model,
+                prompt,
+                stream: false,
+                options: {
+                    temperature: options.temperature ?? 0.3, // Lower temperature for more consistent financial decisions
+                    top_p: options.topP ?? 0.9,
+                    num_predict: options.maxTokens || 1000
+                }
+            }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Ollama API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return {
+            content: data.response,
+            model: this.model,
+            usage: { prompt_tokens: data.prompt_eval_count || 0, completion_tokens: data.eval_count || 0 }
+        };
+    }
+}
+
+/**
+ * Any endpoint speaking the OpenAI chat completions API (vLLM, LM Studio, Together, OpenAI...)
+ */
+export class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'openai';
+        this.baseUrl = (options.baseUrl || process.env.OPENAI_COMPAT_BASE_URL || '').replace(/\/$/, '');
+        this.apiKey = options.apiKey || process.env.OPENAI_COMPAT_API_KEY;
+        this.model = options.model || process.env.OPENAI_COMPAT_MODEL;
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl && this.model);
+    }
+
+    async healthCheck({ signal } = {}) {
+        const response = await fetch(`${this.baseUrl}/models`, {
+            headers: this.headers(),
+            signal
+        });
+        return response.ok;
+    }
+
+    async complete(prompt, options = {}) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: { ...this.headers(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: options.temperature ?? 0.3,
+                max_tokens: options.maxTokens || 1000,
+                top_p: options.topP ?? 0.9
+            }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`${this.name} API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (!content) {
+            throw new Error(`No content in ${this.name} response`);
+        }
+        return { content, model: data.model || this.model, usage: data.usage || null };
+    }
+
+    headers() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+}
+
+/**
+ * One OpenRouter model; the router gets one of these per free model
+ */
+export class OpenRouterProvider {
+    constructor(options = {}) {
+        this.client = options.client || new OpenRouterClient();
+        this.model = options.model || this.client.defaultModel;
+        this.name = `openrouter:${this.model}`;
+    }
+
+    isConfigured() {
+        return this.client.isConfigured();
+    }
+
+    async healthCheck() {
+        // Probing every free model would spend rate limit, a key is the best cheap signal
+        return this.isConfigured();
+    }
+
+    async complete(prompt, options = {}) {
+        const result = await this.client.complete(prompt, this.model, options);
+        return { content: result.content, model: result.model, usage: result.usage };
+    }
+}
+
+/**
+ * Deterministic offline provider for tests, demos and paper runs
+ * Returns a fixed response, or the result of responder(prompt)
+ */
+export class MockLLMProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'mock';
+        this.model = 'mock';
+        this.responder = options.responder
+            || (() => options.response || process.env.LLM_MOCK_RESPONSE || '{"decisions": []}');
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async healthCheck() {
+        return true;
+    }
+
+    async complete(prompt) {
+        return { content: await this.responder(prompt), model: this.model, usage: null };
+    }
+}
+
+/**
+ * Build providers in fallback order from names like ['ollama', 'openrouter', 'openai', 'mock']
+ * 'openrouter' expands to one provider per OpenRouterClient free model
+ */
+export function createLLMProviders(names, config = {}) {
+    const providers = [];
+
+    for (const name of names) {
+        switch (name) {
+            case 'ollama':
+                providers.push(new OllamaProvider({ url: config.ollamaUrl, model: config.ollamaModel }));
+                break;
+            case 'openrouter': {
+                const client = new OpenRouterClient({ apiKey: config.openRouterApiKey });
+                const models = [client.defaultModel, ...Object.keys(client.freeModels)];
+                for (const model of new Set(models)) {
+                    providers.push(new OpenRouterProvider({ client, model }));
+                }
+                break;
+            }
+            case 'openai':
+                providers.push(new OpenAICompatibleProvider(config.openAICompatible || {}));
+                break;
+            case 'mock':
+                providers.push(new MockLLMProvider({ response: config.mockResponse, responder: config.mockResponder }));
+                break;
+            default:
+                throw new Error(`Unknown LLM provider: ${name}`);
+        }
+    }
+
+    return providers;
+}
@@ -0,0 +1,245 @@
+import { Logger } from '../utils/logger.js';
+import { createLLMProviders } from './llm-providers.js';
+
+/**
+ * LLM Router - Ordered fallback across LLM providers
+ * Every request has a hard timeout, and each provider sits behind a circuit breaker:
+ * after failureThreshold consecutive failures it is skipped for cooldownMs, then one
+ * trial request (half-open) decides whether it closes again
+ *
+ * With a cost preference set, fallback runs cheapest provider first instead of in configured order
+ */
+export class LLMRouter {
+    constructor(options = {}) {
+        this.logger = new Logger('LLM_ROUTER');
+        this.providers = options.providers || [];
+        this.timeoutMs = options.timeoutMs ?? 60 * 1000;
+        this.failureThreshold = options.failureThreshold ?? 3;
+        this.cooldownMs = options.cooldownMs ?? 5 * 60 * 1000;
+        this.clock = options.clock || Date;
+        this.priceOf = null; // (provider) => USD per million tokens, null when unknown
+
+        this.stats = new Map(this.providers.map(p => [p.name, {
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            timeouts: 0,
+            totalLatencyMs: 0,
+            consecutiveFailures: 0,
+            circuit: 'closed',
+            openedAt: null,
+            lastError: null
+        }]));
+    }
+
+    /**
+     * Probe every configured provider, returns the names that answered
+     */
+    async probe() {
+        const available = [];
+
+        for (const provider of this.providers) {
+            if (!provider.isConfigured()) continue;
+
+            try {
+                if (await provider.healthCheck({ signal: AbortSignal.timeout(Math.min(this.timeoutMs, 10 * 1000)) })) {
+                    available.push(provider.name);
+                }
+            } catch (error) {
+                this.logger.warn(`⚠️ ${provider.name} not available:`, error.message);
+            }
+        }
+
+        return available;
+    }
+
+    /**
+     * Ask providers in order until one answers
+     * Returns { content, provider, model, usage, latencyMs, attempts: [{ provider, error, latencyMs }] }
+     */
+    async complete(prompt, options = {}) {
+        const attempts = [];
+
+        for (const provider of this.getOrderedProviders()) {
+            if (!provider.isConfigured() || !this.allowRequest(provider.name)) continue;
+
+            try {
+                return { ...await this.attempt(provider, prompt, options), attempts };
+            } catch (error) {
+                attempts.push({ provider: provider.name, error: error.message, latencyMs: error.latencyMs });
+                this.logger.warn(`⚠️ ${provider.name} failed after ${error.latencyMs}ms, trying next provider:`, error.message);
+            }
+        }
+
+        const error = new Error(`All AI models failed - cannot make investment decisions (${attempts.length} attempted)`);
+        error.attempts = attempts;
+        throw error;
+    }
+
+    /**
+     * Ask one named provider, without fallback (used for consensus voting)
+     */
+    async completeWith(name, prompt, options = {}) {
+        const provider = this.providers.find(p => p.name === name);
+        if (!provider) {
+            throw new Error(`Unknown LLM provider: ${name}`);
+        }
+        if (!provider.isConfigured()) {
+            throw new Error(`${name} is not configured`);
+        }
+        if (!this.allowRequest(name)) {
+            throw new Error(`${name} circuit is open`);
+        }
+
+        return { ...await this.attempt(provider, prompt, options), attempts: [] };
+    }
+
+    async attempt(provider, prompt, options) {
+        const started = Date.now();
+        try {
+            const result = await this.withTimeout(provider, prompt, options);
+            const latencyMs = Date.now() - started;
+
+            if (typeof result?.content !== 'string' || !result.content.trim()) {
+                throw new Error('Empty response');
+            }
+
+            this.recordSuccess(provider.name, latencyMs);
+            this.logger.info(`✅ ${provider.name} answered in ${latencyMs}ms`);
+
+            return {
+                content: result.content,
+                provider: provider.name,
+                model: result.model || null,
+                usage: result.usage || null,
+                latencyMs
+            };
+        } catch (error) {
+            error.latencyMs = Date.now() - started;
+            this.recordFailure(provider.name, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Prefer cheaper providers (priceOf returns USD per million tokens, null when unknown),
+     * or go back to the configured order with null
+     */
+    setCostPreference(priceOf) {
+        if (Boolean(priceOf) !== Boolean(this.priceOf)) {
+            this.logger.info(priceOf ? '💸 Preferring the cheapest LLM providers' : '🔁 LLM providers back in configured order');
+        }
+        this.priceOf = priceOf;
+    }
+
+    getOrderedProviders() {
+        if (!this.priceOf) return this.providers;
+
+        // Unpriced providers go last, ties keep the configured order
+        const price = provider => this.priceOf(provider) ?? Infinity;
+        return [...this.providers].sort((a, b) => (price(a) - price(b)) || 0);
+    }
+
+    getProviderNames() {
+        return this.providers.filter(p => p.isConfigured()).map(p => p.name);
+    }
+
+    async withTimeout(provider, prompt, options) {
+        const controller = new AbortController();
+        let timer;
+
+        // Race as well as abort, in case a provider ignores the signal
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                const error = new Error(`Timed out after ${this.timeoutMs}ms`);
+                error.timeout = true;
+                reject(error);
+            }, this.timeoutMs);
+        });
+
+        try {
+            return await Promise.race([
+                provider.complete(prompt, { ...options, signal: controller.signal }),
+                timeout
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    allowRequest(name) {
+        const stats = this.stats.get(name);
+        if (stats.circuit !== 'open') return true;
+
+        if (this.clock.now() - stats.openedAt >= this.cooldownMs) {
+            stats.circuit = 'half-open';
+            this.logger.info(`🔌 ${name} circuit half-open, sending a trial request`);
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess(name, latencyMs) {
+        const stats = this.stats.get(name);
+        stats.requests++;
+        stats.successes++;
+        stats.totalLatencyMs += latencyMs;
+        stats.consecutiveFailures = 0;
+
+        if (stats.circuit !== 'closed') {
+            this.logger.info(`🔌 ${name} circuit closed`);
+        }
+        stats.circuit = 'closed';
+        stats.openedAt = null;
+    }
+
+    recordFailure(name, error) {
+        const stats = this.stats.get(name);
+        stats.requests++;
+        stats.failures++;
+        stats.consecutiveFailures++;
+        stats.lastError = error.message;
+        if (error.timeout) stats.timeouts++;
+
+        if (stats.circuit === 'half-open' || stats.consecutiveFailures >= this.failureThreshold) {
+            if (stats.circuit !== 'open') {
+                this.logger.warn(`🔌 ${name} circuit open for ${this.cooldownMs / 1000}s after ${stats.consecutiveFailures} consecutive failures`);
+            }
+            stats.circuit = 'open';
+            stats.openedAt = this.clock.now();
+        }
+    }
+
+    /**
+     * Per-provider latency, error rate and circuit state
+     */
+    getHealth() {
+        return this.providers.map(provider => {
+            const stats = this.stats.get(provider.name);
+            return {
+                provider: provider.name,
+                configured: provider.isConfigured(),
+                circuit: stats.circuit,
+                requests: stats.requests,
+                errorRate: stats.requests > 0 ? stats.failures / stats.requests : 0,
+                timeouts: stats.timeouts,
+                avgLatencyMs: stats.successes > 0 ? stats.totalLatencyMs / stats.successes : null,
+                lastError: stats.lastError
+            };
+        });
+    }
+}
+
+export function createLLMRouter(config = {}) {
+    const names = config.llmProviders
+        || (process.env.LLM_PROVIDERS || 'ollama,openrouter').split(',').map(s => s.trim()).filter(Boolean);
+
+    return new LLMRouter({
+        providers: createLLMProviders(names, config),
+        timeoutMs: config.llmTimeoutMs ?? parseInt(process.env.LLM_TIMEOUT_MS || '60000'),
+        failureThreshold: config.llmFailureThreshold ?? parseInt(process.env.LLM_FAILURE_THRESHOLD || '3'),
+        cooldownMs: config.llmCooldownMs ?? parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS || '300000'),
+        clock: config.clock
+    });
+}
@@ -38,72 +38,65 @@ export class OpenRouterClient {
     }
 
     async queryModel(prompt, model = null, options = {}) {
-        const selectedModel = model || this.defaultModel;
-        
         if (!this.apiKey) {
             this.logger.warn('No OpenRouter API key provided, skipping');
             return null;
         }
         
         try {
-            this.logger.info(`🌐 Querying OpenRouter: ${this.freeModels[selectedModel]?.name || selectedModel}`);
-            
-            // Simple HTTP request using built-in modules
-            const https = require('https');
-            const url = new URL(`${this.baseUrl}/chat/completions`);
-            
-            const postData = JSON.stringify({
-                model: selectedModel,
-                messages: [{ role: 'user', content: prompt }],
-                temperature: options.temperature || 0.3,
-                max_tokens: options.maxTokens || 1000,
-                top_p: options.topP || 0.9
-            });
-
-            return new Promise((resolve, reject) => {
-                const req = https.request({
-                    hostname: url.hostname,
-                    port: url.port,
-                    path: url.pathname,
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json',
-                        'X-Title': 'Sovereign Agent Treasury',
-                        'Content-Length': Buffer.byteLength(postData)
-                    }
-                }, (res) => {
-                    let data = '';
-                    res.on('data', chunk => data += chunk);
-                    res.on('end', () => {
-                        try {
-                            const response = JSON.parse(data);
-                            const content = response.choices?.[0]?.message?.content;
-                            
-                            if (!content) {
-                                reject(new Error('No content in OpenRouter response'));
-                                return;
-                            }
-                            
-                            this.logger.info('✅ OpenRouter response received');
-                            resolve(content);
-                        } catch (e) {
-                            reject(e);
-                        }
-                    });
-                });
-
-                req.on('error', reject);
-                req.write(postData);
-                req.end();
-            });
-            
+            const result = await this.complete(prompt, model, options);
+            return result.content;
         } catch (error) {
             this.logger.error('❌ OpenRouter query failed:', error);
             return null;
         }
     }
 
+    /**
+     * Chat completion that throws on failure so callers can fall back
+     * Returns { content, usage, model }
+     */
+    async complete(prompt, model = null, options = {}) {
+        const selectedModel = model || this.defaultModel;
+        
+        if (!this.apiKey) {
+            throw new Error('OpenRouter API key not configured');
+        }
+        
+        this.logger.info(`🌐 Querying OpenRouter: ${this.freeModels[selectedModel]?.name || selectedModel}`);
+        
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json',
+                'X-Title': 'Sovereign Agent Treasury'
+            },
+            body: JSON.stringify({
+                model: selectedModel,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: options.temperature ?? 0.3,
+                max_tokens: options.maxTokens || 1000,
+                top_p: options.topP ?? 0.9,
+                usage: { include: true } // Reports the charged cost in usage.cost
+            }),
+            signal: options.signal || AbortSignal.timeout(options.timeoutMs || 30000)
+        });
+        
+        if (!response.ok) {
+            throw new Error(`OpenRouter API error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (!content) {
+            throw new Error('No content in OpenRouter response');
+        }
+        
+        this.logger.info('✅ OpenRouter response received');
+        return { content, usage: data.usage || null, model: data.model || selectedModel };
+    }
+
     async testConnection() {
         if (!this.isConfigured()) return false;
         
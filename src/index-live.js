@@ -10,6 +10,11 @@ import http from 'http';
 
 // Load from environment or config file
 import { readFileSync } from 'fs';
+import { createPriceOracle } from './services/price-oracle.js';
+import { CostManager } from './services/cost-manager.js';
+import { CostMeter } from './services/cost-meter.js';
+import { SolanaRpc } from './protocols/solana-rpc.js';
+import { ConfirmationTracker } from './services/confirmation-tracker.js';
 
 let envConfig = {};
 try {
@@ -113,22 +118,25 @@ async function getBalances() {
     );
 }
 
-// Calculate portfolio value
-function calculateValue(balances) {
-    const prices = { sol: 88.50, usdc: 1.00, eth: 2133.26 };
-    let total = 0;
+// Calculate portfolio value from live price feeds
+const priceOracle = createPriceOracle({
+    priceProviders: envConfig.PRICE_PROVIDERS?.split(',')
+});
+
+// Metered spend: Llama tokens, devnet fees and hosting time (INFRA_RATES)
+const costManager = new CostManager(null);
+const costMeter = new CostMeter({ costManager, priceOracle });
+const devnetRpc = new SolanaRpc({ url: envConfig.SOLANA_RPC_URL || 'https://api.devnet.solana.com' });
+const confirmations = new ConfirmationTracker({ rpc: devnetRpc });
+
+async function calculateValue(balances) {
+    const valuation = await priceOracle.valueBalances(balances);
     
-    if (balances.solanaWallets) {
-        for (const wallet of balances.solanaWallets) {
-            for (const balance of wallet.balances || []) {
-                const amount = parseFloat(balance.rawValue) / Math.pow(10, balance.decimals);
-                const price = prices[balance.asset.toLowerCase()] || 0;
-                total += amount * price;
-            }
-        }
+    for (const entry of valuation.unpriced) {
+        logger.warning(`Unpriced asset not counted: ${entry.amount} ${entry.asset.toUpperCase()}`);
     }
     
-    return total;
+    return valuation.totalValue;
 }
 
 // Query local Llama for decisions
@@ -152,6 +160,12 @@ async function queryLlama(prompt) {
         }
     );
     
+    await costMeter.recordLLMUsage({
+        provider: 'ollama',
+        model: requestData.model,
+        usage: { prompt_tokens: response.prompt_eval_count || 0, completion_tokens: response.eval_count || 0 }
+    });
+    
     return response.response;
 }
 
@@ -179,8 +193,23 @@ async function executeSolTransfer(amount) {
         );
         
         if (result.txHash) {
-            logger.success(`Transaction executed! TxHash: ${result.txHash}`);
+            logger.info(`Transaction submitted: ${result.txHash}, waiting for finality...`);
+            
+            // A hash only means AgentWallet accepted it; success is the chain finalizing it
+            const confirmation = await confirmations.waitFor(result.txHash);
+            if (confirmation.status !== 'finalized') {
+                throw new Error(`Transaction ${result.txHash} ${confirmation.status}${confirmation.error ? `: ${confirmation.error}` : ''}`);
+            }
+            logger.success(`Transaction finalized in slot ${confirmation.slot}! TxHash: ${result.txHash}`);
             logger.info(`Explorer: https://solscan.io/tx/${result.txHash}?cluster=devnet`);
+            
+            // The fee is only known once the node has the transaction
+            const fee = await devnetRpc.getTransactionFee(result.txHash).catch(() => null);
+            if (fee) {
+                await costMeter.recordTransactionFee(result.txHash, fee);
+            } else {
+                logger.warning(`Fee for ${result.txHash} not readable yet, left unmetered`);
+            }
             return result;
         } else {
             throw new Error('No transaction hash returned');
@@ -195,11 +224,12 @@ async function executeSolTransfer(amount) {
 // Main autonomous decision cycle
 async function autonomousCycle() {
     logger.info('🧠 Starting autonomous decision cycle...');
+    costMeter.beginCycle(`cycle-${Date.now()}`);
     
     try {
         // 1. Get current portfolio state
         const balances = await getBalances();
-        const totalValue = calculateValue(balances);
+        const totalValue = await calculateValue(balances);
         
         logger.info(`💰 Current treasury value: $${totalValue.toFixed(2)}`);
         
@@ -270,15 +300,18 @@ Respond ONLY with this JSON format:
         }
         
         // 6. Display self-sufficiency metrics
-        const runtime = (Date.now() - logger.startTime) / (1000 * 60 * 60); // hours
-        const computeCost = runtime * 0.05; // $0.05/hour
+        await costMeter.accrueInfrastructure();
+        const { runtime, costs } = await costManager.getOperationalStats();
+        const cycle = costMeter.getCycleCosts();
         
         logger.info(`💡 SELF-SUFFICIENCY METRICS:`);
-        logger.info(`   Runtime: ${runtime.toFixed(2)} hours`);
-        logger.info(`   Compute Cost: $${computeCost.toFixed(4)}`);
-        logger.info(`   AI Cost: $0.00 (using free local Llama 3.1)`);
+        logger.info(`   Runtime: ${runtime.hours.toFixed(2)} hours`);
+        logger.info(`   Compute Cost: $${costs.compute.toFixed(4)}`);
+        logger.info(`   AI Cost: $${costs.api.toFixed(6)} (metered tokens)`);
+        logger.info(`   Transaction Fees: $${costs.transactions.toFixed(6)}`);
+        logger.info(`   This Cycle: $${cycle.total.toFixed(6)}`);
         logger.info(`   Treasury Value: $${totalValue.toFixed(2)}`);
-        logger.info(`   Can Pay Own Costs: ${totalValue > computeCost ? 'YES ✅' : 'NO'}`);
+        logger.info(`   Can Pay Own Costs: ${totalValue > costs.total ? 'YES ✅' : 'NO'}`);
         
         logger.success('Decision cycle complete!');
         
@@ -7,6 +7,7 @@
 
 import { config } from 'dotenv';
 import { TreasuryAgent } from './treasury-agent.js';
+import { ControlServer } from './api/control-server.js';
 import { Logger } from './utils/logger.js';
 
 config();
@@ -23,11 +24,39 @@ async function main() {
             username: process.env.AGENTWALLET_USERNAME || 'your_username',
             apiToken: process.env.AGENTWALLET_API_TOKEN || 'your_api_token',
             solanaAddress: process.env.SOLANA_ADDRESS || 'your_solana_address',
-            evmAddress: process.env.EVM_ADDRESS || 'your_evm_address'
+            evmAddress: process.env.EVM_ADDRESS || 'your_evm_address',
+            dataDir: process.env.TREASURY_DATA_DIR || './data',
+            policyFile: process.env.POLICY_FILE,
+            executionMode: process.env.EXECUTION_MODE || 'live',
+            paperLedgerFile: process.env.PAPER_LEDGER_FILE || './data/paper-ledger.json',
+            paperBalances: parseBalances(process.env.PAPER_BALANCES),
+            lendingProtocols: (process.env.LIVE_LENDING_PROTOCOLS || '').split(',').map(s => s.trim()).filter(Boolean),
+            solanaRpcUrl: process.env.SOLANA_RPC_URL,
+            liveSwaps: process.env.LIVE_SWAPS === 'true',
+            bridgeProvider: process.env.BRIDGE_PROVIDER,
+            strategies: (process.env.STRATEGIES || '').split(',').map(s => s.trim()).filter(Boolean),
+            dflowApiKey: process.env.DFLOW_API_KEY,
+            predictionCategories: process.env.PREDICTION_CATEGORIES
+                ? process.env.PREDICTION_CATEGORIES.split(',').map(s => s.trim()).filter(Boolean)
+                : undefined,
+            paperSwapQuotes: process.env.PAPER_SWAP_QUOTES === 'true',
+            approvalMode: process.env.APPROVAL_MODE || 'autonomous',
+            approvalThresholds: process.env.APPROVAL_MAX_NOTIONAL_USD
+                ? { maxAutonomousNotional: parseFloat(process.env.APPROVAL_MAX_NOTIONAL_USD) }
+                : undefined,
+            approvalTtlMs: process.env.APPROVAL_TTL_MS ? parseInt(process.env.APPROVAL_TTL_MS) : undefined
         });
 
         // Start autonomous operations
         await treasuryAgent.initialize();
+        
+        // Control and metrics API for the dashboard, only when a bearer token is configured
+        if (process.env.AGENT_API_TOKEN) {
+            await new ControlServer(treasuryAgent).start();
+        } else {
+            logger.warn('⚠️ AGENT_API_TOKEN not set, control API disabled');
+        }
+        
         await treasuryAgent.startAutonomousLoop();
         
     } catch (error) {
@@ -36,6 +65,16 @@ async function main() {
     }
 }
 
+// Parse "sol:5,usdc:20" into { sol: 5, usdc: 20 }
+function parseBalances(value) {
+    if (!value) return null;
+    
+    return Object.fromEntries(value.split(',').map(pair => {
+        const [asset, amount] = pair.split(':');
+        return [asset.trim().toLowerCase(), parseFloat(amount)];
+    }));
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
     logger.info('🛑 Shutting down Sovereign Agent Treasury');
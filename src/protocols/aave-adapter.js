@@ -0,0 +1,155 @@
+import { Logger } from '../utils/logger.js';
+import { ASSETS, getAssetInfo, getEvmToken, toBaseUnits } from '../utils/assets.js';
+import { getChainInfo } from '../utils/chains.js';
+import { EvmRpc, transactionFee, encodeCall, decodeWords, wordToAddress } from './evm-rpc.js';
+
+// Aave v3 Pool per chain; AAVE_POOL_ADDRESS overrides it (e.g. for a testnet deployment)
+const AAVE_V3_POOLS = {
+    base: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5'
+};
+
+const SELECTORS = {
+    approve: '0x095ea7b3',        // approve(address,uint256)
+    allowance: '0xdd62ed3e',      // allowance(address,address)
+    balanceOf: '0x70a08231',      // balanceOf(address)
+    supply: '0x617ba037',         // supply(address,uint256,address,uint16)
+    withdraw: '0x69328dec',       // withdraw(address,uint256,address)
+    getReserveData: '0x35ea6a75'  // getReserveData(address)
+};
+
+// Word offsets in the ReserveData struct getReserveData returns
+const RESERVE_LIQUIDITY_RATE = 2;
+const RESERVE_ATOKEN = 8;
+
+const RAY = 1e27;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+/**
+ * Aave v3 lending on an EVM chain (Base by default), behind the same interface as the Solana
+ * lending adapters: deposit(params) / withdraw(params) resolve to
+ *   { txHash, chain, blockNumber, position: { protocol, asset, supplied, supplyAPY }, networkFee }
+ * and getPositions() lists every listed asset supplied.
+ *
+ * Reads go straight to the chain's RPC node (reserve data, aToken balances); calls to the Pool are
+ * ABI-encoded here, signed and broadcast by AgentWallet, then confirmed from their receipt.
+ */
+export class AaveAdapter {
+    constructor(options = {}) {
+        this.protocol = 'aave';
+        this.logger = new Logger('AAVE');
+        this.wallet = options.wallet;
+        this.chain = options.chain || process.env.AAVE_CHAIN || 'base';
+
+        const chain = getChainInfo(this.chain);
+        this.chainId = chain?.chainId ?? null;
+        this.pool = options.pool || process.env.AAVE_POOL_ADDRESS || AAVE_V3_POOLS[this.chain] || null;
+        this.owner = options.owner || this.wallet?.getAddresses().evm;
+        const rpcUrl = options.evmRpcUrl || process.env.AAVE_RPC_URL || chain?.rpcUrl;
+        this.rpc = options.evmRpc || (rpcUrl
+            ? new EvmRpc({ url: rpcUrl, fetch: options.fetch, nativeAsset: chain.nativeAsset, loggerName: 'AAVE_RPC' })
+            : null);
+    }
+
+    isConfigured() {
+        return Boolean(this.chainId && this.pool && this.owner && this.rpc);
+    }
+
+    async deposit(params) {
+        const reserve = await this.getReserve(params.asset);
+        const amount = toBaseUnits(params.amount, reserve.decimals);
+        this.logger.info(`🏗️ Supplying ${params.amount} ${reserve.asset.toUpperCase()} to Aave on ${this.chain}`);
+
+        const receipts = [];
+        const allowance = BigInt(await this.rpc.ethCall(reserve.token, encodeCall(SELECTORS.allowance, [this.owner, this.pool])));
+        if (allowance < amount) {
+            receipts.push(await this.send('approve', reserve.token, encodeCall(SELECTORS.approve, [this.pool, amount])));
+        }
+        receipts.push(await this.send('supply', this.pool, encodeCall(SELECTORS.supply, [reserve.token, amount, this.owner, 0])));
+
+        return await this.toExecution(reserve, receipts);
+    }
+
+    async withdraw(params) {
+        const reserve = await this.getReserve(params.asset);
+        const amount = toBaseUnits(params.amount, reserve.decimals);
+        this.logger.info(`🏗️ Withdrawing ${params.amount} ${reserve.asset.toUpperCase()} from Aave on ${this.chain}`);
+
+        const receipt = await this.send('withdraw', this.pool, encodeCall(SELECTORS.withdraw, [reserve.token, amount, this.owner]));
+        return await this.toExecution(reserve, [receipt]);
+    }
+
+    /**
+     * Sign and broadcast through AgentWallet, then wait for the receipt
+     */
+    async send(operation, to, data) {
+        const { txHash } = await this.wallet.sendEvmTransaction(this.chainId, { to, data });
+        this.logger.info(`📡 Submitted ${operation}: ${txHash}`);
+
+        const { blockNumber, receipt } = await this.rpc.waitForReceipt(txHash);
+        return { txHash, blockNumber, receipt };
+    }
+
+    async toExecution(reserve, receipts) {
+        const last = receipts[receipts.length - 1];
+        const fees = receipts.map(r => transactionFee(r.receipt, this.rpc.nativeAsset)).filter(Boolean);
+
+        return {
+            txHash: last.txHash,
+            txHashes: receipts.map(r => r.txHash),
+            chain: this.chain,
+            blockNumber: last.blockNumber,
+            position: await this.getPosition(reserve.asset),
+            networkFee: fees.length > 0
+                ? { asset: fees[0].asset, amount: fees.reduce((sum, fee) => sum + fee.amount, 0) }
+                : null
+        };
+    }
+
+    async getReserve(asset) {
+        const name = asset?.toLowerCase();
+        const token = getEvmToken(name, this.chain);
+        if (!token) {
+            throw new Error(`aave does not support ${asset} on ${this.chain}`);
+        }
+
+        const words = decodeWords(await this.rpc.ethCall(this.pool, encodeCall(SELECTORS.getReserveData, [token])));
+        if (words.length <= RESERVE_ATOKEN) {
+            throw new Error(`No Aave reserve for ${name.toUpperCase()} on ${this.chain}`);
+        }
+
+        const apr = Number(BigInt(words[RESERVE_LIQUIDITY_RATE])) / RAY;
+        return {
+            asset: name,
+            token,
+            aToken: wordToAddress(words[RESERVE_ATOKEN]),
+            decimals: getAssetInfo(name).decimals,
+            // The liquidity rate is an APR in ray, compounded per second
+            supplyAPY: Math.pow(1 + apr / SECONDS_PER_YEAR, SECONDS_PER_YEAR) - 1
+        };
+    }
+
+    async getPosition(asset) {
+        const reserve = await this.getReserve(asset);
+        const balance = BigInt(await this.rpc.ethCall(reserve.aToken, encodeCall(SELECTORS.balanceOf, [this.owner])));
+
+        return {
+            protocol: this.protocol,
+            asset: reserve.asset,
+            supplied: Number(balance) / Math.pow(10, reserve.decimals),
+            supplyAPY: reserve.supplyAPY
+        };
+    }
+
+    async getPositions() {
+        const listed = Object.keys(ASSETS).filter(asset => getEvmToken(asset, this.chain));
+        const positions = [];
+
+        for (const asset of listed) {
+            const { supplied, supplyAPY } = await this.getPosition(asset);
+            if (supplied > 0) {
+                positions.push({ kind: 'lending', protocol: this.protocol, chain: this.chain, asset, amount: supplied, apy: supplyAPY });
+            }
+        }
+        return positions;
+    }
+}
@@ -0,0 +1,430 @@
+import fetch from 'node-fetch';
+import { Logger } from '../utils/logger.js';
+import { getAssetInfo, getEvmToken, toBaseUnits } from '../utils/assets.js';
+import { getChainInfo } from '../utils/chains.js';
+import { SolanaRpc, transactionFee as solanaTransactionFee } from './solana-rpc.js';
+import { EvmRpc, transactionFee, encodeCall, decodeWords } from './evm-rpc.js';
+
+// CCTP v1 contracts per EVM chain; options.contracts overrides them (e.g. for a fork)
+const CCTP_CONTRACTS = {
+    base: {
+        tokenMessenger: '0x1682Ae6375C4E4A97e4B583BC394c861A46D8962',
+        messageTransmitter: '0xAD09780d193884d503182aD4588450C416D6F9D4'
+    },
+    'base-sepolia': {
+        tokenMessenger: '0x9f3B8679c73C2Fef8b59B4f3444d4e156fb70AA5',
+        messageTransmitter: '0x7865fAfC2db2093669d92c0F33AeEF291086BEFD'
+    }
+};
+
+const SELECTORS = {
+    approve: '0x095ea7b3',        // approve(address,uint256)
+    allowance: '0xdd62ed3e',      // allowance(address,address)
+    depositForBurn: '0x6fd3504e', // depositForBurn(uint256,uint32,bytes32,address)
+    receiveMessage: '0x57ecfd28'  // receiveMessage(bytes,bytes)
+};
+
+// DepositForBurn(uint64 indexed nonce, address indexed burnToken, uint256 amount, address indexed depositor,
+//                bytes32 mintRecipient, uint32 destinationDomain, bytes32 destinationTokenMessenger, bytes32 destinationCaller)
+const DEPOSIT_FOR_BURN_TOPIC = '0x2fa9ca894982930190727e75500a97d8dc500233a5065e0f3126c48fbe0343c0';
+
+// A Solana transaction whose blockhash is older than this can no longer land
+const SOLANA_BLOCKHASH_TTL_MS = 2 * 60 * 1000;
+
+/**
+ * Bridge providers move an asset between chains in two legs the BridgeTracker follows:
+ *   burn(transfer)           - source leg, resolves to { sourceTxHash, signature?, slot?, networkFee? }
+ *   getAttestation(transfer) - null until the destination leg can be submitted, then { message, attestation }
+ *   mint(transfer, options)  - destination leg with the attestation, resolves to { destinationTxHash, networkFee? }
+ *                              options.onSubmitted(destinationTxHash) is awaited once the mint is sent, before it
+ *                              confirms; a transfer carrying destinationTxHash is checked first and not minted twice
+ *   findBurn(transfer, { exclude }) - optional, the burn a crash left unrecorded as { sourceTxHash }, null if
+ *                              none is found; exclude holds source tx hashes other transfers already own
+ * transfer - { id, asset, amount, sourceChain, destinationChain, ... } with chains as registry keys
+ */
+export class BridgeProvider {
+    constructor(options = {}) {
+        this.name = options.name;
+        this.logger = new Logger(options.loggerName || 'BRIDGE_PROVIDER');
+    }
+
+    supports(sourceChain, destinationChain, asset) {
+        return false;
+    }
+}
+
+/**
+ * Circle CCTP burn/mint for USDC
+ * EVM legs call TokenMessenger.depositForBurn and MessageTransmitter.receiveMessage, signed and
+ * broadcast by AgentWallet and confirmed from their receipt. Solana legs are built by a CCTP
+ * transaction-builder service (CCTP_SOLANA_API_URL, which also resolves the USDC token account
+ * Solana mints go to), signed by AgentWallet and submitted to the Solana RPC node.
+ * Attestations come from Circle's Iris API (CCTP_ATTESTATION_URL, the sandbox for testnets).
+ * A message is received once: before minting, the previous mint is checked and so is the message's nonce
+ * (an EVM receiveMessage simulated from the owner, the builder service for Solana), since anyone may relay it.
+ */
+export class CctpBridgeProvider extends BridgeProvider {
+    constructor(options = {}) {
+        super({ name: 'cctp', loggerName: 'CCTP' });
+        this.wallet = options.wallet;
+        this.fetch = options.fetch || fetch;
+        this.attestationUrl = (options.attestationUrl || process.env.CCTP_ATTESTATION_URL || 'https://iris-api.circle.com').replace(/\/$/, '');
+        this.solanaApiUrl = (options.solanaApiUrl || process.env.CCTP_SOLANA_API_URL || '').replace(/\/$/, '');
+        this.solanaRpc = options.solanaRpc || new SolanaRpc({ url: options.rpcUrl, fetch: this.fetch });
+        this.evmRpcs = { ...options.evmRpcs }; // chain → EvmRpc, built from the chain registry when missing
+        this.contracts = { ...CCTP_CONTRACTS, ...options.contracts };
+        this.timeout = options.timeout || 15000;
+        this.clock = options.clock || Date;
+        // How far back findBurn searches the source chain for a burn a crash left unrecorded
+        this.burnLookbackBlocks = options.burnLookbackBlocks ?? 10000;
+        this.burnLookbackSignatures = options.burnLookbackSignatures ?? 100;
+    }
+
+    supports(sourceChain, destinationChain, asset) {
+        if (asset?.toLowerCase() !== 'usdc' || sourceChain === destinationChain) return false;
+        return [sourceChain, destinationChain].every(chain => this.canReach(chain));
+    }
+
+    canReach(chain) {
+        const info = getChainInfo(chain);
+        if (info?.cctpDomain === undefined) return false;
+        return info.kind === 'solana'
+            ? Boolean(this.solanaApiUrl)
+            : Boolean(this.contracts[info.key] && getEvmToken('usdc', info.key));
+    }
+
+    async burn(transfer) {
+        const source = getChainInfo(transfer.sourceChain);
+        const destination = getChainInfo(transfer.destinationChain);
+        const amount = toBaseUnits(transfer.amount, getAssetInfo('usdc').decimals);
+        const mintRecipient = await this.getMintRecipient(destination);
+        this.logger.info(`🔥 Burning ${transfer.amount} USDC on ${source.key} for ${destination.key}`);
+
+        if (source.kind === 'evm') {
+            const token = getEvmToken('usdc', source.key);
+            const { tokenMessenger } = this.contracts[source.key];
+            const owner = this.wallet.getAddresses().evm;
+            const rpc = this.getEvmRpc(source);
+
+            const receipts = [];
+            const allowance = BigInt(await rpc.ethCall(token, encodeCall(SELECTORS.allowance, [owner, tokenMessenger])));
+            if (allowance < amount) {
+                receipts.push(await this.sendEvm(source, 'approve', token, encodeCall(SELECTORS.approve, [tokenMessenger, amount])));
+            }
+            receipts.push(await this.sendEvm(source, 'depositForBurn', tokenMessenger,
+                encodeCall(SELECTORS.depositForBurn, [amount, destination.cctpDomain, mintRecipient, token])));
+
+            return { sourceTxHash: receipts[receipts.length - 1].txHash, networkFee: sumFees(receipts) };
+        }
+
+        const { transaction } = await this.request('/transactions/deposit-for-burn', {
+            owner: this.wallet.getAddresses().solana,
+            mint: getAssetInfo('usdc').solanaMint,
+            amount: amount.toString(),
+            destinationDomain: destination.cctpDomain,
+            mintRecipient
+        });
+        const { signature, slot, networkFee } = await this.sendSolana('depositForBurn', transaction);
+        return { sourceTxHash: signature, signature, slot, networkFee };
+    }
+
+    /**
+     * A depositForBurn the owner sent for this transfer (same amount, destination and recipient) that no
+     * other transfer holds: from the TokenMessenger's DepositForBurn logs on EVM, from the owner's recent
+     * signatures on Solana
+     */
+    async findBurn(transfer, { exclude = new Set() } = {}) {
+        const source = getChainInfo(transfer.sourceChain);
+        const destination = getChainInfo(transfer.destinationChain);
+        const amount = toBaseUnits(transfer.amount, getAssetInfo('usdc').decimals);
+
+        if (source.kind === 'evm') {
+            const rpc = this.getEvmRpc(source);
+            const latest = parseInt(await rpc.call('eth_blockNumber'), 16);
+            const mintRecipient = BigInt(await this.getMintRecipient(destination));
+            const logs = await rpc.call('eth_getLogs', [{
+                address: this.contracts[source.key].tokenMessenger,
+                fromBlock: `0x${Math.max(0, latest - this.burnLookbackBlocks).toString(16)}`,
+                toBlock: 'latest',
+                topics: [DEPOSIT_FOR_BURN_TOPIC, null, toTopic(getEvmToken('usdc', source.key)), toTopic(this.wallet.getAddresses().evm)]
+            }]);
+
+            const burn = logs.find(log => {
+                const [burned, recipient, domain] = decodeWords(log.data);
+                return !log.removed && !exclude.has(log.transactionHash) && BigInt(burned) === amount
+                    && BigInt(recipient) === mintRecipient && Number(BigInt(domain)) === destination.cctpDomain;
+            });
+            return burn ? { sourceTxHash: burn.transactionHash, networkFee: await rpc.getTransactionFee(burn.transactionHash).catch(() => null) } : null;
+        }
+
+        const owner = this.wallet.getAddresses().solana;
+        const mint = getAssetInfo('usdc').solanaMint;
+        // Newest first; a burn cannot be older than the transfer (a minute of clock skew allowed)
+        const since = (transfer.initiatedAt || 0) / 1000 - 60;
+        for (const entry of await this.solanaRpc.getSignaturesForAddress(owner, { limit: this.burnLookbackSignatures })) {
+            if (entry.blockTime && entry.blockTime < since) break;
+            if (entry.err || exclude.has(entry.signature)) continue;
+
+            const tx = await this.solanaRpc.getTransaction(entry.signature);
+            if (isDepositForBurn(tx, owner, mint, amount)) {
+                return { sourceTxHash: entry.signature, signature: entry.signature, slot: entry.slot, networkFee: solanaTransactionFee(tx) };
+            }
+        }
+        return null;
+    }
+
+    async getAttestation(transfer) {
+        const domain = getChainInfo(transfer.sourceChain).cctpDomain;
+        const response = await this.fetch(`${this.attestationUrl}/v2/messages/${domain}?transactionHash=${transfer.sourceTxHash}`, {
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        // Iris answers 404 until it has indexed the burn
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`CCTP attestation API error: ${response.status}`);
+        }
+
+        const message = (await response.json()).messages?.[0];
+        if (message?.status !== 'complete' || !message.attestation || message.attestation === 'PENDING') {
+            return null;
+        }
+        return { message: message.message, attestation: message.attestation };
+    }
+
+    async mint(transfer, options = {}) {
+        const destination = getChainInfo(transfer.destinationChain);
+
+        // A mint sent before whose confirmation was lost (timeout, restart) is checked, not sent again
+        if (transfer.destinationTxHash) {
+            const previous = await this.checkMint(destination, transfer);
+            if (previous.status === 'landed') {
+                return { destinationTxHash: transfer.destinationTxHash, networkFee: previous.networkFee };
+            }
+            if (previous.status === 'pending') {
+                throw new Error(`Mint ${transfer.destinationTxHash} on ${destination.key} is still pending`);
+            }
+        }
+        // Another receiveMessage for a used nonce only reverts, and pays gas doing so
+        if (await this.isMessageReceived(destination, transfer)) {
+            this.logger.info(`↩️ Message of ${transfer.id} already received on ${destination.key}`);
+            return { destinationTxHash: transfer.destinationTxHash || null, networkFee: null };
+        }
+
+        this.logger.info(`🪙 Minting ${transfer.amount} USDC on ${destination.key}`);
+        if (destination.kind === 'evm') {
+            const receipt = await this.sendEvm(destination, 'receiveMessage', this.contracts[destination.key].messageTransmitter,
+                encodeCall(SELECTORS.receiveMessage, [{ bytes: transfer.message }, { bytes: transfer.attestation }]), options.onSubmitted);
+            return { destinationTxHash: receipt.txHash, networkFee: sumFees([receipt]) };
+        }
+
+        const { transaction } = await this.request('/transactions/receive-message', {
+            owner: this.wallet.getAddresses().solana,
+            message: transfer.message,
+            attestation: transfer.attestation
+        });
+        const { signature, networkFee } = await this.sendSolana('receiveMessage', transaction, options.onSubmitted);
+        return { destinationTxHash: signature, networkFee };
+    }
+
+    /**
+     * State of the mint a transfer already sent: { status: landed|pending|failed, networkFee? }
+     * failed covers reverted and dropped transactions, which leave the message to mint again
+     */
+    async checkMint(destination, transfer) {
+        const txHash = transfer.destinationTxHash;
+        if (destination.kind === 'evm') {
+            const rpc = this.getEvmRpc(destination);
+            const receipt = await rpc.getTransactionReceipt(txHash);
+            if (receipt) {
+                return receipt.status === '0x0'
+                    ? { status: 'failed' }
+                    : { status: 'landed', networkFee: transactionFee(receipt, rpc.nativeAsset) };
+            }
+            return { status: await rpc.getTransaction(txHash) ? 'pending' : 'failed' };
+        }
+
+        const status = await this.solanaRpc.getSignatureStatus(txHash);
+        if (status?.err) return { status: 'failed' };
+        if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') {
+            return { status: 'landed', networkFee: await this.solanaRpc.getTransactionFee(txHash).catch(() => null) };
+        }
+        // An unseen signature can no longer land once its blockhash expired
+        const expired = !status && this.clock.now() - (transfer.mintSubmittedAt || 0) > SOLANA_BLOCKHASH_TTL_MS;
+        return { status: expired ? 'failed' : 'pending' };
+    }
+
+    async isMessageReceived(destination, transfer) {
+        if (destination.kind === 'evm') {
+            try {
+                await this.getEvmRpc(destination).ethCall(this.contracts[destination.key].messageTransmitter,
+                    encodeCall(SELECTORS.receiveMessage, [{ bytes: transfer.message }, { bytes: transfer.attestation }]),
+                    this.wallet.getAddresses().evm);
+                return false;
+            } catch (error) {
+                if (/nonce already used/i.test(error.message)) return true;
+                throw error;
+            }
+        }
+
+        const { received } = await this.request('/messages/received', { message: transfer.message });
+        return Boolean(received);
+    }
+
+    /**
+     * bytes32 the destination mints to: the EVM address itself, or the owner's USDC token account on Solana
+     */
+    async getMintRecipient(destination) {
+        if (destination.kind === 'evm') {
+            return this.wallet.getAddresses().evm;
+        }
+
+        const owner = this.wallet.getAddresses().solana;
+        const { mintRecipient } = await this.request(`/recipients/${owner}?mint=${getAssetInfo('usdc').solanaMint}`);
+        return mintRecipient;
+    }
+
+    getEvmRpc(chain) {
+        if (!this.evmRpcs[chain.key]) {
+            this.evmRpcs[chain.key] = new EvmRpc({ url: chain.rpcUrl, fetch: this.fetch, nativeAsset: chain.nativeAsset, loggerName: 'CCTP_RPC' });
+        }
+        return this.evmRpcs[chain.key];
+    }
+
+    async sendEvm(chain, operation, to, data, onSubmitted = null) {
+        const { txHash } = await this.wallet.sendEvmTransaction(chain.chainId, { to, data });
+        this.logger.info(`📡 Submitted ${operation} on ${chain.key}: ${txHash}`);
+        await onSubmitted?.(txHash);
+
+        const rpc = this.getEvmRpc(chain);
+        const { receipt } = await rpc.waitForReceipt(txHash);
+        return { txHash, fee: transactionFee(receipt, rpc.nativeAsset) };
+    }
+
+    async sendSolana(operation, transaction, onSubmitted = null) {
+        const { signedTransaction } = await this.wallet.signTransaction('solana', transaction);
+        const signature = await this.solanaRpc.sendTransaction(signedTransaction);
+        this.logger.info(`📡 Submitted ${operation} on solana: ${signature}`);
+        await onSubmitted?.(signature);
+
+        const { slot } = await this.solanaRpc.confirmTransaction(signature);
+        // The leg landed either way, an unreadable fee only goes unmetered
+        const networkFee = await this.solanaRpc.getTransactionFee(signature).catch(() => null);
+        return { signature, slot, networkFee };
+    }
+
+    async request(path, body = null) {
+        const response = await this.fetch(`${this.solanaApiUrl}${path}`, {
+            method: body ? 'POST' : 'GET',
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`CCTP builder API error: ${response.status} ${errorText}`);
+        }
+
+        return await response.json();
+    }
+}
+
+/**
+ * Simulated bridge for paper mode and tests: burns at once and attests settlementMs later
+ * Backed by a PaperLedger it moves the paper balance between chains, both legs paying the paper fee.
+ * stalled leaves every transfer unattested, to exercise timeouts.
+ */
+export class MockBridgeProvider extends BridgeProvider {
+    constructor(options = {}) {
+        super({ name: 'mock', loggerName: 'MOCK_BRIDGE' });
+        this.ledger = options.ledger || null;
+        this.clock = options.clock || Date;
+        this.settlementMs = options.settlementMs ?? parseInt(process.env.BRIDGE_MOCK_SETTLEMENT_MS || '60000');
+        this.stalled = options.stalled || false;
+        this.txCounter = 0;
+        this.burns = new Map(); // transfer ID → sourceTxHash, without a ledger
+        this.mints = new Map(); // transfer ID → destinationTxHash
+    }
+
+    supports(sourceChain, destinationChain, asset) {
+        return Boolean(asset && sourceChain && destinationChain && sourceChain !== destinationChain);
+    }
+
+    async burn(transfer) {
+        if (this.ledger) {
+            const { txHash } = await this.ledger.bridgeOut(transfer);
+            return { sourceTxHash: txHash };
+        }
+        const sourceTxHash = this.generateTxHash('burn');
+        this.burns.set(transfer.id, sourceTxHash);
+        return { sourceTxHash };
+    }
+
+    async findBurn(transfer) {
+        const sourceTxHash = this.ledger
+            ? this.ledger.getTrades().find(trade => trade.action === 'bridge_out' && trade.bridgeId === transfer.id)?.txHash
+            : this.burns.get(transfer.id);
+        return sourceTxHash ? { sourceTxHash } : null;
+    }
+
+    async getAttestation(transfer) {
+        if (this.stalled || this.clock.now() < transfer.burnedAt + this.settlementMs) return null;
+        return { message: `mock-message-${transfer.sourceTxHash}`, attestation: 'mock-attestation' };
+    }
+
+    async mint(transfer, options = {}) {
+        // Each transfer mints once, a retry returns the earlier mint
+        const minted = this.ledger
+            ? this.ledger.getTrades().find(trade => trade.action === 'bridge_in' && trade.bridgeId === transfer.id)?.txHash
+            : this.mints.get(transfer.id);
+        if (minted) return { destinationTxHash: minted };
+
+        const destinationTxHash = this.ledger
+            ? (await this.ledger.bridgeIn(transfer)).txHash
+            : this.generateTxHash('mint');
+        this.mints.set(transfer.id, destinationTxHash);
+        await options.onSubmitted?.(destinationTxHash);
+        return { destinationTxHash };
+    }
+
+    generateTxHash(leg) {
+        return `mock-${leg}-${this.clock.now()}-${++this.txCounter}`;
+    }
+}
+
+/**
+ * Build a bridge provider by name ('cctp' or 'mock')
+ */
+export function createBridgeProvider(name, options = {}) {
+    switch (name) {
+        case 'cctp':
+            return new CctpBridgeProvider(options);
+        case 'mock':
+            return new MockBridgeProvider(options);
+        default:
+            throw new Error(`Unknown bridge provider: ${name}`);
+    }
+}
+
+function toTopic(address) {
+    return `0x${address.slice(2).toLowerCase().padStart(64, '0')}`;
+}
+
+/**
+ * A Solana transaction that ran CCTP's depositForBurn and took exactly amount (base units) of mint from owner
+ */
+function isDepositForBurn(tx, owner, mint, amount) {
+    if (!tx?.meta || tx.meta.err) return false;
+    if (!(tx.meta.logMessages || []).some(line => /Instruction: DepositForBurn/i.test(line))) return false;
+
+    const balance = balances => BigInt(balances?.find(b => b.mint === mint && b.owner === owner)?.uiTokenAmount.amount || 0);
+    return balance(tx.meta.preTokenBalances) - balance(tx.meta.postTokenBalances) === amount;
+}
+
+function sumFees(receipts) {
+    const fees = receipts.map(r => r.fee).filter(Boolean);
+    return fees.length > 0
+        ? { asset: fees[0].asset, amount: fees.reduce((sum, fee) => sum + fee.amount, 0) }
+        : null;
+}
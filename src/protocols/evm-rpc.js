@@ -0,0 +1,141 @@
+import fetch from 'node-fetch';
+import { Logger } from '../utils/logger.js';
+
+const WEI_PER_ETH = 1e18;
+
+/**
+ * Minimal EVM JSON-RPC client for contract reads and polling transaction receipts
+ * Point its url (e.g. AAVE_RPC_URL) at a local node (anvil --fork-url ...) to test against a fork
+ */
+export class EvmRpc {
+    constructor(options = {}) {
+        this.logger = new Logger(options.loggerName || 'EVM_RPC');
+        this.url = options.url;
+        this.fetch = options.fetch || fetch;
+        this.nativeAsset = options.nativeAsset || 'eth';
+        this.pollIntervalMs = options.pollIntervalMs ?? 2000;
+        this.confirmTimeoutMs = options.confirmTimeoutMs ?? 2 * 60 * 1000;
+        this.requestId = 0;
+
+        if (!this.url) {
+            throw new Error('EvmRpc requires an RPC url');
+        }
+    }
+
+    async call(method, params = []) {
+        const response = await this.fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params })
+        });
+
+        if (!response.ok) {
+            throw new Error(`EVM RPC error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(`EVM RPC ${method} failed: ${data.error.message}`);
+        }
+        return data.result;
+    }
+
+    /**
+     * eth_call against the latest block, resolves to the raw hex return data
+     * from simulates the call as that sender; a revert rejects with its reason in the message
+     */
+    async ethCall(to, data, from = null) {
+        return await this.call('eth_call', [{ ...(from ? { from } : {}), to, data }, 'latest']);
+    }
+
+    /**
+     * The transaction as the node knows it, null once it was dropped from the mempool
+     */
+    async getTransaction(txHash) {
+        return await this.call('eth_getTransactionByHash', [txHash]);
+    }
+
+    async getTransactionReceipt(txHash) {
+        return await this.call('eth_getTransactionReceipt', [txHash]);
+    }
+
+    /**
+     * Network fee a mined transaction paid in the native asset, null while it has no receipt
+     */
+    async getTransactionFee(txHash) {
+        return transactionFee(await this.getTransactionReceipt(txHash), this.nativeAsset);
+    }
+
+    /**
+     * Poll until the transaction is mined
+     * Throws if it reverted or was not mined before the timeout
+     */
+    async waitForReceipt(txHash, options = {}) {
+        const timeoutMs = options.timeoutMs ?? this.confirmTimeoutMs;
+        const deadline = Date.now() + timeoutMs;
+
+        while (true) {
+            const receipt = await this.getTransactionReceipt(txHash);
+
+            if (receipt && receipt.status === '0x0') {
+                throw new Error(`Transaction ${txHash} reverted in block ${parseInt(receipt.blockNumber, 16)}`);
+            }
+            if (receipt) {
+                const blockNumber = parseInt(receipt.blockNumber, 16);
+                this.logger.info(`✅ ${txHash.slice(0, 12)}... mined in block ${blockNumber}`);
+                return { txHash, blockNumber, receipt };
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`Transaction ${txHash} not mined after ${timeoutMs}ms`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+    }
+}
+
+export function transactionFee(receipt, asset = 'eth') {
+    if (!receipt?.gasUsed || !receipt?.effectiveGasPrice) return null;
+    const wei = BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice);
+    return { asset, amount: Number(wei) / WEI_PER_ETH };
+}
+
+/**
+ * ABI-encode a call from its 4-byte selector and arguments: addresses and uint256s are static words,
+ * { bytes: '0x...' } arguments are dynamic and go to the tail behind their offset
+ */
+export function encodeCall(selector, args = []) {
+    let tail = '';
+    const head = args.map(arg => {
+        if (arg?.bytes === undefined) return encodeWord(arg);
+
+        const offset = args.length * 32 + tail.length / 2;
+        const data = arg.bytes.replace(/^0x/, '').toLowerCase();
+        tail += encodeWord(data.length / 2) + data.padEnd(Math.ceil(data.length / 64) * 64, '0');
+        return encodeWord(offset);
+    });
+    return selector + head.join('') + tail;
+}
+
+function encodeWord(value) {
+    const hex = typeof value === 'string' && value.startsWith('0x')
+        ? value.slice(2)
+        : BigInt(value).toString(16);
+    return hex.toLowerCase().padStart(64, '0');
+}
+
+/**
+ * Split raw return data into 32-byte words
+ */
+export function decodeWords(data) {
+    const hex = (data || '0x').slice(2);
+    const words = [];
+    for (let i = 0; i + 64 <= hex.length; i += 64) {
+        words.push(`0x${hex.slice(i, i + 64)}`);
+    }
+    return words;
+}
+
+export function wordToAddress(word) {
+    return `0x${word.slice(-40)}`;
+}
@@ -0,0 +1,211 @@
+import fetch from 'node-fetch';
+import { Logger } from '../utils/logger.js';
+import { getAssetInfo, getAssetByMint, toBaseUnits } from '../utils/assets.js';
+import { SolanaRpc, transactionFee } from './solana-rpc.js';
+
+/**
+ * Jupiter swap client
+ * quote() fetches a route and enforces the slippage, price-impact and listed-token guards;
+ * swap() additionally builds the swap transaction, signs it through AgentWallet, submits it
+ * and reads the realized output back from the confirmed transaction.
+ *
+ * Quotes go through options.responseCache when given, keyed by clock time, so paper runs
+ * can record them and backtests replay them offline.
+ */
+export class JupiterClient {
+    constructor(options = {}) {
+        this.logger = new Logger('JUPITER');
+        this.baseUrl = (options.baseUrl || process.env.JUPITER_SWAP_API_URL || 'https://lite-api.jup.ag/swap/v1').replace(/\/$/, '');
+        this.wallet = options.wallet || null;
+        this.fetch = options.fetch || fetch;
+        this.rpc = options.rpc || new SolanaRpc({ url: options.rpcUrl, fetch: this.fetch });
+        this.owner = options.owner || this.wallet?.getAddresses().solana;
+        this.responseCache = options.responseCache || null;
+        this.clock = options.clock || Date;
+        this.timeout = options.timeout || 10000;
+
+        this.slippageBps = options.slippageBps ?? parseInt(process.env.JUPITER_SLIPPAGE_BPS || '50');
+        this.maxSlippageBps = options.maxSlippageBps ?? parseInt(process.env.JUPITER_MAX_SLIPPAGE_BPS || '100');
+        this.maxPriceImpactBps = options.maxPriceImpactBps ?? parseInt(process.env.JUPITER_MAX_PRICE_IMPACT_BPS || '100');
+    }
+
+    /**
+     * Fetch and check a route for params { asset, target, amount, slippageBps? }
+     * Returns { inputAsset, outputAsset, amount, expectedOutput, minimumOutput, slippageBps, priceImpactBps, route, raw }
+     * and throws when any guard fails
+     */
+    async quote(params) {
+        const input = this.requireListed(params.asset);
+        const output = this.requireListed(params.target);
+        const slippageBps = params.slippageBps ?? this.slippageBps;
+
+        if (slippageBps > this.maxSlippageBps) {
+            throw new Error(`Requested slippage ${slippageBps} bps exceeds the ${this.maxSlippageBps} bps limit`);
+        }
+
+        const request = {
+            inputMint: input.solanaMint,
+            outputMint: output.solanaMint,
+            amount: toBaseUnits(params.amount, input.decimals).toString(),
+            slippageBps
+        };
+
+        const raw = this.responseCache
+            ? await this.responseCache.wrap({ jupiterQuote: request, timestamp: this.clock.now() }, () => this.fetchQuote(request))
+            : await this.fetchQuote(request);
+
+        const quote = {
+            inputAsset: input.asset,
+            outputAsset: output.asset,
+            amount: params.amount,
+            expectedOutput: fromBaseUnits(raw.outAmount, output.decimals),
+            minimumOutput: fromBaseUnits(raw.otherAmountThreshold, output.decimals),
+            slippageBps: raw.slippageBps,
+            priceImpactBps: Number(raw.priceImpactPct || 0) * 10000,
+            route: (raw.routePlan || []).map(step => step.swapInfo?.label).filter(Boolean),
+            raw
+        };
+
+        this.checkQuote(quote);
+        return quote;
+    }
+
+    checkQuote(quote) {
+        if (quote.slippageBps > this.maxSlippageBps) {
+            throw new Error(`Quote slippage ${quote.slippageBps} bps exceeds the ${this.maxSlippageBps} bps limit`);
+        }
+
+        if (quote.priceImpactBps > this.maxPriceImpactBps) {
+            throw new Error(`Price impact ${quote.priceImpactBps.toFixed(1)} bps exceeds the ${this.maxPriceImpactBps} bps limit`);
+        }
+
+        // Every hop must stay inside the asset registry
+        for (const step of quote.raw.routePlan || []) {
+            for (const mint of [step.swapInfo?.inputMint, step.swapInfo?.outputMint]) {
+                if (mint && !getAssetByMint(mint)) {
+                    throw new Error(`Route via ${step.swapInfo.label || 'unknown AMM'} passes through unlisted token ${mint}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Quote, sign and submit a swap, then compare the realized output with the quote
+     */
+    async swap(params) {
+        if (!this.wallet || !this.owner) {
+            throw new Error('Jupiter swaps need an AgentWallet with a Solana address');
+        }
+
+        const quote = await this.quote(params);
+        this.logger.info(`🪐 Route ${quote.route.join(' → ') || 'direct'}: ${quote.amount} ${quote.inputAsset.toUpperCase()} → ~${quote.expectedOutput} ${quote.outputAsset.toUpperCase()} (impact ${quote.priceImpactBps.toFixed(1)} bps)`);
+
+        const { swapTransaction } = await this.request('/swap', {
+            method: 'POST',
+            body: {
+                quoteResponse: quote.raw,
+                userPublicKey: this.owner,
+                wrapAndUnwrapSol: true,
+                dynamicComputeUnitLimit: true
+            }
+        });
+
+        const { signedTransaction } = await this.wallet.signTransaction('solana', swapTransaction);
+        const signature = await this.rpc.sendTransaction(signedTransaction);
+        const confirmation = await this.rpc.confirmTransaction(signature);
+
+        const tx = await this.rpc.getTransaction(signature);
+        const realizedOutput = this.getRealizedOutput(tx, quote.outputAsset);
+        if (realizedOutput !== null) {
+            this.logger.info(`📐 Expected ${quote.expectedOutput}, received ${realizedOutput} ${quote.outputAsset.toUpperCase()}`);
+        }
+
+        return {
+            txHash: signature,
+            signature,
+            slot: confirmation.slot,
+            output: describeOutput(quote, realizedOutput),
+            networkFee: transactionFee(tx)
+        };
+    }
+
+    /**
+     * Output actually received by the owner, from the confirmed transaction's balance changes
+     */
+    getRealizedOutput(tx, asset) {
+        const info = getAssetInfo(asset);
+        if (!tx?.meta) return null;
+
+        if (asset === 'sol') {
+            // SOL is unwrapped to the owner's system account, which also paid the fee
+            const keys = tx.transaction.message.accountKeys.map(k => k.pubkey || k);
+            const index = keys.indexOf(this.owner);
+            if (index === -1) return null;
+            const lamports = tx.meta.postBalances[index] - tx.meta.preBalances[index] + (index === 0 ? tx.meta.fee : 0);
+            return lamports / Math.pow(10, info.decimals);
+        }
+
+        const sum = balances => (balances || [])
+            .filter(b => b.owner === this.owner && b.mint === info.solanaMint)
+            .reduce((total, b) => total + Number(b.uiTokenAmount.amount), 0);
+
+        return (sum(tx.meta.postTokenBalances) - sum(tx.meta.preTokenBalances)) / Math.pow(10, info.decimals);
+    }
+
+    async fetchQuote(request) {
+        const params = new URLSearchParams({
+            inputMint: request.inputMint,
+            outputMint: request.outputMint,
+            amount: request.amount,
+            slippageBps: String(request.slippageBps),
+            restrictIntermediateTokens: 'true'
+        });
+        return await this.request(`/quote?${params.toString()}`);
+    }
+
+    async request(path, options = {}) {
+        const response = await this.fetch(`${this.baseUrl}${path}`, {
+            method: options.method || 'GET',
+            headers: { 'Content-Type': 'application/json' },
+            body: options.body ? JSON.stringify(options.body) : undefined,
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Jupiter API error: ${response.status} ${errorText}`);
+        }
+
+        return await response.json();
+    }
+
+    requireListed(asset) {
+        const info = getAssetInfo(asset);
+        if (!info?.solanaMint) {
+            throw new Error(`Asset ${asset} is not listed for Jupiter swaps`);
+        }
+        return { asset: asset.toLowerCase(), ...info };
+    }
+}
+
+/**
+ * Expected vs. realized output of a quoted swap, as recorded with the execution
+ * Paper fills pass the expected output as realized
+ */
+export function describeOutput(quote, realizedOutput) {
+    return {
+        asset: quote.outputAsset,
+        expected: quote.expectedOutput,
+        minimum: quote.minimumOutput,
+        realized: realizedOutput,
+        realizedSlippageBps: realizedOutput === null || !quote.expectedOutput
+            ? null
+            : (quote.expectedOutput - realizedOutput) / quote.expectedOutput * 10000,
+        priceImpactBps: quote.priceImpactBps,
+        route: quote.route
+    };
+}
+
+function fromBaseUnits(amount, decimals) {
+    return Number(amount) / Math.pow(10, decimals);
+}
@@ -0,0 +1,255 @@
+import fetch from 'node-fetch';
+import { Logger } from '../utils/logger.js';
+import { getAssetInfo, getAssetByMint } from '../utils/assets.js';
+import { SolanaRpc } from './solana-rpc.js';
+import { AaveAdapter } from './aave-adapter.js';
+
+/**
+ * Lending protocol adapters for live execution
+ * Each adapter builds an unsigned deposit/withdraw transaction through the protocol's HTTP API,
+ * signs it through AgentWallet, submits it to a Solana RPC node and polls for confirmation.
+ *
+ * deposit(params) / withdraw(params) resolve to
+ *   { txHash, signature, slot, position: { protocol, asset, supplied, supplyAPY }, networkFee: { asset, amount } | null }
+ * getPositions() lists every listed asset supplied, as Portfolio position entries
+ *
+ * options.fetch replaces HTTP for both the protocol API and the RPC node (see utils/recorded-fetch.js)
+ */
+export class LendingAdapter {
+    constructor(options = {}) {
+        this.protocol = options.protocol;
+        this.logger = new Logger(options.loggerName || 'LENDING_ADAPTER');
+        this.wallet = options.wallet;
+        this.fetch = options.fetch || fetch;
+        this.rpc = options.rpc || new SolanaRpc({ url: options.rpcUrl, fetch: this.fetch });
+        this.owner = options.owner || this.wallet?.getAddresses().solana;
+        this.timeout = options.timeout || 15000;
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl && this.owner);
+    }
+
+    async deposit(params) {
+        return await this.execute('deposit', params);
+    }
+
+    async withdraw(params) {
+        return await this.execute('withdraw', params);
+    }
+
+    async execute(operation, params) {
+        const asset = params.asset?.toLowerCase();
+        if (!getAssetInfo(asset)?.solanaMint) {
+            throw new Error(`${this.protocol} does not support ${params.asset}`);
+        }
+
+        const reserve = await this.getReserve(asset);
+        this.logger.info(`🏗️ Building ${this.protocol} ${operation}: ${params.amount} ${asset.toUpperCase()}`);
+
+        const transaction = await this.buildTransaction(operation, reserve, params.amount);
+        const { signedTransaction } = await this.wallet.signTransaction('solana', transaction);
+        const signature = await this.rpc.sendTransaction(signedTransaction);
+        this.logger.info(`📡 Submitted ${operation}: ${signature}`);
+
+        const confirmation = await this.rpc.confirmTransaction(signature);
+        const position = await this.getPosition(asset);
+
+        // The deposit landed either way, an unreadable fee only goes unmetered
+        const networkFee = await this.rpc.getTransactionFee(signature).catch(error => {
+            this.logger.warn(`⚠️ Could not read the fee of ${signature}:`, error.message);
+            return null;
+        });
+
+        return {
+            txHash: signature,
+            signature,
+            slot: confirmation.slot,
+            position,
+            networkFee
+        };
+    }
+
+    /**
+     * reserves - [{ mint, supplied, supplyAPY }], unlisted mints and empty reserves are dropped
+     */
+    toPositions(reserves) {
+        return reserves
+            .map(reserve => ({ asset: getAssetByMint(reserve.mint)?.asset, amount: reserve.supplied, apy: reserve.supplyAPY }))
+            .filter(position => position.asset && position.amount > 0)
+            .map(position => ({ kind: 'lending', protocol: this.protocol, chain: 'solana', ...position }));
+    }
+
+    async request(path, options = {}) {
+        const response = await this.fetch(`${this.baseUrl}${path}`, {
+            method: options.method || 'GET',
+            headers: { 'Content-Type': 'application/json' },
+            body: options.body ? JSON.stringify(options.body) : undefined,
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`${this.protocol} API error: ${response.status} ${errorText}`);
+        }
+
+        return await response.json();
+    }
+}
+
+/**
+ * Kamino Lend via the Kamino API (reserve metrics, obligations and transaction builder)
+ */
+export class KaminoAdapter extends LendingAdapter {
+    constructor(options = {}) {
+        super({ ...options, protocol: 'kamino', loggerName: 'KAMINO' });
+        this.baseUrl = (options.baseUrl || process.env.KAMINO_API_URL || 'https://api.kamino.finance').replace(/\/$/, '');
+        this.market = options.market || process.env.KAMINO_MARKET || '7u3HeHxYDLhnCoErrtycNokbQYbWGzLs6JSDqGAv5PfF';
+    }
+
+    async getReserve(asset) {
+        const reserves = await this.request(`/kamino-market/${this.market}/reserves/metrics`);
+        const mint = getAssetInfo(asset).solanaMint;
+        const reserve = reserves.find(r => r.liquidityTokenMint === mint);
+        if (!reserve) {
+            throw new Error(`No Kamino reserve for ${asset.toUpperCase()} in market ${this.market}`);
+        }
+
+        return { address: reserve.reserve, mint, supplyAPY: Number(reserve.supplyApy) };
+    }
+
+    async buildTransaction(operation, reserve, amount) {
+        const result = await this.request(`/ktx/klend/${operation}`, {
+            method: 'POST',
+            body: {
+                wallet: this.owner,
+                market: this.market,
+                reserve: reserve.address,
+                amount: amount.toString()
+            }
+        });
+        return result.transaction;
+    }
+
+    async getPosition(asset) {
+        const reserve = await this.getReserve(asset);
+        const obligations = await this.request(`/kamino-market/${this.market}/users/${this.owner}/obligations`);
+
+        const supplied = obligations
+            .flatMap(obligation => obligation.deposits || [])
+            .filter(deposit => deposit.reserve === reserve.address)
+            .reduce((sum, deposit) => sum + Number(deposit.amount), 0);
+
+        return { protocol: this.protocol, asset, supplied, supplyAPY: reserve.supplyAPY };
+    }
+
+    async getPositions() {
+        const reserves = await this.request(`/kamino-market/${this.market}/reserves/metrics`);
+        const obligations = await this.request(`/kamino-market/${this.market}/users/${this.owner}/obligations`);
+        const deposits = obligations.flatMap(obligation => obligation.deposits || []);
+
+        return this.toPositions(reserves.map(reserve => ({
+            mint: reserve.liquidityTokenMint,
+            supplied: deposits
+                .filter(deposit => deposit.reserve === reserve.reserve)
+                .reduce((sum, deposit) => sum + Number(deposit.amount), 0),
+            supplyAPY: Number(reserve.supplyApy)
+        })));
+    }
+}
+
+/**
+ * MarginFi v2 via a transaction-builder service speaking the MarginFi group/bank model
+ * (MarginFi publishes no hosted builder, so MARGINFI_API_URL must point at one)
+ */
+export class MarginFiAdapter extends LendingAdapter {
+    constructor(options = {}) {
+        super({ ...options, protocol: 'marginfi', loggerName: 'MARGINFI' });
+        this.baseUrl = (options.baseUrl || process.env.MARGINFI_API_URL || '').replace(/\/$/, '');
+        this.group = options.group || process.env.MARGINFI_GROUP || '4qp6Fx6tnZkY5Wropq9wUYgtFxXKwE6viZxFHg3rdAG8';
+    }
+
+    async getReserve(asset) {
+        const banks = await this.request(`/groups/${this.group}/banks`);
+        const mint = getAssetInfo(asset).solanaMint;
+        const bank = banks.find(b => b.mint === mint);
+        if (!bank) {
+            throw new Error(`No MarginFi bank for ${asset.toUpperCase()} in group ${this.group}`);
+        }
+
+        return { address: bank.address, mint, supplyAPY: Number(bank.lendingRate) };
+    }
+
+    async buildTransaction(operation, bank, amount) {
+        const result = await this.request(`/transactions/${operation}`, {
+            method: 'POST',
+            body: {
+                group: this.group,
+                authority: this.owner,
+                bank: bank.address,
+                amount: amount.toString()
+            }
+        });
+        return result.transaction;
+    }
+
+    async getPosition(asset) {
+        const bank = await this.getReserve(asset);
+        const accounts = await this.request(`/groups/${this.group}/accounts/${this.owner}`);
+
+        const supplied = accounts
+            .flatMap(account => account.balances || [])
+            .filter(balance => balance.bank === bank.address)
+            .reduce((sum, balance) => sum + Number(balance.assets), 0);
+
+        return { protocol: this.protocol, asset, supplied, supplyAPY: bank.supplyAPY };
+    }
+
+    async getPositions() {
+        const banks = await this.request(`/groups/${this.group}/banks`);
+        const accounts = await this.request(`/groups/${this.group}/accounts/${this.owner}`);
+        const balances = accounts.flatMap(account => account.balances || []);
+
+        return this.toPositions(banks.map(bank => ({
+            mint: bank.mint,
+            supplied: balances
+                .filter(balance => balance.bank === bank.address)
+                .reduce((sum, balance) => sum + Number(balance.assets), 0),
+            supplyAPY: Number(bank.lendingRate)
+        })));
+    }
+}
+
+/**
+ * Build adapters keyed by protocol from names like ['kamino', 'marginfi', 'aave']
+ * Adapters that are missing an API URL or owner address are skipped with a warning
+ */
+export function createLendingAdapters(names, options = {}) {
+    const logger = new Logger('LENDING_ADAPTER');
+    const adapters = {};
+
+    for (const name of names) {
+        let adapter;
+        switch (name) {
+            case 'kamino':
+                adapter = new KaminoAdapter({ ...options, ...options.kamino });
+                break;
+            case 'marginfi':
+                adapter = new MarginFiAdapter({ ...options, ...options.marginfi });
+                break;
+            case 'aave':
+                adapter = new AaveAdapter({ ...options, ...options.aave });
+                break;
+            default:
+                throw new Error(`Unknown lending protocol adapter: ${name}`);
+        }
+
+        if (adapter.isConfigured()) {
+            adapters[name] = adapter;
+        } else {
+            logger.warn(`⚠️ ${name} adapter not configured, lending there stays simulated`);
+        }
+    }
+
+    return adapters;
+}
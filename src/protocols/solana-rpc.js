@@ -0,0 +1,111 @@
+import fetch from 'node-fetch';
+import { Logger } from '../utils/logger.js';
+
+const COMMITMENT_ORDER = ['processed', 'confirmed', 'finalized'];
+const LAMPORTS_PER_SOL = 1e9;
+
+/**
+ * Minimal Solana JSON-RPC client for submitting signed transactions and polling confirmation
+ * Point SOLANA_RPC_URL at a local validator (http://127.0.0.1:8899) to run against solana-test-validator
+ */
+export class SolanaRpc {
+    constructor(options = {}) {
+        this.logger = new Logger('SOLANA_RPC');
+        this.url = options.url || process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com';
+        this.fetch = options.fetch || fetch;
+        this.commitment = options.commitment || process.env.SOLANA_COMMITMENT || 'confirmed';
+        this.pollIntervalMs = options.pollIntervalMs ?? 1000;
+        this.confirmTimeoutMs = options.confirmTimeoutMs ?? 60 * 1000;
+        this.requestId = 0;
+    }
+
+    async call(method, params = []) {
+        const response = await this.fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Solana RPC error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(`Solana RPC ${method} failed: ${data.error.message}`);
+        }
+        return data.result;
+    }
+
+    /**
+     * Submit a signed, base64-encoded transaction, resolves to its signature
+     */
+    async sendTransaction(transaction) {
+        return await this.call('sendTransaction', [transaction, {
+            encoding: 'base64',
+            preflightCommitment: this.commitment
+        }]);
+    }
+
+    async getSignatureStatus(signature) {
+        const result = await this.call('getSignatureStatuses', [[signature], { searchTransactionHistory: true }]);
+        return result?.value?.[0] || null;
+    }
+
+    /**
+     * Recent signatures involving address, newest first: [{ signature, slot, blockTime, err }]
+     */
+    async getSignaturesForAddress(address, options = {}) {
+        return await this.call('getSignaturesForAddress', [address, { limit: options.limit ?? 100, commitment: 'confirmed' }]) || [];
+    }
+
+    async getTransaction(signature) {
+        return await this.call('getTransaction', [signature, {
+            encoding: 'jsonParsed',
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+        }]);
+    }
+
+    /**
+     * Network fee a confirmed transaction paid, { asset: 'sol', amount } or null when the node has no record
+     */
+    async getTransactionFee(signature) {
+        return transactionFee(await this.getTransaction(signature));
+    }
+
+    /**
+     * Poll until the signature reaches the configured commitment
+     * Throws if the transaction failed on chain or did not land before the timeout
+     */
+    async confirmTransaction(signature, options = {}) {
+        const commitment = options.commitment || this.commitment;
+        const timeoutMs = options.timeoutMs ?? this.confirmTimeoutMs;
+        const deadline = Date.now() + timeoutMs;
+
+        while (true) {
+            const status = await this.getSignatureStatus(signature);
+
+            if (status?.err) {
+                throw new Error(`Transaction ${signature} failed: ${JSON.stringify(status.err)}`);
+            }
+            if (status && reachedCommitment(status.confirmationStatus, commitment)) {
+                this.logger.info(`✅ ${signature.slice(0, 12)}... ${status.confirmationStatus} in slot ${status.slot}`);
+                return { signature, slot: status.slot, confirmationStatus: status.confirmationStatus };
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`Transaction ${signature} not ${commitment} after ${timeoutMs}ms`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+    }
+}
+
+export function transactionFee(tx) {
+    return tx?.meta ? { asset: 'sol', amount: tx.meta.fee / LAMPORTS_PER_SOL } : null;
+}
+
+function reachedCommitment(actual, wanted) {
+    return COMMITMENT_ORDER.indexOf(actual) >= COMMITMENT_ORDER.indexOf(wanted);
+}
@@ -1,17 +1,43 @@
 import fetch from 'node-fetch';
+import { randomUUID } from 'crypto';
 import { Logger } from '../utils/logger.js';
+import { withRetry, isTransientError } from '../utils/retry.js';
+import { createPriceOracle } from './price-oracle.js';
+import { parsePaymentAmount } from './cost-meter.js';
+import { getAssetInfo } from '../utils/assets.js';
+
+// Transfer statuses AgentWallet reports once the transfer has settled either way
+const CONFIRMED_STATUSES = ['confirmed', 'finalized', 'success', 'completed'];
+const FAILED_STATUSES = ['failed', 'error', 'rejected'];
 
 /**
  * AgentWallet service for autonomous treasury operations
  * Handles all wallet interactions and transactions
+ *
+ * Every request has a timeout. Reads, and writes carrying an idempotency key, are retried with
+ * exponential backoff on transient failures; other writes are sent once. Transfers get a
+ * deterministic key from the decision that made them and go through the transfer journal.
+ * With a wallet policy attached, transfers and x402 payments the wallet would reject are refused
+ * locally before anything is sent.
  */
 export class AgentWallet {
-    constructor(config) {
+    constructor(config, priceOracle = null) {
         this.config = config;
         this.logger = new Logger('AGENT_WALLET');
-        this.baseUrl = 'https://agentwallet.mcpay.tech/api';
+        this.priceOracle = priceOracle || createPriceOracle(config);
+        this.baseUrl = config.agentWalletUrl || process.env.AGENTWALLET_API_URL || 'https://agentwallet.mcpay.tech/api';
         this.apiToken = config.apiToken;
         this.username = config.username;
+        this.fetch = config.fetch || fetch;
+        this.costMeter = config.costMeter || null; // Records x402 payments as costs, TreasuryAgent attaches its own
+        this.journal = config.transferJournal || null; // TransferJournal, TreasuryAgent attaches its own
+        this.confirmations = config.confirmationTracker || null; // ConfirmationTracker, follows transfers to finality
+        this.policy = config.walletPolicy || null; // WalletPolicy, pre-flights transfers and x402 payments
+        this.timeoutMs = config.walletTimeoutMs ?? parseInt(process.env.AGENTWALLET_TIMEOUT_MS || '30000');
+        this.retry = {
+            maxAttempts: config.walletMaxAttempts ?? parseInt(process.env.AGENTWALLET_MAX_ATTEMPTS || '3'),
+            baseDelayMs: config.walletRetryDelayMs ?? 500
+        };
     }
 
     async initialize() {
@@ -23,7 +49,7 @@ export class AgentWallet {
             this.logger.info('✅ AgentWallet connected successfully');
             
             // Log initial balances
-            const totalValue = this.calculateTotalValue(balances);
+            const totalValue = await this.calculateTotalValue(balances);
             this.logger.info(`💰 Initial portfolio value: $${totalValue.toFixed(2)}`);
             
         } catch (error) {
@@ -42,20 +68,23 @@ export class AgentWallet {
         }
     }
 
-    async transferSolana(to, amount, asset = 'sol', network = 'devnet') {
+    /**
+     * options.decisionId     - derives the idempotency key, so re-running a decision never pays twice
+     * options.leg            - tells apart several transfers made by one decision
+     * options.idempotencyKey - explicit key, wins over decisionId
+     * options.retry          - false to send once and leave retries to the caller
+     */
+    async transferSolana(to, amount, asset = 'sol', network = 'devnet', options = {}) {
         this.logger.info(`📤 Solana transfer: ${amount} ${asset.toUpperCase()} to ${to}`);
         
         try {
-            const result = await this.makeRequest(`/wallets/${this.username}/actions/transfer-solana`, {
-                method: 'POST',
-                body: {
-                    to,
-                    amount: amount.toString(),
-                    asset: asset.toLowerCase(),
-                    network,
-                    idempotencyKey: `transfer-${Date.now()}`
-                }
-            });
+            const result = await this.submitTransfer(`/wallets/${this.username}/actions/transfer-solana`, {
+                to,
+                amount: amount.toString(),
+                asset: asset.toLowerCase(),
+                network,
+                idempotencyKey: transferKey(options)
+            }, options);
             
             this.logger.info(`✅ Transfer successful: ${result.txHash}`);
             return result;
@@ -66,20 +95,17 @@ export class AgentWallet {
         }
     }
 
-    async transferEVM(to, amount, asset = 'usdc', chainId = 8453) {
+    async transferEVM(to, amount, asset = 'usdc', chainId = 8453, options = {}) {
         this.logger.info(`📤 EVM transfer: ${amount} ${asset.toUpperCase()} to ${to}`);
         
         try {
-            const result = await this.makeRequest(`/wallets/${this.username}/actions/transfer`, {
-                method: 'POST',
-                body: {
-                    to,
-                    amount: amount.toString(),
-                    asset: asset.toLowerCase(),
-                    chainId,
-                    idempotencyKey: `transfer-${Date.now()}`
-                }
-            });
+            const result = await this.submitTransfer(`/wallets/${this.username}/actions/transfer`, {
+                to,
+                amount: amount.toString(),
+                asset: asset.toLowerCase(),
+                chainId,
+                idempotencyKey: transferKey(options)
+            }, options);
             
             this.logger.info(`✅ Transfer successful: ${result.txHash}`);
             return result;
@@ -90,6 +116,107 @@ export class AgentWallet {
         }
     }
 
+    /**
+     * Journal the intent, send, then journal the outcome
+     * A key the journal already has as submitted or confirmed returns that transfer without sending
+     */
+    async submitTransfer(endpoint, body, options = {}) {
+        const key = body.idempotencyKey;
+        const known = this.journal?.get(key);
+        if (known && ['submitted', 'confirmed'].includes(known.status)) {
+            this.logger.info(`↩️ Transfer ${key} already ${known.status}, not sending again`);
+            return known.result;
+        }
+        
+        await this.policy?.preflight({
+            kind: 'transfer',
+            ...transferChain(endpoint, body),
+            asset: body.asset,
+            to: body.to,
+            usd: await this.valueTransfer(body)
+        });
+        await this.journal?.recordIntent(key, { endpoint, body }, options.decisionId || null);
+        return await this.sendJournaledTransfer(key, endpoint, body, options.retry ?? true);
+    }
+
+    async sendJournaledTransfer(key, endpoint, body, retry) {
+        // Spend is counted once, when the transfer leaves intent; reconciling a submitted one re-counts nothing
+        const submitted = this.journal?.get(key)?.status === 'submitted';
+        let result;
+        try {
+            result = await this.makeRequest(endpoint, { method: 'POST', body, retry });
+        } catch (error) {
+            // A rejection is final; after a transient failure the API may still have the transfer,
+            // so the intent stays open for reconcileTransfers
+            if (!isTransientError(error)) {
+                await this.journal?.recordFailed(key, error.message);
+            }
+            throw error;
+        }
+        
+        const status = String(result.status || '').toLowerCase();
+        if (FAILED_STATUSES.includes(status)) {
+            await this.journal?.recordFailed(key, result.error || `Transfer ${status}`);
+        } else if (CONFIRMED_STATUSES.includes(status)) {
+            await this.journal?.recordConfirmed(key, result);
+        } else {
+            await this.journal?.recordSubmitted(key, result);
+        }
+        if (!FAILED_STATUSES.includes(status) && !submitted) {
+            await this.policy?.recordSpend(await this.valueTransfer(body) ?? 0, 'transfer', key);
+        }
+        
+        // The API answering is not finality, the tracker settles the transfer once the chain does
+        if (result.txHash && !FAILED_STATUSES.includes(status)) {
+            await this.confirmations?.track(result.txHash, {
+                chain: transferChain(endpoint, body).chain,
+                decisionId: this.journal?.get(key)?.decisionId || null,
+                transferKey: key
+            });
+        }
+        return result;
+    }
+
+    /**
+     * USD value of a transfer body (amount in base units), null without a price
+     */
+    async valueTransfer(body) {
+        const info = getAssetInfo(body.asset);
+        const quote = info ? await this.priceOracle.getPrice(body.asset.toLowerCase()) : null;
+        return quote ? Number(body.amount) / Math.pow(10, info.decimals) * quote.price : null;
+    }
+
+    /**
+     * Settle transfers a crash or timeout left open by re-sending them under their original key:
+     * AgentWallet returns the transfer it already has, or sends it if the request never arrived
+     * Returns [{ key, decisionId, from, status, error? }]
+     */
+    async reconcileTransfers() {
+        const unresolved = this.journal?.getUnresolved() || [];
+        if (unresolved.length === 0) return [];
+        
+        this.logger.info(`🔁 Reconciling ${unresolved.length} unresolved transfer(s)...`);
+        const outcomes = [];
+        for (const transfer of unresolved) {
+            const { endpoint, body } = transfer.request;
+            try {
+                await this.sendJournaledTransfer(transfer.key, endpoint, body, true);
+            } catch (error) {
+                this.logger.warn(`⚠️ Could not reconcile transfer ${transfer.key}:`, error.message);
+            }
+            
+            const current = this.journal.get(transfer.key);
+            outcomes.push({
+                key: transfer.key,
+                decisionId: transfer.decisionId,
+                from: transfer.status,
+                status: current.status,
+                ...(current.error ? { error: current.error } : {})
+            });
+        }
+        return outcomes;
+    }
+
     async signMessage(chain, message) {
         try {
             const result = await this.makeRequest(`/wallets/${this.username}/actions/sign-message`, {
@@ -108,10 +235,76 @@ export class AgentWallet {
         }
     }
 
+    /**
+     * Call a contract from the EVM wallet; AgentWallet signs and broadcasts it
+     * Resolves to { txHash }, waiting for the receipt is up to the caller
+     */
+    async sendEvmTransaction(chainId, { to, data, value = '0' }) {
+        try {
+            await this.policy?.preflight({ kind: 'contract_call', chain: 'evm', chainId, to });
+            
+            const result = await this.makeRequest(`/wallets/${this.username}/actions/contract-call`, {
+                method: 'POST',
+                body: { chainId, to, data, value }
+            });
+            
+            if (!result.txHash) {
+                throw new Error('AgentWallet returned no transaction hash');
+            }
+            return result;
+            
+        } catch (error) {
+            this.logger.error('❌ EVM contract call failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sign a serialized (base64) transaction without broadcasting it
+     * Resolves to { signedTransaction } for submission through an RPC node
+     */
+    async signTransaction(chain, transaction) {
+        try {
+            const result = await this.makeRequest(`/wallets/${this.username}/actions/sign-transaction`, {
+                method: 'POST',
+                body: {
+                    chain,
+                    transaction,
+                    encoding: 'base64'
+                }
+            });
+
+            if (!result.signedTransaction) {
+                throw new Error('AgentWallet returned no signed transaction');
+            }
+
+            return result;
+
+        } catch (error) {
+            this.logger.error('❌ Transaction signing failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * options.costCategory - CostManager category the payment is metered under (default 'api')
+     * options.meter        - false when the payment settles costs that were metered already
+     * options.retry          - retry transient failures, on by default only with an idempotencyKey
+     * options.amountUsd      - expected price, checked against the wallet policy's USD limits
+     */
     async makeX402Payment(url, paymentData, options = {}) {
         this.logger.info(`💳 Making x402 payment to ${url}`);
         
         try {
+            const preferredChain = options.preferredChain || 'auto';
+            await this.policy?.preflight({
+                kind: 'x402',
+                chain: preferredChain === 'auto' ? null : preferredChain,
+                asset: 'usdc',
+                to: url,
+                usd: options.amountUsd ?? null
+            });
+            
             const result = await this.makeRequest(`/wallets/${this.username}/actions/x402/fetch`, {
                 method: 'POST',
                 body: {
@@ -119,13 +312,21 @@ export class AgentWallet {
                     method: options.method || 'POST',
                     body: paymentData,
                     headers: options.headers || {},
-                    preferredChain: options.preferredChain || 'auto',
-                    timeout: options.timeout || 30000
-                }
+                    preferredChain,
+                    timeout: options.timeout || 30000,
+                    ...(options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : {})
+                },
+                // The payee round trip runs inside the request, give it room to finish
+                timeoutMs: Math.max(this.timeoutMs, (options.timeout || 30000) + 5000),
+                retry: options.retry ?? Boolean(options.idempotencyKey)
             });
             
             if (result.paid) {
                 this.logger.info(`✅ Payment successful: ${result.payment.amountFormatted}`);
+                await this.policy?.recordSpend(parsePaymentAmount(result.payment), 'x402', url);
+                if (options.meter !== false) {
+                    await this.costMeter?.recordX402Payment(url, result, options.costCategory);
+                }
             }
             
             return result;
@@ -136,7 +337,22 @@ export class AgentWallet {
         }
     }
 
+    /**
+     * options.retry     - retry transient failures; defaults to GET only, since a repeated write
+     *                     is only safe when the server dedupes it by idempotency key
+     * options.timeoutMs - per attempt, defaults to AGENTWALLET_TIMEOUT_MS
+     */
     async makeRequest(endpoint, options = {}) {
+        const method = options.method || 'GET';
+        const { result } = await withRetry(() => this.sendRequest(endpoint, options), {
+            maxAttempts: (options.retry ?? method === 'GET') ? this.retry.maxAttempts : 1,
+            baseDelayMs: this.retry.baseDelayMs,
+            onRetry: (error, attempt, delay) => this.logger.warn(`⚠️ ${method} ${endpoint} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`)
+        });
+        return result;
+    }
+
+    async sendRequest(endpoint, options) {
         const url = `${this.baseUrl}${endpoint}`;
         const config = {
             method: options.method || 'GET',
@@ -144,56 +360,34 @@ export class AgentWallet {
                 'Authorization': `Bearer ${this.apiToken}`,
                 'Content-Type': 'application/json',
                 ...options.headers
-            }
+            },
+            signal: AbortSignal.timeout(options.timeoutMs ?? this.timeoutMs)
         };
 
         if (options.body) {
             config.body = JSON.stringify(options.body);
         }
 
-        const response = await fetch(url, config);
+        const response = await this.fetch(url, config);
         
         if (!response.ok) {
             const errorText = await response.text();
-            throw new Error(`API request failed: ${response.status} ${errorText}`);
+            const error = new Error(`API request failed: ${response.status} ${errorText}`);
+            error.status = response.status; // Lets callers tell transient failures from rejections
+            throw error;
         }
 
         return await response.json();
     }
 
-    calculateTotalValue(balances) {
-        let totalValue = 0;
-        
-        // Simple price estimates for demo
-        const prices = {
-            'sol': 88.50,
-            'usdc': 1.00,
-            'eth': 2133.26
-        };
+    async calculateTotalValue(balances) {
+        const valuation = await this.priceOracle.valueBalances(balances);
         
-        // Calculate Solana balances
-        if (balances.solanaWallets) {
-            for (const wallet of balances.solanaWallets) {
-                for (const balance of wallet.balances || []) {
-                    const amount = parseFloat(balance.rawValue) / Math.pow(10, balance.decimals);
-                    const price = prices[balance.asset.toLowerCase()] || 0;
-                    totalValue += amount * price;
-                }
-            }
-        }
-        
-        // Calculate EVM balances
-        if (balances.evmWallets) {
-            for (const wallet of balances.evmWallets) {
-                for (const balance of wallet.balances || []) {
-                    const amount = parseFloat(balance.rawValue) / Math.pow(10, balance.decimals);
-                    const price = prices[balance.asset.toLowerCase()] || 0;
-                    totalValue += amount * price;
-                }
-            }
+        if (valuation.unpriced.length > 0) {
+            this.logger.warn(`⚠️ Unpriced assets excluded from value: ${valuation.unpriced.map(u => u.asset.toUpperCase()).join(', ')}`);
         }
         
-        return totalValue;
+        return valuation.totalValue;
     }
 
     getAddresses() {
@@ -212,12 +406,31 @@ export class AgentWallet {
         }
     }
 
+    /**
+     * Wallet-side spending policy; throws on failure, an empty policy would read as unrestricted
+     */
     async getPolicy() {
         try {
             return await this.makeRequest(`/wallets/${this.username}/policy`);
         } catch (error) {
             this.logger.error('Failed to get policy:', error);
-            return {};
+            throw error;
         }
     }
-}
\ No newline at end of file
+}
+
+// transfer-solana bodies carry the cluster, EVM transfer bodies the chain ID
+function transferChain(endpoint, body) {
+    return endpoint.endsWith('transfer-solana')
+        ? { chain: 'solana', network: body.network }
+        : { chain: 'evm', chainId: body.chainId };
+}
+
+function transferKey(options) {
+    if (options.idempotencyKey) return options.idempotencyKey;
+    if (options.decisionId) {
+        return `transfer-${options.decisionId}${options.leg !== undefined ? `-${options.leg}` : ''}`;
+    }
+    // No decision to derive from: still one key for every retry of this call
+    return `transfer-${randomUUID()}`;
+}
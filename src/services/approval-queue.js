@@ -0,0 +1,216 @@
+import { randomUUID } from 'crypto';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Default triggers for human sign-off in supervised mode
+ * Decisions that trip none of them keep executing autonomously
+ */
+export const DEFAULT_APPROVAL_THRESHOLDS = {
+    maxAutonomousNotional: 100, // USD per decision
+    newProtocol: true,          // First deposit into a protocol we hold nothing in
+    firstTimeAsset: true,       // Acquiring an asset never held or traded before
+    emergency: true             // Decisions the model flagged as emergency moves
+};
+
+/**
+ * Approval Queue - Parks large or unusual decisions until a human approves them
+ * Every state change is appended to the 'approvals' collection, so the CLI and the
+ * running agent share one queue through the repository
+ *
+ * Lifecycle: pending → approved | rejected | expired → closed (with the execution outcome)
+ */
+export class ApprovalQueue {
+    constructor(options = {}) {
+        this.logger = new Logger('APPROVAL_QUEUE');
+        this.repository = options.repository || null;
+        this.clock = options.clock || Date;
+        this.thresholds = { ...DEFAULT_APPROVAL_THRESHOLDS, ...(options.thresholds || {}) };
+        this.ttlMs = options.ttlMs ?? 60 * 60 * 1000; // Pending requests expire after 1 hour
+        this.requests = new Map();
+    }
+
+    /**
+     * Rebuild the queue from the repository, picking up approvals made by other processes
+     */
+    async sync() {
+        if (!this.repository) return;
+
+        const records = await this.repository.readAll('approvals');
+        this.requests = new Map();
+        for (const record of records) {
+            this.apply(record);
+        }
+    }
+
+    apply(record) {
+        if (record.type === 'requested') {
+            this.requests.set(record.id, { ...record.request, status: 'pending', closed: false });
+            return;
+        }
+
+        const request = this.requests.get(record.id);
+        if (!request) return;
+
+        switch (record.type) {
+            case 'approved':
+            case 'rejected':
+            case 'expired':
+                // First resolution wins, a late approval cannot revive an expired request
+                if (request.status !== 'pending') return;
+                request.status = record.type;
+                request.resolvedAt = record.timestamp;
+                request.resolvedBy = record.by || null;
+                request.note = record.note || null;
+                break;
+            case 'closed':
+                request.closed = true;
+                request.outcome = record.outcome;
+                request.closedAt = record.timestamp;
+                break;
+        }
+    }
+
+    async record(record) {
+        const entry = { ...record, timestamp: this.clock.now() };
+        this.apply(entry);
+        await this.repository?.append('approvals', entry);
+        return this.requests.get(record.id);
+    }
+
+    /**
+     * Reasons a decision needs human sign-off (empty when it may run autonomously)
+     *
+     * context - { notional, state, events } where events are PerformanceTracker events
+     */
+    assess(decision, context = {}) {
+        const reasons = [];
+        const params = decision.params || {};
+
+        if (this.thresholds.emergency && decision.emergency) {
+            reasons.push('emergency');
+        }
+
+        if (context.notional > this.thresholds.maxAutonomousNotional) {
+            reasons.push(`notional $${context.notional.toFixed(2)} above $${this.thresholds.maxAutonomousNotional}`);
+        }
+
+        const known = this.knownExposure(context.state, context.events);
+
+        if (this.thresholds.newProtocol && ['lend', 'stake'].includes(decision.action)
+            && params.target && !known.protocols.has(params.target)) {
+            reasons.push(`new protocol ${params.target}`);
+        }
+
+        if (this.thresholds.firstTimeAsset && decision.action === 'swap'
+            && params.target && !known.assets.has(params.target)) {
+            reasons.push(`first-time asset ${params.target.toUpperCase()}`);
+        }
+
+        return reasons;
+    }
+
+    knownExposure(state = {}, events = []) {
+        const protocols = new Set();
+        const assets = new Set();
+
+        for (const holding of state.holdings || []) {
+            assets.add(holding.asset);
+            if (holding.protocol) protocols.add(holding.protocol);
+        }
+
+        for (const event of events) {
+            if (event.type !== 'decision_executed') continue;
+            const { action, params = {} } = event.data;
+            if (params.asset) assets.add(params.asset);
+            if (action === 'swap' && params.target) assets.add(params.target);
+            if (['lend', 'stake'].includes(action) && params.target) protocols.add(params.target);
+        }
+
+        return { protocols, assets };
+    }
+
+    async enqueue(decision, { reasons, notional }) {
+        const now = this.clock.now();
+        const request = {
+            id: randomUUID().slice(0, 8),
+            decision,
+            reasons,
+            notional,
+            requestedAt: now,
+            expiresAt: now + this.ttlMs
+        };
+
+        await this.record({ type: 'requested', id: request.id, request });
+        this.logger.info(`⏸️ Awaiting approval ${request.id}: ${decision.action} (${reasons.join(', ')})`);
+
+        return this.requests.get(request.id);
+    }
+
+    async approve(id, { by = 'operator', note } = {}) {
+        return this.resolve(id, 'approved', { by, note });
+    }
+
+    async reject(id, { by = 'operator', note } = {}) {
+        return this.resolve(id, 'rejected', { by, note });
+    }
+
+    async resolve(id, status, { by, note }) {
+        await this.sync();
+
+        const request = this.requests.get(id);
+        if (!request) {
+            throw new Error(`Unknown approval request: ${id}`);
+        }
+        if (request.status !== 'pending') {
+            throw new Error(`Approval request ${id} is already ${request.status}`);
+        }
+        if (this.clock.now() > request.expiresAt) {
+            throw new Error(`Approval request ${id} expired at ${new Date(request.expiresAt).toISOString()}`);
+        }
+
+        const resolved = await this.record({ type: status, id, by, note });
+        this.logger.info(`${status === 'approved' ? '✅' : '🚫'} Request ${id} ${status} by ${by}`);
+        return resolved;
+    }
+
+    /**
+     * Mark pending requests past their deadline as expired and return them
+     */
+    async expireStale() {
+        const now = this.clock.now();
+        const expired = [];
+
+        for (const request of this.getPending()) {
+            if (now > request.expiresAt) {
+                await this.record({ type: 'expired', id: request.id });
+                await this.close(request.id, 'expired');
+                expired.push(request);
+            }
+        }
+
+        return expired;
+    }
+
+    async close(id, outcome) {
+        return this.record({ type: 'closed', id, outcome });
+    }
+
+    getPending() {
+        return [...this.requests.values()].filter(r => r.status === 'pending');
+    }
+
+    /**
+     * Approved or rejected requests the agent has not acted on yet
+     */
+    getResolved() {
+        return [...this.requests.values()].filter(r => !r.closed && ['approved', 'rejected'].includes(r.status));
+    }
+
+    get(id) {
+        return this.requests.get(id) || null;
+    }
+
+    list() {
+        return [...this.requests.values()];
+    }
+}
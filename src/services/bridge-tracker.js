@@ -0,0 +1,245 @@
+import { Logger } from '../utils/logger.js';
+import { isTransientError } from '../utils/retry.js';
+
+export const BRIDGE_STATUSES = ['initiated', 'burned', 'attested', 'completed', 'failed'];
+// Statuses polled towards the destination mint and counted in NAV
+const IN_FLIGHT_STATUSES = ['burned', 'attested'];
+
+/**
+ * Bridge Tracker - Follows cross-chain transfers from the source burn to the destination mint
+ * A transfer is
+ *   initiated - recorded before the burn is sent, until the burn result is known
+ *   burned    - left the source chain, waiting for the provider's attestation
+ *   attested  - attested, the destination mint is submitted (and retried) on the next polls; its tx hash
+ *               is recorded as soon as it is sent, so a retry checks that mint instead of sending another
+ *   completed - minted on the destination chain
+ *   failed    - the burn was rejected or never landed, the funds did not leave the source chain
+ * From its burn until it completes, its amount counts towards NAV as a pending holding on the destination chain.
+ * A transfer still incomplete timeoutMs after its burn raises onTimeout once and keeps being
+ * polled, burned funds can still be minted late.
+ *
+ * Every change is appended to the 'bridges' collection, transfers in flight resume after a restart
+ * and transfers a crash left initiated are resolved by reconcile(). A burn not found burnGraceMs after
+ * the transfer was initiated is taken as never sent; polls resolve transfers left initiated that long.
+ */
+export class BridgeTracker {
+    constructor(options = {}) {
+        this.logger = new Logger('BRIDGE');
+        this.provider = options.provider;
+        this.repository = options.repository || null;
+        this.clock = options.clock || Date;
+        this.timeoutMs = options.timeoutMs ?? parseInt(process.env.BRIDGE_TIMEOUT_MS || '3600000');
+        this.burnGraceMs = options.burnGraceMs ?? parseInt(process.env.BRIDGE_BURN_GRACE_MS || '600000');
+        this.onCompleted = options.onCompleted || null;
+        this.onTimeout = options.onTimeout || null;
+        this.transfers = new Map();
+        this.polling = null;
+    }
+
+    async restore() {
+        if (!this.repository) return;
+
+        const records = await this.repository.readAll('bridges');
+        this.transfers = new Map();
+        for (const record of records) {
+            this.apply(record);
+        }
+
+        const inFlight = this.getInFlight().length;
+        const initiated = this.list().filter(transfer => transfer.status === 'initiated').length;
+        this.logger.info(`♻️ Restored ${this.transfers.size} bridge transfers${inFlight > 0 ? `, ${inFlight} in flight` : ''}${initiated > 0 ? `, ${initiated} initiated` : ''}`);
+    }
+
+    apply(record) {
+        const { id, status, timestamp, ...details } = record;
+        const transfer = this.transfers.get(id) || { id };
+        this.transfers.set(id, { ...transfer, ...details, status, updatedAt: timestamp });
+    }
+
+    async record(id, status, details = {}) {
+        const entry = { id, status, ...details, timestamp: this.clock.now() };
+        this.apply(entry);
+        await this.repository?.append('bridges', entry);
+        return this.transfers.get(id);
+    }
+
+    /**
+     * Burn on the source chain and start tracking the transfer
+     * params - decision params { asset, amount, chain (source), target (destination chain) }
+     * Resolves to the provider's burn result with bridgeId and txHash (the burn) added
+     */
+    async initiate(params, details = {}) {
+        const asset = params.asset?.toLowerCase();
+        const sourceChain = params.chain;
+        const destinationChain = params.target;
+        if (!this.provider.supports(sourceChain, destinationChain, asset)) {
+            throw new Error(`${this.provider.name} cannot bridge ${asset?.toUpperCase()} from ${sourceChain} to ${destinationChain}`);
+        }
+
+        const transfer = {
+            id: `bridge-${this.clock.now()}-${this.transfers.size + 1}`,
+            decisionId: details.decisionId || null,
+            provider: this.provider.name,
+            asset,
+            amount: params.amount,
+            sourceChain,
+            destinationChain
+        };
+        this.logger.info(`🌉 Bridging ${transfer.amount} ${asset.toUpperCase()} ${sourceChain} → ${destinationChain} via ${this.provider.name}`);
+
+        const { id, ...fields } = transfer;
+        await this.record(id, 'initiated', { ...fields, initiatedAt: this.clock.now() });
+
+        let burn;
+        try {
+            burn = await this.provider.burn(transfer);
+        } catch (error) {
+            // A timeout or dropped connection may still have burned, the intent stays open for reconcile()
+            if (!isTransientError(error)) {
+                await this.record(id, 'failed', { error: error.message });
+            }
+            throw error;
+        }
+        await this.record(id, 'burned', { sourceTxHash: burn.sourceTxHash, burnedAt: this.clock.now() });
+
+        return { ...burn, bridgeId: id, txHash: burn.sourceTxHash };
+    }
+
+    /**
+     * Resolve transfers left initiated by asking the provider whether their burn landed
+     * Providers without findBurn(transfer) leave them initiated, for an operator to check the source chain
+     * minAgeMs skips transfers initiated more recently, whose burn may still be under way
+     * Returns [{ bridgeId, decisionId, from, status, error? }]
+     */
+    async reconcile({ minAgeMs = 0 } = {}) {
+        const initiated = this.list().filter(transfer =>
+            transfer.status === 'initiated' && this.clock.now() - transfer.initiatedAt >= minAgeMs);
+        if (initiated.length === 0) return [];
+
+        this.logger.info(`🔁 Reconciling ${initiated.length} initiated bridge transfer(s)...`);
+        const outcomes = [];
+        for (const transfer of initiated) {
+            try {
+                if (!this.provider.findBurn) {
+                    throw new Error(`${this.provider.name} cannot look up burns, check ${transfer.sourceChain} before retrying`);
+                }
+
+                // Burns other transfers already hold cannot be this one's
+                const exclude = new Set(this.list().map(other => other.sourceTxHash).filter(Boolean));
+                const burn = await this.provider.findBurn(transfer, { exclude });
+                if (burn) {
+                    await this.record(transfer.id, 'burned', { sourceTxHash: burn.sourceTxHash, burnedAt: this.clock.now(), error: null });
+                } else if (this.clock.now() - transfer.initiatedAt >= this.burnGraceMs) {
+                    await this.record(transfer.id, 'failed', { error: 'Burn never reached the source chain' });
+                } else {
+                    this.logger.info(`⏳ No burn for ${transfer.id} on ${transfer.sourceChain} yet, looking again after ${Math.round(this.burnGraceMs / 60000)} minutes`);
+                }
+            } catch (error) {
+                this.logger.error(`🚨 Could not resolve bridge transfer ${transfer.id}:`, error.message);
+                this.transfers.set(transfer.id, { ...transfer, error: error.message });
+            }
+
+            const current = this.get(transfer.id);
+            outcomes.push({
+                bridgeId: transfer.id,
+                decisionId: transfer.decisionId,
+                from: transfer.status,
+                status: current.status,
+                ...(current.error ? { error: current.error } : {})
+            });
+        }
+        return outcomes;
+    }
+
+    get(id) {
+        return this.transfers.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.transfers.values());
+    }
+
+    getInFlight() {
+        return this.list().filter(transfer => IN_FLIGHT_STATUSES.includes(transfer.status));
+    }
+
+    /**
+     * Transfers in flight as Portfolio pending entries, valued on their destination chain
+     */
+    getPendingHoldings() {
+        return this.getInFlight().map(transfer => ({
+            asset: transfer.asset,
+            amount: transfer.amount,
+            chain: transfer.destinationChain,
+            protocol: transfer.provider,
+            availableAt: null
+        }));
+    }
+
+    /**
+     * Advance every transfer in flight once, resolves to the ones that completed
+     * Overlapping calls share the pass in flight
+     */
+    async poll() {
+        if (!this.polling) {
+            this.polling = this.advanceInFlight().finally(() => {
+                this.polling = null;
+            });
+        }
+        return this.polling;
+    }
+
+    async advanceInFlight() {
+        const completed = [];
+        await this.reconcile({ minAgeMs: this.burnGraceMs });
+
+        for (let transfer of this.getInFlight()) {
+            try {
+                if (transfer.status === 'burned') {
+                    const attestation = await this.provider.getAttestation(transfer);
+                    if (attestation) {
+                        this.logger.info(`📜 ${transfer.id} attested, minting on ${transfer.destinationChain}`);
+                        transfer = await this.record(transfer.id, 'attested', attestation);
+                    }
+                }
+
+                if (transfer.status === 'attested') {
+                    const { id } = transfer;
+                    const mint = await this.provider.mint(transfer, {
+                        onSubmitted: destinationTxHash => this.record(id, 'attested', { destinationTxHash, mintSubmittedAt: this.clock.now() })
+                    });
+                    transfer = await this.record(transfer.id, 'completed', {
+                        destinationTxHash: mint.destinationTxHash,
+                        completedAt: this.clock.now(),
+                        error: null
+                    });
+                    this.logger.info(`✅ ${transfer.id} completed: ${transfer.amount} ${transfer.asset.toUpperCase()} arrived on ${transfer.destinationChain}`);
+                    completed.push(transfer);
+                    await this.notify(this.onCompleted, transfer, mint);
+                    continue;
+                }
+            } catch (error) {
+                // Unreachable APIs and failed mints are retried next poll, until the timeout alerts
+                this.logger.warn(`⚠️ Could not advance ${transfer.id} (${transfer.status}):`, error.message);
+                // Re-read it, a mint sent before failing has recorded its tx hash meanwhile
+                transfer = { ...this.get(transfer.id), error: error.message };
+                this.transfers.set(transfer.id, transfer);
+            }
+
+            if (!transfer.timedOutAt && this.clock.now() - transfer.burnedAt >= this.timeoutMs) {
+                transfer = await this.record(transfer.id, transfer.status, { timedOutAt: this.clock.now(), error: transfer.error || null });
+                this.logger.error(`🚨 ${transfer.id} has not reached ${transfer.destinationChain} ${Math.round(this.timeoutMs / 60000)} minutes after its burn (${transfer.status})`);
+                await this.notify(this.onTimeout, transfer);
+            }
+        }
+        return completed;
+    }
+
+    async notify(handler, transfer, ...args) {
+        try {
+            await handler?.(transfer, ...args);
+        } catch (error) {
+            this.logger.error(`❌ Bridge handler failed for ${transfer.id}:`, error.message);
+        }
+    }
+}
@@ -0,0 +1,228 @@
+import { Logger } from '../utils/logger.js';
+
+export const CONFIRMATION_STATUSES = ['pending', 'finalized', 'failed', 'expired'];
+
+// Activity feed statuses that settle a transaction either way
+const ACTIVITY_FINALIZED = ['finalized', 'confirmed', 'success', 'completed'];
+const ACTIVITY_FAILED = ['failed', 'error', 'rejected', 'dropped'];
+
+/**
+ * Confirmation Tracker - Follows submitted transactions until they are final
+ * Solana signatures are polled through the RPC node when one is attached, everything else is
+ * matched against the AgentWallet activity feed. A pending transaction ends up
+ *   finalized - reached finalized commitment, or the feed reports it settled
+ *   failed    - landed with an error, or the feed reports it failed
+ *   expired   - still unknown expireAfterMs after submission, so its blockhash has lapsed
+ *
+ * Every status change is appended to the 'confirmations' collection, pending transactions are
+ * picked up again after a restart. onResolved(entry) fires once per transaction, with the
+ * networkFee it paid when the RPC node reports one.
+ */
+export class ConfirmationTracker {
+    constructor(options = {}) {
+        this.logger = new Logger('CONFIRMATIONS');
+        this.wallet = options.wallet || null;
+        this.rpc = options.rpc || null;
+        this.repository = options.repository || null;
+        this.clock = options.clock || Date;
+        this.onResolved = options.onResolved || null;
+        this.pollIntervalMs = options.pollIntervalMs ?? parseInt(process.env.TX_POLL_INTERVAL_MS || '5000');
+        this.expireAfterMs = options.expireAfterMs ?? parseInt(process.env.TX_EXPIRE_AFTER_MS || '120000');
+        this.activityLimit = options.activityLimit ?? 50;
+        this.entries = new Map();
+        this.timer = null;
+        this.polling = null;
+    }
+
+    async restore() {
+        if (!this.repository) return;
+
+        const records = await this.repository.readAll('confirmations');
+        this.entries = new Map();
+        for (const record of records) {
+            this.apply(record);
+        }
+
+        const pending = this.getPending().length;
+        this.logger.info(`♻️ Restored ${this.entries.size} tracked transactions${pending > 0 ? `, ${pending} pending` : ''}`);
+    }
+
+    apply(record) {
+        const { txHash, status, timestamp, ...details } = record;
+        const entry = this.entries.get(txHash) || { txHash, submittedAt: timestamp };
+        this.entries.set(txHash, { ...entry, ...details, status, updatedAt: timestamp });
+    }
+
+    async record(txHash, status, details = {}) {
+        const entry = { txHash, status, ...details, timestamp: this.clock.now() };
+        this.apply(entry);
+        await this.repository?.append('confirmations', entry);
+        return this.entries.get(txHash);
+    }
+
+    /**
+     * details - { chain ('solana' by default), decisionId, transferKey }
+     */
+    async track(txHash, details = {}) {
+        if (this.entries.has(txHash)) return this.entries.get(txHash);
+
+        this.logger.info(`🔭 Tracking ${txHash.slice(0, 12)}...${details.decisionId ? ` (${details.decisionId})` : ''}`);
+        return await this.record(txHash, 'pending', {
+            chain: details.chain || 'solana',
+            decisionId: details.decisionId || null,
+            transferKey: details.transferKey || null
+        });
+    }
+
+    get(txHash) {
+        return this.entries.get(txHash) || null;
+    }
+
+    list() {
+        return Array.from(this.entries.values());
+    }
+
+    getPending() {
+        return this.list().filter(entry => entry.status === 'pending');
+    }
+
+    /**
+     * Check every pending transaction once, resolves to the entries that left pending
+     * Overlapping calls share the pass in flight
+     */
+    async poll() {
+        if (!this.polling) {
+            this.polling = this.checkPending().finally(() => {
+                this.polling = null;
+            });
+        }
+        return this.polling;
+    }
+
+    async checkPending() {
+        const pending = this.getPending();
+        if (pending.length === 0) return [];
+
+        let activity = null;
+        const resolved = [];
+        for (const entry of pending) {
+            let outcome;
+            try {
+                if (entry.chain === 'solana' && this.rpc) {
+                    outcome = await this.checkViaRpc(entry);
+                } else {
+                    activity = activity || await this.getActivityEvents();
+                    outcome = this.checkViaActivity(entry, activity);
+                }
+            } catch (error) {
+                // An unreachable node says nothing about the transaction, it stays pending
+                this.logger.warn(`⚠️ Could not check ${entry.txHash.slice(0, 12)}...:`, error.message);
+                continue;
+            }
+
+            if (!outcome && this.clock.now() - entry.submittedAt >= this.expireAfterMs) {
+                outcome = { status: 'expired', error: `Not seen on chain within ${this.expireAfterMs}ms` };
+            }
+            if (outcome) {
+                resolved.push(await this.resolve(entry, outcome));
+            }
+        }
+        return resolved;
+    }
+
+    async checkViaRpc(entry) {
+        const status = await this.rpc.getSignatureStatus(entry.txHash);
+        if (!status) return null;
+
+        if (status.err) {
+            return { status: 'failed', slot: status.slot, error: JSON.stringify(status.err) };
+        }
+        if (status.confirmationStatus === 'finalized') {
+            return { status: 'finalized', slot: status.slot };
+        }
+        return null;
+    }
+
+    checkViaActivity(entry, events) {
+        const event = events.find(e => [e.txHash, e.signature, e.hash].includes(entry.txHash));
+        const status = String(event?.status || '').toLowerCase();
+
+        if (ACTIVITY_FAILED.includes(status)) {
+            return { status: 'failed', error: event.error || `Wallet reports ${status}` };
+        }
+        if (ACTIVITY_FINALIZED.includes(status)) {
+            return { status: 'finalized', slot: event.slot ?? null };
+        }
+        return null;
+    }
+
+    async getActivityEvents() {
+        if (!this.wallet) return [];
+        const activity = await this.wallet.getActivity(this.activityLimit);
+        return activity?.events || [];
+    }
+
+    async resolve(entry, outcome) {
+        const resolved = await this.record(entry.txHash, outcome.status, {
+            slot: outcome.slot ?? null,
+            error: outcome.error || null,
+            networkFee: outcome.status === 'expired' ? null : await this.readFee(entry)
+        });
+
+        const label = `${entry.txHash.slice(0, 12)}...${entry.decisionId ? ` (${entry.decisionId})` : ''}`;
+        if (outcome.status === 'finalized') {
+            this.logger.info(`✅ ${label} finalized${outcome.slot ? ` in slot ${outcome.slot}` : ''}`);
+        } else {
+            this.logger.warn(`⚠️ ${label} ${outcome.status}: ${outcome.error}`);
+        }
+
+        try {
+            await this.onResolved?.(resolved);
+        } catch (error) {
+            this.logger.error(`❌ Confirmation handler failed for ${entry.txHash}:`, error.message);
+        }
+        return resolved;
+    }
+
+    /**
+     * The fee a landed Solana transaction paid, succeeded or not; null when the node cannot tell
+     */
+    async readFee(entry) {
+        if (entry.chain !== 'solana' || !this.rpc) return null;
+
+        try {
+            return await this.rpc.getTransactionFee(entry.txHash);
+        } catch (error) {
+            this.logger.warn(`⚠️ Could not read the fee of ${entry.txHash.slice(0, 12)}...:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Track and poll one transaction until it leaves pending, or until timeoutMs of wall time
+     */
+    async waitFor(txHash, details = {}, timeoutMs = this.expireAfterMs * 2) {
+        await this.track(txHash, details);
+        const deadline = Date.now() + timeoutMs;
+
+        while (this.get(txHash).status === 'pending' && Date.now() < deadline) {
+            await this.poll();
+            if (this.get(txHash).status !== 'pending') break;
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+        return this.get(txHash);
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.poll().catch(error => this.logger.error('❌ Confirmation poll failed:', error.message));
+        }, this.pollIntervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
@@ -1,137 +1,377 @@
 import { Logger } from '../utils/logger.js';
+import { withRetry } from '../utils/retry.js';
+
+// Paper mode settles against the paper ledger whatever the configured method
+export const SETTLEMENT_METHODS = ['x402', 'transfer', 'simulated'];
+
+export const SURVIVAL_MODES = ['normal', 'conserve', 'survival'];
+
+// How the agent runs in each mode (see TreasuryAgent.applySurvivalMode)
+export const SURVIVAL_PROFILES = {
+    normal: { loopIntervalMultiplier: 1, preferCheapLLM: false, restoreReserve: false },
+    conserve: { loopIntervalMultiplier: 3, preferCheapLLM: true, restoreReserve: false },
+    survival: { loopIntervalMultiplier: 6, preferCheapLLM: true, restoreReserve: true }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A mode is only left once runway clears its threshold by this factor, so it doesn't flap
+const RECOVERY_MARGIN = 1.25;
+const USDC_DECIMALS = 6;
 
 /**
  * Cost Manager - Enables true economic self-sufficiency
  * Tracks and pays for the agent's own operational costs
+ *
+ * Costs are recorded as they are incurred (see CostMeter). Costs paid in kind at the source, like
+ * network fees, are settled already; the rest (LLM tokens, infrastructure) stay outstanding until
+ * payComputeCosts settles them.
+ *
+ * Settlement pays USDC once per billing period, either to an x402-protected payee URL through
+ * AgentWallet.makeX402Payment or by transfer to a payee address. The period is the idempotency key,
+ * so retries and restarts within a period cannot pay twice, and each payment is capped per period.
+ * In paper mode the simulated ledger pays; with no payee configured payments are only logged.
+ *
+ * Runway is the number of days liquid USDC lasts at the current burn net of expected yield.
+ * Below conserveDays the agent enters 'conserve', below survivalDays 'survival'.
  */
 export class CostManager {
-    constructor(wallet) {
+    constructor(wallet, options = {}) {
         this.wallet = wallet;
         this.logger = new Logger('COST_MANAGER');
+        this.clock = options.clock || Date;
+        this.repository = options.repository || null;
+        this.accountant = options.accountant || null; // PnLAccountant, books every cost as an expense
         
         // Track operational costs
         this.costs = {
-            compute: { total: 0, lastPayment: 0 },
-            api: { total: 0, lastPayment: 0 },
-            transactions: { total: 0, lastPayment: 0 }
+            compute: { total: 0 },
+            api: { total: 0 },
+            transactions: { total: 0 }
         };
+        this.outstanding = 0;   // Incurred but not yet paid for
+        this.lastPaymentAt = 0;
+        
+        // Infrastructure rates in USD per hour, e.g. INFRA_RATES=hosting:0.05,rpc:0.01
+        this.rates = options.infraRates || parseRates(process.env.INFRA_RATES || 'hosting:0.05');
         
-        // Cost rates (in USD)
-        this.rates = {
-            computePerHour: 0.05,    // $0.05 per hour of operation
-            apiCallBasic: 0.001,     // $0.001 per basic API call
-            apiCallAI: 0.01,         // $0.01 per AI model call
-            transactionFee: 0.005    // $0.005 per transaction
+        const settlement = options.settlement || {};
+        const url = settlement.url || process.env.COMPUTE_PAYMENT_URL || null;
+        const payee = settlement.payee || process.env.COMPUTE_PAYEE_ADDRESS || null;
+        this.settlement = {
+            method: settlement.method || process.env.COMPUTE_PAYMENT_METHOD || (url ? 'x402' : payee ? 'transfer' : 'simulated'),
+            url,
+            payee,
+            network: settlement.network || process.env.COMPUTE_PAYMENT_NETWORK || 'devnet',
+            periodMs: settlement.periodMs ?? parseInt(process.env.COMPUTE_BILLING_PERIOD_MS || '3600000'),
+            capUsd: settlement.capUsd ?? parseFloat(process.env.COMPUTE_PAYMENT_CAP_USD || '5'),
+            maxAttempts: settlement.maxAttempts ?? 3,
+            retryDelayMs: settlement.retryDelayMs ?? 1000
         };
+        if (!SETTLEMENT_METHODS.includes(this.settlement.method)) {
+            throw new Error(`Unknown compute payment method "${this.settlement.method}", expected one of: ${SETTLEMENT_METHODS.join(', ')}`);
+        }
+        if (this.settlement.method === 'x402' && !url) {
+            throw new Error('x402 compute payments need COMPUTE_PAYMENT_URL');
+        }
+        if (this.settlement.method === 'transfer' && !payee) {
+            throw new Error('Transfer compute payments need COMPUTE_PAYEE_ADDRESS');
+        }
+        this.paperLedger = options.paperLedger || null; // Settles against the simulated book in paper mode
+        this.receipts = [];
+        
+        const runway = options.runway || {};
+        this.runwayThresholds = {
+            conserveDays: runway.conserveDays ?? parseFloat(process.env.RUNWAY_CONSERVE_DAYS || '30'),
+            survivalDays: runway.survivalDays ?? parseFloat(process.env.RUNWAY_SURVIVAL_DAYS || '7')
+        };
+        if (!(this.runwayThresholds.survivalDays < this.runwayThresholds.conserveDays)) {
+            throw new Error('RUNWAY_SURVIVAL_DAYS must be below RUNWAY_CONSERVE_DAYS');
+        }
+        this.mode = 'normal';
+        this.modeSince = this.clock.now();
+        this.lastRunway = null;
         
-        this.startTime = Date.now();
-        this.lastCostCheck = Date.now();
+        this.startTime = this.clock.now();
+        this.lifetimeStartTime = this.startTime;
     }
 
-    async estimateCurrentCosts() {
-        const now = Date.now();
-        const hoursRunning = (now - this.startTime) / (1000 * 60 * 60);
+    /**
+     * Rehydrate accumulated spend from the repository after a restart
+     */
+    async restore() {
+        if (!this.repository) return;
+        
+        const payments = await this.repository.readAll('payments');
+        const entries = await this.repository.readAll('costs');
+        
+        let paid = 0;
+        for (const payment of payments) {
+            paid += payment.amount;
+            this.lastPaymentAt = Math.max(this.lastPaymentAt, payment.timestamp);
+        }
+        this.receipts = payments;
+        for (const entry of entries) {
+            const bucket = this.costs[entry.category];
+            if (!bucket) continue;
+            bucket.total += entry.amount;
+            if (!entry.settled) this.outstanding += entry.amount;
+        }
+        this.outstanding = Math.max(0, this.outstanding - paid);
+        
+        if (entries.length > 0) {
+            this.lifetimeStartTime = Math.min(this.startTime, entries[0].timestamp);
+        }
+        
+        this.logger.info(`♻️ Restored ${entries.length} cost records ($${(this.costs.compute.total + this.costs.api.total + this.costs.transactions.total).toFixed(4)} lifetime spend)`);
+    }
+
+    /**
+     * payment - { asset, amount } when the cost was paid out of the treasury's own holdings
+     * details - attribution and metering data stored with the entry ({ cycleId, decisionId, source, ... })
+     */
+    async recordCost(category, amount, reference, payment = null, details = {}) {
+        const entry = {
+            category,
+            amount,
+            reference,
+            ...details,
+            settled: Boolean(payment),
+            ...(payment ? { payment } : {}),
+            timestamp: this.clock.now()
+        };
         
-        // Calculate accumulated costs
-        const computeCost = hoursRunning * this.rates.computePerHour;
-        const timeSinceLastPayment = (now - this.costs.compute.lastPayment) / (1000 * 60 * 60);
+        this.costs[category].total += amount;
+        if (!payment) this.outstanding += amount;
+        await this.repository?.append('costs', entry);
+        await this.accountant?.recordExpense(category, amount, { ...payment, reference });
         
-        // Estimate current period costs
-        const currentPeriodCost = timeSinceLastPayment * this.rates.computePerHour;
+        return entry;
+    }
+
+    async estimateCurrentCosts() {
+        const hoursRunning = (this.clock.now() - this.startTime) / (1000 * 60 * 60);
+        const totalCosts = this.getTotalCosts();
+        const period = this.getBillingPeriod();
+        const amount = Math.min(this.outstanding, this.settlement.capUsd);
         
-        const shouldPay = currentPeriodCost >= 0.01; // Pay when costs reach $0.01
+        // Pay when costs reach $0.01, at most once per billing period
+        const shouldPay = !this.findReceipt(period.id) && this.outstanding >= 0.01;
+        if (shouldPay && this.outstanding > amount) {
+            this.logger.warn(`⚠️ Outstanding $${this.outstanding.toFixed(4)} exceeds the $${this.settlement.capUsd} per-period cap, carrying $${(this.outstanding - amount).toFixed(4)} over`);
+        }
         
         this.logger.info(`💰 Cost Analysis:
    Total Runtime: ${hoursRunning.toFixed(2)} hours
-   Total Compute Cost: $${computeCost.toFixed(4)}
-   Current Period: $${currentPeriodCost.toFixed(4)}
+   Metered Costs: $${totalCosts.toFixed(4)}
+   Outstanding: $${this.outstanding.toFixed(4)}
    Should Pay: ${shouldPay}`);
         
         return {
             shouldPay,
-            amount: currentPeriodCost,
+            amount,
+            period,
             breakdown: {
-                compute: computeCost,
+                compute: this.costs.compute.total,
                 api: this.costs.api.total,
                 transactions: this.costs.transactions.total
             },
-            totalCosts: computeCost + this.costs.api.total + this.costs.transactions.total
+            totalCosts
         };
     }
 
+    /**
+     * The billing period containing `now`; its id is the ISO start time
+     */
+    getBillingPeriod(now = this.clock.now()) {
+        const start = Math.floor(now / this.settlement.periodMs) * this.settlement.periodMs;
+        return { id: new Date(start).toISOString(), start, end: start + this.settlement.periodMs };
+    }
+
+    findReceipt(periodId) {
+        return this.receipts.find(receipt => receipt.period === periodId) || null;
+    }
+
+    /**
+     * Settle outstanding costs for the current billing period
+     * Idempotent per period: a second call returns the period's existing receipt
+     */
     async payComputeCosts(amount) {
+        const period = this.getBillingPeriod();
+        const key = `compute-${period.id}`;
+        const method = this.paperLedger ? 'paper' : this.settlement.method;
+        
+        const existing = this.findReceipt(period.id);
+        if (existing) {
+            this.logger.info(`↩️ Compute costs for ${period.id} already settled (${existing.id})`);
+            return existing;
+        }
+        if (amount > this.settlement.capUsd) {
+            throw new Error(`Compute payment $${amount.toFixed(4)} exceeds the $${this.settlement.capUsd} per-period cap`);
+        }
+        
         try {
-            this.logger.info(`💳 Paying compute costs: $${amount.toFixed(4)}`);
+            this.logger.info(`💳 Paying compute costs: $${amount.toFixed(4)} via ${method}`);
             
-            // Record the payment (simulated for demo)
-            // In production, this would make actual payments for cloud compute
-            const payment = {
-                amount: amount,
-                timestamp: Date.now(),
+            const { result, attempts } = await withRetry(() => this.settle(method, amount, key, period), {
+                maxAttempts: this.settlement.maxAttempts,
+                baseDelayMs: this.settlement.retryDelayMs,
+                onRetry: (error, attempt, delay) => this.logger.warn(`⚠️ Compute payment attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`)
+            });
+            
+            const receipt = {
+                id: key,
+                period: period.id,
+                amount,
+                asset: 'usdc',
+                method,
+                txHash: result.txHash || null,
+                payee: method === 'x402' ? this.settlement.url : method === 'transfer' ? this.settlement.payee : null,
+                reference: result.reference || null,
+                attempts,
+                simulated: method === 'simulated',
+                timestamp: this.clock.now(),
                 type: 'compute_payment',
                 autonomous: true,
-                description: `Autonomous payment for ${((Date.now() - this.costs.compute.lastPayment) / (1000 * 60 * 60)).toFixed(2)} hours of operation`
+                description: `Autonomous payment for ${((this.clock.now() - Math.max(this.lastPaymentAt, this.startTime)) / (1000 * 60 * 60)).toFixed(2)} hours of metered costs`
             };
             
-            // Update cost tracking
-            this.costs.compute.total += amount;
-            this.costs.compute.lastPayment = Date.now();
-            
-            // Log for hackathon transparency - this is what makes us truly autonomous!
-            this.logger.info('🤖 AUTONOMOUS SELF-PAYMENT EXECUTED:', payment);
+            // Settles costs already recorded as incurred; only the USDC leaving the treasury is booked
+            this.receipts.push(receipt);
+            await this.repository?.append('payments', receipt);
+            this.outstanding = Math.max(0, this.outstanding - amount);
+            this.lastPaymentAt = receipt.timestamp;
+            if (!receipt.simulated) {
+                await this.accountant?.recordSettlement({ asset: 'usdc', amount, usd: amount, reference: key });
+            }
             
             // Record as autonomous behavior
-            this.recordAutonomousPayment(payment);
+            this.recordAutonomousPayment(receipt);
             
-            return payment;
+            return receipt;
             
         } catch (error) {
-            this.logger.error('❌ Failed to pay compute costs:', error);
+            this.logger.error('❌ Failed to pay compute costs:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Move the money; resolves to { txHash, reference }
+     */
+    async settle(method, amount, key, period) {
+        switch (method) {
+            case 'x402': {
+                const result = await this.wallet.makeX402Payment(this.settlement.url, {
+                    amount,
+                    currency: 'USD',
+                    period: period.id,
+                    idempotencyKey: key
+                }, {
+                    headers: { 'Idempotency-Key': key },
+                    idempotencyKey: key,
+                    amountUsd: amount,
+                    meter: false, // Settling costs is not itself a cost
+                    retry: false  // payComputeCosts retries the whole settlement
+                });
+                // Unpaid, the payee settled nothing now: only its receipt for this key (or duplicate
+                // marker) in a 2xx answer proves an earlier payment, anything else stays outstanding
+                const response = result.response || {};
+                if (!result.paid && !(response.status >= 200 && response.status < 300 && (response.body?.receiptId || response.body?.duplicate))) {
+                    const error = new Error(`Payee did not settle ${key}: ${response.status ?? 'no response'} ${JSON.stringify(response.body ?? null)}`);
+                    error.status = response.status; // 5xx and 429 are retried, the next cycle retries the rest
+                    throw error;
+                }
+                return {
+                    txHash: result.payment?.txHash || result.payment?.transaction || null,
+                    reference: response.body?.receiptId || (result.paid ? null : 'already_settled')
+                };
+            }
+            case 'transfer': {
+                const result = await this.wallet.transferSolana(
+                    this.settlement.payee,
+                    Math.round(amount * Math.pow(10, USDC_DECIMALS)).toString(),
+                    'usdc',
+                    this.settlement.network,
+                    { idempotencyKey: key, retry: false }
+                );
+                return { txHash: result.txHash || result.signature || null, reference: result.id || null };
+            }
+            case 'paper':
+                this.paperLedger.debit('usdc', amount);
+                await this.paperLedger.save();
+                return { txHash: `paper-${key}`, reference: null };
+            default:
+                // No payee configured, nothing leaves the treasury
+                return { txHash: null, reference: null };
+        }
+    }
+
     recordAutonomousPayment(payment) {
         // This is the key differentiator - the agent pays its own bills!
         const autonomousRecord = {
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             action: 'self_payment',
             amount: payment.amount,
             type: payment.type,
-            proof: 'agent_initiated_payment',
-            economicSelfSufficiency: true,
+            method: payment.method,
+            txHash: payment.txHash,
+            proof: payment.simulated ? 'simulated_no_payee_configured' : 'agent_initiated_payment',
+            economicSelfSufficiency: !payment.simulated,
             hackathonGoal: 'First AI agent to pay its own operational costs'
         };
         
-        this.logger.info('📊 ECONOMIC SELF-SUFFICIENCY ACHIEVED:', autonomousRecord);
+        this.logger.info(payment.simulated ? '📝 Self-payment simulated (no payee configured):' : '📊 ECONOMIC SELF-SUFFICIENCY ACHIEVED:', autonomousRecord);
+    }
+
+    /**
+     * Stored compute payment receipts, oldest first
+     */
+    getReceipts() {
+        return this.receipts;
     }
 
-    async recordAPICost(endpoint, cost) {
-        this.costs.api.total += cost;
-        this.logger.info(`📡 API cost recorded: ${endpoint} - $${cost.toFixed(4)}`);
+    getTotalCosts() {
+        return this.costs.compute.total + this.costs.api.total + this.costs.transactions.total;
     }
 
-    async recordTransactionCost(txHash, cost) {
-        this.costs.transactions.total += cost;
-        this.logger.info(`⛽ Transaction cost recorded: ${txHash} - $${cost.toFixed(4)}`);
+    /**
+     * Recorded cost entries, optionally only those attributed to a cycle or decision
+     */
+    async getCostEntries({ cycleId, decisionId } = {}) {
+        const entries = this.repository ? await this.repository.readAll('costs') : [];
+        return entries.filter(entry => (!cycleId || entry.cycleId === cycleId) && (!decisionId || entry.decisionId === decisionId));
     }
 
     async getOperationalStats() {
-        const now = Date.now();
+        const now = this.clock.now();
         const runtimeHours = (now - this.startTime) / (1000 * 60 * 60);
-        const totalCosts = this.costs.compute.total + this.costs.api.total + this.costs.transactions.total;
+        const totalCosts = this.getTotalCosts();
         
         return {
             runtime: {
                 hours: runtimeHours,
                 startTime: this.startTime,
+                lifetimeStartTime: this.lifetimeStartTime,
                 currentTime: now
             },
             costs: {
                 compute: this.costs.compute.total,
                 api: this.costs.api.total,
                 transactions: this.costs.transactions.total,
-                total: totalCosts
+                total: totalCosts,
+                outstanding: this.outstanding
+            },
+            payments: {
+                method: this.paperLedger ? 'paper' : this.settlement.method,
+                count: this.receipts.length,
+                total: this.receipts.reduce((sum, receipt) => sum + receipt.amount, 0),
+                lastPaymentAt: this.lastPaymentAt || null
+            },
+            survival: {
+                mode: this.mode,
+                since: this.modeSince,
+                runwayDays: this.lastRunway?.days ?? null,
+                exhaustedAt: this.lastRunway?.exhaustedAt ?? null
             },
             efficiency: {
                 costPerHour: totalCosts / Math.max(runtimeHours, 0.1),
@@ -141,6 +381,90 @@ export class CostManager {
         };
     }
 
+    getDailyBurnRate() {
+        // USD per day: the configured infrastructure rates, or observed spend if that runs higher
+        const configured = Object.values(this.rates).reduce((sum, rate) => sum + rate, 0) * 24;
+        const lifetimeDays = (this.clock.now() - this.lifetimeStartTime) / (1000 * 60 * 60 * 24);
+        if (lifetimeDays < 1) return configured;
+        
+        return Math.max(configured, this.getTotalCosts() / lifetimeDays);
+    }
+
+    /**
+     * Days until liquid USDC is exhausted, after paying what is outstanding
+     * holdings - Portfolio holdings; yield is their value times APY, as if it were paid out daily
+     *
+     * Returns { days, liquidUsdc, dailyBurn, dailyYield, netDailyBurn, exhaustedAt },
+     * days and exhaustedAt are null when yield covers the burn
+     */
+    forecastRunway(holdings = []) {
+        const liquidUsdc = holdings
+            .filter(h => h.kind === 'liquid' && h.asset === 'usdc')
+            .reduce((sum, h) => sum + h.amount, 0);
+        const dailyYield = holdings
+            .reduce((sum, h) => sum + (h.yieldSource?.apy ? h.value * h.yieldSource.apy / 365 : 0), 0);
+        const dailyBurn = this.getDailyBurnRate();
+        const netDailyBurn = dailyBurn - dailyYield;
+        
+        const days = netDailyBurn > 0 ? Math.max(0, liquidUsdc - this.outstanding) / netDailyBurn : null;
+        
+        return {
+            days,
+            liquidUsdc,
+            dailyBurn,
+            dailyYield,
+            netDailyBurn,
+            exhaustedAt: days === null ? null : this.clock.now() + days * DAY_MS
+        };
+    }
+
+    /**
+     * Move the normal → conserve → survival state machine to match a runway forecast
+     * Returns { mode, previous, changed, runway }
+     */
+    updateSurvivalMode(runway) {
+        const previous = this.mode;
+        const days = runway.days ?? Infinity;
+        const { conserveDays, survivalDays } = this.runwayThresholds;
+        const classify = margin => days < survivalDays * margin ? 'survival'
+            : days < conserveDays * margin ? 'conserve'
+            : 'normal';
+        
+        let mode = classify(1);
+        if (SURVIVAL_MODES.indexOf(mode) < SURVIVAL_MODES.indexOf(previous)) {
+            const recovered = classify(RECOVERY_MARGIN);
+            mode = SURVIVAL_MODES.indexOf(recovered) < SURVIVAL_MODES.indexOf(previous) ? recovered : previous;
+        }
+        
+        this.lastRunway = runway;
+        const changed = mode !== previous;
+        if (changed) {
+            this.mode = mode;
+            this.modeSince = this.clock.now();
+            this.logger.warn(`🚦 Survival mode ${previous} → ${mode}: ${days === Infinity ? 'yield covers the burn' : `${days.toFixed(1)} days of runway`}`);
+        }
+        
+        return { mode, previous, changed, runway };
+    }
+
+    /**
+     * USD of liquid USDC missing to leave survival: conserveDays of net burn with margin, plus what is outstanding
+     */
+    getReserveShortfall(runway) {
+        const target = this.runwayThresholds.conserveDays * RECOVERY_MARGIN * Math.max(runway.netDailyBurn, 0) + this.outstanding;
+        return Math.max(0, target - runway.liquidUsdc);
+    }
+
+    getSurvivalStatus() {
+        return {
+            mode: this.mode,
+            since: this.modeSince,
+            profile: SURVIVAL_PROFILES[this.mode],
+            thresholds: this.runwayThresholds,
+            runway: this.lastRunway
+        };
+    }
+
     async calculateROI(portfolioValue) {
         const stats = await this.getOperationalStats();
         const netValue = portfolioValue - stats.costs.total;
@@ -156,38 +480,25 @@ export class CostManager {
         };
     }
 
-    // Simulate actual compute payment in production environment
-    async makeActualPayment(amount, provider = 'cloud_compute') {
-        // This would integrate with actual payment systems in production
-        this.logger.info(`💸 Making actual payment: $${amount} to ${provider}`);
-        
-        try {
-            // For demo, use x402 micropayment system
-            // In production, this would pay actual cloud providers
-            const mockPayment = {
-                provider,
-                amount,
-                method: 'x402_micropayment',
-                status: 'completed',
-                timestamp: Date.now(),
-                autonomous: true
-            };
-            
-            this.logger.info('✅ Payment completed:', mockPayment);
-            return mockPayment;
-            
-        } catch (error) {
-            this.logger.error('❌ Payment failed:', error);
-            throw error;
-        }
-    }
-
     getCostBreakdown() {
         return {
             rates: this.rates,
             accumulated: this.costs,
+            outstanding: this.outstanding,
             startTime: this.startTime,
-            autonomousPayments: this.costs.compute.lastPayment > 0
+            autonomousPayments: this.lastPaymentAt > 0
         };
     }
-}
\ No newline at end of file
+}
+
+function parseRates(value) {
+    const rates = {};
+    for (const pair of value.split(',').map(s => s.trim()).filter(Boolean)) {
+        const [name, rate] = pair.split(':');
+        if (!name || !Number.isFinite(Number(rate))) {
+            throw new Error(`Invalid infrastructure rate "${pair}", expected name:usdPerHour`);
+        }
+        rates[name.trim()] = Number(rate);
+    }
+    return rates;
+}
@@ -0,0 +1,195 @@
+import { Logger } from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// USD per million tokens; OpenRouter's free models and local inference cost nothing per token
+export const DEFAULT_MODEL_PRICING = {
+    'huggingface/meta-llama/Meta-Llama-3.1-8B-Instruct': { prompt: 0, completion: 0 },
+    'microsoft/phi-3-mini-128k-instruct': { prompt: 0, completion: 0 },
+    'google/gemma-2-9b-it': { prompt: 0, completion: 0 },
+    'meta-llama/llama-3.2-3b-instruct': { prompt: 0, completion: 0 },
+    'llama3.1:latest': { prompt: 0, completion: 0 },
+    'mock': { prompt: 0, completion: 0 }
+};
+
+/**
+ * Cost Meter - Records what the agent actually spends, at the source
+ *   llm             - token usage from provider responses, priced per model (OpenRouter's reported cost wins)
+ *   network fees    - fees read from confirmed transactions, paid in kind out of the treasury
+ *   x402            - payments made through AgentWallet.makeX402Payment
+ *   infrastructure  - CostManager.rates (USD/hour) accrued for the time between cycles
+ *
+ * Every cost is stamped with the cycle and decision in progress when it was incurred and
+ * recorded through CostManager.recordCost.
+ */
+export class CostMeter {
+    constructor(options = {}) {
+        this.logger = new Logger('COST_METER');
+        this.costManager = options.costManager;
+        this.priceOracle = options.priceOracle || null;
+        this.clock = options.clock || Date;
+        this.modelPricing = {
+            ...DEFAULT_MODEL_PRICING,
+            ...(options.modelPricing || parseModelPricing(process.env.LLM_MODEL_PRICING))
+        };
+
+        this.context = { cycleId: null, decisionId: null };
+        this.cycle = emptyCycle(null);
+        // Downtime between restarts is not billed
+        this.lastAccrualAt = this.clock.now();
+        this.unpricedModels = new Set();
+    }
+
+    beginCycle(cycleId) {
+        this.context = { cycleId, decisionId: null };
+        this.cycle = emptyCycle(cycleId);
+    }
+
+    setDecision(decisionId) {
+        this.context = { ...this.context, decisionId };
+    }
+
+    /**
+     * Costs incurred so far in the current cycle, { cycleId, total, byCategory }
+     */
+    getCycleCosts() {
+        return { ...this.cycle, byCategory: { ...this.cycle.byCategory } };
+    }
+
+    async record(category, usd, reference, payment, details) {
+        const entry = await this.costManager.recordCost(category, usd, reference, payment, {
+            cycleId: this.context.cycleId,
+            decisionId: this.context.decisionId,
+            ...details
+        });
+
+        this.cycle.total += usd;
+        this.cycle.byCategory[category] = (this.cycle.byCategory[category] || 0) + usd;
+        return entry;
+    }
+
+    /**
+     * answer - an LLMRouter result, { provider, model, usage }
+     */
+    async recordLLMUsage({ provider, model, usage }) {
+        if (!usage) return null;
+
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens || 0;
+        const pricing = this.modelPricing[model];
+
+        let usd = 0;
+        if (Number.isFinite(usage.cost)) {
+            usd = usage.cost;
+        } else if (pricing) {
+            usd = (promptTokens * pricing.prompt + completionTokens * pricing.completion) / 1e6;
+        } else if (!this.unpricedModels.has(model)) {
+            this.unpricedModels.add(model);
+            this.logger.warn(`⚠️ No pricing for model ${model}, metering its tokens at $0 (set LLM_MODEL_PRICING)`);
+        }
+
+        this.logger.info(`🧮 ${provider}: ${promptTokens}+${completionTokens} tokens, $${usd.toFixed(6)}`);
+        return await this.record('api', usd, `llm:${provider}`, null, {
+            source: 'llm',
+            provider,
+            model,
+            promptTokens,
+            completionTokens,
+            priced: Number.isFinite(usage.cost) || Boolean(pricing)
+        });
+    }
+
+    /**
+     * USD per million prompt plus completion tokens, null for models without pricing
+     */
+    getModelPrice(model) {
+        const pricing = this.modelPricing[model];
+        return pricing ? pricing.prompt + pricing.completion : null;
+    }
+
+    /**
+     * fee - { asset, amount } paid out of the treasury, as read from the confirmed transaction
+     * usd - the fee's value when the caller already knows it (paper fills)
+     */
+    async recordTransactionFee(txHash, fee, usd = null) {
+        const value = usd ?? await this.valueOf(fee.asset, fee.amount);
+
+        this.logger.info(`⛽ Network fee ${txHash}: ${fee ? `${fee.amount} ${fee.asset.toUpperCase()}, ` : ''}$${(value ?? 0).toFixed(6)}`);
+        return await this.record('transactions', value ?? 0, txHash, fee, {
+            source: 'network_fee',
+            priced: value !== null
+        });
+    }
+
+    /**
+     * result - AgentWallet.makeX402Payment response; only settled payments are costs
+     */
+    async recordX402Payment(url, result, category = 'api') {
+        if (!result?.paid) return null;
+
+        const asset = (result.payment.asset || 'usdc').toLowerCase();
+        const amount = parsePaymentAmount(result.payment);
+        const usd = await this.valueOf(asset, amount);
+
+        this.logger.info(`💳 x402 payment to ${url}: ${amount} ${asset.toUpperCase()}`);
+        return await this.record(category, usd ?? 0, url, { asset, amount }, {
+            source: 'x402',
+            chain: result.payment.chain || null,
+            txHash: result.payment.txHash || result.payment.transaction || null,
+            priced: usd !== null
+        });
+    }
+
+    /**
+     * Bill every configured infrastructure rate for the time since the last accrual
+     */
+    async accrueInfrastructure() {
+        const now = this.clock.now();
+        const hours = (now - this.lastAccrualAt) / HOUR_MS;
+        this.lastAccrualAt = now;
+        if (hours <= 0) return [];
+
+        const entries = [];
+        for (const [resource, rate] of Object.entries(this.costManager.rates)) {
+            entries.push(await this.record('compute', hours * rate, `infra:${resource}`, null, {
+                source: 'infrastructure',
+                resource,
+                hours
+            }));
+        }
+        return entries;
+    }
+
+    async valueOf(asset, amount) {
+        const quote = await this.priceOracle?.getPrice(asset);
+        if (!quote) {
+            this.logger.warn(`⚠️ No ${asset.toUpperCase()} price, cost recorded at $0`);
+            return null;
+        }
+        return amount * quote.price;
+    }
+}
+
+function emptyCycle(cycleId) {
+    return { cycleId, total: 0, byCategory: {} };
+}
+
+// x402 facilitators report either base units with decimals or a formatted string like "0.01 USDC"
+export function parsePaymentAmount(payment) {
+    if (payment.amount !== undefined && payment.decimals !== undefined) {
+        return Number(payment.amount) / Math.pow(10, payment.decimals);
+    }
+    return Number(String(payment.amountFormatted ?? payment.amount).replace(/[^0-9.]/g, ''));
+}
+
+/**
+ * LLM_MODEL_PRICING - JSON of model → { prompt, completion } in USD per million tokens
+ */
+function parseModelPricing(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`LLM_MODEL_PRICING is not valid JSON: ${error.message}`);
+    }
+}
@@ -4,19 +4,85 @@ const logger = new Logger('DFlowTrader');
 /**
  * DFlow Prediction Market Trader
  * Trades Kalshi prediction markets via DFlow API on Solana
+ * Every trade is appended to the repository's 'predictions' collection as submitted, then as
+ * finalized/failed/expired once its signature resolves; positions only move on finalized trades
+ * and are rebuilt from the collection after a restart.
  */
 class DFlowTrader {
   constructor(config = {}) {
     this.apiKey = config.apiKey || process.env.DFLOW_API_KEY;
     this.baseURL = config.baseURL || 'https://quote-api.dflow.net';
-    this.wallet = config.wallet; // Solana wallet for signing
+    this.wallet = config.wallet; // AgentWallet, signs trades
+    this.rpc = config.rpc; // SolanaRpc the signed trades are submitted to
     this.minConfidence = config.minConfidence || 0.6;
     this.maxPositionSize = config.maxPositionSize || 0.1; // 10% of treasury max
+    this.repository = config.repository || null;
+    this.clock = config.clock || Date;
     
     this.positions = new Map();
+    this.trades = new Map(); // signature → trade
     this.watchlist = new Set();
   }
 
+  /**
+   * Rebuild trades and positions after a restart
+   */
+  async restore() {
+    if (!this.repository) return;
+
+    const records = await this.repository.readAll('predictions');
+    this.trades = new Map();
+    this.positions = new Map();
+    for (const record of records) {
+      this.apply(record);
+    }
+
+    const pending = this.getPendingTrades().length;
+    logger.info(`Restored ${this.trades.size} prediction trades, ${this.positions.size} positions${pending > 0 ? `, ${pending} awaiting confirmation` : ''}`);
+  }
+
+  apply(record) {
+    const trade = { ...this.trades.get(record.signature), ...record };
+    this.trades.set(record.signature, trade);
+    if (record.status === 'finalized') {
+      this.trackPosition(trade.ticker, trade.side, trade.amount, trade.price, record.timestamp);
+    }
+  }
+
+  async recordTrade(signature, status, details = {}) {
+    const record = { signature, status, ...details, timestamp: this.clock.now() };
+    this.apply(record);
+    await this.repository?.append('predictions', record);
+    return this.trades.get(signature);
+  }
+
+  /**
+   * entry - ConfirmationTracker entry of a resolved transaction
+   * Settles the submitted trade it belongs to, null when it is not one
+   */
+  async settleTrade(entry) {
+    if (this.trades.get(entry.txHash)?.status !== 'submitted') return null;
+
+    const trade = await this.recordTrade(entry.txHash, entry.status, entry.error ? { error: entry.error } : {});
+    if (trade.status !== 'finalized') {
+      logger.warn(`Trade ${trade.signature} ${trade.status}, ${trade.ticker} position unchanged`);
+    }
+    return trade;
+  }
+
+  getPendingTrades() {
+    return Array.from(this.trades.values()).filter(trade => trade.status === 'submitted');
+  }
+
+  /**
+   * Outcome tokens of ticker that submitted sells are still waiting to take out
+   */
+  getPendingSells(ticker) {
+    return this.getPendingTrades()
+      .filter(trade => trade.ticker === ticker && trade.side === 'sell')
+      .reduce((sum, trade) => sum + trade.amount, 0);
+  }
+
   /**
    * Make API request
    */
@@ -174,8 +240,8 @@ class DFlowTrader {
    */
   async executeTrade(quoteResponse) {
     try {
-      if (!this.wallet) {
-        throw new Error('Wallet not configured for trade execution');
+      if (!this.wallet || !this.rpc) {
+        throw new Error('Wallet and Solana RPC not configured for trade execution');
       }
 
       // Get transaction from quote
@@ -186,14 +252,19 @@ class DFlowTrader {
         })
       });
 
-      // Sign and send transaction
-      const signedTx = await this.wallet.signTransaction(txData.transaction);
-      const signature = await this.wallet.sendTransaction(signedTx);
+      // Sign through AgentWallet and submit, confirmation is followed by the caller
+      const { signedTransaction } = await this.wallet.signTransaction('solana', txData.transaction);
+      const signature = await this.rpc.sendTransaction(signedTransaction);
 
-      logger.info(`Trade executed: ${signature}`);
+      logger.info(`Trade submitted: ${signature}`);
       
-      // Track position
-      this.trackPosition(quoteResponse.ticker, quoteResponse.side, quoteResponse.amount);
+      // The position moves once settleTrade sees the signature finalized
+      await this.recordTrade(signature, 'submitted', {
+        ticker: quoteResponse.ticker,
+        side: quoteResponse.side,
+        amount: quoteResponse.amount,
+        price: quoteResponse.price ?? null
+      });
 
       return {
         signature,
@@ -240,21 +311,29 @@ class DFlowTrader {
   }
 
   /**
-   * Track a position
+   * Apply a finalized fill to its position
+   * costBasis is the USD paid for the tokens still held (null once a fill had no price)
    */
-  trackPosition(ticker, side, amount) {
-    const position = this.positions.get(ticker) || { amount: 0, entries: [] };
+  trackPosition(ticker, side, amount, price = null, timestamp = this.clock.now()) {
+    const position = this.positions.get(ticker) || { amount: 0, costBasis: 0, lastPrice: null, entries: [] };
+    const hasPrice = Number.isFinite(price);
     
     if (side === 'buy') {
+      position.costBasis = hasPrice && position.costBasis !== null ? position.costBasis + amount * price : null;
       position.amount += amount;
     } else {
+      if (position.costBasis !== null && position.amount > 0) {
+        position.costBasis -= position.costBasis * Math.min(amount / position.amount, 1);
+      }
       position.amount -= amount;
     }
+    if (hasPrice) position.lastPrice = price;
     
     position.entries.push({
       side,
       amount,
-      timestamp: Date.now()
+      price,
+      timestamp
     });
     
     this.positions.set(ticker, position);
@@ -268,6 +347,23 @@ class DFlowTrader {
     return Object.fromEntries(this.positions);
   }
 
+  /**
+   * Open positions as Portfolio position entries (kind 'outcome'), valued at the last fill price
+   */
+  getPortfolioPositions() {
+    return Array.from(this.positions.entries())
+      .filter(([, position]) => position.amount > 0)
+      .map(([ticker, position]) => ({
+        kind: 'outcome',
+        protocol: 'dflow',
+        chain: 'solana',
+        asset: ticker,
+        amount: position.amount,
+        price: position.lastPrice,
+        costBasis: position.costBasis
+      }));
+  }
+
   /**
    * Add to watchlist
    */
@@ -0,0 +1,68 @@
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Holdings Reconciler - Compares what the books say the treasury holds with what it actually holds
+ * Expected units per asset come from the PnLAccountant's open lots, which every recorded flow,
+ * swap, fee and settlement moves; actual units are the observed holdings across wallets and
+ * protocols. An asset diverges when the difference is worth more than both toleranceUsd and
+ * tolerancePct of its expected value.
+ *
+ * Runs at most once per intervalMs, and must run before accountant.mark() absorbs the difference.
+ */
+export class HoldingsReconciler {
+    constructor(options = {}) {
+        this.logger = new Logger('RECONCILER');
+        this.accountant = options.accountant;
+        this.clock = options.clock || Date;
+        this.intervalMs = options.intervalMs ?? parseInt(process.env.RECONCILE_INTERVAL_MS || '3600000');
+        this.toleranceUsd = options.toleranceUsd ?? parseFloat(process.env.RECONCILE_TOLERANCE_USD || '1');
+        this.tolerancePct = options.tolerancePct ?? parseFloat(process.env.RECONCILE_TOLERANCE_PCT || '0.01');
+        this.lastRunAt = null;
+        this.lastReport = null;
+    }
+
+    isDue() {
+        return this.lastRunAt === null || this.clock.now() - this.lastRunAt >= this.intervalMs;
+    }
+
+    /**
+     * holdings, unpriced - as in assessCurrentState; unpriced assets are valued at the last mark's price
+     * Returns { checkedAt, assets, discrepancies: [{ asset, expected, actual, diff, diffUsd }] }
+     */
+    reconcile({ holdings = [], unpriced = [] }) {
+        const actual = {};
+        const prices = { ...this.accountant.marks[this.accountant.marks.length - 1]?.prices };
+        for (const holding of [...holdings, ...unpriced]) {
+            actual[holding.asset] = (actual[holding.asset] || 0) + holding.amount;
+            if (holding.price) prices[holding.asset] = holding.price;
+        }
+
+        const assets = new Set([...Object.keys(actual), ...Object.keys(this.accountant.lots)]);
+        const discrepancies = [];
+        for (const asset of assets) {
+            const expected = this.accountant.unitsOf(asset);
+            const held = actual[asset] || 0;
+            const price = prices[asset];
+            const diff = held - expected;
+            if (!price || diff === 0) continue;
+
+            const diffUsd = diff * price;
+            const limit = Math.max(this.toleranceUsd, expected * price * this.tolerancePct);
+            if (Math.abs(diffUsd) > limit) {
+                discrepancies.push({ asset, expected, actual: held, diff, diffUsd });
+            }
+        }
+
+        this.lastRunAt = this.clock.now();
+        this.lastReport = { checkedAt: this.lastRunAt, assets: assets.size, discrepancies };
+
+        if (discrepancies.length > 0) {
+            for (const d of discrepancies) {
+                this.logger.warn(`⚠️ ${d.asset.toUpperCase()}: expected ${d.expected.toFixed(6)}, holding ${d.actual.toFixed(6)} ($${d.diffUsd.toFixed(2)})`);
+            }
+        } else {
+            this.logger.info(`🧮 Holdings reconciled: ${assets.size} assets within tolerance`);
+        }
+        return this.lastReport;
+    }
+}
@@ -0,0 +1,515 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { Logger } from '../utils/logger.js';
+import { getAssetInfo } from '../utils/assets.js';
+import { getChainInfo, resolveChain } from '../utils/chains.js';
+import { describeOutput } from '../protocols/jupiter-client.js';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Paper Ledger - Simulated execution backend for DeFiStrategies
+ * Applies lend/stake/withdraw/unstake/swap/rebalance to an in-memory position book so the
+ * full TreasuryAgent loop can run for days without touching real funds
+ * Liquid funds live on the home chain unless bridged elsewhere; positions draw from and return to
+ * the chain of their protocol
+ */
+export class PaperLedger {
+    constructor(options = {}) {
+        this.logger = new Logger('PAPER_LEDGER');
+        this.priceOracle = options.priceOracle;
+        this.costMeter = options.costMeter || null; // Meters the fees it charges, when wired
+        // Network fee of every paper fill, the stand-in for the network fees metered live
+        this.feeUsd = options.feeUsd ?? parseFloat(process.env.PAPER_TX_FEE_USD || '0.005');
+        this.rateProvider = options.rateProvider || null; // (protocol) => current APY
+        this.swapQuoter = options.swapQuoter || null; // JupiterClient, fills swaps at quoted output instead of oracle prices
+        this.clock = options.clock || Date;
+        this.filePath = options.filePath || null;
+        this.address = options.address || 'paper-wallet';
+        this.chain = options.chain || 'solana';
+
+        this.balances = {};   // Liquid holdings on the home chain in token units
+        this.chainBalances = {}; // Liquid holdings on other chains, { chain: { asset: amount } }
+        this.positions = [];  // Open lending/staking positions
+        this.unbonding = [];  // Delayed unstakes waiting out their unbonding period
+        this.trades = [];     // Execution history
+        this.feesPaid = 0;
+        this.txCounter = 0;
+
+        if (options.initialBalances) {
+            this.seed(options.initialBalances);
+        }
+    }
+
+    async initialize(fallbackBalances = null) {
+        const loaded = await this.load();
+
+        if (!loaded && Object.keys(this.balances).length === 0 && fallbackBalances) {
+            // Start the paper book from a snapshot of the real wallet
+            this.seedFromWalletBalances(await fallbackBalances());
+        }
+
+        this.accrue();
+        this.logger.info(`📒 Paper ledger ready: ${this.describeBalances()} (${this.positions.length} open positions)`);
+    }
+
+    seed(balances) {
+        this.balances = {};
+        this.chainBalances = {};
+        for (const [asset, amount] of Object.entries(balances)) {
+            this.balances[asset.toLowerCase()] = Number(amount);
+        }
+    }
+
+    seedFromWalletBalances(walletBalances) {
+        this.seed({});
+        for (const wallet of [...(walletBalances.solanaWallets || []), ...(walletBalances.evmWallets || [])]) {
+            for (const balance of wallet.balances || []) {
+                const asset = balance.asset.toLowerCase();
+                const amount = parseFloat(balance.rawValue) / Math.pow(10, balance.decimals);
+                this.credit(asset, amount, resolveChain(balance.chain) || balance.chain);
+            }
+        }
+    }
+
+    /**
+     * Accrue yield on every open position up to the current clock time
+     */
+    accrue(now = this.clock.now()) {
+        this.settleUnbonding(now);
+
+        for (const position of this.positions) {
+            const elapsed = now - position.lastAccrual;
+            if (elapsed <= 0) continue;
+
+            const apy = this.rateProvider?.(position.protocol) ?? position.apy;
+            const earned = position.amount * apy * (elapsed / YEAR_MS);
+
+            position.amount += earned;
+            position.accrued += earned;
+            position.apy = apy;
+            position.lastAccrual = now;
+        }
+    }
+
+    async lend(params, strategy) {
+        return this.openPosition('lending', params, strategy);
+    }
+
+    async stake(params, strategy) {
+        return this.openPosition('staking', params, strategy);
+    }
+
+    async openPosition(type, params, strategy) {
+        this.accrue();
+
+        const asset = this.requireAsset(params.asset);
+        const amount = this.requireAmount(params.amount);
+        const protocol = params.target.toLowerCase();
+        const chain = strategy?.chain || this.chain;
+        const quote = await this.priceOracle.getPrice(asset);
+
+        this.debit(asset, amount, chain);
+
+        let position = this.positions.find(p => p.type === type && p.protocol === protocol && p.asset === asset);
+        if (!position) {
+            position = {
+                id: `${type}-${protocol}-${asset}`,
+                type,
+                protocol,
+                chain,
+                asset,
+                amount: 0,
+                principal: 0,
+                costBasis: 0, // USD paid in, null once any part of it could not be priced
+                accrued: 0,
+                apy: strategy?.expectedAPY || 0,
+                openedAt: this.clock.now(),
+                lastAccrual: this.clock.now()
+            };
+            this.positions.push(position);
+        }
+
+        const basis = position.costBasis === undefined ? null : position.costBasis;
+        position.amount += amount;
+        position.principal += amount;
+        position.costBasis = quote && basis !== null ? basis + amount * quote.price : null;
+
+        return this.recordTrade(type === 'lending' ? 'lend' : 'stake', { asset, amount, protocol });
+    }
+
+    async withdraw(params) {
+        this.accrue();
+
+        const asset = this.requireAsset(params.asset);
+        const { amount, chain } = this.closeAmount('lending', params.target, asset, params.amount);
+
+        this.credit(asset, amount, chain);
+
+        return this.recordTrade('withdraw', { asset, amount, protocol: params.target.toLowerCase() });
+    }
+
+    /**
+     * terms - { mode, unbondingDays, fee } from DeFiStrategies.getUnstakeTerms
+     * Instant unstakes pay the fee and return liquid funds now; delayed ones unlock after unbondingDays
+     */
+    async unstake(params, terms) {
+        this.accrue();
+
+        const asset = this.requireAsset(params.asset);
+        const protocol = params.target.toLowerCase();
+        const { amount, costBasis } = this.closeAmount('staking', protocol, asset, params.amount);
+
+        if (terms.mode === 'instant') {
+            const received = amount * (1 - terms.fee);
+            this.credit(asset, received);
+            return this.recordTrade('unstake', { asset, amount, protocol, mode: terms.mode, received });
+        }
+
+        const availableAt = this.clock.now() + terms.unbondingDays * 24 * 60 * 60 * 1000;
+        this.unbonding.push({ protocol, asset, amount, costBasis, requestedAt: this.clock.now(), availableAt });
+
+        return {
+            ...await this.recordTrade('unstake', { asset, amount, protocol, mode: terms.mode, availableAt }),
+            availableAt
+        };
+    }
+
+    /**
+     * Take amount out of an open position, principal and cost basis shrink pro rata with the withdrawal
+     * Returns { amount, costBasis, chain } of the part taken
+     */
+    closeAmount(type, protocol, asset, amount) {
+        const value = this.requireAmount(amount);
+        const name = protocol?.toLowerCase();
+        const position = this.positions.find(p => p.type === type && p.protocol === name && p.asset === asset);
+
+        // Tolerate rounding when closing a whole position
+        if (!position || position.amount < value * (1 - 1e-9)) {
+            throw new Error(`Insufficient paper position: ${value} ${asset.toUpperCase()} requested from ${protocol}, ${position?.amount || 0} held`);
+        }
+
+        const taken = Math.min(value, position.amount);
+        const share = taken / position.amount;
+        const costBasis = position.costBasis == null ? null : position.costBasis * share;
+        position.principal -= position.principal * share;
+        if (costBasis !== null) position.costBasis -= costBasis;
+        position.amount -= taken;
+
+        if (position.amount <= 1e-12) {
+            this.positions = this.positions.filter(p => p !== position);
+        }
+
+        return { amount: taken, costBasis, chain: position.chain || this.chain };
+    }
+
+    settleUnbonding(now) {
+        const matured = this.unbonding.filter(u => u.availableAt <= now);
+        if (matured.length === 0) return;
+
+        for (const entry of matured) {
+            this.credit(entry.asset, entry.amount);
+            this.logger.info(`🔓 Unbonded ${entry.amount.toFixed(6)} ${entry.asset.toUpperCase()} from ${entry.protocol}`);
+        }
+        this.unbonding = this.unbonding.filter(u => u.availableAt > now);
+    }
+
+    async swap(params) {
+        this.accrue();
+
+        const from = this.requireAsset(params.asset);
+        const to = this.requireAsset(params.target);
+        const amount = this.requireAmount(params.amount);
+
+        let received;
+        let output = null;
+        if (this.swapQuoter) {
+            const quote = await this.swapQuoter.quote({ ...params, asset: from, target: to, amount });
+            received = quote.expectedOutput;
+            output = describeOutput(quote, received);
+        } else {
+            const prices = await this.priceOracle.getPrices([from, to]);
+            if (!prices[from] || !prices[to]) {
+                throw new Error(`Cannot paper-swap ${from} → ${to}: missing price`);
+            }
+            received = amount * prices[from].price / prices[to].price;
+        }
+
+        this.debit(from, amount);
+        this.credit(to, received);
+
+        const trade = await this.recordTrade('swap', { asset: from, amount, target: to, received });
+        return output ? { ...trade, received, output } : { ...trade, received };
+    }
+
+    /**
+     * Source leg of a simulated bridge transfer: the amount leaves the source chain's balance
+     * transfer - { asset, amount, sourceChain, destinationChain }
+     */
+    async bridgeOut(transfer) {
+        this.accrue();
+
+        const asset = this.requireAsset(transfer.asset);
+        const amount = this.requireAmount(transfer.amount);
+        this.debit(asset, amount, transfer.sourceChain);
+
+        return this.recordTrade('bridge_out', { asset, amount, from: transfer.sourceChain, to: transfer.destinationChain, bridgeId: transfer.id });
+    }
+
+    /**
+     * Destination leg: the bridged amount arrives on the destination chain
+     */
+    async bridgeIn(transfer) {
+        this.accrue();
+
+        const asset = this.requireAsset(transfer.asset);
+        const amount = this.requireAmount(transfer.amount);
+        this.credit(asset, amount, transfer.destinationChain);
+
+        return this.recordTrade('bridge_in', { asset, amount, from: transfer.sourceChain, to: transfer.destinationChain, bridgeId: transfer.id });
+    }
+
+    async rebalance(actions) {
+        const results = [];
+
+        for (const action of actions) {
+            // Rebalance actions are sized in USD
+            const [verb, asset] = action.type.split('_');
+            const quote = await this.priceOracle.getPrice(asset);
+            if (!quote) {
+                throw new Error(`Cannot rebalance into ${asset}: missing price`);
+            }
+
+            const wanted = action.amount / quote.price;
+            const amount = Math.min(wanted, this.balances[asset] || 0);
+            if (amount <= 0) {
+                this.logger.info(`⏭️ Skipping ${action.type}: no ${asset.toUpperCase()} available`);
+                continue;
+            }
+
+            const params = { asset, amount, target: action.protocol };
+            const strategy = { expectedAPY: this.rateProvider?.(action.protocol) ?? 0 };
+            results.push(await this.openPosition(verb === 'stake' ? 'staking' : 'lending', params, strategy));
+        }
+
+        return results;
+    }
+
+    async recordTrade(action, details) {
+        const txHash = `paper-${this.clock.now()}-${++this.txCounter}`;
+        const fee = await this.chargeFee(txHash);
+
+        const trade = {
+            txHash,
+            action,
+            ...details,
+            fee,
+            timestamp: this.clock.now()
+        };
+
+        this.trades.push(trade);
+        this.logger.info(`📒 Paper ${action}: ${details.amount.toFixed(6)} ${details.asset.toUpperCase()}${details.protocol ? ` ${['withdraw', 'unstake'].includes(action) ? '←' : '→'} ${details.protocol}` : ''}${details.target ? ` → ${details.received.toFixed(6)} ${details.target.toUpperCase()}` : ''}${details.mode ? ` (${details.mode})` : ''}${details.from ? ` ${details.from} → ${details.to}` : ''}`);
+
+        await this.save();
+
+        return { success: true, simulated: true, txHash, fee };
+    }
+
+    /**
+     * Pay the paper fee in USDC when possible, otherwise in whatever SOL is left
+     * Resolves to the USD value actually debited, which is what feesPaid and the meter book
+     */
+    async chargeFee(txHash) {
+        if (!(this.feeUsd > 0)) return 0;
+
+        let payment = null;
+        let charged = 0;
+        if ((this.balances.usdc || 0) >= this.feeUsd) {
+            this.balances.usdc -= this.feeUsd;
+            payment = { asset: 'usdc', amount: this.feeUsd };
+            charged = this.feeUsd;
+        } else {
+            const sol = await this.priceOracle.getPrice('sol');
+            const amount = sol ? Math.min(this.balances.sol || 0, this.feeUsd / sol.price) : 0;
+            if (amount > 0) {
+                this.balances.sol -= amount;
+                payment = { asset: 'sol', amount };
+                charged = amount * sol.price;
+            }
+        }
+        if (!payment) return 0;
+
+        this.feesPaid += charged;
+        await this.costMeter?.recordTransactionFee(txHash, payment, charged);
+
+        return charged;
+    }
+
+    requireAsset(asset) {
+        if (!asset || !getAssetInfo(asset)) {
+            throw new Error(`Unsupported paper asset: ${asset}`);
+        }
+        return asset.toLowerCase();
+    }
+
+    requireAmount(amount) {
+        const value = parseFloat(amount);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid paper trade amount: ${amount}`);
+        }
+        return value;
+    }
+
+    /**
+     * Liquid balances of a chain, the home chain's unless another one is named
+     */
+    liquid(chain = this.chain) {
+        if (!chain || chain === this.chain) return this.balances;
+        this.chainBalances[chain] = this.chainBalances[chain] || {};
+        return this.chainBalances[chain];
+    }
+
+    debit(asset, amount, chain = this.chain) {
+        const balances = this.liquid(chain);
+        const available = balances[asset] || 0;
+        if (available < amount) {
+            const where = chain && chain !== this.chain ? ` on ${chain}` : '';
+            throw new Error(`Insufficient paper balance${where}: ${amount} ${asset.toUpperCase()} requested, ${available} available`);
+        }
+        balances[asset] = available - amount;
+    }
+
+    credit(asset, amount, chain = this.chain) {
+        const balances = this.liquid(chain);
+        balances[asset] = (balances[asset] || 0) + amount;
+    }
+
+    /**
+     * AgentWallet.getBalances()-shaped view of the book
+     * Each open position is surfaced as its own wallet tagged with the protocol
+     */
+    async getBalances() {
+        this.accrue();
+
+        const toBalance = (asset, amount, chain = this.chain) => {
+            const decimals = getAssetInfo(asset)?.decimals ?? 9;
+            return {
+                asset,
+                chain,
+                decimals,
+                rawValue: (amount * Math.pow(10, decimals)).toFixed(0)
+            };
+        };
+
+        const wallets = [{
+            address: this.address,
+            paper: true,
+            balances: Object.entries(this.balances)
+                .filter(([, amount]) => amount > 0)
+                .map(([asset, amount]) => toBalance(asset, amount))
+        }];
+
+        // Funds bridged to other chains show up as one wallet per chain
+        const evmWallets = [];
+        for (const [chain, balances] of Object.entries(this.chainBalances)) {
+            const held = Object.entries(balances).filter(([, amount]) => amount > 0);
+            if (held.length === 0) continue;
+
+            const wallet = {
+                address: `paper:${chain}`,
+                paper: true,
+                balances: held.map(([asset, amount]) => toBalance(asset, amount, chain))
+            };
+            (getChainInfo(chain)?.kind === 'evm' ? evmWallets : wallets).push(wallet);
+        }
+
+        for (const position of this.positions) {
+            if (position.amount <= 0) continue;
+            wallets.push({
+                address: `paper:${position.protocol}`,
+                paper: true,
+                protocol: position.protocol,
+                positionType: position.type,
+                costBasis: position.costBasis ?? null,
+                apy: position.apy,
+                balances: [toBalance(position.asset, position.amount, position.chain)]
+            });
+        }
+
+        // Unbonding funds still count towards NAV until they unlock
+        for (const entry of this.unbonding) {
+            wallets.push({
+                address: `paper:${entry.protocol}:unbonding`,
+                paper: true,
+                protocol: entry.protocol,
+                positionType: 'unbonding',
+                costBasis: entry.costBasis ?? null,
+                availableAt: entry.availableAt,
+                balances: [toBalance(entry.asset, entry.amount)]
+            });
+        }
+
+        return { solanaWallets: wallets, evmWallets };
+    }
+
+    getPositions() {
+        this.accrue();
+        return this.positions;
+    }
+
+    getUnbonding() {
+        return this.unbonding;
+    }
+
+    getTrades() {
+        return this.trades;
+    }
+
+    describeBalances() {
+        const entries = [
+            ...Object.entries(this.balances).map(([asset, amount]) => [asset, amount, '']),
+            ...Object.entries(this.chainBalances).flatMap(([chain, balances]) =>
+                Object.entries(balances).map(([asset, amount]) => [asset, amount, ` on ${chain}`]))
+        ].filter(([, amount]) => amount > 0);
+        if (entries.length === 0) return 'empty';
+        return entries.map(([asset, amount, where]) => `${amount.toFixed(4)} ${asset.toUpperCase()}${where}`).join(', ');
+    }
+
+    async load() {
+        if (!this.filePath) return false;
+
+        try {
+            const state = JSON.parse(await readFile(this.filePath, 'utf-8'));
+            this.balances = state.balances || {};
+            this.chainBalances = state.chainBalances || {};
+            this.positions = state.positions || [];
+            this.unbonding = state.unbonding || [];
+            this.trades = state.trades || [];
+            this.feesPaid = state.feesPaid || 0;
+            this.txCounter = state.txCounter || 0;
+            this.logger.info(`📂 Paper ledger restored from ${this.filePath}`);
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`⚠️ Could not read paper ledger ${this.filePath}:`, error.message);
+            }
+            return false;
+        }
+    }
+
+    async save() {
+        if (!this.filePath) return;
+
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await writeFile(this.filePath, JSON.stringify({
+            balances: this.balances,
+            chainBalances: this.chainBalances,
+            positions: this.positions,
+            unbonding: this.unbonding,
+            trades: this.trades,
+            feesPaid: this.feesPaid,
+            txCounter: this.txCounter,
+            savedAt: this.clock.now()
+        }, null, 2));
+    }
+}
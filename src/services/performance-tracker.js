@@ -1,26 +1,42 @@
 import { Logger } from '../utils/logger.js';
 
+// Human-in-the-loop events and the approvals counter they increment
+const APPROVAL_EVENTS = {
+    approval_requested: 'requested',
+    decision_approved: 'approved',
+    decision_rejected: 'rejected',
+    approval_expired: 'expired'
+};
+
 /**
  * Performance Tracker - Measures treasury performance and autonomous behavior
  * Provides transparency and proof of concept for the hackathon
  */
 export class PerformanceTracker {
-    constructor() {
+    constructor(options = {}) {
         this.logger = new Logger('PERFORMANCE_TRACKER');
+        this.clock = options.clock || Date;
+        this.repository = options.repository || null;
+        // PnLAccountant, separates capital flows from returns when present
+        this.accountant = options.accountant || null;
         
         this.snapshots = [];
         this.events = [];
-        this.startTime = Date.now();
+        this.startTime = this.clock.now();
         this.cycleCount = 0;
         
         // Performance metrics
         this.metrics = {
-            totalReturn: 0,
+            totalReturn: 0,          // Time-weighted when an accountant is attached
+            moneyWeightedReturn: 0,
             maxDrawdown: 0,
             sharpeRatio: 0,
             volatility: 0,
             autonomousDecisions: 0,
-            selfSufficientCycles: 0
+            supervisedDecisions: 0,
+            selfSufficientCycles: 0,
+            approvals: { requested: 0, approved: 0, rejected: 0, expired: 0 },
+            pnl: null
         };
     }
 
@@ -32,12 +48,13 @@ export class PerformanceTracker {
     async recordSnapshot(type, data) {
         const snapshot = {
             type,
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             data: { ...data },
-            id: `${type}-${Date.now()}`
+            id: `${type}-${this.clock.now()}`
         };
         
         this.snapshots.push(snapshot);
+        await this.repository?.append('snapshots', snapshot);
         
         // Calculate performance if we have baseline
         if (this.snapshots.length > 1) {
@@ -55,35 +72,68 @@ export class PerformanceTracker {
     async recordEvent(type, data) {
         const event = {
             type,
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             data: { ...data },
-            id: `${type}-${Date.now()}`
+            id: `${type}-${this.clock.now()}`
         };
         
         this.events.push(event);
+        await this.repository?.append('events', event);
         
-        // Track autonomous behavior
-        if (this.isAutonomousEvent(type)) {
+        // Track autonomous behavior, human-approved executions count separately
+        if (type === 'decision_executed' && data.supervised) {
+            this.metrics.supervisedDecisions++;
+        } else if (this.isAutonomousEvent(type)) {
             this.metrics.autonomousDecisions++;
         }
+        if (APPROVAL_EVENTS[type]) {
+            this.metrics.approvals[APPROVAL_EVENTS[type]]++;
+        }
         
         this.logger.info(`📝 Event recorded: ${type}`);
         
         return event;
     }
 
-    async updatePerformanceMetrics() {
-        if (this.snapshots.length < 2) return;
+    /**
+     * Rehydrate lifetime history from the repository after a restart
+     */
+    async restore() {
+        if (!this.repository) return;
         
-        const latestSnapshot = this.snapshots[this.snapshots.length - 1];
-        const initialSnapshot = this.snapshots[0];
+        this.snapshots = await this.repository.readAll('snapshots');
+        this.events = await this.repository.readAll('events');
+        
+        if (this.snapshots.length > 0) {
+            this.startTime = this.snapshots[0].timestamp;
+        }
+        this.cycleCount = this.snapshots.filter(s => s.type === 'cycle_complete').length;
+        
+        if (this.snapshots.length > 1) {
+            await this.updatePerformanceMetrics();
+        } else {
+            this.calculateAutonomyMetrics();
+        }
         
-        const initialValue = initialSnapshot.data.totalValue || 0;
-        const currentValue = latestSnapshot.data.totalValue || 0;
+        this.logger.info(`♻️ Restored ${this.snapshots.length} snapshots and ${this.events.length} events (since ${new Date(this.startTime).toISOString()})`);
+    }
+
+    async updatePerformanceMetrics() {
+        if (this.snapshots.length < 2) return;
         
-        // Calculate total return
-        if (initialValue > 0) {
-            this.metrics.totalReturn = ((currentValue - initialValue) / initialValue) * 100;
+        if (this.accountant) {
+            // Deposits and withdrawals are capital, not performance
+            const { netPnl, realizedPnl, unrealizedPnl, yieldIncome, fees, computeExpenses, returns } = this.accountant.getStatement();
+            this.metrics.totalReturn = returns.timeWeighted;
+            this.metrics.moneyWeightedReturn = returns.moneyWeighted;
+            this.metrics.pnl = { netPnl, realizedPnl, unrealizedPnl, yieldIncome, fees, computeExpenses };
+        } else {
+            const initialValue = this.snapshots[0].data.totalValue || 0;
+            const currentValue = this.snapshots[this.snapshots.length - 1].data.totalValue || 0;
+            
+            if (initialValue > 0) {
+                this.metrics.totalReturn = ((currentValue - initialValue) / initialValue) * 100;
+            }
         }
         
         // Calculate other metrics
@@ -93,21 +143,17 @@ export class PerformanceTracker {
         this.logger.info(`📊 Performance Updated:
    Total Return: ${this.metrics.totalReturn.toFixed(2)}%
    Autonomous Decisions: ${this.metrics.autonomousDecisions}
+   Supervised Decisions: ${this.metrics.supervisedDecisions}
    Self-Sufficient Cycles: ${this.metrics.selfSufficientCycles}`);
     }
 
     calculateRiskMetrics() {
         if (this.snapshots.length < 10) return; // Need sufficient data
         
-        // Calculate volatility from snapshots
-        const values = this.snapshots.map(s => s.data.totalValue || 0);
-        const returns = [];
-        
-        for (let i = 1; i < values.length; i++) {
-            if (values[i-1] > 0) {
-                returns.push((values[i] - values[i-1]) / values[i-1]);
-            }
-        }
+        // Period returns, flow-adjusted when the accountant has them
+        const returns = this.accountant
+            ? this.accountant.getReturns().periodReturns
+            : this.getSnapshotReturns();
         
         if (returns.length > 0) {
             const avgReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
@@ -120,27 +166,49 @@ export class PerformanceTracker {
             }
         }
         
-        // Calculate max drawdown
-        let peak = 0;
+        // Calculate max drawdown on the growth of $1, so deposits don't hide losses
+        let index = 1;
+        let peak = 1;
         let maxDD = 0;
         
-        for (const value of values) {
-            if (value > peak) peak = value;
-            const drawdown = peak > 0 ? (peak - value) / peak : 0;
+        for (const r of returns) {
+            index *= 1 + r;
+            if (index > peak) peak = index;
+            const drawdown = (peak - index) / peak;
             if (drawdown > maxDD) maxDD = drawdown;
         }
         
         this.metrics.maxDrawdown = maxDD * 100;
     }
 
+    getSnapshotReturns() {
+        const values = this.snapshots.map(s => s.data.totalValue || 0);
+        const returns = [];
+        
+        for (let i = 1; i < values.length; i++) {
+            if (values[i-1] > 0) {
+                returns.push((values[i] - values[i-1]) / values[i-1]);
+            }
+        }
+        
+        return returns;
+    }
+
     calculateAutonomyMetrics() {
-        // Count self-sufficient cycles (cycles where agent paid its own costs)
-        const selfPaymentEvents = this.events.filter(e => e.type === 'self_payment');
+        // Count self-sufficient cycles (cycles where agent paid its own costs), simulated payments don't count
+        const selfPaymentEvents = this.events.filter(e => e.type === 'self_payment' && !e.data.simulated);
         this.metrics.selfSufficientCycles = selfPaymentEvents.length;
         
         // Count decision types
         const decisionEvents = this.events.filter(e => e.type === 'decision_executed');
-        this.metrics.autonomousDecisions = decisionEvents.length;
+        this.metrics.autonomousDecisions = decisionEvents.filter(e => !e.data.supervised).length;
+        this.metrics.supervisedDecisions = decisionEvents.filter(e => e.data.supervised).length;
+        
+        const approvals = { requested: 0, approved: 0, rejected: 0, expired: 0 };
+        for (const event of this.events) {
+            if (APPROVAL_EVENTS[event.type]) approvals[APPROVAL_EVENTS[event.type]]++;
+        }
+        this.metrics.approvals = approvals;
     }
 
     isAutonomousEvent(type) {
@@ -156,7 +224,7 @@ export class PerformanceTracker {
     }
 
     async getCurrentPerformance() {
-        const runtimeHours = (Date.now() - this.startTime) / (1000 * 60 * 60);
+        const runtimeHours = (this.clock.now() - this.startTime) / (1000 * 60 * 60);
         const latestSnapshot = this.snapshots[this.snapshots.length - 1];
         
         return {
@@ -189,12 +257,15 @@ export class PerformanceTracker {
             },
             performance: {
                 return: this.metrics.totalReturn,
+                moneyWeightedReturn: this.metrics.moneyWeightedReturn,
+                pnl: this.metrics.pnl,
                 volatility: this.metrics.volatility,
                 sharpeRatio: this.metrics.sharpeRatio,
                 maxDrawdown: this.metrics.maxDrawdown
             },
             autonomyProof: {
                 decisionsWithoutHuman: this.metrics.autonomousDecisions,
+                decisionsWithHumanApproval: this.metrics.supervisedDecisions,
                 selfPayments: this.metrics.selfSufficientCycles,
                 continuousOperation: runtimeHours,
                 aiDecisionMaking: 'Llama 3.1 local inference'
@@ -208,7 +279,7 @@ export class PerformanceTracker {
             ],
             snapshots: this.snapshots.length,
             events: this.events.length,
-            generatedAt: Date.now()
+            generatedAt: this.clock.now()
         };
         
         this.logger.info('📋 Hackathon report generated:', JSON.stringify(report, null, 2));
@@ -246,14 +317,18 @@ export class PerformanceTracker {
     }
 
     async exportPerformanceData() {
+        // Read from durable storage so the export covers the full treasury lifetime
+        const snapshots = this.repository ? await this.repository.readAll('snapshots') : this.snapshots;
+        const events = this.repository ? await this.repository.readAll('events') : this.events;
+        
         return {
-            snapshots: this.snapshots,
-            events: this.events,
+            snapshots,
+            events,
             metrics: this.metrics,
             runtime: {
                 startTime: this.startTime,
-                currentTime: Date.now(),
-                hours: (Date.now() - this.startTime) / (1000 * 60 * 60)
+                currentTime: this.clock.now(),
+                hours: (this.clock.now() - this.startTime) / (1000 * 60 * 60)
             }
         };
     }
@@ -0,0 +1,352 @@
+import { Logger } from '../utils/logger.js';
+
+export const COST_BASIS_METHODS = ['fifo', 'average'];
+
+const DUST = 1e-9;
+
+/**
+ * P&L Accountant - Lot-based cost basis and return attribution
+ * Every change to what the treasury owns is journaled and applied to per-asset lots:
+ *   opening    - holdings found at the first mark, the starting capital
+ *   flow       - external deposit or withdrawal, counted as capital rather than return
+ *   swap       - disposes lots of one asset (realized P&L) and acquires the other at the proceeds
+ *   expense    - transaction fees and compute costs, paid in kind when asset and amount are known
+ *   settlement - payment of costs already booked as expenses, only the units leave
+ *   yield      - units earned by lending/staking, income at market value
+ *   mark       - treasury value and prices at the start of a cycle
+ *
+ * The journal is the repository's "ledger" collection, so a restart replays it, and switching
+ * between FIFO and average cost recomputes the whole history under the new method.
+ */
+export class PnLAccountant {
+    constructor(options = {}) {
+        this.logger = new Logger('PNL_ACCOUNTANT');
+        this.clock = options.clock || Date;
+        this.repository = options.repository || null;
+        this.method = options.method || process.env.COST_BASIS_METHOD || 'fifo';
+
+        if (!COST_BASIS_METHODS.includes(this.method)) {
+            throw new Error(`Unknown cost basis method "${this.method}", expected one of: ${COST_BASIS_METHODS.join(', ')}`);
+        }
+
+        this.lots = {};        // asset → [{ amount, unitCost, acquiredAt, source }], oldest first
+        this.realized = {};    // asset → realized P&L
+        this.totals = { realizedPnl: 0, yieldIncome: 0, fees: 0, computeExpenses: 0, deposits: 0, withdrawals: 0 };
+        this.flows = [];       // [{ timestamp, usd }], deposits positive
+        this.marks = [];       // [{ timestamp, value, prices, flows }]
+        this.pendingFlows = 0; // Net capital flow since the last mark
+        this.executionsSinceMark = 0;
+    }
+
+    /**
+     * Replay the journal after a restart
+     */
+    async restore() {
+        if (!this.repository) return;
+
+        const entries = await this.repository.readAll('ledger');
+        for (const entry of entries) {
+            this.apply(entry);
+        }
+
+        this.logger.info(`♻️ Replayed ${entries.length} ledger entries (${this.method.toUpperCase()} cost basis)`);
+    }
+
+    async record(type, data) {
+        const entry = { type, timestamp: this.clock.now(), ...data };
+        this.apply(entry);
+        await this.repository?.append('ledger', entry);
+        return entry;
+    }
+
+    apply(entry) {
+        switch (entry.type) {
+            case 'opening':
+                for (const holding of entry.holdings) {
+                    this.acquire(holding.asset, holding.amount, holding.price, 'opening', entry.timestamp);
+                }
+                break;
+            case 'flow': {
+                const usd = entry.amount * entry.price;
+                if (entry.direction === 'deposit') {
+                    this.acquire(entry.asset, entry.amount, entry.price, 'deposit', entry.timestamp);
+                    this.totals.deposits += usd;
+                } else {
+                    this.dispose(entry.asset, entry.amount, entry.price);
+                    this.totals.withdrawals += usd;
+                }
+                const signed = entry.direction === 'deposit' ? usd : -usd;
+                this.flows.push({ timestamp: entry.timestamp, usd: signed });
+                this.pendingFlows += signed;
+                break;
+            }
+            case 'swap': {
+                const proceeds = entry.amount * entry.price;
+                this.dispose(entry.asset, entry.amount, entry.price);
+                this.acquire(entry.target, entry.received, proceeds / entry.received, 'swap', entry.timestamp);
+                this.executionsSinceMark++;
+                break;
+            }
+            case 'expense':
+                if (entry.asset && entry.amount > 0) {
+                    this.dispose(entry.asset, entry.amount, entry.usd / entry.amount);
+                }
+                if (entry.category === 'compute') {
+                    this.totals.computeExpenses += entry.usd;
+                } else {
+                    this.totals.fees += entry.usd;
+                }
+                break;
+            case 'settlement':
+                this.dispose(entry.asset, entry.amount, entry.usd / entry.amount);
+                break;
+            case 'yield':
+                this.acquire(entry.asset, entry.amount, entry.price, 'yield', entry.timestamp);
+                this.totals.yieldIncome += entry.amount * entry.price;
+                break;
+            case 'mark':
+                this.marks.push({ timestamp: entry.timestamp, value: entry.value, prices: entry.prices, flows: this.pendingFlows });
+                this.pendingFlows = 0;
+                this.executionsSinceMark = 0;
+                break;
+        }
+    }
+
+    acquire(asset, amount, unitCost, source, acquiredAt) {
+        if (!(amount > DUST)) return;
+
+        const lots = this.lots[asset] = this.lots[asset] || [];
+
+        // Average cost keeps one pooled lot per asset
+        if (this.method === 'average' && lots.length > 0) {
+            const pooled = lots[0];
+            const total = pooled.amount + amount;
+            pooled.unitCost = (pooled.amount * pooled.unitCost + amount * unitCost) / total;
+            pooled.amount = total;
+            return;
+        }
+
+        lots.push({ amount, unitCost, acquiredAt, source });
+    }
+
+    /**
+     * Remove units from the oldest lots first and realize the difference to unitPrice
+     */
+    dispose(asset, amount, unitPrice) {
+        const lots = this.lots[asset] || [];
+        let remaining = amount;
+        let cost = 0;
+
+        while (remaining > DUST && lots.length > 0) {
+            const lot = lots[0];
+            const taken = Math.min(remaining, lot.amount);
+            cost += taken * lot.unitCost;
+            lot.amount -= taken;
+            remaining -= taken;
+            if (lot.amount <= DUST) lots.shift();
+        }
+
+        if (remaining > DUST * Math.max(1, amount)) {
+            // Units the book never saw arrive carry no gain
+            this.logger.warn(`⚠️ Disposed ${remaining} ${asset.toUpperCase()} more than the book holds, costed at market`);
+            cost += remaining * unitPrice;
+        }
+
+        const realized = amount * unitPrice - cost;
+        this.realized[asset] = (this.realized[asset] || 0) + realized;
+        this.totals.realizedPnl += realized;
+
+        return { cost, realized };
+    }
+
+    unitsOf(asset) {
+        return (this.lots[asset] || []).reduce((sum, lot) => sum + lot.amount, 0);
+    }
+
+    costOf(asset) {
+        return (this.lots[asset] || []).reduce((sum, lot) => sum + lot.amount * lot.unitCost, 0);
+    }
+
+    /**
+     * Reconcile the book against a Portfolio snapshot and record its value
+     * Units held but missing from the book are yield when the asset has a yield-bearing holding and
+     * an unrecorded deposit otherwise; units in the book but no longer held are fees when something
+     * executed since the last mark and an unrecorded withdrawal otherwise.
+     * The first mark opens the book with everything held.
+     */
+    async mark({ holdings = [], unpriced = [], totalValue = 0 }) {
+        const held = {};
+        const prices = { ...this.marks[this.marks.length - 1]?.prices };
+        const yieldBearing = new Set();
+
+        for (const holding of holdings) {
+            held[holding.asset] = (held[holding.asset] || 0) + holding.amount;
+            prices[holding.asset] = holding.price;
+            if (holding.yieldSource) yieldBearing.add(holding.asset);
+        }
+        for (const entry of unpriced) {
+            held[entry.asset] = (held[entry.asset] || 0) + entry.amount;
+        }
+
+        if (this.marks.length === 0 && Object.keys(this.lots).length === 0) {
+            await this.record('opening', {
+                holdings: Object.entries(held)
+                    .filter(([asset]) => prices[asset])
+                    .map(([asset, amount]) => ({ asset, amount, price: prices[asset] }))
+            });
+        } else {
+            for (const asset of new Set([...Object.keys(held), ...Object.keys(this.lots)])) {
+                const price = prices[asset];
+                if (!price) continue; // Cannot value the difference
+
+                const units = this.unitsOf(asset);
+                const diff = (held[asset] || 0) - units;
+                if (Math.abs(diff) <= DUST * Math.max(1, units)) continue;
+
+                if (diff > 0 && yieldBearing.has(asset)) {
+                    await this.record('yield', { asset, amount: diff, price });
+                } else if (diff > 0) {
+                    await this.record('flow', { direction: 'deposit', asset, amount: diff, price, reason: 'unrecorded' });
+                } else if (this.executionsSinceMark > 0) {
+                    await this.record('expense', { category: 'fee', asset, amount: -diff, usd: -diff * price, reference: 'reconciliation' });
+                } else {
+                    await this.record('flow', { direction: 'withdrawal', asset, amount: -diff, price, reason: 'unrecorded' });
+                }
+            }
+        }
+
+        await this.record('mark', { value: totalValue, prices });
+    }
+
+    async recordCapitalFlow({ direction, asset, amount, price, reason = 'external' }) {
+        if (!['deposit', 'withdrawal'].includes(direction)) {
+            throw new Error(`Capital flow direction must be deposit or withdrawal, got ${direction}`);
+        }
+        if (!(amount > 0) || !(price > 0)) {
+            throw new Error('Capital flow needs a positive amount and price');
+        }
+
+        const entry = await this.record('flow', { direction, asset: asset.toLowerCase(), amount, price, reason });
+        this.logger.info(`🏦 Capital ${direction}: ${amount} ${asset.toUpperCase()} ($${(amount * price).toFixed(2)})`);
+        return entry;
+    }
+
+    async recordSwap({ asset, amount, price, target, received, txHash }) {
+        return await this.record('swap', { asset, amount, price, target, received, txHash });
+    }
+
+    /**
+     * category - 'transactions' (fees) or 'compute'/'api' (compute expenses)
+     * Expenses paid out of the treasury pass asset and amount so the units leave the book
+     */
+    async recordExpense(category, usd, payment = {}) {
+        return await this.record('expense', {
+            category: category === 'transactions' ? 'fee' : 'compute',
+            usd,
+            asset: payment.asset || null,
+            amount: payment.amount || 0,
+            reference: payment.reference
+        });
+    }
+
+    /**
+     * Costs were expensed when incurred; paying the bill later only moves units out of the treasury
+     */
+    async recordSettlement({ asset, amount, usd, reference }) {
+        return await this.record('settlement', { asset, amount, usd, reference });
+    }
+
+    /**
+     * Executions that move funds without changing units (lend, stake, withdraw, unstake)
+     * make the next mark read missing units as fees instead of withdrawals
+     */
+    noteExecution() {
+        this.executionsSinceMark++;
+    }
+
+    /**
+     * Time-weighted return chains the returns between marks with flows taken out;
+     * money-weighted return is Modified Dietz over the whole history. Both in percent.
+     */
+    getReturns() {
+        const periodReturns = [];
+        for (let i = 1; i < this.marks.length; i++) {
+            const base = this.marks[i - 1].value + this.marks[i].flows;
+            if (base > 0) periodReturns.push(this.marks[i].value / base - 1);
+        }
+
+        const timeWeighted = periodReturns.reduce((growth, r) => growth * (1 + r), 1) - 1;
+
+        let moneyWeighted = 0;
+        if (this.marks.length > 1) {
+            const first = this.marks[0];
+            const last = this.marks[this.marks.length - 1];
+            const span = last.timestamp - first.timestamp;
+            const flows = this.flows.filter(f => f.timestamp > first.timestamp && f.timestamp <= last.timestamp);
+            const net = flows.reduce((sum, f) => sum + f.usd, 0);
+            const weighted = flows.reduce((sum, f) => sum + f.usd * (span > 0 ? (last.timestamp - f.timestamp) / span : 0), 0);
+            const capital = first.value + weighted;
+            moneyWeighted = capital > 0 ? (last.value - first.value - net) / capital : 0;
+        }
+
+        return {
+            timeWeighted: timeWeighted * 100,
+            moneyWeighted: moneyWeighted * 100,
+            periodReturns
+        };
+    }
+
+    /**
+     * P&L statement at the last mark's prices
+     * netPnl = realized + unrealized + yield - fees - compute; compute costs that were not paid
+     * out of the treasury are reported without having moved its value
+     */
+    getStatement() {
+        const last = this.marks[this.marks.length - 1];
+        const prices = last?.prices || {};
+        const byAsset = {};
+        let costBasis = 0;
+        let unrealizedPnl = 0;
+
+        for (const asset of new Set([...Object.keys(this.lots), ...Object.keys(this.realized)])) {
+            const units = this.unitsOf(asset);
+            const cost = this.costOf(asset);
+            const value = prices[asset] ? units * prices[asset] : null;
+
+            byAsset[asset] = {
+                units,
+                costBasis: cost,
+                averageCost: units > DUST ? cost / units : null,
+                value,
+                unrealizedPnl: value === null ? null : value - cost,
+                realizedPnl: this.realized[asset] || 0
+            };
+
+            costBasis += cost;
+            if (value !== null) unrealizedPnl += value - cost;
+        }
+
+        const { realizedPnl, yieldIncome, fees, computeExpenses, deposits, withdrawals } = this.totals;
+        const { timeWeighted, moneyWeighted } = this.getReturns();
+
+        return {
+            method: this.method,
+            asOf: last?.timestamp ?? null,
+            value: last?.value ?? 0,
+            costBasis,
+            realizedPnl,
+            unrealizedPnl,
+            yieldIncome,
+            fees,
+            computeExpenses,
+            netPnl: realizedPnl + unrealizedPnl + yieldIncome - fees - computeExpenses,
+            capital: { deposits, withdrawals, net: deposits - withdrawals },
+            returns: { timeWeighted, moneyWeighted },
+            byAsset
+        };
+    }
+
+    getMarkCount() {
+        return this.marks.length;
+    }
+}
@@ -0,0 +1,349 @@
+import { readFile } from 'fs/promises';
+import yaml from 'js-yaml';
+import { Logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default hard risk limits
+ * Fractions are of NAV (total treasury value) unless noted
+ */
+export const DEFAULT_POLICY = {
+    // Max share of NAV held in one asset after a trade (liquid + deployed)
+    maxAssetAllocation: { default: 0.6, usdc: 1.0, sol: 0.7 },
+    // Max share of NAV deployed into one protocol
+    maxProtocolExposure: { default: 0.3, kamino: 0.4, marinade: 0.4 },
+    // Max notional of a single decision
+    maxTradePctOfNav: 0.25,
+    // Max notional traded in any rolling 24h window
+    maxDailyTurnoverPctOfNav: 0.5,
+    // Liquid USDC must cover this many days of CostManager burn
+    minUsdcRunwayDays: 30,
+    // Longest unbonding period a delayed unstake may lock funds for
+    maxUnbondingDays: 7,
+    // Max share of NAV locked in unbonding at once
+    maxUnbondingPctOfNav: 0.25
+};
+
+/**
+ * Policy Engine - Declarative hard limits every decision must pass before execution
+ * Policies load from JSON or YAML so ops can tune them without code changes
+ */
+export class PolicyEngine {
+    constructor(options = {}) {
+        this.logger = new Logger('POLICY_ENGINE');
+        this.policy = mergePolicy(DEFAULT_POLICY, options.policy || {});
+        this.costManager = options.costManager || null;
+        this.clock = options.clock || Date;
+        this.turnover = []; // { timestamp, notional } of executed trades
+    }
+
+    static async loadPolicyFile(filePath) {
+        const content = await readFile(filePath, 'utf-8');
+        return /\.ya?ml$/i.test(filePath) ? yaml.load(content) : JSON.parse(content);
+    }
+
+    async initialize(policyFile = null) {
+        if (policyFile) {
+            this.policy = mergePolicy(DEFAULT_POLICY, await PolicyEngine.loadPolicyFile(policyFile));
+            this.logger.info(`📜 Loaded risk policy from ${policyFile}`);
+        }
+        this.logger.info('🛡️ Risk policy active:', this.policy);
+    }
+
+    /**
+     * Rebuild the rolling turnover window from executed decision events
+     */
+    restoreTurnover(events) {
+        const cutoff = this.clock.now() - DAY_MS;
+        this.turnover = events
+            .filter(e => e.type === 'decision_executed' && e.timestamp >= cutoff && e.data.notional)
+            .map(e => ({ timestamp: e.timestamp, notional: e.data.notional }));
+    }
+
+    /**
+     * Check one decision against every policy
+     *
+     * state   - assessCurrentState() output (totalValue, holdings)
+     * context - { executed: trade effects already applied this cycle,
+     *             rebalanceActions: planned actions when decision is a rebalance,
+     *             unbonding: { mode, unbondingDays, fee } when decision is an unstake,
+     *             effects: the owning strategy's effects (Strategy.getPolicyEffects) for actions not listed here }
+     *
+     * Returns { allowed, notional, effects, violations: [{ code, policy, limit, actual, message }] }
+     */
+    evaluate(decision, state, context = {}) {
+        const violations = [];
+        const nav = state.totalValue || 0;
+
+        const { effects, unpriced, described } = this.tradeEffects(decision, state, context);
+        if (!described) {
+            violations.push(this.violation('UNDESCRIBED_ACTION', 'effects', null, null,
+                `Cannot check ${decision.action}: neither the policy engine nor its strategy describes its effects`));
+            return { allowed: false, notional: 0, effects, violations };
+        }
+        for (const asset of unpriced) {
+            violations.push(this.violation('UNPRICED_ASSET', 'pricing', null, null,
+                `Cannot size ${decision.action}: no price for ${asset.toUpperCase()}`));
+        }
+
+        if (nav <= 0) {
+            violations.push(this.violation('NO_NAV', 'pricing', null, nav, 'Treasury value is zero or unknown'));
+            return { allowed: false, notional: 0, effects, violations };
+        }
+
+        const notional = effects.reduce((sum, e) => sum + e.notional, 0);
+        const before = this.buildExposure(state, context.executed || []);
+        const exposure = this.buildExposure(state, [...(context.executed || []), ...effects]);
+
+        // Single trade size
+        const tradeLimit = this.policy.maxTradePctOfNav * nav;
+        if (notional > tradeLimit) {
+            violations.push(this.violation('MAX_TRADE_NOTIONAL', 'maxTradePctOfNav', tradeLimit, notional,
+                `Trade notional $${notional.toFixed(2)} exceeds ${(this.policy.maxTradePctOfNav * 100).toFixed(0)}% of NAV ($${tradeLimit.toFixed(2)})`));
+        }
+
+        // Rolling 24h turnover
+        const turnoverLimit = this.policy.maxDailyTurnoverPctOfNav * nav;
+        const turnover = this.getDailyTurnover() + notional;
+        if (turnover > turnoverLimit) {
+            violations.push(this.violation('DAILY_TURNOVER', 'maxDailyTurnoverPctOfNav', turnoverLimit, turnover,
+                `24h turnover would reach $${turnover.toFixed(2)}, limit $${turnoverLimit.toFixed(2)}`));
+        }
+
+        // Per-asset allocation after the trade, for every asset an effect leaves held
+        // A decision may hold an asset over its cap only while it brings the share down
+        const heldAssets = new Set(effects.map(e => e.into || e.asset).filter(Boolean));
+        for (const asset of heldAssets) {
+            const assetCap = this.limitFor('maxAssetAllocation', asset);
+            const assetShare = (exposure.assets[asset] || 0) / nav;
+            if (assetShare > assetCap && assetShare >= (before.assets[asset] || 0) / nav) {
+                violations.push(this.violation('MAX_ASSET_ALLOCATION', `maxAssetAllocation.${asset}`, assetCap, assetShare,
+                    `${asset.toUpperCase()} would be ${(assetShare * 100).toFixed(1)}% of NAV, cap ${(assetCap * 100).toFixed(0)}%`));
+            }
+        }
+
+        // Per-protocol exposure after the trade, withdrawals only ever shrink it
+        for (const effect of effects.filter(e => e.kind === 'deposit')) {
+            const protocolCap = this.limitFor('maxProtocolExposure', effect.protocol);
+            const protocolShare = (exposure.protocols[effect.protocol] || 0) / nav;
+            if (protocolShare > protocolCap) {
+                violations.push(this.violation('MAX_PROTOCOL_EXPOSURE', `maxProtocolExposure.${effect.protocol}`, protocolCap, protocolShare,
+                    `${effect.protocol} exposure would be ${(protocolShare * 100).toFixed(1)}% of NAV, cap ${(protocolCap * 100).toFixed(0)}%`));
+            }
+        }
+
+        // Unbonding locks funds that cannot pay bills or be redeployed until they unlock
+        for (const effect of effects.filter(e => e.unbonding)) {
+            const days = context.unbonding?.unbondingDays ?? 0;
+            if (days > this.policy.maxUnbondingDays) {
+                violations.push(this.violation('UNBONDING_DELAY', 'maxUnbondingDays', this.policy.maxUnbondingDays, days,
+                    `${effect.protocol} unbonding takes ${days} days, limit ${this.policy.maxUnbondingDays}`));
+            }
+
+            const unbondingLimit = this.policy.maxUnbondingPctOfNav * nav;
+            if (exposure.unbonding > unbondingLimit) {
+                violations.push(this.violation('MAX_UNBONDING', 'maxUnbondingPctOfNav', unbondingLimit, exposure.unbonding,
+                    `$${exposure.unbonding.toFixed(2)} would be locked in unbonding, limit $${unbondingLimit.toFixed(2)}`));
+            }
+        }
+
+        // USDC runway reserve for compute bills: any decision drawing liquid USDC down must leave it
+        // covered, whatever its effects; ones that refill it (e.g. reserve-restoring withdrawals) pass
+        const liquidUsdc = exposure.liquid.usdc || 0;
+        if (liquidUsdc < (before.liquid.usdc || 0)) {
+            const dailyBurn = this.costManager?.getDailyBurnRate() || 0;
+            const reserve = this.policy.minUsdcRunwayDays * dailyBurn;
+            if (liquidUsdc < reserve) {
+                violations.push(this.violation('USDC_RUNWAY_RESERVE', 'minUsdcRunwayDays', reserve, liquidUsdc,
+                    `Liquid USDC would drop to $${liquidUsdc.toFixed(2)}, below ${this.policy.minUsdcRunwayDays} days of burn ($${reserve.toFixed(2)})`));
+            }
+        }
+
+        return {
+            allowed: violations.length === 0,
+            notional,
+            effects,
+            violations
+        };
+    }
+
+    recordExecution(notional) {
+        this.turnover.push({ timestamp: this.clock.now(), notional });
+    }
+
+    getDailyTurnover() {
+        const cutoff = this.clock.now() - DAY_MS;
+        this.turnover = this.turnover.filter(t => t.timestamp >= cutoff);
+        return this.turnover.reduce((sum, t) => sum + t.notional, 0);
+    }
+
+    tradeEffects(decision, state, context) {
+        const prices = {};
+        for (const holding of state.holdings || []) {
+            prices[holding.asset] = holding.price;
+        }
+
+        const effects = [];
+        const unpriced = [];
+        const params = decision.params || {};
+
+        const notionalOf = (asset, amount) => {
+            if (!prices[asset]) {
+                unpriced.push(asset);
+                return 0;
+            }
+            return amount * prices[asset];
+        };
+
+        // A strategy's own actions come with their effects in token amounts
+        if (context.effects) {
+            for (const { amount, ...effect } of context.effects) {
+                effects.push({ ...effect, notional: effect.notional ?? notionalOf(effect.asset, amount) });
+            }
+            return { effects, unpriced, described: true };
+        }
+
+        switch (decision.action) {
+            case 'lend':
+            case 'stake':
+                effects.push({
+                    kind: 'deposit',
+                    asset: params.asset,
+                    protocol: params.target,
+                    notional: notionalOf(params.asset, params.amount)
+                });
+                break;
+            case 'withdraw':
+            case 'unstake':
+                effects.push({
+                    kind: 'withdraw',
+                    asset: params.asset,
+                    protocol: params.target,
+                    notional: notionalOf(params.asset, params.amount),
+                    // Delayed unstakes leave the position but only become liquid after unbonding
+                    unbonding: decision.action === 'unstake' && context.unbonding?.mode !== 'instant'
+                });
+                break;
+            case 'swap':
+                effects.push({
+                    kind: 'swap',
+                    asset: params.asset,
+                    into: params.target,
+                    notional: notionalOf(params.asset, params.amount)
+                });
+                break;
+            case 'bridge':
+                effects.push({
+                    kind: 'bridge',
+                    asset: params.asset,
+                    chain: params.chain,
+                    target: params.target,
+                    notional: notionalOf(params.asset, params.amount)
+                });
+                break;
+            case 'predict':
+                // Buying outcome tokens deploys USDC into the market, selling them frees it
+                effects.push(params.side === 'sell'
+                    ? {
+                        kind: 'withdraw',
+                        asset: params.target,
+                        into: params.asset,
+                        protocol: 'dflow',
+                        notional: notionalOf(params.target, params.amount)
+                    }
+                    : {
+                        kind: 'deposit',
+                        asset: params.asset,
+                        into: params.target,
+                        protocol: 'dflow',
+                        notional: notionalOf(params.asset, params.amount)
+                    });
+                break;
+            case 'rebalance':
+                // Rebalance actions are already sized in USD
+                for (const action of context.rebalanceActions || []) {
+                    effects.push({
+                        kind: 'deposit',
+                        asset: action.type.split('_')[1],
+                        protocol: action.protocol,
+                        notional: action.amount
+                    });
+                }
+                break;
+            default:
+                return { effects, unpriced, described: false };
+        }
+
+        return { effects, unpriced, described: true };
+    }
+
+    buildExposure(state, effects) {
+        const assets = {};
+        const protocols = {};
+        const liquid = {};
+        let unbonding = 0;
+
+        for (const holding of state.holdings || []) {
+            assets[holding.asset] = (assets[holding.asset] || 0) + holding.value;
+            if (holding.kind === 'pending') {
+                unbonding += holding.value;
+            } else if (holding.kind !== 'liquid') {
+                protocols[holding.protocol] = (protocols[holding.protocol] || 0) + holding.value;
+            } else {
+                liquid[holding.asset] = (liquid[holding.asset] || 0) + holding.value;
+            }
+        }
+
+        for (const effect of effects) {
+            // Swaps and outcome trades turn one asset into another ("into")
+            const received = effect.into || effect.asset;
+            if (received !== effect.asset) {
+                assets[effect.asset] = (assets[effect.asset] || 0) - effect.notional;
+                assets[received] = (assets[received] || 0) + effect.notional;
+            }
+
+            if (effect.kind === 'withdraw') {
+                protocols[effect.protocol] = (protocols[effect.protocol] || 0) - effect.notional;
+                if (effect.unbonding) {
+                    unbonding += effect.notional;
+                } else {
+                    liquid[received] = (liquid[received] || 0) + effect.notional;
+                }
+                continue;
+            }
+
+            liquid[effect.asset] = (liquid[effect.asset] || 0) - effect.notional;
+
+            // Funds in flight between chains are locked like unbonding ones until the destination mint
+            if (effect.kind === 'bridge') {
+                unbonding += effect.notional;
+            } else if (effect.kind === 'swap') {
+                liquid[received] = (liquid[received] || 0) + effect.notional;
+            } else {
+                protocols[effect.protocol] = (protocols[effect.protocol] || 0) + effect.notional;
+            }
+        }
+
+        return { assets, protocols, liquid, unbonding };
+    }
+
+    limitFor(policy, key) {
+        const limits = this.policy[policy];
+        return limits[key] ?? limits.default;
+    }
+
+    violation(code, policy, limit, actual, message) {
+        return { code, policy, limit, actual, message };
+    }
+}
+
+function mergePolicy(base, overrides) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+            ? { ...base[key], ...value }
+            : value;
+    }
+    return merged;
+}
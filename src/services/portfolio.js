@@ -0,0 +1,202 @@
+import { Logger } from '../utils/logger.js';
+import { getAssetInfo } from '../utils/assets.js';
+import { resolveChain } from '../utils/chains.js';
+
+/**
+ * Holding kinds
+ *   liquid         - spendable wallet tokens
+ *   liquid_staking - staking receipts held in the wallet (mSOL, JitoSOL)
+ *   lending        - supplied to a lending protocol
+ *   staking        - natively staked through a protocol
+ *   lp             - liquidity provider positions
+ *   outcome        - prediction market outcome tokens (DFlow)
+ *   pending        - on its way back to the wallet (unbonding, transfers in flight)
+ */
+export const HOLDING_KINDS = ['liquid', 'liquid_staking', 'lending', 'staking', 'lp', 'outcome', 'pending'];
+
+// Kinds that are in the wallet and can be spent or swapped right away
+export const WALLET_KINDS = ['liquid', 'liquid_staking'];
+
+// Paper ledger and wallet positionType → holding kind
+const POSITION_KINDS = {
+    lending: 'lending',
+    staking: 'staking',
+    lp: 'lp',
+    outcome: 'outcome',
+    unbonding: 'pending',
+    pending: 'pending'
+};
+
+/**
+ * Portfolio - unified view of everything the treasury owns
+ * Merges raw wallet balances, protocol positions and pending transfers into typed holdings:
+ *   { kind, asset, chain, protocol, amount, price, value, stale, valuation,
+ *     costBasis, unrealizedPnl, yieldSource: { protocol, apy } | null, availableAt }
+ * chain is a utils/chains.js registry key ('solana', 'base', ...) when the wallet's label is known
+ *
+ * Position sources are objects with getPositions() resolving to entries
+ *   { kind, protocol, asset, amount, chain?, price?, costBasis?, apy?, availableAt? }
+ * (live lending adapters, or e.g. { name: 'dflow', getPositions: () => trader.getPortfolioPositions() }
+ * through config.positionSources). An entry that carries its own price is valued at it,
+ * everything else goes through the price oracle.
+ */
+export class Portfolio {
+    constructor(options = {}) {
+        this.logger = new Logger('PORTFOLIO');
+        this.priceOracle = options.priceOracle;
+        this.rateProvider = options.rateProvider || null; // (protocol) => current APY
+        this.sources = options.sources || [];
+        this.clock = options.clock || Date;
+    }
+
+    addSource(source) {
+        this.sources.push(source);
+    }
+
+    /**
+     * balances - AgentWallet.getBalances()-shaped wallet balances
+     * pending  - transfers in flight [{ asset, amount, chain?, protocol?, availableAt? }]
+     *
+     * Returns { totalValue, holdings, unpriced, stalePrices, byKind, byProtocol, byChain, sourceErrors, timestamp }
+     */
+    async build(balances, pending = []) {
+        const { entries: sourced, errors: sourceErrors } = await this.collectPositions();
+        const entries = [
+            ...walletEntries(balances),
+            ...sourced,
+            ...pending.map(p => ({ ...p, kind: 'pending', asset: p.asset.toLowerCase() }))
+        ].map(entry => ({ ...entry, chain: resolveChain(entry.chain) || entry.chain || null }));
+
+        // Liquid staking receipts fall back to their underlying asset when the oracle has no feed
+        const wanted = entries
+            .filter(e => e.price === undefined)
+            .flatMap(e => [e.asset, getAssetInfo(e.asset)?.underlying].filter(Boolean));
+        const prices = await this.priceOracle.getPrices([...new Set(wanted)]);
+
+        const holdings = [];
+        const unpriced = [];
+        let totalValue = 0;
+
+        for (const entry of entries) {
+            const quote = this.quoteFor(entry, prices);
+            if (!quote) {
+                unpriced.push({ kind: entry.kind, asset: entry.asset, chain: entry.chain, protocol: entry.protocol || null, amount: entry.amount });
+                continue;
+            }
+
+            const holding = this.toHolding(entry, quote);
+            holdings.push(holding);
+            totalValue += holding.value;
+        }
+
+        return {
+            totalValue,
+            holdings,
+            unpriced,
+            stalePrices: [...new Set(holdings.filter(h => h.stale).map(h => h.asset))],
+            byKind: sumBy(holdings, h => h.kind),
+            byProtocol: sumBy(holdings.filter(h => h.protocol), h => h.protocol),
+            byChain: sumBy(holdings, h => h.chain || 'unknown'),
+            sourceErrors,
+            timestamp: this.clock.now()
+        };
+    }
+
+    async collectPositions() {
+        const entries = [];
+        const errors = [];
+
+        for (const source of this.sources) {
+            const name = source.name || source.protocol || 'unknown';
+            try {
+                for (const position of await source.getPositions()) {
+                    entries.push(position);
+                }
+            } catch (error) {
+                // A protocol API outage must not take the whole valuation down
+                this.logger.warn(`⚠️ Could not read positions from ${name}:`, error.message);
+                errors.push({ source: name, message: error.message });
+            }
+        }
+
+        return { entries, errors };
+    }
+
+    quoteFor(entry, prices) {
+        if (entry.price !== undefined) {
+            return entry.price === null ? null : { price: entry.price, stale: false, valuation: 'position' };
+        }
+
+        if (prices[entry.asset]) {
+            return { ...prices[entry.asset], valuation: 'oracle' };
+        }
+
+        const underlying = getAssetInfo(entry.asset)?.underlying;
+        if (underlying && prices[underlying]) {
+            return { ...prices[underlying], valuation: 'underlying' };
+        }
+
+        return null;
+    }
+
+    toHolding(entry, quote) {
+        const value = entry.amount * quote.price;
+        const costBasis = entry.costBasis ?? null;
+        const earnsYield = ['lending', 'staking', 'liquid_staking', 'lp'].includes(entry.kind);
+
+        return {
+            kind: entry.kind,
+            asset: entry.asset,
+            chain: entry.chain || null,
+            protocol: entry.protocol || null,
+            amount: entry.amount,
+            price: quote.price,
+            value,
+            stale: Boolean(quote.stale),
+            valuation: quote.valuation,
+            costBasis,
+            unrealizedPnl: costBasis === null ? null : value - costBasis,
+            yieldSource: earnsYield
+                ? { protocol: entry.protocol, apy: entry.apy ?? this.rateProvider?.(entry.protocol) ?? null }
+                : null,
+            availableAt: entry.availableAt ?? null
+        };
+    }
+}
+
+function walletEntries(balances = {}) {
+    const entries = [];
+
+    for (const wallet of [...(balances.solanaWallets || []), ...(balances.evmWallets || [])]) {
+        for (const balance of wallet.balances || []) {
+            const asset = balance.asset.toLowerCase();
+            const stakePool = getAssetInfo(asset)?.stakePool;
+
+            let kind = 'liquid';
+            if (wallet.protocol) kind = POSITION_KINDS[wallet.positionType] || 'lending';
+            else if (stakePool) kind = 'liquid_staking';
+
+            entries.push({
+                kind,
+                asset,
+                chain: balance.chain,
+                protocol: wallet.protocol || (kind === 'liquid_staking' ? stakePool : null),
+                amount: parseFloat(balance.rawValue) / Math.pow(10, balance.decimals),
+                costBasis: wallet.costBasis,
+                apy: wallet.apy,
+                availableAt: wallet.availableAt
+            });
+        }
+    }
+
+    return entries;
+}
+
+function sumBy(holdings, keyOf) {
+    const totals = {};
+    for (const holding of holdings) {
+        const key = keyOf(holding);
+        totals[key] = (totals[key] || 0) + holding.value;
+    }
+    return totals;
+}
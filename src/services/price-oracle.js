@@ -0,0 +1,162 @@
+import { Logger } from '../utils/logger.js';
+import { createPriceProvider } from './price-providers.js';
+
+/**
+ * Price Oracle - Aggregated USD prices for every treasury valuation
+ * Takes the median across providers, caches per asset and flags stale quotes
+ */
+export class PriceOracle {
+    constructor(options = {}) {
+        this.logger = new Logger('PRICE_ORACLE');
+        this.providers = options.providers || [];
+        this.cacheTtlMs = options.cacheTtlMs ?? 30 * 1000;          // Re-fetch after 30s
+        this.maxStalenessMs = options.maxStalenessMs ?? 5 * 60 * 1000; // Quotes older than 5 min are stale
+        this.clock = options.clock || Date;
+        this.cache = new Map();
+    }
+
+    async getPrice(asset) {
+        const prices = await this.getPrices([asset]);
+        return prices[asset.toLowerCase()];
+    }
+
+    async getPrices(assets) {
+        const now = this.clock.now();
+        const wanted = [...new Set(assets.map(a => a.toLowerCase()))];
+        const missing = wanted.filter(asset => {
+            const cached = this.cache.get(asset);
+            return !cached || now - cached.fetchedAt > this.cacheTtlMs;
+        });
+
+        if (missing.length > 0) {
+            await this.refresh(missing);
+        }
+
+        const result = {};
+        for (const asset of wanted) {
+            result[asset] = this.cache.get(asset)?.quote || null;
+        }
+        return result;
+    }
+
+    async refresh(assets) {
+        const now = this.clock.now();
+        const results = await Promise.allSettled(
+            this.providers.map(provider => provider.getPrices(assets))
+        );
+
+        const quotesByAsset = new Map(assets.map(asset => [asset, []]));
+
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                this.logger.warn(`⚠️ Price provider ${this.providers[i].name} failed:`, result.reason?.message);
+                return;
+            }
+            for (const [asset, quote] of Object.entries(result.value)) {
+                if (quotesByAsset.has(asset) && Number.isFinite(quote.price) && quote.price > 0) {
+                    quotesByAsset.get(asset).push(quote);
+                }
+            }
+        });
+
+        for (const [asset, quotes] of quotesByAsset) {
+            if (quotes.length === 0) {
+                // Keep serving a previous quote, it will be flagged stale once it ages out
+                const previous = this.cache.get(asset);
+                if (previous) {
+                    this.cache.set(asset, { ...previous, quote: this.markStaleness(previous.quote, now) });
+                }
+                continue;
+            }
+
+            this.cache.set(asset, {
+                quote: this.aggregate(asset, quotes, now),
+                fetchedAt: now
+            });
+        }
+    }
+
+    aggregate(asset, quotes, now) {
+        // Prefer fresh sources; fall back to stale ones rather than report nothing
+        const fresh = quotes.filter(q => now - q.timestamp <= this.maxStalenessMs);
+        const usable = fresh.length > 0 ? fresh : quotes;
+
+        const prices = usable.map(q => q.price).sort((a, b) => a - b);
+        const mid = Math.floor(prices.length / 2);
+        const median = prices.length % 2 === 0
+            ? (prices[mid - 1] + prices[mid]) / 2
+            : prices[mid];
+
+        const quote = {
+            asset,
+            price: median,
+            timestamp: Math.min(...usable.map(q => q.timestamp)),
+            sources: usable.map(q => q.source),
+            stale: fresh.length === 0
+        };
+
+        if (quote.stale) {
+            this.logger.warn(`⚠️ Only stale prices available for ${asset.toUpperCase()} (${quote.sources.join(', ')})`);
+        }
+
+        return quote;
+    }
+
+    markStaleness(quote, now) {
+        return { ...quote, stale: now - quote.timestamp > this.maxStalenessMs };
+    }
+
+    /**
+     * Value an AgentWallet balances payload in USD
+     * Unknown assets are reported as unpriced instead of counting as $0
+     */
+    async valueBalances(balances) {
+        const entries = [];
+
+        for (const wallet of [...(balances.solanaWallets || []), ...(balances.evmWallets || [])]) {
+            for (const balance of wallet.balances || []) {
+                entries.push({
+                    asset: balance.asset.toLowerCase(),
+                    chain: balance.chain,
+                    protocol: wallet.protocol || null,
+                    positionType: wallet.positionType || null,
+                    amount: parseFloat(balance.rawValue) / Math.pow(10, balance.decimals)
+                });
+            }
+        }
+
+        const prices = await this.getPrices(entries.map(e => e.asset));
+
+        const holdings = [];
+        const unpriced = [];
+        let totalValue = 0;
+
+        for (const entry of entries) {
+            const quote = prices[entry.asset];
+            if (!quote) {
+                unpriced.push(entry);
+                continue;
+            }
+
+            const value = entry.amount * quote.price;
+            holdings.push({ ...entry, price: quote.price, value, stale: quote.stale });
+            totalValue += value;
+        }
+
+        const stalePrices = [...new Set(holdings.filter(h => h.stale).map(h => h.asset))];
+
+        return { totalValue, holdings, unpriced, stalePrices };
+    }
+}
+
+export function createPriceOracle(config = {}) {
+    const names = config.priceProviders
+        || (process.env.PRICE_PROVIDERS || 'pyth,jupiter').split(',').map(s => s.trim()).filter(Boolean);
+
+    return new PriceOracle({
+        providers: names.map(name => createPriceProvider(name, config)),
+        cacheTtlMs: config.priceCacheTtlMs ?? parseInt(process.env.PRICE_CACHE_TTL_MS || '30000'),
+        maxStalenessMs: config.priceMaxStalenessMs ?? parseInt(process.env.PRICE_MAX_STALENESS_MS || '300000'),
+        clock: config.clock
+    });
+}
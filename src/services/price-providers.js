@@ -0,0 +1,175 @@
+import fetch from 'node-fetch';
+import { readFileSync } from 'fs';
+import { Logger } from '../utils/logger.js';
+import { getAssetInfo } from '../utils/assets.js';
+
+/**
+ * Price provider adapters for the PriceOracle
+ * Every provider implements getPrices(assets) and resolves to
+ * { [asset]: { price, timestamp, source } } for the assets it can price
+ */
+
+/**
+ * Pyth Network prices via the Hermes HTTP API
+ */
+export class PythPriceProvider {
+    constructor(config = {}) {
+        this.name = 'pyth';
+        this.logger = new Logger('PYTH_PRICES');
+        this.baseUrl = config.baseUrl || process.env.PYTH_HERMES_URL || 'https://hermes.pyth.network';
+        this.timeout = config.timeout || 5000;
+    }
+
+    async getPrices(assets) {
+        const feeds = new Map();
+        for (const asset of assets) {
+            const feedId = getAssetInfo(asset)?.pythFeedId;
+            if (feedId) feeds.set(feedId, asset.toLowerCase());
+        }
+
+        if (feeds.size === 0) return {};
+
+        const params = new URLSearchParams();
+        for (const feedId of feeds.keys()) {
+            params.append('ids[]', feedId);
+        }
+
+        const response = await fetch(`${this.baseUrl}/v2/updates/price/latest?${params.toString()}`, {
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Pyth API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const quotes = {};
+
+        for (const update of data.parsed || []) {
+            const asset = feeds.get(update.id.replace(/^0x/, ''));
+            if (!asset || !update.price) continue;
+
+            quotes[asset] = {
+                price: Number(update.price.price) * Math.pow(10, update.price.expo),
+                timestamp: update.price.publish_time * 1000,
+                source: this.name
+            };
+        }
+
+        return quotes;
+    }
+}
+
+/**
+ * Jupiter Price API (Solana mints, priced in USDC)
+ */
+export class JupiterPriceProvider {
+    constructor(config = {}) {
+        this.name = 'jupiter';
+        this.logger = new Logger('JUPITER_PRICES');
+        this.baseUrl = config.baseUrl || process.env.JUPITER_PRICE_URL || 'https://api.jup.ag/price/v2';
+        this.timeout = config.timeout || 5000;
+        this.clock = config.clock || Date;
+    }
+
+    async getPrices(assets) {
+        const mints = new Map();
+        for (const asset of assets) {
+            const mint = getAssetInfo(asset)?.solanaMint;
+            if (mint) mints.set(mint, asset.toLowerCase());
+        }
+
+        if (mints.size === 0) return {};
+
+        const ids = Array.from(mints.keys()).join(',');
+        const response = await fetch(`${this.baseUrl}?ids=${ids}`, {
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Jupiter price API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const fetchedAt = this.clock.now();
+        const quotes = {};
+
+        for (const [mint, entry] of Object.entries(data.data || {})) {
+            const asset = mints.get(mint);
+            if (!asset || !entry?.price) continue;
+
+            // Jupiter does not publish a source timestamp - use fetch time
+            quotes[asset] = {
+                price: parseFloat(entry.price),
+                timestamp: fetchedAt,
+                source: this.name
+            };
+        }
+
+        return quotes;
+    }
+}
+
+/**
+ * Local fixture prices for tests, demos and offline runs
+ * Accepts inline prices or a JSON file of { "timestamp": ..., "prices": { "sol": 88.5 } };
+ * without a timestamp quotes are stamped with the current clock time
+ */
+export class FixturePriceProvider {
+    constructor(config = {}) {
+        this.name = config.name || 'fixture';
+        this.logger = new Logger('FIXTURE_PRICES');
+        this.clock = config.clock || Date;
+        this.prices = {};
+        this.timestamp = null;
+
+        if (config.file) {
+            const fixture = JSON.parse(readFileSync(config.file, 'utf-8'));
+            this.setPrices(fixture.prices || fixture, fixture.timestamp);
+        } else {
+            this.setPrices(config.prices || {}, config.timestamp);
+        }
+    }
+
+    setPrices(prices, timestamp = null) {
+        this.prices = {};
+        for (const [asset, price] of Object.entries(prices)) {
+            this.prices[asset.toLowerCase()] = price;
+        }
+        this.timestamp = timestamp;
+    }
+
+    async getPrices(assets) {
+        const quotes = {};
+
+        for (const asset of assets) {
+            const price = this.prices[asset.toLowerCase()];
+            if (typeof price !== 'number') continue;
+
+            quotes[asset.toLowerCase()] = {
+                price,
+                timestamp: this.timestamp ?? this.clock.now(),
+                source: this.name
+            };
+        }
+
+        return quotes;
+    }
+}
+
+export function createPriceProvider(name, config = {}) {
+    switch (name) {
+        case 'pyth':
+            return new PythPriceProvider(config.pyth);
+        case 'jupiter':
+            return new JupiterPriceProvider({ ...config.jupiter, clock: config.clock });
+        case 'fixture':
+            return new FixturePriceProvider({
+                file: config.priceFixtureFile || process.env.PRICE_FIXTURE_FILE,
+                prices: config.fixturePrices,
+                clock: config.clock
+            });
+        default:
+            throw new Error(`Unknown price provider: ${name}`);
+    }
+}
@@ -0,0 +1,83 @@
+import { Logger } from '../utils/logger.js';
+
+export const TRANSFER_STATUSES = ['intent', 'submitted', 'confirmed', 'failed'];
+
+// Statuses a transfer can still leave, reconciled after a restart
+export const UNRESOLVED_STATUSES = ['intent', 'submitted'];
+
+/**
+ * Transfer Journal - Write-ahead log of outgoing wallet transfers, keyed by idempotency key
+ * Every state change is appended to the 'transfers' collection before or after the request,
+ * so a crash mid-transfer leaves an intent or submission that can be reconciled on restart
+ *
+ * Lifecycle: intent → submitted → confirmed | failed (intent → confirmed | failed when the API answers final)
+ */
+export class TransferJournal {
+    constructor(options = {}) {
+        this.logger = new Logger('TRANSFER_JOURNAL');
+        this.repository = options.repository || null;
+        this.clock = options.clock || Date;
+        this.transfers = new Map();
+    }
+
+    async restore() {
+        if (!this.repository) return;
+
+        const records = await this.repository.readAll('transfers');
+        this.transfers = new Map();
+        for (const record of records) {
+            this.apply(record);
+        }
+
+        const unresolved = this.getUnresolved().length;
+        this.logger.info(`♻️ Restored ${this.transfers.size} transfers${unresolved > 0 ? `, ${unresolved} unresolved` : ''}`);
+    }
+
+    apply(record) {
+        const { key, status, timestamp, ...details } = record;
+        const transfer = this.transfers.get(key) || { key, createdAt: timestamp };
+        this.transfers.set(key, { ...transfer, ...details, status, updatedAt: timestamp });
+    }
+
+    async record(key, status, details = {}) {
+        if (!TRANSFER_STATUSES.includes(status)) {
+            throw new Error(`Unknown transfer status "${status}", expected one of: ${TRANSFER_STATUSES.join(', ')}`);
+        }
+
+        const entry = { key, status, ...details, timestamp: this.clock.now() };
+        this.apply(entry);
+        await this.repository?.append('transfers', entry);
+        return this.transfers.get(key);
+    }
+
+    /**
+     * request - { endpoint, body } as sent to AgentWallet, replayed verbatim when reconciling
+     */
+    async recordIntent(key, request, decisionId = null) {
+        return await this.record(key, 'intent', { request, decisionId });
+    }
+
+    async recordSubmitted(key, result) {
+        return await this.record(key, 'submitted', { txHash: result.txHash || null, result });
+    }
+
+    async recordConfirmed(key, result) {
+        return await this.record(key, 'confirmed', { txHash: result.txHash || null, result });
+    }
+
+    async recordFailed(key, reason) {
+        return await this.record(key, 'failed', { error: reason });
+    }
+
+    get(key) {
+        return this.transfers.get(key) || null;
+    }
+
+    list() {
+        return Array.from(this.transfers.values());
+    }
+
+    getUnresolved() {
+        return this.list().filter(transfer => UNRESOLVED_STATUSES.includes(transfer.status));
+    }
+}
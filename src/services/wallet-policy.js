@@ -0,0 +1,197 @@
+import { Logger } from '../utils/logger.js';
+import { resolveChain } from '../utils/chains.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local limit → field names AgentWallet policies use for it
+const POLICY_FIELDS = {
+    allowedChains: ['allowedChains', 'allowChains', 'allow_chains', 'chains'],
+    allowedAssets: ['allowedAssets', 'allowAssets', 'allow_assets', 'allowedTokens', 'allow_tokens'],
+    allowedDestinations: ['allowedDestinations', 'allowDestinations', 'allow_destinations', 'allowlist', 'allowContracts', 'allow_contracts'],
+    maxPerTxUsd: ['maxPerTxUsd', 'max_per_tx_usd', 'perTxLimitUsd', 'per_tx_limit_usd'],
+    dailyLimitUsd: ['dailyLimitUsd', 'daily_limit_usd', 'maxDailyUsd', 'max_daily_usd']
+};
+
+/**
+ * Wallet Policy - Local copy of the spending policy AgentWallet enforces server-side
+ * Synced at startup and every refreshMs, translated into local limits (null = unrestricted):
+ *   allowedChains, allowedAssets, allowedDestinations, maxPerTxUsd, dailyLimitUsd
+ *
+ * AgentWallet pre-flights every transfer, x402 payment and contract call against it, so a request the wallet would
+ * reject is refused locally instead of being submitted. Spend counts toward dailyLimitUsd over a
+ * rolling 24h window and is appended to the 'wallet_spend' collection to survive restarts.
+ */
+export class WalletPolicy {
+    constructor(options = {}) {
+        this.logger = new Logger('WALLET_POLICY');
+        this.wallet = options.wallet || null;
+        this.repository = options.repository || null;
+        this.clock = options.clock || Date;
+        this.refreshMs = options.refreshMs ?? parseInt(process.env.WALLET_POLICY_REFRESH_MS || '3600000');
+        this.onViolation = options.onViolation || null;
+        this.limits = translatePolicy(options.policy || {});
+        this.syncedAt = null;
+        this.spend = []; // { timestamp, usd, kind, reference }
+    }
+
+    async restore() {
+        if (!this.repository) return;
+
+        const cutoff = this.clock.now() - DAY_MS;
+        this.spend = (await this.repository.readAll('wallet_spend')).filter(entry => entry.timestamp >= cutoff);
+    }
+
+    isDue() {
+        return this.syncedAt === null || this.clock.now() - this.syncedAt >= this.refreshMs;
+    }
+
+    /**
+     * Fetch the wallet-side policy; on failure the last synced limits stay in force
+     */
+    async sync() {
+        try {
+            const policy = await this.wallet.getPolicy();
+            this.limits = translatePolicy(policy || {});
+            this.syncedAt = this.clock.now();
+            this.logger.info('🔐 Wallet policy synced:', this.limits);
+        } catch (error) {
+            this.logger.warn('⚠️ Wallet policy sync failed, keeping the last known limits:', error.message);
+        }
+        return this.limits;
+    }
+
+    async refreshIfDue() {
+        if (this.isDue()) await this.sync();
+        return this.limits;
+    }
+
+    getDailySpend() {
+        const cutoff = this.clock.now() - DAY_MS;
+        this.spend = this.spend.filter(entry => entry.timestamp >= cutoff);
+        return this.spend.reduce((sum, entry) => sum + entry.usd, 0);
+    }
+
+    /**
+     * request - { kind: 'transfer' | 'x402' | 'contract_call', chain, chainId?, network?, asset?, to, usd? }
+     *   chain is null when the wallet picks it (x402 'auto'), usd is null when the amount cannot be
+     *   valued (an x402 price is only known after the handshake, a contract call moves no value itself)
+     * Returns the violated rules, empty when the wallet would accept the request
+     */
+    check(request) {
+        const { allowedChains, allowedAssets, allowedDestinations, maxPerTxUsd, dailyLimitUsd } = this.limits;
+        const violations = [];
+
+        if (allowedChains && request.chain && !chainNames(request).some(name => allowedChains.includes(name))) {
+            violations.push(`chain ${chainNames(request)[0]} is not allowed (${allowedChains.join(', ')})`);
+        }
+        if (allowedAssets && request.asset && !allowedAssets.includes(request.asset.toLowerCase())) {
+            violations.push(`asset ${request.asset.toUpperCase()} is not allowed (${allowedAssets.join(', ')})`);
+        }
+        if (allowedDestinations && !allowedDestinations.some(destination => sameDestination(destination, request.to))) {
+            violations.push(`destination ${request.to} is not on the allowlist`);
+        }
+
+        const spent = this.getDailySpend();
+        if (request.usd === null || request.usd === undefined) {
+            // Only a transfer must be valued; anything else unpriced is refused up front once the daily limit is used up
+            if (request.kind === 'transfer') {
+                if (maxPerTxUsd !== null || dailyLimitUsd !== null) {
+                    violations.push('amount cannot be valued against the USD limits');
+                }
+            } else if (dailyLimitUsd !== null && spent >= dailyLimitUsd) {
+                violations.push(`the $${dailyLimitUsd} daily limit is used up`);
+            }
+        } else {
+            if (maxPerTxUsd !== null && request.usd > maxPerTxUsd) {
+                violations.push(`$${request.usd.toFixed(2)} exceeds the $${maxPerTxUsd} per-transaction limit`);
+            }
+            if (dailyLimitUsd !== null && spent + request.usd > dailyLimitUsd) {
+                violations.push(`$${request.usd.toFixed(2)} on top of $${spent.toFixed(2)} spent exceeds the $${dailyLimitUsd} daily limit`);
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Throws when the request violates the wallet policy, after reporting it to onViolation
+     */
+    async preflight(request) {
+        const violations = this.check(request);
+        if (violations.length === 0) return;
+
+        const reason = violations.join('; ');
+        this.logger.warn(`🚫 Refusing ${request.kind} to ${request.to}: ${reason}`);
+        await this.onViolation?.({ ...request, violations });
+
+        const error = new Error(`Wallet policy rejects ${request.kind} to ${request.to}: ${reason}`);
+        error.code = 'WALLET_POLICY'; // Final, never worth retrying
+        throw error;
+    }
+
+    /**
+     * Count spend towards the daily limit, once per reference (a transfer key or billing period)
+     */
+    async recordSpend(usd, kind, reference = null) {
+        if (!(usd > 0)) return;
+        if (reference && this.spend.some(entry => entry.reference === reference)) return;
+
+        const entry = { timestamp: this.clock.now(), usd, kind, reference };
+        this.spend.push(entry);
+        await this.repository?.append('wallet_spend', entry);
+    }
+
+    getStatus() {
+        return {
+            limits: this.limits,
+            syncedAt: this.syncedAt,
+            dailySpendUsd: this.getDailySpend()
+        };
+    }
+}
+
+/**
+ * Wallet policy document → local limits; missing or empty fields are unrestricted
+ * Chains and assets are lowercased, destinations kept as given since Solana addresses are case-sensitive
+ */
+export function translatePolicy(policy) {
+    const pick = fields => fields.map(field => policy[field]).find(value => value !== undefined && value !== null);
+
+    const list = (fields, normalize = entry => String(entry).toLowerCase()) => {
+        const value = pick(fields);
+        return Array.isArray(value) && value.length > 0 ? value.map(normalize) : null;
+    };
+    const amount = fields => {
+        const value = pick(fields);
+        return value !== undefined && Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : null;
+    };
+
+    return {
+        allowedChains: list(POLICY_FIELDS.allowedChains),
+        allowedAssets: list(POLICY_FIELDS.allowedAssets),
+        allowedDestinations: list(POLICY_FIELDS.allowedDestinations, String),
+        maxPerTxUsd: amount(POLICY_FIELDS.maxPerTxUsd),
+        dailyLimitUsd: amount(POLICY_FIELDS.dailyLimitUsd)
+    };
+}
+
+// Every name the request's chain may be listed under, most specific first
+function chainNames({ chain, chainId, network }) {
+    if (chain === 'evm') {
+        return [resolveChain(chainId), `eip155:${chainId}`, String(chainId), 'evm'].filter(Boolean);
+    }
+    const names = network ? [`${chain}-${network}`, `${chain}:${network}`, chain] : [chain];
+    return names.map(name => String(name).toLowerCase());
+}
+
+// Allowlist entries are addresses or, for x402, payee hostnames; only EVM addresses and hostnames ignore case
+function sameDestination(entry, to) {
+    if (!to) return false;
+    if (entry === to) return true;
+    if (/^0x/i.test(entry)) return entry.toLowerCase() === String(to).toLowerCase();
+    try {
+        return new URL(to).hostname === entry.toLowerCase();
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,57 @@
+import { appendFile, readFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Append-only JSONL repository for durable agent state
+ * Each collection (snapshots, events, costs, decisions...) is one file under the data directory
+ *
+ * Interface shared by every repository:
+ *   initialize()               - prepare storage
+ *   append(collection, record) - durably add one record
+ *   readAll(collection)        - every record in insertion order
+ */
+export class JsonlRepository {
+    constructor(options = {}) {
+        this.logger = new Logger('STORAGE');
+        this.dataDir = options.dataDir || './data';
+    }
+
+    async initialize() {
+        await mkdir(this.dataDir, { recursive: true });
+        this.logger.info(`💾 Persisting agent state to ${this.dataDir}`);
+    }
+
+    pathFor(collection) {
+        return join(this.dataDir, `${collection}.jsonl`);
+    }
+
+    async append(collection, record) {
+        await appendFile(this.pathFor(collection), JSON.stringify(record) + '\n');
+    }
+
+    async readAll(collection) {
+        let content;
+        try {
+            content = await readFile(this.pathFor(collection), 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = [];
+        const lines = content.split('\n');
+
+        lines.forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-append can leave a truncated final line
+                this.logger.warn(`⚠️ Skipping corrupt record ${collection}.jsonl:${i + 1}`);
+            }
+        });
+
+        return records;
+    }
+}
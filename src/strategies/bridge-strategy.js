@@ -0,0 +1,24 @@
+import { Strategy } from './strategy.js';
+import { BRIDGE_CHAINS } from '../utils/chains.js';
+
+/**
+ * Cross-chain USDC moves as a Strategy, executed and followed by the BridgeTracker
+ * Transfers in flight reach NAV as pending holdings through the tracker, not as positions
+ */
+export class BridgeStrategy extends Strategy {
+    constructor(tracker) {
+        super({
+            id: 'bridge',
+            name: 'Bridging',
+            description: 'Move USDC between chains so funds sit where the best opportunity is',
+            actions: ['bridge'],
+            risk: { level: 'medium', protocols: [tracker.provider.name], chains: BRIDGE_CHAINS, liquidity: 'in_transit' },
+            loggerName: 'BRIDGE_STRATEGY'
+        });
+        this.tracker = tracker;
+    }
+
+    async execute(decision) {
+        return await this.tracker.initiate(decision.params, { decisionId: decision.id || null });
+    }
+}
@@ -1,27 +1,40 @@
 import { Logger } from '../utils/logger.js';
+import { Strategy } from './strategy.js';
 
 /**
  * DeFi strategies implementation using Blinks Labs institutional expertise
  * Handles autonomous yield optimization and capital deployment
  */
 export class DeFiStrategies {
-    constructor(wallet) {
+    constructor(wallet, options = {}) {
         this.wallet = wallet;
         this.logger = new Logger('DEFI_STRATEGIES');
         
-        // Strategy parameters based on institutional DeFi best practices
+        // Optional execution backend (e.g. PaperLedger); falls back to demo simulation
+        this.executionBackend = options.executionBackend || null;
+
+        // Live protocol adapters keyed by lending protocol (see protocols/lending-adapters.js)
+        this.lendingAdapters = options.lendingAdapters || {};
+
+        // Live Jupiter swaps (see protocols/jupiter-client.js); simulated when absent
+        this.swapClient = options.swapClient || null;
+
+        // Strategy parameters based on institutional DeFi best practices, each on the chain its protocol lives on
         this.strategies = {
             lending: {
-                kamino: { minAmount: 0.01, expectedAPY: 0.065 },
-                marginfi: { minAmount: 0.01, expectedAPY: 0.058 }
+                kamino: { chain: 'solana', minAmount: 0.01, expectedAPY: 0.065 },
+                marginfi: { chain: 'solana', minAmount: 0.01, expectedAPY: 0.058 },
+                aave: { chain: 'base', minAmount: 0.01, expectedAPY: 0.045 }
             },
+            // Delayed unstakes wait out the stake deactivation epoch(s); instant ones
+            // go through Marinade liquid unstake or a JitoSOL → SOL swap and pay a fee
             staking: {
-                marinade: { minAmount: 0.1, expectedAPY: 0.085 },
-                jito: { minAmount: 0.1, expectedAPY: 0.078 }
+                marinade: { chain: 'solana', minAmount: 0.1, expectedAPY: 0.085, unbondingDays: 3, instantUnstakeFee: 0.003 },
+                jito: { chain: 'solana', minAmount: 0.1, expectedAPY: 0.078, unbondingDays: 3, instantUnstakeFee: 0.001 }
             },
             yield: {
-                jupiter: { minSwapAmount: 0.001 },
-                drift: { minPosition: 0.05 }
+                jupiter: { chain: 'solana', minSwapAmount: 0.001 },
+                drift: { chain: 'solana', minPosition: 0.05 }
             }
         };
     }
@@ -29,6 +42,36 @@ export class DeFiStrategies {
     async initialize() {
         this.logger.info('💎 Initializing DeFi strategies...');
         this.logger.info('   Strategies available: Lending, Staking, Yield Optimization');
+        if (this.executionBackend) {
+            this.logger.info('   Execution backend: paper ledger (no real funds moved)');
+        } else if (Object.keys(this.lendingAdapters).length > 0) {
+            this.logger.info(`   Live lending: ${Object.keys(this.lendingAdapters).join(', ')}`);
+        }
+    }
+
+    /**
+     * A decision aimed at a chain the protocol does not live on is a mistake, not a cross-chain move
+     */
+    requireChain(params, strategy) {
+        if (params.chain && params.chain !== strategy.chain) {
+            throw new Error(`${params.target} runs on ${strategy.chain}, not ${params.chain}`);
+        }
+    }
+
+    getExpectedAPY(protocol) {
+        const name = protocol?.toLowerCase();
+        return this.strategies.lending[name]?.expectedAPY
+            ?? this.strategies.staking[name]?.expectedAPY
+            ?? 0;
+    }
+
+    setExpectedAPY(protocol, apy) {
+        const name = protocol?.toLowerCase();
+        const strategy = this.strategies.lending[name] || this.strategies.staking[name];
+        if (!strategy) {
+            throw new Error(`Unknown yield protocol: ${protocol}`);
+        }
+        strategy.expectedAPY = apy;
     }
 
     async lendAssets(params) {
@@ -39,21 +82,35 @@ export class DeFiStrategies {
             if (!strategy) {
                 throw new Error(`Unsupported lending protocol: ${params.target}`);
             }
+            this.requireChain(params, strategy);
+
+            const adapter = this.lendingAdapters[params.target.toLowerCase()];
+            let execution;
+            if (this.executionBackend) {
+                execution = await this.executionBackend.lend(params, strategy);
+            } else if (adapter) {
+                execution = await adapter.deposit(params);
+                // The protocol's current supply rate replaces the static estimate
+                strategy.expectedAPY = execution.position.supplyAPY;
+            } else {
+                execution = await this.simulateDefiOperation('lend', params, strategy);
+            }
 
-            // Simulate lending operation for demo
-            // In production, this would integrate with actual protocols
-            await this.simulateDefiOperation('lend', params, strategy);
-            
             this.logger.info(`✅ Lending successful: ${params.expectedYield}% expected APY`);
             
             return {
                 success: true,
                 action: 'lend',
                 protocol: params.target,
+                chain: strategy.chain,
                 amount: params.amount,
                 asset: params.asset,
                 expectedAPY: strategy.expectedAPY,
-                txHash: this.generateMockTxHash()
+                txHash: execution.txHash || this.generateMockTxHash(),
+                ...(execution.txHashes ? { txHashes: execution.txHashes } : {}),
+                ...(execution.signature ? { signature: execution.signature, slot: execution.slot } : {}),
+                ...(execution.position ? { position: execution.position } : {}),
+                ...(execution.networkFee ? { networkFee: execution.networkFee } : {})
             };
             
         } catch (error) {
@@ -70,9 +127,11 @@ export class DeFiStrategies {
             if (!strategy) {
                 throw new Error(`Unsupported staking protocol: ${params.target}`);
             }
+            this.requireChain(params, strategy);
 
-            // Simulate staking operation
-            await this.simulateDefiOperation('stake', params, strategy);
+            const execution = this.executionBackend
+                ? await this.executionBackend.stake(params, strategy)
+                : await this.simulateDefiOperation('stake', params, strategy);
             
             this.logger.info(`✅ Staking successful: ${params.expectedYield}% expected APY`);
             
@@ -80,10 +139,11 @@ export class DeFiStrategies {
                 success: true,
                 action: 'stake',
                 protocol: params.target,
+                chain: strategy.chain,
                 amount: params.amount,
                 asset: params.asset,
                 expectedAPY: strategy.expectedAPY,
-                txHash: this.generateMockTxHash()
+                txHash: execution.txHash || this.generateMockTxHash()
             };
             
         } catch (error) {
@@ -92,12 +152,147 @@ export class DeFiStrategies {
         }
     }
 
+    async withdrawLending(params) {
+        this.logger.info(`🏧 Withdrawing ${params.amount} ${params.asset} from ${params.target}`);
+        
+        try {
+            const strategy = this.strategies.lending[params.target?.toLowerCase()];
+            if (!strategy) {
+                throw new Error(`Unsupported lending protocol: ${params.target}`);
+            }
+            this.requireChain(params, strategy);
+
+            const adapter = this.lendingAdapters[params.target.toLowerCase()];
+            let execution;
+            if (this.executionBackend) {
+                execution = await this.executionBackend.withdraw(params);
+            } else if (adapter) {
+                execution = await adapter.withdraw(params);
+            } else {
+                // Reporting a simulated withdrawal as done would let the agent count USDC it never got back
+                throw new Error(`Withdrawing from ${params.target} is not supported in live mode, list it in LIVE_LENDING_PROTOCOLS`);
+            }
+            
+            this.logger.info(`✅ Withdrawal successful`);
+            
+            return {
+                success: true,
+                action: 'withdraw',
+                protocol: params.target,
+                chain: strategy.chain,
+                amount: params.amount,
+                asset: params.asset,
+                txHash: execution.txHash || this.generateMockTxHash(),
+                ...(execution.signature ? { signature: execution.signature, slot: execution.slot } : {}),
+                ...(execution.position ? { position: execution.position } : {}),
+                ...(execution.networkFee ? { networkFee: execution.networkFee } : {})
+            };
+            
+        } catch (error) {
+            this.logger.error('❌ Withdrawal failed:', error);
+            throw error;
+        }
+    }
+
+    async unstake(params) {
+        const terms = this.getUnstakeTerms(params);
+        this.logger.info(`🔓 Unstaking ${params.amount} ${params.asset} from ${params.target} (${terms.mode})`);
+        
+        try {
+            if (!this.executionBackend) {
+                throw new Error(`Unstaking from ${params.target} is not supported in live mode`);
+            }
+            const execution = await this.executionBackend.unstake(params, terms);
+            
+            this.logger.info(terms.mode === 'instant'
+                ? `✅ Unstaked instantly, ${(terms.fee * 100).toFixed(2)}% fee`
+                : `✅ Unstake requested, funds unlock in ~${terms.unbondingDays} days`);
+            
+            return {
+                success: true,
+                action: 'unstake',
+                protocol: params.target,
+                amount: params.amount,
+                asset: params.asset,
+                ...terms,
+                availableAt: execution.availableAt ?? null,
+                txHash: execution.txHash || this.generateMockTxHash()
+            };
+            
+        } catch (error) {
+            this.logger.error('❌ Unstake failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Exit a whole position, whichever kind of protocol holds it
+     * params - { target, asset, mode } where mode only applies to staking
+     */
+    async closePosition(params) {
+        const protocol = params.target?.toLowerCase();
+        const amount = await this.getPositionAmount(protocol, params.asset);
+        if (!(amount > 0)) {
+            throw new Error(`No ${params.asset} position in ${params.target} to close`);
+        }
+
+        this.logger.info(`🧹 Closing ${params.target} position: ${amount} ${params.asset}`);
+
+        if (this.strategies.lending[protocol]) {
+            return await this.withdrawLending({ ...params, amount });
+        }
+        if (this.strategies.staking[protocol]) {
+            return await this.unstake({ ...params, amount });
+        }
+        throw new Error(`Unknown yield protocol: ${params.target}`);
+    }
+
+    async getPositionAmount(protocol, asset) {
+        const name = asset?.toLowerCase();
+
+        if (this.executionBackend) {
+            return this.executionBackend.getPositions()
+                .filter(p => p.protocol === protocol && p.asset === name)
+                .reduce((sum, p) => sum + p.amount, 0);
+        }
+
+        const adapter = this.lendingAdapters[protocol];
+        if (adapter) {
+            return (await adapter.getPosition(name)).supplied;
+        }
+
+        throw new Error(`Cannot size the ${protocol} position: no position source in this execution mode`);
+    }
+
+    /**
+     * Unbonding delay and fee for an unstake: delayed pays nothing but waits, instant pays the fee now
+     */
+    getUnstakeTerms(params) {
+        const strategy = this.strategies.staking[params.target?.toLowerCase()];
+        if (!strategy) {
+            throw new Error(`Unsupported staking protocol: ${params.target}`);
+        }
+
+        const mode = params.mode || 'delayed';
+        return mode === 'instant'
+            ? { mode, unbondingDays: 0, fee: strategy.instantUnstakeFee }
+            : { mode, unbondingDays: strategy.unbondingDays, fee: 0 };
+    }
+
     async swapAssets(params) {
         this.logger.info(`🔄 Executing swap: ${params.amount} ${params.asset} → ${params.target}`);
         
         try {
-            // Simulate Jupiter swap for optimal routing
-            await this.simulateDefiOperation('swap', params);
+            this.requireChain({ ...params, target: 'jupiter' }, this.strategies.yield.jupiter);
+            
+            let execution;
+            if (this.executionBackend) {
+                execution = await this.executionBackend.swap(params);
+            } else if (this.swapClient) {
+                execution = await this.swapClient.swap(params);
+            } else {
+                execution = await this.simulateDefiOperation('swap', params);
+            }
             
             this.logger.info(`✅ Swap successful via Jupiter aggregator`);
             
@@ -108,7 +303,11 @@ export class DeFiStrategies {
                 to: params.target,
                 amount: params.amount,
                 protocol: 'jupiter',
-                txHash: this.generateMockTxHash()
+                txHash: execution.txHash || this.generateMockTxHash(),
+                ...(execution.signature ? { signature: execution.signature, slot: execution.slot } : {}),
+                ...(execution.received !== undefined ? { received: execution.received } : {}),
+                ...(execution.output ? { output: execution.output } : {}),
+                ...(execution.networkFee ? { networkFee: execution.networkFee } : {})
             };
             
         } catch (error) {
@@ -122,17 +321,24 @@ export class DeFiStrategies {
         
         try {
             // Get current balances
-            const balances = await this.wallet.getBalances();
-            const currentValue = this.wallet.calculateTotalValue(balances);
+            const balances = this.executionBackend
+                ? await this.executionBackend.getBalances()
+                : await this.wallet.getBalances();
+            const currentValue = await this.wallet.calculateTotalValue(balances);
             
             // Simulate institutional rebalancing logic
-            const rebalanceActions = this.calculateRebalanceActions(balances, params);
+            const rebalanceActions = this.calculateRebalanceActions(currentValue, params);
             
             this.logger.info(`📊 Rebalancing ${rebalanceActions.length} positions (Portfolio: $${currentValue.toFixed(2)})`);
             
             // Execute rebalance actions
-            for (const action of rebalanceActions) {
-                await this.simulateDefiOperation('rebalance', action);
+            let executions = [];
+            if (this.executionBackend) {
+                executions = await this.executionBackend.rebalance(rebalanceActions);
+            } else {
+                for (const action of rebalanceActions) {
+                    executions.push(await this.simulateDefiOperation('rebalance', action));
+                }
             }
             
             this.logger.info(`✅ Portfolio rebalanced successfully`);
@@ -140,10 +346,10 @@ export class DeFiStrategies {
             return {
                 success: true,
                 action: 'rebalance',
-                actionsExecuted: rebalanceActions.length,
+                actionsExecuted: executions.length,
                 portfolioValue: currentValue,
                 strategy: params.strategy,
-                txHashes: rebalanceActions.map(() => this.generateMockTxHash())
+                txHashes: executions.map(execution => execution.txHash || this.generateMockTxHash())
             };
             
         } catch (error) {
@@ -152,12 +358,11 @@ export class DeFiStrategies {
         }
     }
 
-    calculateRebalanceActions(balances, params) {
+    calculateRebalanceActions(totalValue, params) {
         // Institutional rebalancing logic
         // Target allocation: 40% staked SOL, 30% USDC lending, 30% liquid
         
         const actions = [];
-        const totalValue = this.wallet.calculateTotalValue(balances);
         
         if (totalValue < 0.1) {
             this.logger.info('Portfolio too small for rebalancing');
@@ -231,20 +436,184 @@ export class DeFiStrategies {
         };
     }
 
-    async getPortfolioAllocation(balances) {
-        const totalValue = this.wallet.calculateTotalValue(balances);
-        
-        if (totalValue === 0) {
-            return { sol: 0, usdc: 0, eth: 0, staked: 0, lent: 0 };
+    /**
+     * Share of total value per liquid asset and per deployed bucket, from a Portfolio snapshot
+     * e.g. { sol: 0.4, usdc: 0.3, staked: 0.2, lent: 0.1 }
+     */
+    getPortfolioAllocation(portfolio) {
+        const allocation = {};
+        if (!portfolio || portfolio.totalValue <= 0) {
+            return allocation;
         }
 
-        // Calculate current allocation percentages
-        // This would integrate with actual protocol positions in production
-        return {
-            sol: 0.4,      // 40% SOL
-            usdc: 0.3,     // 30% USDC
-            staked: 0.2,   // 20% staked positions
-            lent: 0.1      // 10% lending positions
+        const buckets = {
+            liquid_staking: 'staked',
+            staking: 'staked',
+            lending: 'lent',
+            lp: 'lp',
+            outcome: 'outcome',
+            pending: 'pending'
         };
+
+        for (const holding of portfolio.holdings) {
+            const key = holding.kind === 'liquid' ? holding.asset : buckets[holding.kind];
+            allocation[key] = (allocation[key] || 0) + holding.value / portfolio.totalValue;
+        }
+
+        return allocation;
+    }
+}
+
+/**
+ * Lending markets (Kamino, MarginFi, Aave) as a Strategy: lend and withdraw
+ */
+export class LendingStrategy extends Strategy {
+    constructor(defi) {
+        const protocols = defi.strategies.lending;
+        super({
+            id: 'lending',
+            name: 'Lending',
+            description: 'Supply assets to lending markets for variable interest, withdrawable at any time',
+            actions: ['lend', 'withdraw'],
+            risk: {
+                level: 'low',
+                protocols: Object.keys(protocols),
+                chains: [...new Set(Object.values(protocols).map(p => p.chain))],
+                liquidity: 'instant'
+            },
+            loggerName: 'LENDING'
+        });
+        this.defi = defi;
+    }
+
+    async getOpportunities() {
+        return Object.entries(this.defi.strategies.lending).map(([protocol, params]) => ({
+            action: 'lend',
+            protocol,
+            chain: params.chain,
+            apy: this.defi.getExpectedAPY(protocol)
+        }));
+    }
+
+    async execute(decision) {
+        return decision.action === 'lend'
+            ? await this.defi.lendAssets(decision.params)
+            : await this.defi.withdrawLending(decision.params);
+    }
+
+    /**
+     * Live positions come from the protocol adapters; paper positions are already ledger balances
+     */
+    async getPositions() {
+        const positions = [];
+        for (const adapter of Object.values(this.defi.lendingAdapters)) {
+            positions.push(...await adapter.getPositions());
+        }
+        return positions;
+    }
+
+    // One source per adapter, so an outage at one protocol only hides that protocol
+    getPositionSources() {
+        return Object.values(this.defi.lendingAdapters);
+    }
+
+    async unwind(params) {
+        return await this.defi.closePosition(params);
+    }
+}
+
+/**
+ * SOL staking (Marinade, Jito) as a Strategy: stake and unstake, delayed or instant
+ */
+export class StakingStrategy extends Strategy {
+    constructor(defi) {
+        const protocols = defi.strategies.staking;
+        super({
+            id: 'staking',
+            name: 'Staking',
+            description: 'Stake SOL for validator rewards; unstaking waits out unbonding or pays an instant fee',
+            actions: ['stake', 'unstake'],
+            risk: {
+                level: 'low',
+                protocols: Object.keys(protocols),
+                chains: [...new Set(Object.values(protocols).map(p => p.chain))],
+                liquidity: 'unbonding',
+                unbondingDays: Math.max(...Object.values(protocols).map(p => p.unbondingDays))
+            },
+            loggerName: 'STAKING'
+        });
+        this.defi = defi;
+    }
+
+    async getOpportunities() {
+        return Object.entries(this.defi.strategies.staking).map(([protocol, params]) => ({
+            action: 'stake',
+            protocol,
+            chain: params.chain,
+            apy: this.defi.getExpectedAPY(protocol),
+            unbondingDays: params.unbondingDays
+        }));
+    }
+
+    async execute(decision) {
+        return decision.action === 'stake'
+            ? await this.defi.stakeAssets(decision.params)
+            : await this.defi.unstake(decision.params);
+    }
+
+    async unwind(params) {
+        return await this.defi.closePosition(params);
+    }
+
+    getPolicyContext(decision) {
+        return decision.action === 'unstake'
+            ? { unbonding: this.defi.getUnstakeTerms(decision.params) }
+            : {};
+    }
+}
+
+/**
+ * Jupiter swaps between listed Solana assets as a Strategy
+ */
+export class SwapStrategy extends Strategy {
+    constructor(defi) {
+        super({
+            id: 'swap',
+            name: 'Swaps',
+            description: 'Swap between listed Solana assets through the Jupiter aggregator',
+            actions: ['swap'],
+            risk: { level: 'medium', protocols: ['jupiter'], chains: [defi.strategies.yield.jupiter.chain], liquidity: 'instant' },
+            loggerName: 'SWAP'
+        });
+        this.defi = defi;
+    }
+
+    async execute(decision) {
+        return await this.defi.swapAssets(decision.params);
+    }
+}
+
+/**
+ * Target-allocation rebalancing across staking and lending as a Strategy
+ */
+export class RebalanceStrategy extends Strategy {
+    constructor(defi) {
+        super({
+            id: 'rebalance',
+            name: 'Rebalance',
+            description: 'Move the portfolio back to its target allocation across staking, lending and liquid assets',
+            actions: ['rebalance'],
+            risk: { level: 'medium', protocols: ['marinade', 'kamino'], chains: ['solana'], liquidity: 'unbonding' },
+            loggerName: 'REBALANCE'
+        });
+        this.defi = defi;
+    }
+
+    async execute(decision) {
+        return await this.defi.rebalancePortfolio(decision.params);
+    }
+
+    getPolicyContext(decision, state) {
+        return { rebalanceActions: this.defi.calculateRebalanceActions(state.totalValue, decision.params) };
     }
-}
\ No newline at end of file
+}
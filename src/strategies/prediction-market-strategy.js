@@ -1,20 +1,31 @@
 import DFlowTrader from '../services/dflow-trader.js';
+import { Strategy } from './strategy.js';
 import { Logger } from '../utils/logger.js';
 const logger = new Logger('PredictionMarket');
 
 /**
  * Prediction Market Strategy
  * Trades Kalshi prediction markets via DFlow API
+ * Owns the 'predict' action: buy outcome tokens of a market (target = ticker) with USDC, or sell them.
+ * Entries come from the decision engine, exits are proposed on take-profit / stop-loss.
  */
-class PredictionMarketStrategy {
+class PredictionMarketStrategy extends Strategy {
   constructor(config) {
-    this.name = 'Prediction Market Trading';
-    this.description = 'Trade prediction market outcomes on Kalshi via DFlow';
-    this.riskLevel = 'medium';
+    super({
+      id: 'prediction',
+      name: 'Prediction Market Trading',
+      description: 'Trade prediction market outcomes on Kalshi via DFlow',
+      actions: ['predict'],
+      risk: { level: 'medium', protocols: ['dflow'], chains: ['solana'], liquidity: 'market' },
+      loggerName: 'PredictionMarket'
+    });
     
-    this.trader = new DFlowTrader({
+    this.trader = config.trader || new DFlowTrader({
       apiKey: config.dflowApiKey,
       wallet: config.wallet,
+      rpc: config.rpc,
+      repository: config.repository,
+      clock: config.clock,
       minConfidence: 0.65,
       maxPositionSize: 0.15 // 15% max per position
     });
@@ -25,7 +36,8 @@ class PredictionMarketStrategy {
     
     this.minEdge = 0.05; // 5% minimum edge
     this.maxPositions = 5;
-    this.positions = new Map();
+    this.takeProfit = 0.5;
+    this.stopLoss = -0.3;
   }
 
   /**
@@ -90,7 +102,7 @@ class PredictionMarketStrategy {
         
         if (analysis.edge > this.minEdge && analysis.confidence > 0.6) {
           signals.push({
-            strategy: this.name,
+            strategy: this.id,
             type: 'prediction_market',
             action: analysis.recommendedAction,
             ticker: market.ticker,
@@ -185,54 +197,125 @@ class PredictionMarketStrategy {
   }
 
   /**
-   * Execute a trade signal
+   * Buy signals as opportunities for the decision engine, with a half-Kelly share of the treasury
    */
-  async execute(signal, wallet) {
-    logger.info(`Executing prediction market trade: ${signal.ticker}`);
+  async getOpportunities(state) {
+    const signals = await this.analyze();
     
-    try {
-      // Check position limits
-      if (this.positions.size >= this.maxPositions && !this.positions.has(signal.ticker)) {
-        throw new Error('Maximum positions reached');
+    return signals
+      .filter(signal => signal.action === 'buy')
+      .map(signal => ({
+        action: 'predict',
+        protocol: 'dflow',
+        chain: 'solana',
+        target: signal.ticker,
+        question: signal.marketQuestion,
+        price: signal.currentPrice,
+        confidence: signal.confidence,
+        expectedReturn: signal.expectedReturn,
+        suggestedShare: this.calculatePositionSize(signal)
+      }));
+  }
+
+  /**
+   * Sell decisions for positions past take-profit or stop-loss
+   */
+  async propose(state) {
+    const exits = await this.monitorPositions();
+    const positions = this.trader.getPositions();
+    
+    return exits.map(exit => ({
+      action: 'predict',
+      reasoning: `${exit.reason === 'take_profit' ? 'Take profit' : 'Stop loss'} on ${exit.ticker} at ${(exit.pnl * 100).toFixed(1)}%`,
+      priority: 'high',
+      riskLevel: 'low',
+      emergency: exit.reason === 'stop_loss',
+      params: {
+        asset: 'usdc',
+        target: exit.ticker,
+        side: 'sell',
+        chain: 'solana',
+        amount: positions[exit.ticker].amount,
+        requestedAmount: { amount: positions[exit.ticker].amount, unit: 'token' }
       }
-      
-      // Calculate position size
-      const positionSize = this.calculatePositionSize(signal);
-      
-      // Get quote
-      const quote = await this.trader.getBuyQuote({
-        ticker: signal.ticker,
-        amount: positionSize,
-        slippageBps: 150 // 1.5% slippage tolerance
-      });
-      
-      // Execute trade
-      const result = await this.trader.executeTrade(quote);
-      
-      // Track position
-      this.positions.set(signal.ticker, {
-        amount: positionSize,
-        entryPrice: result.price,
-        timestamp: Date.now()
-      });
-      
-      logger.info(`Trade executed successfully: ${result.signature}`);
-      
-      return {
-        success: true,
-        signature: result.signature,
-        amount: positionSize,
-        price: result.price,
-        strategy: this.name
-      };
-      
-    } catch (error) {
-      logger.error('Trade execution failed:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    }));
+  }
+
+  /**
+   * Execute a 'predict' decision
+   * params - { target: market ticker, side: buy|sell, amount } in USDC to spend (buy) or outcome tokens (sell)
+   */
+  async execute(decision) {
+    const { target: ticker, side = 'buy', amount } = decision.params;
+    logger.info(`Executing prediction market ${side}: ${amount} ${side === 'buy' ? `USDC of ${ticker}` : ticker}`);
+    
+    const held = this.trader.getPositions();
+    // Check position limits
+    if (side === 'buy' && !held[ticker]?.amount && this.trader.getPortfolioPositions().length >= this.maxPositions) {
+      throw new Error('Maximum positions reached');
     }
+    // Sells still awaiting confirmation have not left the position yet
+    const available = (held[ticker]?.amount || 0) - this.trader.getPendingSells(ticker);
+    if (side === 'sell' && !(available >= amount)) {
+      throw new Error(`Cannot sell ${amount} ${ticker}, holding ${available} not already being sold`);
+    }
+    
+    const request = {
+      ticker,
+      amount,
+      slippageBps: 150 // 1.5% slippage tolerance
+    };
+    const quote = side === 'buy'
+      ? await this.trader.getBuyQuote(request)
+      : await this.trader.getSellQuote(request);
+    
+    const result = await this.trader.executeTrade(quote);
+    logger.info(`Trade submitted: ${result.signature}, position updates once it is finalized`);
+    
+    return {
+      success: true,
+      action: 'predict',
+      side,
+      protocol: 'dflow',
+      chain: 'solana',
+      ticker,
+      amount: result.amount,
+      price: result.price,
+      txHash: result.signature,
+      signature: result.signature
+    };
+  }
+
+  /**
+   * Positions are rebuilt from the trades the repository kept
+   */
+  async restore() {
+    await this.trader.restore();
+  }
+
+  /**
+   * Trades count toward their position only once their signature is finalized
+   */
+  async onTransactionResolved(entry) {
+    await this.trader.settleTrade(entry);
+  }
+
+  /**
+   * Open positions as Portfolio entries (kind 'outcome')
+   */
+  async getPositions() {
+    return this.trader.getPortfolioPositions();
+  }
+
+  /**
+   * Sell a whole position
+   */
+  async unwind(params) {
+    const amount = this.trader.getPositions()[params.target]?.amount;
+    if (!(amount > 0)) {
+      throw new Error(`No ${params.target} position to unwind`);
+    }
+    return await this.execute({ action: 'predict', params: { asset: 'usdc', target: params.target, side: 'sell', amount } });
   }
 
   /**
@@ -256,31 +339,29 @@ class PredictionMarketStrategy {
   }
 
   /**
-   * Get current positions
-   */
-  async getPositions() {
-    return this.trader.getPositions();
-  }
-
-  /**
-   * Monitor and manage existing positions
+   * Monitor existing positions against take-profit and stop-loss
    */
   async monitorPositions() {
-    const positions = await this.getPositions();
+    const positions = this.trader.getPositions();
     const actions = [];
     
     for (const [ticker, position] of Object.entries(positions)) {
+      // Entry price is the average paid for the tokens still held
+      if (!(position.amount > 0) || !position.costBasis) continue;
+      const entryPrice = position.costBasis / position.amount;
+      
       try {
         const market = await this.trader.getOrderbook(ticker);
         const currentPrice = (market.bids[0]?.price + market.asks[0]?.price) / 2;
-        const pnl = (currentPrice - position.entryPrice) / position.entryPrice;
+        if (!Number.isFinite(currentPrice)) continue;
+        const pnl = (currentPrice - entryPrice) / entryPrice;
         
         // Exit conditions
-        if (pnl > 0.5 || pnl < -0.3) {
+        if (pnl > this.takeProfit || pnl < this.stopLoss) {
           actions.push({
             ticker,
             action: 'exit',
-            reason: pnl > 0.5 ? 'take_profit' : 'stop_loss',
+            reason: pnl > this.takeProfit ? 'take_profit' : 'stop_loss',
             pnl
           });
         }
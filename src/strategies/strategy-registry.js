@@ -0,0 +1,190 @@
+import { Logger } from '../utils/logger.js';
+import { SolanaRpc } from '../protocols/solana-rpc.js';
+import { LendingStrategy, StakingStrategy, SwapStrategy, RebalanceStrategy } from './defi-strategies.js';
+import { BridgeStrategy } from './bridge-strategy.js';
+import PredictionMarketStrategy from './prediction-market-strategy.js';
+
+// Loaded when neither config.strategies nor STRATEGIES names any
+export const DEFAULT_STRATEGIES = ['lending', 'staking', 'swap', 'rebalance', 'bridge'];
+
+// Strategy ID → factory building it from the agent's services
+// context - { config, wallet, paperLedger, defi (DeFiStrategies), bridges (BridgeTracker), repository, clock }
+const STRATEGY_FACTORIES = {
+    lending: ({ defi }) => new LendingStrategy(defi),
+    staking: ({ defi }) => new StakingStrategy(defi),
+    swap: ({ defi }) => new SwapStrategy(defi),
+    rebalance: ({ defi }) => new RebalanceStrategy(defi),
+    bridge: ({ bridges }) => new BridgeStrategy(bridges),
+    prediction: ({ config, wallet, paperLedger, repository, clock }) => {
+        if (paperLedger) {
+            throw new Error('The prediction strategy trades live only, leave it out of STRATEGIES in paper mode');
+        }
+        return new PredictionMarketStrategy({
+            dflowApiKey: config.dflowApiKey,
+            wallet,
+            rpc: new SolanaRpc({ url: config.solanaRpcUrl }),
+            repository,
+            clock,
+            categories: config.predictionCategories
+        });
+    }
+};
+
+/**
+ * Make a strategy loadable by ID from config, without touching the agent
+ */
+export function registerStrategyFactory(id, factory) {
+    if (STRATEGY_FACTORIES[id]) {
+        throw new Error(`Strategy factory already registered: ${id}`);
+    }
+    STRATEGY_FACTORIES[id] = factory;
+}
+
+/**
+ * Strategy Registry - The strategies the agent runs, keyed by ID
+ * Each decision action belongs to exactly one strategy; a decision is dispatched to the strategy
+ * it names (decision.strategy) or else to the owner of its action.
+ */
+export class StrategyRegistry {
+    constructor() {
+        this.logger = new Logger('STRATEGIES');
+        this.strategies = new Map();
+        this.owners = new Map(); // action → strategy ID
+    }
+
+    register(strategy) {
+        if (this.strategies.has(strategy.id)) {
+            throw new Error(`Strategy already registered: ${strategy.id}`);
+        }
+        for (const action of strategy.actions) {
+            if (this.owners.has(action)) {
+                throw new Error(`${strategy.id} cannot take ${action}, it belongs to ${this.owners.get(action)}`);
+            }
+        }
+
+        this.strategies.set(strategy.id, strategy);
+        for (const action of strategy.actions) {
+            this.owners.set(action, strategy.id);
+        }
+        return strategy;
+    }
+
+    get(id) {
+        return this.strategies.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.strategies.values());
+    }
+
+    getActions() {
+        return Array.from(this.owners.keys());
+    }
+
+    describe() {
+        return this.list().map(strategy => strategy.describe());
+    }
+
+    /**
+     * The strategy a decision dispatches to, null when none can take it
+     */
+    find(decision) {
+        const strategy = this.strategies.get(decision.strategy || this.owners.get(decision.action));
+        return strategy?.handles(decision.action) ? strategy : null;
+    }
+
+    resolve(decision) {
+        const strategy = this.find(decision);
+        if (!strategy) {
+            throw new Error(decision.strategy
+                ? `Strategy ${decision.strategy} is not registered or does not handle ${decision.action}`
+                : `No strategy handles ${decision.action}`);
+        }
+        return strategy;
+    }
+
+    /**
+     * Opportunities from every strategy, tagged with their strategy ID
+     * A strategy whose market data is unreachable contributes none instead of failing the cycle
+     */
+    async getOpportunities(state) {
+        const opportunities = [];
+        for (const strategy of this.list()) {
+            try {
+                for (const opportunity of await strategy.getOpportunities(state)) {
+                    opportunities.push({ strategy: strategy.id, ...opportunity });
+                }
+            } catch (error) {
+                this.logger.warn(`⚠️ Could not read opportunities from ${strategy.id}:`, error.message);
+            }
+        }
+        return opportunities;
+    }
+
+    /**
+     * Decisions strategies take on their own rules, with ids `${cycleId}-${strategy}-${n}`
+     */
+    async propose(state, { cycleId = null } = {}) {
+        const decisions = [];
+        for (const strategy of this.list()) {
+            try {
+                const proposed = await strategy.propose(state);
+                proposed.forEach((decision, index) => decisions.push({
+                    ...(cycleId ? { id: `${cycleId}-${strategy.id}-${index + 1}` } : {}),
+                    ...decision,
+                    strategy: strategy.id
+                }));
+            } catch (error) {
+                this.logger.warn(`⚠️ ${strategy.id} could not propose decisions:`, error.message);
+            }
+        }
+        return decisions;
+    }
+
+    getPositionSources() {
+        return this.list().flatMap(strategy => strategy.getPositionSources());
+    }
+
+    async restore() {
+        for (const strategy of this.list()) {
+            await strategy.restore();
+        }
+    }
+
+    /**
+     * Hand a resolved transaction to every strategy, each picks out the ones it submitted
+     */
+    async onTransactionResolved(entry) {
+        for (const strategy of this.list()) {
+            try {
+                await strategy.onTransactionResolved(entry);
+            } catch (error) {
+                this.logger.warn(`⚠️ ${strategy.id} could not settle ${entry.txHash}:`, error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Build a registry from config entries: strategy IDs, built by their factory from context,
+ * or ready Strategy objects
+ */
+export function createStrategyRegistry(entries, context = {}) {
+    const registry = new StrategyRegistry();
+
+    for (const entry of entries?.length ? entries : DEFAULT_STRATEGIES) {
+        if (typeof entry === 'object') {
+            registry.register(entry);
+            continue;
+        }
+
+        const factory = STRATEGY_FACTORIES[entry];
+        if (!factory) {
+            throw new Error(`Unknown strategy: ${entry} (available: ${Object.keys(STRATEGY_FACTORIES).join(', ')})`);
+        }
+        registry.register(factory(context));
+    }
+
+    registry.logger.info(`🧩 Strategies loaded: ${registry.list().map(s => s.id).join(', ')}`);
+    return registry;
+}
@@ -0,0 +1,92 @@
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Strategy - The interface every strategy the agent runs implements
+ *   describe()                        - { id, name, description, actions, risk } for the prompt and the API
+ *   getOpportunities(state)           - what the strategy could do now, shown to the decision engine
+ *   propose(state)                    - decisions the strategy takes on its own rules (e.g. stop-losses)
+ *   execute(decision, context)        - carry out a decision for one of its actions, resolves to the execution
+ *   getPositions()                    - Portfolio position entries the wallet balances do not already show
+ *   unwind(params)                    - exit a whole position it holds
+ *   getPolicyContext(decision, state) - extra PolicyEngine context its decisions need (e.g. unbonding terms)
+ *   getPolicyEffects(decision, state) - PolicyEngine effects of an action the engine does not know, null for built-ins
+ *   restore()                         - reload the state it keeps in the repository after a restart
+ *   onTransactionResolved(entry)      - a transaction it submitted left pending (ConfirmationTracker entry)
+ *
+ * actions are the decision actions it owns; the StrategyRegistry dispatches each decision to its owner.
+ * actionSpecs - { action: spec } for actions outside the schema's ACTION_SPECS, in the same shape
+ * ({ assets, targets, protocol?, chain?, requiresAmount, fromPosition? }), validated and sized like built-ins.
+ * Policy effects are { kind: deposit|withdraw|swap|bridge, asset, amount (tokens), protocol?, into?, unbonding? },
+ * the PolicyEngine prices them and checks them like its own.
+ * risk - { level: low|medium|high, protocols, chains, liquidity } where liquidity says how fast
+ * funds it deploys come back (instant, unbonding, in_transit, market)
+ */
+export class Strategy {
+    constructor(options = {}) {
+        if (!options.id) {
+            throw new Error('Strategy requires an id');
+        }
+
+        this.id = options.id;
+        this.name = options.name || options.id;
+        this.description = options.description || '';
+        this.actions = options.actions || [];
+        this.actionSpecs = options.actionSpecs || {};
+        this.risk = { level: 'medium', protocols: [], chains: [], liquidity: 'instant', ...options.risk };
+        this.logger = new Logger(options.loggerName || 'STRATEGY');
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            actions: this.actions,
+            actionSpecs: this.actionSpecs,
+            risk: this.risk
+        };
+    }
+
+    handles(action) {
+        return this.actions.includes(action);
+    }
+
+    async getOpportunities(state) {
+        return [];
+    }
+
+    async propose(state) {
+        return [];
+    }
+
+    async execute(decision, context = {}) {
+        throw new Error(`${this.id} cannot execute ${decision.action}`);
+    }
+
+    async getPositions() {
+        return [];
+    }
+
+    async unwind(params) {
+        throw new Error(`${this.id} has no positions to unwind`);
+    }
+
+    getPolicyContext(decision, state) {
+        return {};
+    }
+
+    getPolicyEffects(decision, state) {
+        return null;
+    }
+
+    async restore() {}
+
+    async onTransactionResolved(entry) {}
+
+    /**
+     * Sources Portfolio reads this strategy's positions from, the strategy itself by default
+     */
+    getPositionSources() {
+        return [this];
+    }
+}
@@ -5,6 +5,7 @@
  */
 
 import { createRequire } from 'module';
+import { createPriceOracle } from './services/price-oracle.js';
 const require = createRequire(import.meta.url);
 const https = require('https');
 const fs = require('fs');
@@ -102,22 +103,15 @@ async function runSimpleTests() {
         
         // Test 3: Calculate current portfolio value
         logger.info('Test 3: Portfolio Valuation');
-        let totalValue = 0;
-        
-        const prices = { sol: 88.50, usdc: 1.00, eth: 2133.26 };
+        const valuation = await createPriceOracle().valueBalances({
+            solanaWallets: balances.solanaWallets || []
+        });
         
-        if (balances.solanaWallets) {
-            for (const wallet of balances.solanaWallets) {
-                for (const balance of wallet.balances || []) {
-                    const amount = parseFloat(balance.rawValue) / Math.pow(10, balance.decimals);
-                    const price = prices[balance.asset.toLowerCase()] || 0;
-                    totalValue += amount * price;
-                }
-            }
+        logger.success(`Current portfolio value: $${valuation.totalValue.toFixed(6)}`);
+        if (valuation.unpriced.length > 0) {
+            logger.info(`Unpriced assets: ${valuation.unpriced.map(u => u.asset.toUpperCase()).join(', ')}`);
         }
         
-        logger.success(`Current portfolio value: $${totalValue.toFixed(6)}`);
-        
         // Test 4: Hackathon project setup
         logger.info('Test 4: Hackathon Project Registration');
         const projectData = {
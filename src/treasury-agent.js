@@ -3,8 +3,31 @@ import { Logger } from './utils/logger.js';
 import { DecisionEngine } from './engines/decision-engine.js';
 import { AgentWallet } from './services/agent-wallet.js';
 import { DeFiStrategies } from './strategies/defi-strategies.js';
-import { CostManager } from './services/cost-manager.js';
+import { createStrategyRegistry } from './strategies/strategy-registry.js';
+import { CostManager, SURVIVAL_PROFILES } from './services/cost-manager.js';
+import { CostMeter } from './services/cost-meter.js';
 import { PerformanceTracker } from './services/performance-tracker.js';
+import { createPriceOracle } from './services/price-oracle.js';
+import { createLLMRouter } from './engines/llm-router.js';
+import { PaperLedger } from './services/paper-ledger.js';
+import { Portfolio } from './services/portfolio.js';
+import { PnLAccountant } from './services/pnl-accountant.js';
+import { createLendingAdapters } from './protocols/lending-adapters.js';
+import { JupiterClient } from './protocols/jupiter-client.js';
+import { JsonlRepository } from './storage/jsonl-repository.js';
+import { PolicyEngine } from './services/policy-engine.js';
+import { ApprovalQueue } from './services/approval-queue.js';
+import { TransferJournal } from './services/transfer-journal.js';
+import { ConfirmationTracker } from './services/confirmation-tracker.js';
+import { WalletPolicy } from './services/wallet-policy.js';
+import { HoldingsReconciler } from './services/holdings-reconciler.js';
+import { SolanaRpc } from './protocols/solana-rpc.js';
+import { createBridgeProvider } from './protocols/bridge-providers.js';
+import { BridgeTracker } from './services/bridge-tracker.js';
+import { ACTION_SPECS } from './engines/decision-schema.js';
+
+// SOL left in the wallet for network fees when liquid tokens are sold to restore the USDC reserve
+const FEE_SOL_RESERVE = 0.05;
 
 /**
  * The autonomous treasury agent that manages its own wealth
@@ -15,17 +38,188 @@ export class TreasuryAgent {
         this.config = config;
         this.logger = new Logger('TREASURY_AGENT');
         this.isActive = false;
+        this.clock = config.clock || Date;
+        
+        // Durable state (snapshots, events, costs, decisions) survives restarts
+        this.repository = config.repository
+            || (config.dataDir ? new JsonlRepository({ dataDir: config.dataDir }) : null);
         
         // Initialize core services
-        this.wallet = new AgentWallet(config);
-        this.decisionEngine = new DecisionEngine();
-        this.defiStrategies = new DeFiStrategies(this.wallet);
-        this.costManager = new CostManager(this.wallet);
-        this.performanceTracker = new PerformanceTracker();
+        this.priceOracle = config.priceOracle || createPriceOracle(config);
+        this.wallet = new AgentWallet(config, this.priceOracle);
+        // Intent → submitted → confirmed/failed for every outgoing transfer, reconciled on restart
+        this.transferJournal = new TransferJournal({ repository: this.repository, clock: this.clock });
+        this.wallet.journal = this.transferJournal;
+        // Follows submitted transactions until they are finalized, failed or expired
+        this.confirmations = new ConfirmationTracker({
+            wallet: this.wallet,
+            rpc: new SolanaRpc({ url: config.solanaRpcUrl }),
+            repository: this.repository,
+            clock: this.clock,
+            pollIntervalMs: config.txPollIntervalMs,
+            expireAfterMs: config.txExpireAfterMs,
+            onResolved: entry => this.onTransactionResolved(entry)
+        });
+        this.wallet.confirmations = this.confirmations;
+        // AgentWallet's own spending policy, synced on a schedule and enforced before anything is sent
+        this.walletPolicy = new WalletPolicy({
+            wallet: this.wallet,
+            repository: this.repository,
+            clock: this.clock,
+            refreshMs: config.walletPolicyRefreshMs,
+            onViolation: violation => this.performanceTracker.recordEvent('wallet_policy_violation', violation)
+        });
+        this.wallet.policy = this.walletPolicy;
+        // Lot-based cost basis, realized/unrealized P&L and flow-adjusted returns
+        this.accountant = new PnLAccountant({
+            method: config.costBasisMethod,
+            clock: this.clock,
+            repository: this.repository
+        });
+        // Expected holdings from the books against actual balances, before each mark absorbs the difference
+        this.reconciler = new HoldingsReconciler({
+            accountant: this.accountant,
+            clock: this.clock,
+            ...config.reconciliation
+        });
+        this.performanceTracker = new PerformanceTracker({
+            clock: this.clock,
+            repository: this.repository,
+            accountant: this.accountant
+        });
+        this.costManager = new CostManager(this.wallet, {
+            clock: this.clock,
+            repository: this.repository,
+            accountant: this.accountant,
+            infraRates: config.infraRates,
+            settlement: config.computeSettlement,
+            runway: config.runwayThresholds
+        });
+        // Records LLM tokens, network fees, x402 payments and infrastructure time against the cycle and decision
+        this.costMeter = new CostMeter({
+            costManager: this.costManager,
+            priceOracle: this.priceOracle,
+            clock: this.clock,
+            modelPricing: config.modelPricing
+        });
+        this.wallet.costMeter = this.costMeter;
+        this.decisionEngine = new DecisionEngine({
+            clock: this.clock,
+            responseCache: config.responseCache,
+            llmRouter: config.llmRouter || createLLMRouter(config),
+            consensus: config.consensus,
+            repository: this.repository,
+            performanceTracker: this.performanceTracker,
+            costMeter: this.costMeter
+        });
+        
+        // Jupiter quotes and swaps, with slippage and price-impact guards
+        this.jupiter = new JupiterClient({
+            wallet: this.wallet,
+            rpcUrl: config.solanaRpcUrl,
+            responseCache: config.responseCache,
+            clock: this.clock,
+            slippageBps: config.swapSlippageBps,
+            maxSlippageBps: config.swapMaxSlippageBps,
+            maxPriceImpactBps: config.swapMaxPriceImpactBps
+        });
+        
+        // Paper mode executes against a simulated ledger instead of real funds
+        this.paperLedger = config.executionMode === 'paper'
+            ? new PaperLedger({
+                priceOracle: this.priceOracle,
+                costMeter: this.costMeter,
+                feeUsd: config.paperTxFeeUsd,
+                rateProvider: protocol => this.defiStrategies.getExpectedAPY(protocol),
+                swapQuoter: config.paperSwapQuotes ? this.jupiter : null,
+                clock: this.clock,
+                filePath: config.paperLedgerFile,
+                initialBalances: config.paperBalances,
+                address: config.solanaAddress
+            })
+            : null;
+        this.costManager.paperLedger = this.paperLedger;
+        // Cross-chain USDC moves, followed from the source burn to the destination mint and counted in NAV while in flight
+        this.bridges = new BridgeTracker({
+            provider: typeof config.bridgeProvider === 'object'
+                ? config.bridgeProvider
+                : createBridgeProvider(config.bridgeProvider || (this.paperLedger ? 'mock' : 'cctp'), {
+                    wallet: this.wallet,
+                    ledger: this.paperLedger,
+                    clock: this.clock,
+                    rpcUrl: config.solanaRpcUrl
+                }),
+            repository: this.repository,
+            clock: this.clock,
+            timeoutMs: config.bridgeTimeoutMs,
+            onCompleted: (transfer, mint) => this.onBridgeCompleted(transfer, mint),
+            onTimeout: transfer => this.performanceTracker.recordEvent('bridge_timeout', {
+                bridgeId: transfer.id,
+                decisionId: transfer.decisionId,
+                asset: transfer.asset,
+                amount: transfer.amount,
+                sourceChain: transfer.sourceChain,
+                destinationChain: transfer.destinationChain,
+                sourceTxHash: transfer.sourceTxHash,
+                status: transfer.status,
+                error: transfer.error
+            })
+        });
+        this.defiStrategies = new DeFiStrategies(this.wallet, {
+            executionBackend: this.paperLedger,
+            // Live lending goes on chain only for protocols listed in config.lendingProtocols
+            lendingAdapters: this.paperLedger
+                ? {}
+                : config.lendingAdapters || createLendingAdapters(config.lendingProtocols || [], {
+                    wallet: this.wallet,
+                    rpcUrl: config.solanaRpcUrl
+                }),
+            swapClient: !this.paperLedger && config.liveSwaps ? this.jupiter : null
+        });
+        // Strategies loaded from config (IDs or Strategy objects); decisions dispatch to the one owning their action
+        this.strategies = createStrategyRegistry(config.strategies, {
+            config,
+            wallet: this.wallet,
+            paperLedger: this.paperLedger,
+            defi: this.defiStrategies,
+            bridges: this.bridges,
+            repository: this.repository,
+            clock: this.clock
+        });
+        
+        // Typed holdings across wallets and protocols; live positions are read from the strategies
+        // (lending adapters, outcome tokens), paper positions already show up as protocol wallets in the ledger's balances
+        this.portfolio = new Portfolio({
+            priceOracle: this.priceOracle,
+            rateProvider: protocol => this.defiStrategies.getExpectedAPY(protocol),
+            sources: [...this.strategies.getPositionSources(), ...(config.positionSources || [])],
+            clock: this.clock
+        });
+        
+        // Hard risk limits enforced before any decision executes
+        this.policyEngine = new PolicyEngine({
+            policy: config.policy,
+            costManager: this.costManager,
+            clock: this.clock
+        });
+        
+        // Supervised mode parks large or unusual decisions for human approval
+        this.approvalQueue = config.approvalMode === 'supervised'
+            ? new ApprovalQueue({
+                repository: this.repository,
+                clock: this.clock,
+                thresholds: config.approvalThresholds,
+                ttlMs: config.approvalTtlMs
+            })
+            : null;
         
         // Autonomous loop interval (5 minutes)
-        this.loopInterval = 5 * 60 * 1000;
+        this.loopInterval = config.loopInterval || 5 * 60 * 1000;
         this.lastDecisionTime = 0;
+        this.isPaused = false;
+        this.nextCycleAt = null;
+        this.currentCycle = null; // In-flight cycle promise, cycles never overlap
+        this.lastState = null;
         
         this.logger.info('🦆 TreasuryAgent initialized with addresses:');
         this.logger.info(`   Solana: ${config.solanaAddress}`);
@@ -37,13 +231,22 @@ export class TreasuryAgent {
         
         try {
             // Initialize all services
-            await this.wallet.initialize();
+            if (this.paperLedger) {
+                await this.paperLedger.initialize(() => this.wallet.getBalances());
+            } else {
+                await this.wallet.initialize();
+            }
             await this.decisionEngine.initialize();
             await this.defiStrategies.initialize();
             await this.performanceTracker.initialize();
+            await this.policyEngine.initialize(this.config.policyFile);
+            
+            // Rehydrate lifetime history from a previous run
+            await this.recoverState();
+            await this.syncWalletPolicy();
             
             // Get initial state
-            const balances = await this.wallet.getBalances();
+            const balances = await this.getBalances();
             const initialValue = await this.calculateTotalValue(balances);
             
             this.logger.info(`💰 Initial treasury value: $${initialValue.toFixed(2)}`);
@@ -52,7 +255,7 @@ export class TreasuryAgent {
             await this.performanceTracker.recordSnapshot('initialization', {
                 totalValue: initialValue,
                 balances: balances,
-                timestamp: Date.now()
+                timestamp: this.clock.now()
             });
             
             this.isActive = true;
@@ -64,58 +267,286 @@ export class TreasuryAgent {
         }
     }
 
+    async recoverState() {
+        if (!this.repository) return;
+        
+        await this.repository.initialize();
+        await this.accountant.restore();
+        await this.performanceTracker.restore();
+        await this.costManager.restore();
+        await this.decisionEngine.restore();
+        this.policyEngine.restoreTurnover(this.performanceTracker.getEvents());
+        await this.approvalQueue?.sync();
+        await this.transferJournal.restore();
+        await this.confirmations.restore();
+        await this.bridges.restore();
+        await this.strategies.restore();
+        await this.walletPolicy.restore();
+        await this.reconcileTransfers();
+    }
+
+    /**
+     * Resolve transfers a previous run left between intent and confirmation, and bridge
+     * transfers it left initiated before their burn was recorded
+     */
+    async reconcileTransfers() {
+        for (const outcome of await this.wallet.reconcileTransfers()) {
+            await this.performanceTracker.recordEvent('transfer_reconciled', outcome);
+        }
+        for (const outcome of await this.bridges.reconcile()) {
+            await this.performanceTracker.recordEvent('bridge_reconciled', outcome);
+        }
+    }
+
+    /**
+     * A tracked transaction left pending: record the decision's final execution status, let the
+     * strategy that submitted it settle it and settle the journal entry of the transfer that sent it
+     */
+    async onTransactionResolved(entry) {
+        await this.performanceTracker.recordEvent('execution_status', {
+            decisionId: entry.decisionId,
+            transferKey: entry.transferKey,
+            txHash: entry.txHash,
+            status: entry.status,
+            slot: entry.slot,
+            error: entry.error
+        });
+        await this.strategies.onTransactionResolved(entry);
+        
+        const transfer = entry.transferKey && this.transferJournal.get(entry.transferKey);
+        if (!transfer) return;
+        // Strategy executions meter their fee as they return, wallet transfers only once they land
+        if (entry.networkFee) {
+            await this.costMeter.recordTransactionFee(entry.txHash, entry.networkFee);
+        }
+        if (entry.status === 'finalized' && transfer.status !== 'confirmed') {
+            await this.transferJournal.recordConfirmed(entry.transferKey, { ...transfer.result, txHash: entry.txHash, status: 'finalized' });
+        } else if (entry.status !== 'finalized') {
+            await this.transferJournal.recordFailed(entry.transferKey, `Transaction ${entry.status}${entry.error ? `: ${entry.error}` : ''}`);
+        }
+    }
+
+    /**
+     * A bridge transfer reached its destination chain
+     */
+    async onBridgeCompleted(transfer, mint) {
+        if (mint.networkFee) {
+            await this.costMeter.recordTransactionFee(transfer.destinationTxHash, mint.networkFee);
+        }
+        await this.performanceTracker.recordEvent('bridge_completed', {
+            bridgeId: transfer.id,
+            decisionId: transfer.decisionId,
+            asset: transfer.asset,
+            amount: transfer.amount,
+            sourceChain: transfer.sourceChain,
+            destinationChain: transfer.destinationChain,
+            sourceTxHash: transfer.sourceTxHash,
+            destinationTxHash: transfer.destinationTxHash,
+            durationMs: transfer.completedAt - transfer.burnedAt
+        });
+    }
+
+    /**
+     * Refresh the wallet-side spending policy when due; paper mode never sends anything through the wallet
+     */
+    async syncWalletPolicy() {
+        if (this.paperLedger) return null;
+        return await this.walletPolicy.refreshIfDue();
+    }
+
+    /**
+     * Periodically compare the books' expected holdings with actual balances
+     * Skipped while transactions are pending, balances may not reflect them yet
+     */
+    async reconcileHoldings(state) {
+        if (this.accountant.marks.length === 0 || !this.reconciler.isDue()) return null;
+        
+        const pending = this.confirmations.getPending().length;
+        if (pending > 0) {
+            this.logger.info(`⏳ Holdings reconciliation deferred, ${pending} transaction(s) pending`);
+            return null;
+        }
+        
+        const report = this.reconciler.reconcile({ holdings: state.holdings, unpriced: state.unpricedAssets });
+        if (report.discrepancies.length > 0) {
+            await this.performanceTracker.recordEvent('holdings_discrepancy', report);
+        }
+        return report;
+    }
+
     async startAutonomousLoop() {
         this.logger.info('🔄 Starting autonomous decision loop...');
         this.logger.info(`   Interval: ${this.loopInterval / 1000}s`);
         
+        this.confirmations.start();
+        
         // Immediate first run
-        await this.autonomousDecisionCycle();
+        await this.runCycle();
         
         // Set up recurring loop
-        this.loopTimer = setInterval(async () => {
+        this.scheduleNextCycle();
+    }
+
+    scheduleNextCycle() {
+        clearTimeout(this.loopTimer);
+        this.nextCycleAt = null;
+        if (!this.isActive || this.isPaused) return;
+        
+        const interval = this.getEffectiveLoopInterval();
+        this.nextCycleAt = Date.now() + interval;
+        this.loopTimer = setTimeout(async () => {
             try {
-                await this.autonomousDecisionCycle();
+                await this.runCycle();
             } catch (error) {
                 this.logger.error('Error in autonomous loop:', error);
                 // Continue running even if one cycle fails
             }
-        }, this.loopInterval);
+            this.scheduleNextCycle();
+        }, interval);
+    }
+
+    /**
+     * The configured interval, stretched while survival mode conserves compute
+     */
+    getEffectiveLoopInterval() {
+        return this.loopInterval * SURVIVAL_PROFILES[this.costManager.mode].loopIntervalMultiplier;
+    }
+
+    async runCycle() {
+        // A trigger while a cycle is running joins it instead of starting a second one
+        if (!this.currentCycle) {
+            this.currentCycle = this.autonomousDecisionCycle().finally(() => {
+                this.currentCycle = null;
+            });
+        }
+        return this.currentCycle;
+    }
+
+    async triggerCycle() {
+        this.logger.info('👆 Manual decision cycle requested');
+        const cycle = await this.runCycle();
+        this.scheduleNextCycle();
+        return cycle;
+    }
+
+    pause() {
+        this.isPaused = true;
+        this.scheduleNextCycle();
+        this.logger.info('⏸️ Autonomous loop paused');
+    }
+
+    resume() {
+        this.isPaused = false;
+        this.scheduleNextCycle();
+        this.logger.info('▶️ Autonomous loop resumed');
+    }
+
+    setLoopInterval(intervalMs) {
+        if (!Number.isFinite(intervalMs) || intervalMs < 10 * 1000) {
+            throw new Error('Loop interval must be at least 10000ms');
+        }
+        this.loopInterval = intervalMs;
+        this.scheduleNextCycle();
+        this.logger.info(`⏱️ Loop interval set to ${intervalMs / 1000}s`);
+    }
+
+    getStatus() {
+        return {
+            isActive: this.isActive,
+            isPaused: this.isPaused,
+            executionMode: this.paperLedger ? 'paper' : 'live',
+            approvalMode: this.approvalQueue ? 'supervised' : 'autonomous',
+            loopInterval: this.loopInterval,
+            effectiveLoopInterval: this.getEffectiveLoopInterval(),
+            survivalMode: this.costManager.mode,
+            cycleInProgress: Boolean(this.currentCycle),
+            pendingConfirmations: this.confirmations.getPending().length,
+            bridgesInFlight: this.bridges.getInFlight().length,
+            lastDecisionTime: this.lastDecisionTime || null,
+            nextCycleAt: this.nextCycleAt
+        };
     }
 
     async autonomousDecisionCycle() {
         if (!this.isActive) return;
         
         const cycleStart = Date.now();
+        const cycleId = `cycle-${this.clock.now()}`;
         this.logger.info('🧠 Starting autonomous decision cycle...');
         
+        // Everything metered from here on is attributed to this cycle
+        this.costMeter.beginCycle(cycleId);
+        
         try {
+            // 0. Act on human approvals granted since the last cycle, settle transactions that became final
+            // and move bridge transfers towards their destination
+            const approvalResults = await this.processApprovals();
+            await this.confirmations.poll();
+            await this.bridges.poll();
+            await this.syncWalletPolicy();
+            
             // 1. Assess current state
             const currentState = await this.assessCurrentState();
+            this.lastState = currentState;
             this.logger.info(`📊 Current treasury value: $${currentState.totalValue.toFixed(2)}`);
             
+            await this.reconcileHoldings(currentState);
+            
+            // Book yield, fees and unrecorded flows since the last cycle
+            await this.accountant.mark({
+                holdings: currentState.holdings,
+                unpriced: currentState.unpricedAssets,
+                totalValue: currentState.totalValue
+            });
+            
             // 2. Pay for our own compute costs
+            await this.costMeter.accrueInfrastructure();
             await this.payComputeCosts();
             
-            // 3. Make investment decisions using AI
-            const decisions = await this.decisionEngine.analyzeAndDecide(currentState);
+            // Slow down, cheapen and rebuild the USDC reserve as runway shrinks
+            const { mode } = await this.applySurvivalMode(currentState.runway);
+            currentState.survivalMode = mode;
+            
+            // 3. Make investment decisions using AI over what the strategies offer; in survival mode restoring
+            // the USDC reserve goes first, then the strategies' own rule-based decisions
+            currentState.strategies = this.strategies.describe();
+            currentState.opportunities = await this.strategies.getOpportunities(currentState);
+            const reserveDecisions = SURVIVAL_PROFILES[mode].restoreReserve
+                ? this.planReserveRestore(currentState, cycleId)
+                : [];
+            const decisions = [
+                ...reserveDecisions,
+                ...await this.strategies.propose(currentState, { cycleId }),
+                ...await this.decisionEngine.analyzeAndDecide(currentState, { cycleId })
+            ];
             
             // 4. Execute decisions autonomously
+            let results = approvalResults;
             if (decisions.length > 0) {
                 this.logger.info(`🎯 Executing ${decisions.length} autonomous decisions...`);
-                await this.executeDecisions(decisions);
+                results = [...results, ...await this.executeDecisions(decisions, currentState)];
             } else {
                 this.logger.info('📈 No actions needed - portfolio optimized');
             }
             
             // 5. Record performance
-            await this.recordPerformance(currentState);
+            await this.recordPerformance(currentState, cycleId);
             
             // 6. Log decision to hackathon API
             await this.logHackathonDecision(decisions, currentState);
             
             const cycleTime = Date.now() - cycleStart;
             this.logger.info(`✅ Decision cycle complete in ${cycleTime}ms`);
-            this.lastDecisionTime = Date.now();
+            this.lastDecisionTime = this.clock.now();
+            
+            return {
+                cycleId,
+                timestamp: currentState.timestamp,
+                state: currentState,
+                decisions,
+                results,
+                costs: this.costMeter.getCycleCosts()
+            };
             
         } catch (error) {
             this.logger.error('❌ Autonomous decision cycle failed:', error);
@@ -125,8 +556,8 @@ export class TreasuryAgent {
 
     async assessCurrentState() {
         // Get real-time balances
-        const balances = await this.wallet.getBalances();
-        const totalValue = await this.calculateTotalValue(balances);
+        const balances = await this.getBalances();
+        const portfolio = await this.valuePortfolio(balances);
         
         // Get market data for decision making
         const marketData = await this.getMarketData();
@@ -136,108 +567,440 @@ export class TreasuryAgent {
         
         return {
             balances,
-            totalValue,
+            totalValue: portfolio.totalValue,
+            holdings: portfolio.holdings,
+            unpricedAssets: portfolio.unpriced,
+            stalePrices: portfolio.stalePrices,
+            allocation: this.defiStrategies.getPortfolioAllocation(portfolio),
+            exposure: { byKind: portfolio.byKind, byProtocol: portfolio.byProtocol, byChain: portfolio.byChain },
+            runway: this.costManager.forecastRunway(portfolio.holdings),
             marketData,
             performance,
-            timestamp: Date.now()
+            timestamp: this.clock.now()
         };
     }
 
+    async getBalances() {
+        // Paper mode reads the simulated book so executed decisions show up next cycle
+        return this.paperLedger
+            ? this.paperLedger.getBalances()
+            : this.wallet.getBalances();
+    }
+
     async payComputeCosts() {
         // This is what makes us truly autonomous - we pay our own bills!
         const costEstimate = await this.costManager.estimateCurrentCosts();
         
         if (costEstimate.shouldPay) {
             this.logger.info(`💳 Paying compute costs: $${costEstimate.amount}`);
-            await this.costManager.payComputeCosts(costEstimate.amount);
+            let receipt;
+            try {
+                receipt = await this.costManager.payComputeCosts(costEstimate.amount);
+            } catch (error) {
+                // Unpaid costs stay outstanding and are retried next cycle
+                await this.performanceTracker.recordEvent('self_payment_failed', {
+                    amount: costEstimate.amount,
+                    period: costEstimate.period.id,
+                    error: error.message
+                });
+                return;
+            }
             
             // Record this as autonomous behavior
             await this.performanceTracker.recordEvent('self_payment', {
-                amount: costEstimate.amount,
+                amount: receipt.amount,
+                receiptId: receipt.id,
+                method: receipt.method,
+                txHash: receipt.txHash,
+                simulated: receipt.simulated,
                 reason: 'autonomous_compute_payment'
             });
         }
     }
 
-    async executeDecisions(decisions) {
+    /**
+     * Move the survival state machine and apply its profile: LLM provider order now,
+     * the loop interval from the next scheduling on
+     */
+    async applySurvivalMode(runway) {
+        const transition = this.costManager.updateSurvivalMode(runway);
+        const profile = SURVIVAL_PROFILES[transition.mode];
+        
+        this.decisionEngine.llmRouter.setCostPreference(profile.preferCheapLLM
+            ? provider => this.costMeter.getModelPrice(provider.model)
+            : null);
+        
+        if (transition.changed) {
+            await this.performanceTracker.recordEvent('survival_mode_changed', {
+                from: transition.previous,
+                to: transition.mode,
+                runwayDays: runway.days,
+                liquidUsdc: runway.liquidUsdc,
+                netDailyBurn: runway.netDailyBurn,
+                loopInterval: this.getEffectiveLoopInterval()
+            });
+        }
+        
+        return transition;
+    }
+
+    /**
+     * Emergency decisions that rebuild liquid USDC to the reserve: withdraw lent USDC first,
+     * then sell liquid tokens for USDC, largest first. They still go through policy and approvals.
+     */
+    planReserveRestore(state, cycleId) {
+        let shortfall = this.costManager.getReserveShortfall(state.runway);
+        if (shortfall <= 0) return [];
+        
+        this.logger.warn(`🆘 USDC reserve short by $${shortfall.toFixed(2)}, unwinding positions`);
+        const decisions = [];
+        const add = (action, params, value, reasoning) => {
+            decisions.push({
+                id: `${cycleId}-reserve-${decisions.length + 1}`,
+                action,
+                reasoning,
+                priority: 'high',
+                riskLevel: 'low',
+                emergency: true,
+                params: { ...params, requestedAmount: { amount: params.amount, unit: 'token' } }
+            });
+            shortfall -= value;
+        };
+        
+        const lent = state.holdings
+            .filter(h => h.kind === 'lending' && h.asset === 'usdc' && ACTION_SPECS.withdraw.targets.includes(h.protocol))
+            .sort((a, b) => b.value - a.value);
+        for (const holding of lent) {
+            if (shortfall <= 0) break;
+            const amount = Math.min(holding.amount, shortfall / holding.price);
+            add('withdraw', { asset: 'usdc', target: holding.protocol, amount }, amount * holding.price,
+                `Survival mode: withdraw USDC from ${holding.protocol} to restore the compute reserve`);
+        }
+        
+        const sellable = state.holdings
+            .filter(h => h.kind === 'liquid' && h.asset !== 'usdc' && ACTION_SPECS.swap.assets.includes(h.asset))
+            .sort((a, b) => b.value - a.value);
+        for (const holding of sellable) {
+            if (shortfall <= 0) break;
+            const available = holding.asset === 'sol' ? holding.amount - FEE_SOL_RESERVE : holding.amount;
+            const amount = Math.min(available, shortfall / holding.price);
+            if (amount <= 0) continue;
+            add('swap', { asset: holding.asset, target: 'usdc', amount }, amount * holding.price,
+                `Survival mode: sell ${holding.asset.toUpperCase()} for USDC to restore the compute reserve`);
+        }
+        
+        if (shortfall > 0) {
+            this.logger.warn(`⚠️ Liquid and lent holdings cannot cover the reserve, $${shortfall.toFixed(2)} short`);
+        }
+        return decisions;
+    }
+
+    async executeDecisions(decisions, state) {
+        const results = [];
+        const executed = []; // Trade effects applied earlier this cycle
+        
         for (const decision of decisions) {
-            try {
-                this.logger.info(`⚡ Executing: ${decision.action} - ${decision.reasoning}`);
-                
-                switch (decision.action) {
-                    case 'lend':
-                        await this.defiStrategies.lendAssets(decision.params);
-                        break;
-                    case 'stake':
-                        await this.defiStrategies.stakeAssets(decision.params);
-                        break;
-                    case 'swap':
-                        await this.defiStrategies.swapAssets(decision.params);
-                        break;
-                    case 'rebalance':
-                        await this.defiStrategies.rebalancePortfolio(decision.params);
-                        break;
-                    default:
-                        this.logger.warn(`Unknown decision action: ${decision.action}`);
-                }
+            // Every decision must clear the risk policy first
+            const check = this.checkPolicy(decision, state, executed);
+            if (!check.allowed) {
+                results.push(await this.blockDecision(decision, check));
+                continue;
+            }
+            
+            // Large or unusual decisions wait for a human in supervised mode
+            const reasons = this.approvalQueue?.assess(decision, {
+                notional: check.notional,
+                state,
+                events: this.performanceTracker.getEvents()
+            }) || [];
+            
+            if (reasons.length > 0) {
+                const request = await this.approvalQueue.enqueue(decision, { reasons, notional: check.notional });
                 
-                // Record successful execution
-                await this.performanceTracker.recordEvent('decision_executed', {
+                await this.performanceTracker.recordEvent('approval_requested', {
+                    approvalId: request.id,
+                    decisionId: decision.id,
                     action: decision.action,
                     params: decision.params,
-                    reasoning: decision.reasoning
+                    reasoning: decision.reasoning,
+                    reasons,
+                    notional: check.notional,
+                    expiresAt: request.expiresAt
                 });
-                
-            } catch (error) {
-                this.logger.error(`❌ Failed to execute decision ${decision.action}:`, error);
-                
-                // Record failure for learning
-                await this.performanceTracker.recordEvent('decision_failed', {
+                results.push({ decision, status: 'pending_approval', approvalId: request.id, reasons });
+                continue;
+            }
+            
+            const result = await this.executeDecision(decision, check);
+            if (result.status === 'executed') {
+                executed.push(...check.effects);
+            }
+            results.push(result);
+        }
+        
+        return results;
+    }
+
+    async executeDecision(decision, check, approval = null) {
+        this.costMeter.setDecision(decision.id || null);
+        
+        try {
+            const strategy = this.strategies.resolve(decision);
+            this.logger.info(`⚡ Executing: ${decision.action} via ${strategy.id} - ${decision.reasoning}`);
+            
+            const execution = await strategy.execute(decision);
+            
+            this.policyEngine.recordExecution(check.notional);
+            if (execution?.networkFee) {
+                await this.costMeter.recordTransactionFee(execution.txHash, execution.networkFee);
+            }
+            await this.bookExecution(decision, execution);
+            
+            // On-chain executions stay pending until the tracker sees them finalized
+            if (execution?.signature) {
+                await this.confirmations.track(execution.signature, { chain: 'solana', decisionId: decision.id || null });
+            }
+            
+            // Record successful execution
+            await this.performanceTracker.recordEvent('decision_executed', {
+                decisionId: decision.id,
+                action: decision.action,
+                strategy: strategy.id,
+                params: decision.params,
+                reasoning: decision.reasoning,
+                notional: check.notional,
+                supervised: Boolean(approval),
+                approvalId: approval?.id,
+                txHashes: execution?.txHashes || (execution?.txHash ? [execution.txHash] : []),
+                // Quoted vs. realized output of swaps
+                output: execution?.output,
+                bridgeId: execution?.bridgeId,
+                confirmation: execution?.signature ? 'pending' : null
+            });
+            return {
+                decision,
+                status: 'executed',
+                confirmation: execution?.signature ? 'pending' : null,
+                approvalId: approval?.id
+            };
+            
+        } catch (error) {
+            this.logger.error(`❌ Failed to execute decision ${decision.action}:`, error);
+            
+            // Record failure for learning
+            await this.performanceTracker.recordEvent('decision_failed', {
+                decisionId: decision.id,
+                action: decision.action,
+                error: error.message,
+                approvalId: approval?.id
+            });
+            return { decision, status: 'failed', error: error.message, approvalId: approval?.id };
+        } finally {
+            this.costMeter.setDecision(null);
+        }
+    }
+
+    /**
+     * Swaps move cost basis from one asset to another; other actions only move funds between
+     * wallet and protocols, so the accountant just learns that something executed
+     */
+    async bookExecution(decision, execution) {
+        // Simulated live swaps never touch the wallet, so there is nothing to book
+        const realSwap = decision.action === 'swap' && (this.paperLedger || this.defiStrategies.swapClient);
+        if (!realSwap) {
+            this.accountant.noteExecution();
+            return;
+        }
+        
+        const { asset, target, amount } = decision.params;
+        const prices = await this.priceOracle.getPrices([asset, target]);
+        const received = execution.received ?? execution.output?.realized ?? execution.output?.expected
+            ?? (prices[asset] && prices[target] ? amount * prices[asset].price / prices[target].price : null);
+        const price = prices[asset]?.price ?? (received && prices[target] ? received * prices[target].price / amount : null);
+        
+        if (!received || !price) {
+            this.logger.warn(`⚠️ Cannot book swap ${asset.toUpperCase()} → ${target.toUpperCase()} without prices, next mark will reconcile it`);
+            this.accountant.noteExecution();
+            return;
+        }
+        
+        await this.accountant.recordSwap({ asset, amount, price, target, received, txHash: execution.txHash });
+    }
+
+    /**
+     * External deposit or withdrawal of capital, kept out of returns
+     * In paper mode the ledger balance moves too
+     */
+    async recordCapitalFlow({ direction, asset, amount, price }) {
+        const name = asset?.toLowerCase();
+        const value = Number(amount);
+        const quote = price ? { price: Number(price) } : await this.priceOracle.getPrice(name);
+        if (!quote) {
+            throw new Error(`No price for ${asset}, pass one explicitly`);
+        }
+        
+        if (this.paperLedger && direction === 'withdrawal' && (this.paperLedger.balances[name] || 0) < value) {
+            throw new Error(`Insufficient paper balance for a ${value} ${name.toUpperCase()} withdrawal`);
+        }
+        
+        const entry = await this.accountant.recordCapitalFlow({ direction, asset: name, amount: value, price: quote.price });
+        
+        if (this.paperLedger) {
+            if (direction === 'deposit') {
+                this.paperLedger.credit(name, value);
+            } else {
+                this.paperLedger.debit(name, value);
+            }
+            await this.paperLedger.save();
+        }
+        
+        return entry;
+    }
+
+    async blockDecision(decision, check, approval = null) {
+        this.logger.warn(`🛡️ Blocked by policy: ${decision.action}\n${check.violations.map(v => `   ${v.code}: ${v.message}`).join('\n')}`);
+        
+        await this.performanceTracker.recordEvent('decision_blocked', {
+            decisionId: decision.id,
+            action: decision.action,
+            params: decision.params,
+            reasoning: decision.reasoning,
+            violations: check.violations,
+            approvalId: approval?.id
+        });
+        return { decision, status: 'blocked', violations: check.violations, approvalId: approval?.id };
+    }
+
+    /**
+     * Expire stale approval requests and execute the ones a human approved
+     * Approved decisions are re-checked against the risk policy at today's prices
+     */
+    async processApprovals() {
+        if (!this.approvalQueue) return [];
+        
+        await this.approvalQueue.sync();
+        
+        for (const request of await this.approvalQueue.expireStale()) {
+            this.logger.warn(`⌛ Approval ${request.id} expired: ${request.decision.action}`);
+            await this.performanceTracker.recordEvent('approval_expired', {
+                approvalId: request.id,
+                action: request.decision.action,
+                params: request.decision.params
+            });
+        }
+        
+        const resolved = this.approvalQueue.getResolved();
+        if (resolved.length === 0) return [];
+        
+        const results = [];
+        let state = null;
+        const executed = [];
+        
+        for (const request of resolved) {
+            const { decision } = request;
+            
+            if (request.status === 'rejected') {
+                await this.performanceTracker.recordEvent('decision_rejected', {
+                    approvalId: request.id,
                     action: decision.action,
-                    error: error.message
+                    params: decision.params,
+                    by: request.resolvedBy,
+                    note: request.note
                 });
+                await this.approvalQueue.close(request.id, 'rejected');
+                results.push({ decision, status: 'rejected', approvalId: request.id });
+                continue;
+            }
+            
+            await this.performanceTracker.recordEvent('decision_approved', {
+                approvalId: request.id,
+                action: decision.action,
+                params: decision.params,
+                by: request.resolvedBy,
+                note: request.note
+            });
+            
+            state = state || await this.assessCurrentState();
+            const check = this.checkPolicy(decision, state, executed);
+            const result = check.allowed
+                ? await this.executeDecision(decision, check, request)
+                : await this.blockDecision(decision, check, request);
+            
+            if (result.status === 'executed') {
+                executed.push(...check.effects);
             }
+            await this.approvalQueue.close(request.id, result.status);
+            results.push(result);
         }
+        
+        return results;
     }
 
-    async calculateTotalValue(balances) {
-        // Calculate USD value of all holdings
-        let totalValue = 0;
-        
-        // For demo, use rough estimates - in production would use real price feeds
-        const prices = {
-            'sol': 88.50,    // Current SOL price
-            'usdc': 1.00,    // USDC is $1
-            'eth': 2133.26   // Current ETH price
+    checkPolicy(decision, state, executed) {
+        // The owning strategy adds what its decisions need checked, e.g. rebalance plans, unbonding terms
+        // or the effects of actions only it knows
+        const strategy = this.strategies.find(decision);
+        const context = {
+            ...strategy?.getPolicyContext(decision, state),
+            effects: strategy?.getPolicyEffects(decision, state) || null,
+            executed
         };
         
-        for (const wallet of [...(balances.solanaWallets || []), ...(balances.evmWallets || [])]) {
-            for (const balance of wallet.balances || []) {
-                const amount = parseFloat(balance.rawValue) / Math.pow(10, balance.decimals);
-                const price = prices[balance.asset.toLowerCase()] || 0;
-                totalValue += amount * price;
-            }
+        return this.policyEngine.evaluate(decision, state, context);
+    }
+
+    async calculateTotalValue(balances) {
+        const valuation = await this.valuePortfolio(balances);
+        return valuation.totalValue;
+    }
+
+    async valuePortfolio(balances) {
+        // Merge wallet balances, protocol positions and bridge transfers in flight, valued from live price feeds
+        const portfolio = await this.portfolio.build(balances, this.bridges.getPendingHoldings());
+        
+        if (portfolio.unpriced.length > 0) {
+            this.logger.warn(`⚠️ Unpriced assets (not counted in value): ${portfolio.unpriced.map(u => `${u.amount} ${u.asset.toUpperCase()}`).join(', ')}`);
+        }
+        if (portfolio.stalePrices.length > 0) {
+            this.logger.warn(`⚠️ Valuation uses stale prices for: ${portfolio.stalePrices.join(', ').toUpperCase()}`);
         }
         
-        return totalValue;
+        return portfolio;
     }
 
     async getMarketData() {
         // Get market data for decision making
-        // For demo, return mock data - in production would use real feeds
+        const prices = await this.priceOracle.getPrices(['sol', 'eth']);
+        
+        return {
+            sol: this.toMarketQuote(prices.sol),
+            eth: this.toMarketQuote(prices.eth),
+            kamino_apy: this.defiStrategies.getExpectedAPY('kamino'),
+            marinade_apy: this.defiStrategies.getExpectedAPY('marinade'),
+            aave_apy: this.defiStrategies.getExpectedAPY('aave')
+        };
+    }
+
+    toMarketQuote(quote) {
+        if (!quote) return null;
+        
         return {
-            sol: { price: 88.50, change24h: 1.36 },
-            eth: { price: 2133.26, change24h: 1.82 },
-            kamino_apy: 0.065,  // 6.5% APY
-            marinade_apy: 0.085 // 8.5% APY
+            price: quote.price,
+            change24h: quote.change24h ?? null,
+            stale: quote.stale,
+            sources: quote.sources
         };
     }
 
-    async recordPerformance(state) {
+    async recordPerformance(state, cycleId) {
+        const { byAsset, ...pnl } = this.accountant.getStatement();
         await this.performanceTracker.recordSnapshot('cycle_complete', {
+            cycleId,
             totalValue: state.totalValue,
             balances: state.balances,
-            timestamp: Date.now(),
+            pnl,
+            costs: this.costMeter.getCycleCosts(),
+            timestamp: this.clock.now(),
             cycleNumber: this.performanceTracker.getCycleCount()
         });
     }
@@ -246,7 +1009,7 @@ export class TreasuryAgent {
         // Log to Colosseum hackathon for transparency
         const logData = {
             agent: 'ClawDuck Sovereign Treasury',
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             decisions: decisions,
             treasuryValue: state.totalValue,
             autonomousAction: true,
@@ -265,8 +1028,9 @@ export class TreasuryAgent {
     stop() {
         this.isActive = false;
         if (this.loopTimer) {
-            clearInterval(this.loopTimer);
+            clearTimeout(this.loopTimer);
         }
+        this.confirmations.stop();
         this.logger.info('🛑 Sovereign Agent Treasury stopped');
     }
 }
\ No newline at end of file
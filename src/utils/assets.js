@@ -0,0 +1,90 @@
+/**
+ * Asset registry for the Sovereign Agent Treasury
+ * Single source of truth for asset decimals, Solana mints, EVM token addresses per chain,
+ * price feed IDs and staking receipts
+ */
+export const ASSETS = {
+    sol: {
+        symbol: 'SOL',
+        decimals: 9,
+        solanaMint: 'So11111111111111111111111111111111111111112',
+        pythFeedId: 'ef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d'
+    },
+    usdc: {
+        symbol: 'USDC',
+        decimals: 6,
+        solanaMint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+        evmTokens: {
+            base: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+            'base-sepolia': '0x036CbD53842c5426634e7929541eC2318f3dCF7e'
+        },
+        pythFeedId: 'eaa020c61cc479712813461ce153894a96a6c00b21ed0cfc2798d1f9a9e9c94a'
+    },
+    usdt: {
+        symbol: 'USDT',
+        decimals: 6,
+        solanaMint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+        pythFeedId: '2b89b9dc8fdf9f34709a5b106b472f0f39bb6ca9ce04b0fd7f2e971688e2e53b'
+    },
+    eth: {
+        symbol: 'ETH',
+        decimals: 18,
+        solanaMint: '7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs', // Wormhole ETH
+        pythFeedId: 'ff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace'
+    },
+    msol: {
+        symbol: 'mSOL',
+        decimals: 9,
+        solanaMint: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So',
+        stakePool: 'marinade', // Liquid staking receipt, valued via underlying when unpriced
+        underlying: 'sol'
+    },
+    jitosol: {
+        symbol: 'JitoSOL',
+        decimals: 9,
+        solanaMint: 'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn',
+        stakePool: 'jito',
+        underlying: 'sol'
+    },
+    mon: {
+        symbol: 'MON',
+        decimals: 18 // Monad testnet gas token, no price feed
+    }
+};
+
+export function getAssetInfo(asset) {
+    return ASSETS[asset?.toLowerCase()] || null;
+}
+
+/**
+ * ERC-20 address of the asset on an EVM chain (registry key from utils/chains.js), null if not listed
+ */
+export function getEvmToken(asset, chain) {
+    return getAssetInfo(asset)?.evmTokens?.[chain] || null;
+}
+
+/**
+ * Token amount (number or decimal string) → integer base units
+ * Works on the decimal digits, so 0.1 with 18 decimals is exactly 10^17; digits past `decimals` are dropped
+ */
+export function toBaseUnits(amount, decimals) {
+    const match = /^(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(amount).trim());
+    if (!match || !(match[1] || match[2])) {
+        throw new Error(`Invalid token amount: ${amount}`);
+    }
+
+    // Move the decimal point by the exponent and the token's decimals
+    const [, whole, fraction = '', exponent = '0'] = match;
+    const point = whole.length + Number(exponent) + decimals;
+    if (point <= 0) return 0n;
+    return BigInt((whole + fraction).slice(0, point).padEnd(point, '0'));
+}
+
+export function getAssetByMint(mint) {
+    for (const [asset, info] of Object.entries(ASSETS)) {
+        if (info.solanaMint === mint) {
+            return { asset, ...info };
+        }
+    }
+    return null;
+}
@@ -0,0 +1,77 @@
+/**
+ * Chain registry for the Sovereign Agent Treasury
+ * Holdings, decisions and NAV reports name chains by these keys; AgentWallet and policy documents
+ * may use a cluster-qualified name, an EVM chain ID or a CAIP-2 id, which resolveChain maps back
+ * cctpDomain is the chain's Circle CCTP domain, only chains that have one can be bridged between
+ */
+export const CHAINS = {
+    solana: {
+        kind: 'solana',
+        name: 'Solana',
+        nativeAsset: 'sol',
+        cctpDomain: 5,
+        aliases: ['solana-devnet', 'solana-mainnet', 'solana-mainnet-beta', 'solana-testnet']
+    },
+    base: {
+        kind: 'evm',
+        name: 'Base',
+        chainId: 8453,
+        nativeAsset: 'eth',
+        cctpDomain: 6,
+        rpcUrl: 'https://mainnet.base.org'
+    },
+    'base-sepolia': {
+        kind: 'evm',
+        name: 'Base Sepolia',
+        chainId: 84532,
+        nativeAsset: 'eth',
+        cctpDomain: 6,
+        rpcUrl: 'https://sepolia.base.org'
+    },
+    'monad-testnet': {
+        kind: 'evm',
+        name: 'Monad Testnet',
+        chainId: 10143,
+        nativeAsset: 'mon',
+        rpcUrl: 'https://testnet-rpc.monad.xyz'
+    }
+};
+
+export const CHAIN_NAMES = Object.keys(CHAINS);
+
+export const BRIDGE_CHAINS = CHAIN_NAMES.filter(chain => CHAINS[chain].cctpDomain !== undefined);
+
+// Chain each protocol the agent can deploy into lives on
+export const PROTOCOL_CHAINS = {
+    kamino: 'solana',
+    marginfi: 'solana',
+    marinade: 'solana',
+    jito: 'solana',
+    jupiter: 'solana',
+    dflow: 'solana',
+    aave: 'base'
+};
+
+/**
+ * Registry key for a chain name, alias, EVM chain ID or CAIP-2 id, null when unknown
+ */
+export function resolveChain(chain) {
+    if (chain === null || chain === undefined) return null;
+
+    const name = String(chain).toLowerCase().replace(/^eip155:/, '');
+    for (const [key, info] of Object.entries(CHAINS)) {
+        if (key === name || info.aliases?.includes(name) || String(info.chainId) === name) {
+            return key;
+        }
+    }
+    return null;
+}
+
+export function getChainInfo(chain) {
+    const key = resolveChain(chain);
+    return key ? { key, ...CHAINS[key] } : null;
+}
+
+export function getProtocolChain(protocol) {
+    return PROTOCOL_CHAINS[protocol?.toLowerCase()] || null;
+}
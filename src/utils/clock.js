@@ -0,0 +1,21 @@
+/**
+ * Clocks for the Sovereign Agent Treasury
+ * Services take any object with now(); `Date` itself is the real-time clock
+ */
+export class VirtualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    set(time) {
+        this.time = time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+    }
+}
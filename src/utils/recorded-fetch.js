@@ -0,0 +1,89 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Recorded-response HTTP stub
+ * Replays fetch responses from a recording so protocol adapters run offline and deterministically;
+ * wrap the real fetch with recordFetch() to capture a new recording
+ *
+ * Recording format: { interactions: [{ request: { method, url }, response: { status, body } }] }
+ * JSON-RPC requests also match on the RPC method, so calls to one endpoint can be told apart.
+ * Repeated requests replay their recorded responses in order and then repeat the last one.
+ */
+export function createRecordedFetch(recording) {
+    const data = typeof recording === 'string'
+        ? JSON.parse(readFileSync(recording, 'utf-8'))
+        : recording;
+
+    const queues = new Map();
+    for (const { request, response } of data.interactions || []) {
+        const key = requestKey(request.method, request.url, request.body);
+        if (!queues.has(key)) queues.set(key, []);
+        queues.get(key).push(response);
+    }
+
+    const calls = [];
+    const recordedFetch = async (url, options = {}) => {
+        const key = requestKey(options.method, String(url), options.body);
+        calls.push(key);
+
+        const queue = queues.get(key);
+        if (!queue) {
+            throw new Error(`No recorded response for ${key}`);
+        }
+
+        const response = queue.length > 1 ? queue.shift() : queue[0];
+        return toResponse(response);
+    };
+    recordedFetch.calls = calls;
+
+    return recordedFetch;
+}
+
+/**
+ * Wrap a fetch implementation, pushing every request and response into interactions
+ */
+export function recordFetch(fetchImpl, interactions = []) {
+    const recordingFetch = async (url, options = {}) => {
+        const response = await fetchImpl(url, options);
+        const text = await response.text();
+
+        interactions.push({
+            request: {
+                method: options.method || 'GET',
+                url: String(url),
+                ...(options.body ? { body: parseBody(options.body) } : {})
+            },
+            response: { status: response.status, body: parseBody(text) }
+        });
+
+        return toResponse({ status: response.status, body: parseBody(text) });
+    };
+    recordingFetch.interactions = interactions;
+
+    return recordingFetch;
+}
+
+function requestKey(method = 'GET', url, body) {
+    const key = `${method.toUpperCase()} ${url}`;
+    const rpc = parseBody(body);
+    return rpc?.jsonrpc && typeof rpc.method === 'string' ? `${key} #${rpc.method}` : key;
+}
+
+function parseBody(body) {
+    if (typeof body !== 'string') return body ?? null;
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+}
+
+function toResponse({ status = 200, body = null }) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => JSON.parse(text),
+        text: async () => text
+    };
+}
@@ -0,0 +1,87 @@
+import { createHash } from 'crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { Logger } from './logger.js';
+
+/**
+ * Record/replay cache for external responses (LLM completions, quotes)
+ * Makes backtests and paper runs deterministic and fully offline
+ *
+ * Modes:
+ *   record - call through and store every response
+ *   replay - only serve stored responses, a miss is an error
+ */
+export class ResponseCache {
+    constructor(options = {}) {
+        this.logger = new Logger('RESPONSE_CACHE');
+        this.filePath = options.filePath || null;
+        this.mode = options.mode || 'record';
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    async load() {
+        if (!this.filePath) return;
+
+        try {
+            const data = JSON.parse(await readFile(this.filePath, 'utf-8'));
+            this.entries = new Map(Object.entries(data.entries || {}));
+            this.logger.info(`📂 Loaded ${this.entries.size} recorded responses from ${this.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            if (this.mode === 'replay') {
+                throw new Error(`Replay cache not found: ${this.filePath}`);
+            }
+        }
+    }
+
+    async save() {
+        if (!this.filePath || this.mode !== 'record') return;
+
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await writeFile(this.filePath, JSON.stringify({
+            savedAt: new Date().toISOString(),
+            entries: Object.fromEntries(this.entries)
+        }, null, 2));
+    }
+
+    keyFor(input) {
+        const material = typeof input === 'string' ? input : JSON.stringify(input);
+        return createHash('sha256').update(material).digest('hex');
+    }
+
+    isReplay() {
+        return this.mode === 'replay';
+    }
+
+    async wrap(input, producer) {
+        const key = this.keyFor(input);
+
+        if (this.entries.has(key)) {
+            this.hits++;
+            return this.entries.get(key).response;
+        }
+
+        this.misses++;
+
+        if (this.mode === 'replay') {
+            throw new Error(`No recorded response for key ${key.slice(0, 12)}…`);
+        }
+
+        const response = await producer();
+        this.entries.set(key, { response, recordedAt: Date.now() });
+        await this.save();
+
+        return response;
+    }
+
+    getStats() {
+        return {
+            mode: this.mode,
+            entries: this.entries.size,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
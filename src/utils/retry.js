@@ -0,0 +1,34 @@
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+/**
+ * Failures worth another attempt: timeouts, dropped connections, 5xx, 429 and 408
+ * Anything else (4xx rejections, validation errors) would fail the same way again
+ */
+export function isTransientError(error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') return true;
+    if (TRANSIENT_ERROR_CODES.has(error.code)) return true;
+    return error.status >= 500 || error.status === 429 || error.status === 408;
+}
+
+/**
+ * Run fn, retrying transient failures with exponential backoff (baseDelayMs, 2x, 4x, ...)
+ * onRetry(error, attempt, delayMs) is called before each wait
+ * Resolves to { result, attempts }, or rejects with the last error
+ */
+export async function withRetry(fn, options = {}) {
+    const maxAttempts = options.maxAttempts ?? 3;
+    const baseDelayMs = options.baseDelayMs ?? 1000;
+    const isRetryable = options.isRetryable || isTransientError;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { result: await fn(attempt), attempts: attempt };
+        } catch (error) {
+            if (attempt >= maxAttempts || !isRetryable(error)) throw error;
+
+            const delay = baseDelayMs * Math.pow(2, attempt - 1);
+            options.onRetry?.(error, attempt, delay);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
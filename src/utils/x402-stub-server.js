@@ -0,0 +1,245 @@
+import fetch from 'node-fetch';
+import { createServer } from 'http';
+import { randomBytes } from 'crypto';
+import { Logger } from './logger.js';
+import { getAssetInfo } from './assets.js';
+
+const USDC_DECIMALS = 6;
+
+/**
+ * x402 Stub Server - offline stand-in for both sides of a compute payment
+ *   POST /pay                                    - payee resource: answers 402 until paid, one receipt per Idempotency-Key
+ *   POST /api/wallets/:user/actions/x402/fetch   - AgentWallet: runs the 402 handshake against the given url
+ *   POST /api/wallets/:user/actions/transfer-solana - AgentWallet: fake transfers, one per idempotencyKey
+ *   GET  /api/wallets/:user/balances             - AgentWallet: empty wallets
+ *   GET  /api/wallets/:user/policy               - AgentWallet: the spending policy passed as options.policy
+ *
+ * Point AgentWallet at `${url}/api` (AGENTWALLET_API_URL) and the cost manager at `${url}/pay`
+ * (COMPUTE_PAYMENT_URL). failNext(count, status) makes wallet actions fail to exercise retries.
+ */
+export class X402StubServer {
+    constructor(options = {}) {
+        this.logger = new Logger('X402_STUB');
+        this.port = options.port ?? 0;
+        this.host = options.host || '127.0.0.1';
+        this.payTo = options.payTo || 'StubPayee1111111111111111111111111111111111';
+        this.network = options.network || 'solana-devnet';
+        this.policy = options.policy || {};
+        this.server = null;
+
+        this.receipts = new Map();   // Idempotency-Key → receipt issued by /pay
+        this.transfers = new Map();  // idempotencyKey → transfer
+        this.failures = { remaining: 0, status: 503 };
+
+        this.routes = [
+            ['POST', /^\/pay$/, (req, body) => this.pay(req, body)],
+            ['POST', /^\/api\/wallets\/[\w.-]+\/actions\/x402\/fetch$/, (req, body) => this.x402Fetch(body)],
+            ['POST', /^\/api\/wallets\/[\w.-]+\/actions\/transfer-solana$/, (req, body) => this.transfer(body)],
+            ['GET', /^\/api\/wallets\/[\w.-]+\/balances$/, () => ({ status: 200, body: { solanaWallets: [], evmWallets: [] } })],
+            ['GET', /^\/api\/wallets\/[\w.-]+\/policy$/, () => ({ status: 200, body: this.policy })]
+        ];
+    }
+
+    get url() {
+        return `http://${this.host}:${this.port}`;
+    }
+
+    async start() {
+        this.server = createServer((req, res) => this.handle(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.logger.info(`🧪 x402 stub listening on ${this.url} (wallet API ${this.url}/api, payee ${this.url}/pay)`);
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    /**
+     * Fail the next `count` wallet actions with `status`
+     */
+    failNext(count, status = 503) {
+        this.failures = { remaining: count, status };
+    }
+
+    getReceipts() {
+        return Array.from(this.receipts.values());
+    }
+
+    getTransfers() {
+        return Array.from(this.transfers.values());
+    }
+
+    async handle(req, res) {
+        const { pathname } = new URL(req.url, this.url);
+
+        try {
+            const route = this.routes.find(([method, pattern]) => method === req.method && pattern.test(pathname));
+            if (!route) {
+                return send(res, 404, { error: `No route for ${req.method} ${pathname}` });
+            }
+
+            if (pathname.startsWith('/api/') && this.failures.remaining > 0) {
+                this.failures.remaining--;
+                return send(res, this.failures.status, { error: 'Injected failure' });
+            }
+
+            const body = req.method === 'POST' ? await readBody(req) : {};
+            const { status, body: payload, headers } = await route[2](req, body);
+            send(res, status, payload, headers);
+        } catch (error) {
+            this.logger.error(`❌ ${req.method} ${pathname} failed:`, error.message);
+            send(res, 500, { error: error.message });
+        }
+    }
+
+    /**
+     * Payee side: unpaid requests get payment requirements, paid ones a receipt
+     */
+    pay(req, body) {
+        const key = req.headers['idempotency-key'] || null;
+
+        // Already settled under this key, nothing more to pay
+        if (key && this.receipts.has(key)) {
+            return { status: 200, body: { ...this.receipts.get(key), duplicate: true } };
+        }
+
+        const amount = Number(body.amount);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return { status: 400, body: { error: 'amount must be a positive number' } };
+        }
+
+        const header = req.headers['x-payment'];
+        if (!header) {
+            return {
+                status: 402,
+                body: {
+                    x402Version: 1,
+                    error: 'X-PAYMENT header is required',
+                    accepts: [{
+                        scheme: 'exact',
+                        network: this.network,
+                        maxAmountRequired: Math.round(amount * Math.pow(10, USDC_DECIMALS)).toString(),
+                        payTo: this.payTo,
+                        asset: getAssetInfo('usdc').solanaMint,
+                        resource: `${this.url}/pay`,
+                        description: `Compute costs${body.period ? ` for ${body.period}` : ''}`
+                    }]
+                }
+            };
+        }
+
+        const payment = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+        const receipt = {
+            receiptId: `rcpt-${randomBytes(6).toString('hex')}`,
+            idempotencyKey: key,
+            period: body.period || null,
+            amount,
+            txHash: payment.payload.txHash,
+            payTo: this.payTo,
+            paidAt: Date.now()
+        };
+        if (key) this.receipts.set(key, receipt);
+
+        this.logger.info(`🧾 Receipt ${receipt.receiptId}: $${amount} (${key || 'no idempotency key'})`);
+        return { status: 200, body: receipt, headers: { 'X-PAYMENT-RESPONSE': Buffer.from(JSON.stringify({ success: true, transaction: receipt.txHash })).toString('base64') } };
+    }
+
+    /**
+     * Wallet side: fetch the resource, pay its first requirement on 402, then fetch again with proof of payment
+     */
+    async x402Fetch(body) {
+        const request = {
+            method: body.method || 'POST',
+            headers: { 'Content-Type': 'application/json', ...body.headers },
+            body: body.body === undefined ? undefined : JSON.stringify(body.body)
+        };
+
+        const first = await fetch(body.url, request);
+        if (first.status !== 402) {
+            return { status: 200, body: { paid: false, response: { status: first.status, body: await readJson(first) } } };
+        }
+
+        const { accepts = [] } = await readJson(first);
+        const requirement = accepts[0];
+        if (!requirement) {
+            return { status: 502, body: { error: 'Payee answered 402 without payment requirements' } };
+        }
+
+        const txHash = randomBytes(32).toString('hex');
+        const proof = { x402Version: 1, scheme: requirement.scheme, network: requirement.network, payload: { txHash, amount: requirement.maxAmountRequired, payTo: requirement.payTo } };
+        const second = await fetch(body.url, {
+            ...request,
+            headers: { ...request.headers, 'X-PAYMENT': Buffer.from(JSON.stringify(proof)).toString('base64') }
+        });
+        const response = { status: second.status, body: await readJson(second) };
+        if (!second.ok) {
+            return { status: 502, body: { error: `Payee rejected payment: ${second.status}`, response } };
+        }
+
+        const amount = Number(requirement.maxAmountRequired);
+        return {
+            status: 200,
+            body: {
+                paid: true,
+                payment: {
+                    amount: requirement.maxAmountRequired,
+                    decimals: USDC_DECIMALS,
+                    amountFormatted: `${amount / Math.pow(10, USDC_DECIMALS)} USDC`,
+                    asset: 'usdc',
+                    chain: requirement.network,
+                    txHash
+                },
+                response
+            }
+        };
+    }
+
+    transfer(body) {
+        const existing = body.idempotencyKey && this.transfers.get(body.idempotencyKey);
+        if (existing) {
+            return { status: 200, body: existing };
+        }
+
+        const transfer = {
+            id: `transfer-${randomBytes(6).toString('hex')}`,
+            txHash: randomBytes(32).toString('hex'),
+            to: body.to,
+            amount: body.amount,
+            asset: body.asset,
+            network: body.network,
+            status: 'confirmed'
+        };
+        if (body.idempotencyKey) this.transfers.set(body.idempotencyKey, transfer);
+
+        this.logger.info(`📤 Transfer ${transfer.id}: ${body.amount} ${String(body.asset).toUpperCase()} base units to ${body.to}`);
+        return { status: 200, body: transfer };
+    }
+}
+
+function send(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload ?? null));
+}
+
+async function readBody(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    return raw.trim() ? JSON.parse(raw) : {};
+}
+
+async function readJson(response) {
+    const text = await response.text();
+    try {
+        return text ? JSON.parse(text) : null;
+    } catch {
+        return text;
+    }
+}
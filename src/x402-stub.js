@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * Local x402 stub for testing compute self-payment offline
+ *
+ * Usage:
+ *   node src/x402-stub.js [--port 4020] [--pay-to address]
+ *
+ * Then run the agent with
+ *   AGENTWALLET_API_URL=http://127.0.0.1:4020/api
+ *   COMPUTE_PAYMENT_URL=http://127.0.0.1:4020/pay
+ */
+
+import { parseArgs } from 'util';
+import { X402StubServer } from './utils/x402-stub-server.js';
+
+const { values } = parseArgs({
+    options: {
+        port: { type: 'string', default: '4020' },
+        'pay-to': { type: 'string' }
+    }
+});
+
+const stub = new X402StubServer({ port: parseInt(values.port), payTo: values['pay-to'] });
+await stub.start();
+
+const shutdown = async () => {
+    await stub.stop();
+    process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ApprovalQueue } from '../src/services/approval-queue.js';
+import { JsonlRepository } from '../src/storage/jsonl-repository.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const swap = { action: 'swap', params: { asset: 'usdc', target: 'sol', amount: 200 }, reasoning: 'test' };
+
+async function withQueue(run) {
+    const dataDir = await mkdtemp(join(tmpdir(), 'approvals-'));
+    const repository = new JsonlRepository({ dataDir });
+    const clock = new VirtualClock(Date.parse('2026-01-01T00:00:00Z'));
+    try {
+        await run({ queue: new ApprovalQueue({ repository, clock }), repository, clock });
+    } finally {
+        await rm(dataDir, { recursive: true, force: true });
+    }
+}
+
+test('large, first-time and emergency decisions need approval', () => {
+    const queue = new ApprovalQueue();
+    const state = { holdings: [{ asset: 'usdc', protocol: null }, { asset: 'usdc', protocol: 'kamino' }] };
+
+    assert.deepEqual(queue.assess(swap, { notional: 200, state }), ['notional $200.00 above $100', 'first-time asset SOL']);
+    assert.deepEqual(queue.assess({ action: 'lend', params: { asset: 'usdc', target: 'kamino' } }, { notional: 50, state }), []);
+    assert.deepEqual(queue.assess({ action: 'lend', params: { asset: 'usdc', target: 'marginfi' } }, { notional: 50, state }), ['new protocol marginfi']);
+    assert.deepEqual(queue.assess({ action: 'withdraw', emergency: true, params: {} }, { notional: 10, state }), ['emergency']);
+
+    // Assets acquired by executed decisions are no longer first-time
+    const events = [{ type: 'decision_executed', data: { action: 'swap', params: { asset: 'usdc', target: 'sol' } } }];
+    assert.deepEqual(queue.assess(swap, { notional: 50, state, events }), []);
+});
+
+test('approving a pending request resolves it once, for every process sharing the repository', async () => {
+    await withQueue(async ({ queue, repository, clock }) => {
+        const request = await queue.enqueue(swap, { reasons: ['notional'], notional: 200 });
+        assert.equal(request.status, 'pending');
+        assert.equal(request.expiresAt, clock.now() + HOUR_MS);
+
+        // The approve CLI runs as another process with its own queue
+        const operator = new ApprovalQueue({ repository, clock });
+        const approved = await operator.approve(request.id, { by: 'alice', note: 'within mandate' });
+        assert.equal(approved.status, 'approved');
+        assert.equal(approved.resolvedBy, 'alice');
+
+        await queue.sync();
+        assert.deepEqual(queue.getResolved().map(r => r.id), [request.id]);
+        await assert.rejects(queue.reject(request.id), /already approved/);
+
+        await queue.close(request.id, 'executed');
+        assert.deepEqual(queue.getResolved(), []);
+        assert.equal(queue.get(request.id).outcome, 'executed');
+    });
+});
+
+test('rejected requests stay rejected and unknown ids are refused', async () => {
+    await withQueue(async ({ queue }) => {
+        const request = await queue.enqueue(swap, { reasons: ['notional'], notional: 200 });
+
+        const rejected = await queue.reject(request.id, { note: 'too large' });
+        assert.equal(rejected.status, 'rejected');
+        assert.equal(rejected.note, 'too large');
+        assert.deepEqual(queue.getPending(), []);
+        await assert.rejects(queue.approve(request.id), /already rejected/);
+        await assert.rejects(queue.approve('nope'), /Unknown approval request/);
+    });
+});
+
+test('requests past their deadline expire and can no longer be approved', async () => {
+    await withQueue(async ({ queue, repository, clock }) => {
+        const stale = await queue.enqueue(swap, { reasons: ['notional'], notional: 200 });
+        clock.advance(HOUR_MS / 2);
+        const fresh = await queue.enqueue(swap, { reasons: ['notional'], notional: 150 });
+        clock.advance(HOUR_MS / 2 + 1);
+
+        await assert.rejects(queue.approve(stale.id), /expired at/);
+
+        const expired = await queue.expireStale();
+        assert.deepEqual(expired.map(r => r.id), [stale.id]);
+        assert.deepEqual(queue.getPending().map(r => r.id), [fresh.id]);
+
+        // A late approval recorded by another process cannot revive it
+        await repository.append('approvals', { type: 'approved', id: stale.id, timestamp: clock.now() });
+        await queue.sync();
+        assert.equal(queue.get(stale.id).status, 'expired');
+        assert.equal(queue.get(stale.id).outcome, 'expired');
+    });
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toBaseUnits } from '../src/utils/assets.js';
+
+test('token amounts convert to exact base units', () => {
+    assert.equal(toBaseUnits(0.1, 18), 100000000000000000n);
+    assert.equal(toBaseUnits('0.1', 18), 100000000000000000n);
+    assert.equal(toBaseUnits(1.005, 6), 1005000n);
+    assert.equal(toBaseUnits(123.456789, 6), 123456789n);
+    assert.equal(toBaseUnits(25, 6), 25000000n);
+    assert.equal(toBaseUnits('.5', 2), 50n);
+    assert.equal(toBaseUnits(0, 9), 0n);
+});
+
+test('exponent notation is expanded and digits past the decimals are dropped', () => {
+    assert.equal(toBaseUnits(1.5e21, 6), 1500000000000000000000000000n);
+    assert.equal(toBaseUnits(0.0000012345, 9), 1234n);
+    assert.equal(toBaseUnits(1e-7, 6), 0n);
+    assert.equal(toBaseUnits('2.9999999', 6), 2999999n);
+});
+
+test('anything but a non-negative decimal is refused', () => {
+    for (const amount of ['abc', -1, '', '.', NaN, Infinity, '1.2.3']) {
+        assert.throws(() => toBaseUnits(amount, 6), /Invalid token amount/);
+    }
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BacktestRunner } from '../src/backtest/backtest-runner.js';
+import { loadMarketSeries } from '../src/backtest/market-series.js';
+import { LLMRouter } from '../src/engines/llm-router.js';
+import { MockLLMProvider } from '../src/engines/llm-providers.js';
+
+const SERIES_FILE = new URL('../fixtures/backtest-sample.csv', import.meta.url).pathname;
+
+// Parks idle USDC in Kamino and buys a little SOL every cycle until policy caps kick in
+const response = JSON.stringify({
+    decisions: [
+        { action: 'lend', params: { asset: 'usdc', target: 'kamino', amount: 10, unit: 'usd' }, reasoning: 'Park idle USDC', priority: 'medium', riskLevel: 'low' },
+        { action: 'swap', params: { asset: 'usdc', target: 'sol', amount: 5, unit: 'usd' }, reasoning: 'Average into SOL', priority: 'low', riskLevel: 'medium' }
+    ]
+});
+
+async function runBacktest() {
+    const runner = new BacktestRunner({
+        series: await loadMarketSeries(SERIES_FILE),
+        initialBalances: { sol: 1, usdc: 200 },
+        llmMode: 'record', // No cache file: responses stay in memory for the run
+        agentConfig: {
+            llmRouter: new LLMRouter({ providers: [new MockLLMProvider({ response })] })
+        }
+    });
+    return runner.run();
+}
+
+test('the same backtest run twice gives identical results', async () => {
+    const first = await runBacktest();
+    const second = await runBacktest();
+
+    assert.equal(first.summary.cycles, 24);
+    assert.ok(first.summary.trades > 0, 'the sample should execute trades');
+    assert.ok(first.decisionLog.some(cycle => cycle.decisions.some(d => d.status === 'blocked')), 'policy caps should block later cycles');
+    assert.deepEqual(second, first);
+});
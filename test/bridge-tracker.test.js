@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BridgeTracker } from '../src/services/bridge-tracker.js';
+import { MockBridgeProvider } from '../src/protocols/bridge-providers.js';
+import { JsonlRepository } from '../src/storage/jsonl-repository.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+const PARAMS = { asset: 'usdc', amount: 25, chain: 'solana', target: 'base' };
+
+// A tracker over dataDir, as the agent builds it after each (re)start
+async function startTracker(dataDir, provider, clock) {
+    const tracker = new BridgeTracker({ provider, clock, repository: new JsonlRepository({ dataDir }), timeoutMs: 3600000 });
+    await tracker.restore();
+    return tracker;
+}
+
+async function withDataDir(run) {
+    const dataDir = await mkdtemp(join(tmpdir(), 'bridges-'));
+    try {
+        await run(dataDir);
+    } finally {
+        await rm(dataDir, { recursive: true, force: true });
+    }
+}
+
+function timeoutError() {
+    const error = new Error('socket hang up');
+    error.code = 'ETIMEDOUT';
+    return error;
+}
+
+test('a transfer is recorded initiated before its burn, then followed to the mint', async () => {
+    await withDataDir(async (dataDir) => {
+        const clock = new VirtualClock(1000);
+        const provider = new MockBridgeProvider({ clock, settlementMs: 60000 });
+        const tracker = await startTracker(dataDir, provider, clock);
+
+        let statusDuringBurn = null;
+        const burn = provider.burn.bind(provider);
+        provider.burn = async (transfer) => {
+            statusDuringBurn = tracker.get(transfer.id)?.status;
+            return await burn(transfer);
+        };
+
+        const result = await tracker.initiate(PARAMS, { decisionId: 'cycle-1-1' });
+        assert.equal(statusDuringBurn, 'initiated');
+        assert.equal(tracker.get(result.bridgeId).status, 'burned');
+        assert.deepEqual(tracker.getPendingHoldings(), [{ asset: 'usdc', amount: 25, chain: 'base', protocol: 'mock', availableAt: null }]);
+
+        clock.advance(60000);
+        const completed = await tracker.poll();
+        assert.equal(completed.length, 1);
+        assert.equal(tracker.get(result.bridgeId).status, 'completed');
+        assert.equal(tracker.getInFlight().length, 0);
+
+        const statuses = (await new JsonlRepository({ dataDir }).readAll('bridges')).map(record => record.status);
+        // The second attested record is the mint's tx hash, kept before the mint confirms
+        assert.deepEqual(statuses, ['initiated', 'burned', 'attested', 'attested', 'completed']);
+    });
+});
+
+test('a rejected burn fails the transfer, it never counts in NAV', async () => {
+    await withDataDir(async (dataDir) => {
+        const clock = new VirtualClock(1000);
+        const provider = new MockBridgeProvider({ clock });
+        provider.burn = async () => { throw new Error('insufficient funds'); };
+        const tracker = await startTracker(dataDir, provider, clock);
+
+        await assert.rejects(tracker.initiate(PARAMS), /insufficient funds/);
+        const [transfer] = tracker.list();
+        assert.equal(transfer.status, 'failed');
+        assert.equal(transfer.error, 'insufficient funds');
+        assert.deepEqual(tracker.getPendingHoldings(), []);
+        assert.deepEqual(await tracker.reconcile(), []);
+    });
+});
+
+test('a burn that landed before the crash is resolved as burned on restart', async () => {
+    await withDataDir(async (dataDir) => {
+        const clock = new VirtualClock(1000);
+        const provider = new MockBridgeProvider({ clock, settlementMs: 60000 });
+        const burn = provider.burn.bind(provider);
+        provider.burn = async (transfer) => {
+            await burn(transfer);
+            throw timeoutError();
+        };
+        const first = await startTracker(dataDir, provider, clock);
+
+        await assert.rejects(first.initiate(PARAMS, { decisionId: 'cycle-2-1' }), /socket hang up/);
+        const [open] = first.list();
+        assert.equal(open.status, 'initiated');
+        assert.deepEqual(first.getInFlight(), []);
+
+        provider.burn = burn;
+        const restarted = await startTracker(dataDir, provider, clock);
+        assert.equal(restarted.get(open.id).status, 'initiated');
+
+        const outcomes = await restarted.reconcile();
+        assert.deepEqual(outcomes, [{ bridgeId: open.id, decisionId: 'cycle-2-1', from: 'initiated', status: 'burned' }]);
+        assert.equal(restarted.get(open.id).sourceTxHash, provider.burns.get(open.id));
+        assert.equal(restarted.getPendingHoldings().length, 1);
+
+        clock.advance(60000);
+        await restarted.poll();
+        assert.equal(restarted.get(open.id).status, 'completed');
+    });
+});
+
+test('a burn that never landed is failed once its grace period is over', async () => {
+    await withDataDir(async (dataDir) => {
+        const clock = new VirtualClock(1000);
+        const provider = new MockBridgeProvider({ clock });
+        provider.burn = async () => { throw timeoutError(); };
+        await assert.rejects((await startTracker(dataDir, provider, clock)).initiate(PARAMS), /socket hang up/);
+
+        // Right after the crash the burn may still land, so the transfer stays open
+        const restarted = await startTracker(dataDir, new MockBridgeProvider({ clock }), clock);
+        const [early] = await restarted.reconcile();
+        assert.equal(early.status, 'initiated');
+
+        // Once the grace period has passed, the next poll gives up on it
+        clock.advance(restarted.burnGraceMs);
+        await restarted.poll();
+        const [transfer] = restarted.list();
+        assert.equal(transfer.status, 'failed');
+        assert.equal(transfer.error, 'Burn never reached the source chain');
+        assert.deepEqual(restarted.getPendingHoldings(), []);
+    });
+});
+
+test('a provider that cannot look up burns leaves the transfer initiated with an error', async () => {
+    await withDataDir(async (dataDir) => {
+        const clock = new VirtualClock(1000);
+        const provider = new MockBridgeProvider({ clock });
+        provider.burn = async () => { throw timeoutError(); };
+        await assert.rejects((await startTracker(dataDir, provider, clock)).initiate(PARAMS), /socket hang up/);
+
+        const blind = new MockBridgeProvider({ clock });
+        blind.findBurn = undefined;
+        const restarted = await startTracker(dataDir, blind, clock);
+        const [outcome] = await restarted.reconcile();
+        assert.equal(outcome.status, 'initiated');
+        assert.match(outcome.error, /cannot look up burns/);
+        assert.deepEqual(restarted.getInFlight(), []);
+    });
+});
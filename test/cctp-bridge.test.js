@@ -0,0 +1,177 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CctpBridgeProvider } from '../src/protocols/bridge-providers.js';
+import { EvmRpc } from '../src/protocols/evm-rpc.js';
+import { SolanaRpc } from '../src/protocols/solana-rpc.js';
+import { BridgeTracker } from '../src/services/bridge-tracker.js';
+import { createRecordedFetch } from '../src/utils/recorded-fetch.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+const RPC_URL = 'http://base.rpc';
+const OWNER = `0x${'11'.repeat(20)}`;
+const RECEIPT = { status: '0x1', blockNumber: '0x10', gasUsed: '0x5208', effectiveGasPrice: '0x3b9aca00' };
+
+// JSON-RPC replies per method, each list replayed in order and then repeated
+function rpcFetch(replies) {
+    return createRecordedFetch({
+        interactions: Object.entries(replies).flatMap(([method, results]) => results.map(reply => ({
+            request: { method: 'POST', url: RPC_URL, body: { jsonrpc: '2.0', method } },
+            response: { body: reply instanceof Error
+                ? { jsonrpc: '2.0', id: 1, error: { message: reply.message } }
+                : { jsonrpc: '2.0', id: 1, result: reply } }
+        })))
+    });
+}
+
+// A tracker holding one Solana → Base transfer that is attested and ready to mint on Base
+async function attestedTransfer(replies, extra = {}) {
+    const fetch = rpcFetch(replies);
+    const sent = [];
+    const wallet = {
+        getAddresses: () => ({ evm: OWNER, solana: 'Owner1111111111111111111111111111111111111' }),
+        sendEvmTransaction: async (chainId, tx) => {
+            sent.push(tx);
+            return { txHash: `0xmint${sent.length}` };
+        }
+    };
+    const provider = new CctpBridgeProvider({
+        wallet,
+        evmRpcs: { base: new EvmRpc({ url: RPC_URL, fetch, pollIntervalMs: 0, confirmTimeoutMs: 0 }) }
+    });
+    const clock = new VirtualClock(1000);
+    const tracker = new BridgeTracker({ provider, clock, timeoutMs: 3600000 });
+    await tracker.record('bridge-1', 'attested', {
+        provider: 'cctp', asset: 'usdc', amount: 10, sourceChain: 'solana', destinationChain: 'base',
+        sourceTxHash: 'burn-signature', burnedAt: 1000, message: '0xabcd', attestation: '0xef01', ...extra
+    });
+    return { tracker, sent, fetch };
+}
+
+test('a mint whose receipt wait failed is checked on the next poll, not sent again', async () => {
+    const { tracker, sent } = await attestedTransfer({
+        eth_call: ['0x'],
+        eth_getTransactionReceipt: [null, RECEIPT]
+    });
+
+    await tracker.poll();
+    assert.equal(sent.length, 1);
+    assert.equal(tracker.get('bridge-1').status, 'attested');
+    assert.equal(tracker.get('bridge-1').destinationTxHash, '0xmint1');
+    assert.match(tracker.get('bridge-1').error, /not mined/);
+
+    const [completed] = await tracker.poll();
+    assert.equal(completed.status, 'completed');
+    assert.equal(completed.destinationTxHash, '0xmint1');
+    assert.equal(sent.length, 1);
+});
+
+test('a mint still in the mempool is waited for', async () => {
+    const { tracker, sent } = await attestedTransfer({
+        eth_getTransactionReceipt: [null],
+        eth_getTransactionByHash: [{ hash: '0xmint0' }]
+    }, { destinationTxHash: '0xmint0' });
+
+    await tracker.poll();
+    assert.equal(sent.length, 0);
+    assert.match(tracker.get('bridge-1').error, /still pending/);
+});
+
+test('a dropped mint is sent again once the nonce is still unused', async () => {
+    const { tracker, sent } = await attestedTransfer({
+        eth_getTransactionReceipt: [null, RECEIPT],
+        eth_getTransactionByHash: [null],
+        eth_call: ['0x']
+    }, { destinationTxHash: '0xmint0' });
+
+    const [completed] = await tracker.poll();
+    assert.equal(sent.length, 1);
+    assert.equal(completed.destinationTxHash, '0xmint1');
+});
+
+test('a message someone else already received completes without minting', async () => {
+    const { tracker, sent } = await attestedTransfer({
+        eth_call: [new Error('execution reverted: Nonce already used')]
+    });
+
+    const [completed] = await tracker.poll();
+    assert.equal(sent.length, 0);
+    assert.equal(completed.status, 'completed');
+});
+
+// findBurn: a burn sent before a crash, looked up on its source chain
+
+const SOLANA_URL = 'http://solana.rpc';
+const BUILDER_URL = 'http://cctp.builder';
+const SOLANA_OWNER = 'Owner1111111111111111111111111111111111111';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const RECIPIENT = `0x${'22'.repeat(32)}`;
+
+function word(value) {
+    return BigInt(value).toString(16).padStart(64, '0');
+}
+
+function depositLog(txHash, amount, domain = 5) {
+    return { transactionHash: txHash, removed: false, data: `0x${word(amount)}${RECIPIENT.slice(2)}${word(domain)}${word(0)}${word(0)}` };
+}
+
+function burnProvider(interactions) {
+    const fetch = createRecordedFetch({ interactions });
+    const wallet = { getAddresses: () => ({ evm: OWNER, solana: SOLANA_OWNER }) };
+    return new CctpBridgeProvider({
+        wallet,
+        fetch,
+        solanaApiUrl: BUILDER_URL,
+        solanaRpc: new SolanaRpc({ url: SOLANA_URL, fetch }),
+        evmRpcs: { base: new EvmRpc({ url: RPC_URL, fetch }) }
+    });
+}
+
+function rpcReply(url, method, result) {
+    return { request: { method: 'POST', url, body: { jsonrpc: '2.0', method } }, response: { body: { jsonrpc: '2.0', id: 1, result } } };
+}
+
+test('an EVM burn is found in the owner\'s DepositForBurn logs, skipping burns other transfers hold', async () => {
+    const provider = burnProvider([
+        rpcReply(RPC_URL, 'eth_blockNumber', '0x2710'),
+        rpcReply(RPC_URL, 'eth_getLogs', [
+            depositLog('0xother-amount', 5000000),
+            depositLog('0xknown', 10000000),
+            depositLog('0xburn', 10000000)
+        ]),
+        rpcReply(RPC_URL, 'eth_getTransactionReceipt', RECEIPT),
+        { request: { method: 'GET', url: `${BUILDER_URL}/recipients/${SOLANA_OWNER}?mint=${USDC_MINT}` }, response: { body: { mintRecipient: RECIPIENT } } }
+    ]);
+    const transfer = { id: 'bridge-1', asset: 'usdc', amount: 10, sourceChain: 'base', destinationChain: 'solana', initiatedAt: 1000 };
+
+    const burn = await provider.findBurn(transfer, { exclude: new Set(['0xknown']) });
+    assert.equal(burn.sourceTxHash, '0xburn');
+    assert.equal(burn.networkFee.asset, 'eth');
+
+    assert.equal(await provider.findBurn(transfer, { exclude: new Set(['0xknown', '0xburn']) }), null);
+});
+
+function solanaTx(logMessages, pre, post) {
+    const balance = amount => [{ mint: USDC_MINT, owner: SOLANA_OWNER, uiTokenAmount: { amount: String(amount) } }];
+    return { meta: { err: null, fee: 5000, logMessages, preTokenBalances: balance(pre), postTokenBalances: balance(post) } };
+}
+
+test('a Solana burn is found among the owner\'s recent signatures', async () => {
+    const initiatedAt = 1700000000000;
+    const provider = burnProvider([
+        rpcReply(SOLANA_URL, 'getSignaturesForAddress', [
+            { signature: 'sig-swap', slot: 12, blockTime: initiatedAt / 1000 + 20, err: null },
+            { signature: 'sig-burn', slot: 11, blockTime: initiatedAt / 1000 + 10, err: null },
+            { signature: 'sig-old', slot: 10, blockTime: initiatedAt / 1000 - 3600, err: null }
+        ]),
+        rpcReply(SOLANA_URL, 'getTransaction', solanaTx(['Program log: Instruction: Route'], 50000000, 40000000)),
+        rpcReply(SOLANA_URL, 'getTransaction', solanaTx(['Program log: Instruction: DepositForBurn'], 40000000, 30000000))
+    ]);
+    const transfer = { id: 'bridge-1', asset: 'usdc', amount: 10, sourceChain: 'solana', destinationChain: 'base', initiatedAt };
+
+    const burn = await provider.findBurn(transfer);
+    assert.equal(burn.sourceTxHash, 'sig-burn');
+    assert.equal(burn.slot, 11);
+    assert.deepEqual(burn.networkFee, { asset: 'sol', amount: 0.000005 });
+    // Signatures older than the transfer are not read
+    assert.equal(provider.fetch.calls.filter(call => call.endsWith('#getTransaction')).length, 2);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfirmationTracker } from '../src/services/confirmation-tracker.js';
+import { SolanaRpc } from '../src/protocols/solana-rpc.js';
+import { createRecordedFetch } from '../src/utils/recorded-fetch.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+const RPC_URL = 'https://api.devnet.solana.com';
+
+function rpcCall(method, result) {
+    return {
+        request: { method: 'POST', url: RPC_URL, body: { jsonrpc: '2.0', method } },
+        response: { status: 200, body: { jsonrpc: '2.0', id: 1, result } }
+    };
+}
+
+function tracker(interactions, options = {}) {
+    const resolved = [];
+    const confirmations = new ConfirmationTracker({
+        rpc: new SolanaRpc({ url: RPC_URL, fetch: createRecordedFetch({ interactions }) }),
+        clock: new VirtualClock(0),
+        expireAfterMs: 60000,
+        onResolved: entry => resolved.push(entry),
+        ...options
+    });
+    return { confirmations, resolved };
+}
+
+test('finalized transfers resolve with the network fee they paid', async () => {
+    const { confirmations, resolved } = tracker([
+        rpcCall('getSignatureStatuses', { context: { slot: 10 }, value: [{ slot: 10, err: null, confirmationStatus: 'confirmed' }] }),
+        rpcCall('getSignatureStatuses', { context: { slot: 12 }, value: [{ slot: 10, err: null, confirmationStatus: 'finalized' }] }),
+        rpcCall('getTransaction', { slot: 10, meta: { err: null, fee: 5000 } })
+    ]);
+    await confirmations.track('sig-transfer', { transferKey: 'settle-2026-01' });
+
+    assert.deepEqual(await confirmations.poll(), []);
+    const [entry] = await confirmations.poll();
+
+    assert.equal(entry.status, 'finalized');
+    assert.equal(entry.transferKey, 'settle-2026-01');
+    assert.deepEqual(entry.networkFee, { asset: 'sol', amount: 0.000005 });
+    assert.deepEqual(resolved, [entry]);
+});
+
+test('failed transactions still carry their fee, expired ones have none', async () => {
+    const { confirmations, resolved } = tracker([
+        rpcCall('getSignatureStatuses', { context: { slot: 10 }, value: [{ slot: 10, err: { InstructionError: [0, 'Custom'] } }] }),
+        rpcCall('getTransaction', { slot: 10, meta: { err: {}, fee: 10000 } })
+    ]);
+    await confirmations.track('sig-failed');
+    const [failed] = await confirmations.poll();
+    assert.equal(failed.status, 'failed');
+    assert.deepEqual(failed.networkFee, { asset: 'sol', amount: 0.00001 });
+
+    const unseen = tracker([rpcCall('getSignatureStatuses', { context: { slot: 10 }, value: [null] })]);
+    await unseen.confirmations.track('sig-dropped');
+    unseen.confirmations.clock.advance(60000);
+    const [expired] = await unseen.confirmations.poll();
+    assert.equal(expired.status, 'expired');
+    assert.equal(expired.networkFee, null);
+    assert.equal(resolved.length, 1);
+});
+
+test('an unreadable fee leaves the transaction resolved without one', async () => {
+    const { confirmations } = tracker([
+        rpcCall('getSignatureStatuses', { context: { slot: 12 }, value: [{ slot: 10, err: null, confirmationStatus: 'finalized' }] })
+    ]);
+    await confirmations.track('sig-no-fee');
+
+    const [entry] = await confirmations.poll();
+    assert.equal(entry.status, 'finalized');
+    assert.equal(entry.networkFee, null);
+});
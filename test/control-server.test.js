@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fetch from 'node-fetch';
+import { ControlServer } from '../src/api/control-server.js';
+
+const CONTROL = 'control-secret';
+const DASHBOARD = 'dashboard-secret';
+
+let paused = false;
+const agent = {
+    getStatus: () => ({ isPaused: paused }),
+    pause: () => { paused = true; }
+};
+const server = new ControlServer(agent, { port: 0, authToken: CONTROL, dashboardToken: DASHBOARD });
+server.getDashboard = async () => ({ generatedAt: 1 });
+before(() => server.start());
+after(() => server.stop());
+
+function request(method, path, token) {
+    return fetch(`http://127.0.0.1:${server.port}${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}` }
+    });
+}
+
+test('the dashboard token reads the dashboard and nothing else', async () => {
+    assert.equal((await request('GET', '/api/dashboard', DASHBOARD)).status, 200);
+    assert.equal((await request('GET', '/api/status', DASHBOARD)).status, 403);
+    assert.equal((await request('POST', '/api/loop/pause', DASHBOARD)).status, 403);
+    assert.equal(paused, false);
+
+    assert.equal((await request('GET', '/api/dashboard', 'guess')).status, 401);
+});
+
+test('the control token keeps full access', async () => {
+    assert.equal((await request('GET', '/api/dashboard', CONTROL)).status, 200);
+    assert.equal((await request('POST', '/api/loop/pause', CONTROL)).status, 200);
+    assert.equal(paused, true);
+});
+
+test('a dashboard token equal to the control token is refused', () => {
+    assert.throws(() => new ControlServer(agent, { authToken: CONTROL, dashboardToken: CONTROL }), /must differ/);
+});
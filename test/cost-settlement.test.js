@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { X402StubServer } from '../src/utils/x402-stub-server.js';
+import { AgentWallet } from '../src/services/agent-wallet.js';
+import { CostManager } from '../src/services/cost-manager.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+const stub = new X402StubServer();
+before(() => stub.start());
+after(() => stub.stop());
+
+// Cost manager owing $2 of compute, paying through the stub's wallet API and payee
+async function owing({ payPath = '/pay' } = {}) {
+    const wallet = new AgentWallet({ username: 'treasury', apiToken: 'test', agentWalletUrl: `${stub.url}/api`, walletRetryDelayMs: 0 });
+    const settlements = [];
+    const costManager = new CostManager(wallet, {
+        clock: new VirtualClock(Date.parse('2026-01-01T00:30:00Z')),
+        accountant: { recordExpense: async () => {}, recordSettlement: async settlement => settlements.push(settlement) },
+        settlement: { url: `${stub.url}${payPath}`, retryDelayMs: 0 }
+    });
+    await costManager.recordCost('compute', 2, 'llm');
+    return { costManager, settlements };
+}
+
+test('outstanding costs are paid once per billing period through x402', async () => {
+    const { costManager, settlements } = await owing();
+
+    const receipt = await costManager.payComputeCosts(2);
+    const [issued] = stub.getReceipts().filter(r => r.idempotencyKey === receipt.id);
+
+    assert.equal(receipt.id, 'compute-2026-01-01T00:00:00.000Z');
+    assert.equal(receipt.method, 'x402');
+    assert.equal(receipt.reference, issued.receiptId);
+    assert.equal(receipt.txHash, issued.txHash);
+    assert.equal(costManager.outstanding, 0);
+    assert.deepEqual(settlements, [{ asset: 'usdc', amount: 2, usd: 2, reference: receipt.id }]);
+
+    assert.equal(await costManager.payComputeCosts(2), receipt);
+    assert.equal(stub.getReceipts().filter(r => r.idempotencyKey === receipt.id).length, 1);
+});
+
+test('a payee already holding the period receipt settles the debt without paying again', async () => {
+    // Another process (or a run that crashed before storing the receipt) paid this period
+    const earlier = await owing();
+    const paid = await earlier.costManager.payComputeCosts(2);
+    const receipts = stub.getReceipts().length;
+
+    const { costManager, settlements } = await owing();
+    const receipt = await costManager.payComputeCosts(2);
+
+    assert.equal(receipt.reference, paid.reference);
+    assert.equal(receipt.txHash, null);
+    assert.equal(stub.getReceipts().length, receipts);
+    assert.equal(costManager.outstanding, 0);
+    assert.equal(settlements.length, 1);
+});
+
+test('a payee error is not booked as settled', async () => {
+    const { costManager, settlements } = await owing({ payPath: '/gone' });
+
+    await assert.rejects(costManager.payComputeCosts(2), /Payee did not settle compute-2026-01-01T00:00:00\.000Z: 404/);
+
+    assert.deepEqual(costManager.getReceipts(), []);
+    assert.equal(costManager.outstanding, 2);
+    assert.deepEqual(settlements, []);
+});
+
+test('transient wallet failures are retried under the same idempotency key', async () => {
+    const { costManager } = await owing();
+    const receipts = stub.getReceipts().length;
+    stub.failNext(1, 503);
+
+    // The period was paid by the earlier tests, the retry must find that receipt, not pay again
+    const receipt = await costManager.payComputeCosts(2);
+
+    assert.equal(receipt.attempts, 2);
+    assert.equal(stub.getReceipts().length, receipts);
+});
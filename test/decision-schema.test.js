@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJson, validateDecisionOutput } from '../src/engines/decision-schema.js';
+import { DecisionEngine } from '../src/engines/decision-engine.js';
+import { LLMRouter } from '../src/engines/llm-router.js';
+import { MockLLMProvider } from '../src/engines/llm-providers.js';
+
+const context = {
+    prices: { sol: 100, usdc: 1 },
+    balances: { sol: 2, usdc: 50 },
+    positions: { kamino: { usdc: 40 } }
+};
+
+function decision(action, params, extra = {}) {
+    return { action, params, reasoning: 'test', priority: 'medium', riskLevel: 'low', ...extra };
+}
+
+function errorPaths(result) {
+    return result.errors.map(e => `${e.path}:${e.code}`);
+}
+
+test('extractJson reads fenced blocks and JSON inside prose', () => {
+    assert.deepEqual(extractJson('```json\n{"decisions": []}\n```').value, { decisions: [] });
+    assert.deepEqual(extractJson('Here you go: {"decisions": [{"a": "}"}]} thanks').value, { decisions: [{ a: '}' }] });
+    assert.ok(extractJson('no json here').error);
+});
+
+test('valid decisions are normalized and sized in tokens', () => {
+    const result = validateDecisionOutput({
+        decisions: [
+            decision('lend', { asset: 'USDC', target: 'Kamino', amount: 25, unit: 'usd' }),
+            decision('swap', { asset: 'sol', target: 'usdc', amount: 50, unit: 'percent' }),
+            decision('withdraw', { asset: 'usdc', target: 'kamino', amount: 25, unit: 'percent' })
+        ]
+    }, context);
+
+    assert.equal(result.valid, true, JSON.stringify(result.errors));
+    const [lend, swap, withdraw] = result.decisions;
+    assert.deepEqual(lend.params, {
+        asset: 'usdc',
+        target: 'kamino',
+        chain: 'solana',
+        amount: 25,
+        requestedAmount: { amount: 25, unit: 'usd' }
+    });
+    assert.equal(swap.params.amount, 1);
+    assert.equal(withdraw.params.amount, 10); // 25% of the Kamino position, not of the wallet
+});
+
+test('unknown actions and actions no strategy runs are rejected', () => {
+    const unknown = validateDecisionOutput({ decisions: [decision('yolo', { asset: 'sol', amount: 1, unit: 'token' })] }, context);
+    assert.equal(unknown.valid, false);
+    assert.deepEqual(errorPaths(unknown), ['decisions[0].action:invalid_enum']);
+
+    const unavailable = validateDecisionOutput(
+        { decisions: [decision('stake', { asset: 'sol', target: 'marinade', amount: 1, unit: 'token' })] },
+        { ...context, actions: ['lend', 'withdraw'] }
+    );
+    assert.equal(unavailable.valid, false);
+    assert.match(unavailable.errors[0].message, /expected one of: lend, withdraw/);
+});
+
+test('invalid fields are all reported and no decision passes', () => {
+    const result = validateDecisionOutput({
+        decisions: [
+            decision('lend', { asset: 'sol', target: 'jito', amount: '5', unit: 'token' }, { priority: 'urgent' }),
+            decision('swap', { asset: 'sol', target: 'sol', amount: 1, unit: 'token' }),
+            decision('withdraw', { asset: 'usdc', target: 'marginfi', amount: 50, unit: 'percent' })
+        ]
+    }, context);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.decisions, []);
+    assert.deepEqual(errorPaths(result), [
+        'decisions[0].priority:invalid_enum',
+        'decisions[0].params.target:invalid_enum',
+        'decisions[0].params.amount:invalid_type',
+        'decisions[1].params.target:invalid_value',
+        'decisions[2].params.amount:insufficient_balance'
+    ]);
+});
+
+test('output that is not a decision list is rejected', () => {
+    assert.deepEqual(errorPaths(validateDecisionOutput([], context)), ['$:invalid_type']);
+    assert.deepEqual(errorPaths(validateDecisionOutput({ decisions: {} }, context)), ['decisions:invalid_type']);
+
+    const tooMany = validateDecisionOutput({
+        decisions: Array.from({ length: 4 }, () => decision('rebalance', {}))
+    }, context);
+    assert.deepEqual(errorPaths(tooMany), ['decisions:too_many']);
+});
+
+const state = {
+    holdings: [
+        { asset: 'usdc', kind: 'liquid', chain: 'solana', amount: 50, price: 1 },
+        { asset: 'sol', kind: 'liquid', chain: 'solana', amount: 2, price: 100 }
+    ]
+};
+
+function engineAnswering(responses) {
+    const prompts = [];
+    const provider = new MockLLMProvider({
+        responder: (prompt) => {
+            prompts.push(prompt);
+            return responses[Math.min(prompts.length, responses.length) - 1];
+        }
+    });
+    const engine = new DecisionEngine({ llmRouter: new LLMRouter({ providers: [provider] }) });
+    return { engine, prompts };
+}
+
+test('invalid model output is sent back with its errors until it is repaired', async () => {
+    const valid = JSON.stringify({ decisions: [decision('lend', { asset: 'usdc', target: 'kamino', amount: 10, unit: 'token' })] });
+    const { engine, prompts } = engineAnswering([
+        'I would lend some USDC.',
+        JSON.stringify({ decisions: [decision('lend', { asset: 'usdc', target: 'kamino', amount: 10 })] }),
+        valid
+    ]);
+
+    const result = await engine.getValidatedDecisions('ANALYSIS', state);
+
+    assert.equal(result.decisions.length, 1);
+    assert.equal(result.decisions[0].params.amount, 10);
+    assert.deepEqual(result.llmCalls.map(call => call.valid), [false, false, true]);
+    assert.equal(prompts[0], 'ANALYSIS');
+    assert.match(prompts[1], /I would lend some USDC\./);
+    assert.match(prompts[2], /decisions\[0\]\.params\.unit: Unit must be one of/);
+});
+
+test('output still invalid after the repair attempts yields no decisions', async () => {
+    const { engine, prompts } = engineAnswering([JSON.stringify({ decisions: [decision('yolo', {})] })]);
+
+    const result = await engine.getValidatedDecisions('ANALYSIS', state);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.decisions, []);
+    assert.equal(prompts.length, engine.maxRepairAttempts + 1);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeFiStrategies } from '../src/strategies/defi-strategies.js';
+import { PaperLedger } from '../src/services/paper-ledger.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+test('live exits without an on-chain implementation fail instead of reporting a simulated success', async () => {
+    const defi = new DeFiStrategies(null);
+
+    await assert.rejects(defi.unstake({ asset: 'sol', target: 'marinade', amount: 1, mode: 'instant' }),
+        /Unstaking from marinade is not supported in live mode/);
+    await assert.rejects(defi.withdrawLending({ asset: 'usdc', target: 'kamino', amount: 10 }),
+        /Withdrawing from kamino is not supported in live mode/);
+});
+
+test('paper exits still run against the ledger', async () => {
+    const priceOracle = { getPrice: async (asset) => ({ price: asset === 'usdc' ? 1 : 100 }) };
+    const ledger = new PaperLedger({ clock: new VirtualClock(0), priceOracle, initialBalances: { sol: 5, usdc: 100 } });
+    const defi = new DeFiStrategies(null, { executionBackend: ledger });
+
+    await defi.stakeAssets({ asset: 'sol', target: 'marinade', amount: 2 });
+    const unstake = await defi.unstake({ asset: 'sol', target: 'marinade', amount: 2, mode: 'instant' });
+    assert.equal(unstake.success, true);
+    assert.equal(unstake.mode, 'instant');
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HoldingsReconciler } from '../src/services/holdings-reconciler.js';
+import { PnLAccountant } from '../src/services/pnl-accountant.js';
+import { TreasuryAgent } from '../src/treasury-agent.js';
+import { LLMRouter } from '../src/engines/llm-router.js';
+import { MockLLMProvider } from '../src/engines/llm-providers.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+const OPENING = [
+    { kind: 'liquid', asset: 'usdc', amount: 1000, price: 1 },
+    { kind: 'liquid', asset: 'sol', amount: 10, price: 100 }
+];
+
+// A book opened with 1000 USDC and 10 SOL
+async function openBook(accountant) {
+    await accountant.mark({ holdings: OPENING, totalValue: 2000 });
+    return accountant;
+}
+
+function reconcilerFor(accountant, clock) {
+    return new HoldingsReconciler({ accountant, clock, intervalMs: 3600000, toleranceUsd: 1, tolerancePct: 0.01 });
+}
+
+test('differences within tolerance are not discrepancies', async () => {
+    const clock = new VirtualClock(1000);
+    const reconciler = reconcilerFor(await openBook(new PnLAccountant({ clock })), clock);
+
+    // $0.50 of USDC is under toleranceUsd, $5 of SOL under 1% of its $1000
+    const report = reconciler.reconcile({ holdings: [
+        { kind: 'liquid', asset: 'usdc', amount: 999.5, price: 1 },
+        { kind: 'liquid', asset: 'sol', amount: 10.05, price: 100 }
+    ] });
+    assert.deepEqual(report, { checkedAt: 1000, assets: 2, discrepancies: [] });
+
+    assert.equal(reconciler.isDue(), false);
+    clock.advance(3600000);
+    assert.equal(reconciler.isDue(), true);
+});
+
+test('a difference beyond tolerance raises a holdings_discrepancy event', async () => {
+    const clock = new VirtualClock(1000);
+    const agent = new TreasuryAgent({
+        executionMode: 'paper',
+        clock,
+        priceOracle: { getPrice: async () => ({ price: 1 }) },
+        llmRouter: new LLMRouter({ providers: [new MockLLMProvider({ response: '{}' })] }),
+        reconciliation: { toleranceUsd: 1, tolerancePct: 0.01 }
+    });
+    await openBook(agent.accountant);
+
+    const report = await agent.reconcileHoldings({ holdings: [
+        { kind: 'liquid', asset: 'usdc', amount: 900, price: 1 },
+        { kind: 'liquid', asset: 'sol', amount: 10, price: 100 }
+    ], unpricedAssets: [] });
+    assert.deepEqual(report.discrepancies, [{ asset: 'usdc', expected: 1000, actual: 900, diff: -100, diffUsd: -100 }]);
+
+    const [event] = agent.performanceTracker.events.filter(e => e.type === 'holdings_discrepancy');
+    assert.deepEqual(event.data.discrepancies, report.discrepancies);
+});
+
+test('amounts unbonding or in flight are reconciled as held, not reported missing', async () => {
+    const clock = new VirtualClock(1000);
+    const reconciler = reconcilerFor(await openBook(new PnLAccountant({ clock })), clock);
+
+    // 6 SOL are unbonding and 300 USDC are bridging; the book still holds both
+    const report = reconciler.reconcile({ holdings: [
+        { kind: 'liquid', asset: 'usdc', amount: 700, price: 1 },
+        { kind: 'pending', asset: 'usdc', amount: 300, price: 1, protocol: 'cctp' },
+        { kind: 'liquid', asset: 'sol', amount: 4, price: 100 },
+        { kind: 'pending', asset: 'sol', amount: 6, price: 100, protocol: 'marinade', availableAt: 1000 + 2 * 86400000 }
+    ] });
+    assert.deepEqual(report.discrepancies, []);
+});
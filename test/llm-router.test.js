@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LLMRouter } from '../src/engines/llm-router.js';
+import { MockLLMProvider } from '../src/engines/llm-providers.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+// A provider that fails while failing() is true and answers with its name otherwise
+function flakyProvider(name, failing) {
+    const provider = new MockLLMProvider({
+        name,
+        responder: () => {
+            provider.calls++;
+            if (failing()) throw new Error(`${name} is down`);
+            return name;
+        }
+    });
+    provider.calls = 0;
+    return provider;
+}
+
+const circuitOf = (router, name) => router.getHealth().find(health => health.provider === name).circuit;
+
+test('a failing provider opens its circuit, goes half-open after the cooldown and closes on success', async () => {
+    const clock = new VirtualClock(1000);
+    let down = true;
+    const primary = flakyProvider('primary', () => down);
+    const backup = flakyProvider('backup', () => false);
+    const router = new LLMRouter({ providers: [primary, backup], failureThreshold: 2, cooldownMs: 60000, clock });
+
+    for (let i = 0; i < 2; i++) {
+        assert.equal((await router.complete('prompt')).provider, 'backup');
+    }
+    assert.equal(circuitOf(router, 'primary'), 'open');
+
+    // Open: skipped without being asked
+    await router.complete('prompt');
+    assert.equal(primary.calls, 2);
+
+    // Half-open after the cooldown, a failed trial opens it again right away
+    clock.advance(60000);
+    const { attempts } = await router.complete('prompt');
+    assert.deepEqual(attempts.map(attempt => attempt.provider), ['primary']);
+    assert.equal(circuitOf(router, 'primary'), 'open');
+
+    // A successful trial closes it
+    clock.advance(60000);
+    down = false;
+    assert.equal((await router.complete('prompt')).provider, 'primary');
+    assert.equal(circuitOf(router, 'primary'), 'closed');
+    assert.equal(primary.calls, 4);
+});
+
+test('a hanging provider times out and the next one answers', async () => {
+    const hanging = new MockLLMProvider({ name: 'hanging', responder: () => new Promise(() => {}) });
+    const router = new LLMRouter({ providers: [hanging, new MockLLMProvider({ name: 'backup', response: 'ok' })], timeoutMs: 20 });
+
+    const result = await router.complete('prompt');
+    assert.equal(result.provider, 'backup');
+    assert.match(result.attempts[0].error, /Timed out after 20ms/);
+
+    const [health] = router.getHealth();
+    assert.equal(health.timeouts, 1);
+    assert.equal(health.errorRate, 1);
+});
+
+test('with a cost preference the cheapest provider is asked first, falling back in price order', async () => {
+    let down = false;
+    const providers = [
+        flakyProvider('premium', () => false),
+        flakyProvider('unpriced', () => false),
+        flakyProvider('cheap', () => down),
+        flakyProvider('mid', () => false)
+    ];
+    const prices = { premium: 15, cheap: 0.2, mid: 3 };
+    const router = new LLMRouter({ providers });
+
+    router.setCostPreference(provider => prices[provider.name] ?? null);
+    assert.deepEqual(router.getOrderedProviders().map(p => p.name), ['cheap', 'mid', 'premium', 'unpriced']);
+    assert.equal((await router.complete('prompt')).provider, 'cheap');
+
+    down = true;
+    assert.equal((await router.complete('prompt')).provider, 'mid');
+
+    router.setCostPreference(null);
+    assert.equal((await router.complete('prompt')).provider, 'premium');
+});
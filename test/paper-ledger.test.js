@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaperLedger } from '../src/services/paper-ledger.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+const priceOracle = { getPrice: async () => ({ price: 100 }) };
+
+test('paper fills pay the fee without a cost meter', async () => {
+    const ledger = new PaperLedger({ clock: new VirtualClock(1000), priceOracle, feeUsd: 0.01, initialBalances: { usdc: 10 } });
+
+    assert.equal(await ledger.chargeFee('paper-1'), 0.01);
+    assert.equal(ledger.balances.usdc, 9.99);
+    assert.equal(ledger.feesPaid, 0.01);
+});
+
+test('a fee paid with the last of the SOL books only what was debited', async () => {
+    const metered = [];
+    const costMeter = { recordTransactionFee: async (...args) => metered.push(args) };
+    const ledger = new PaperLedger({ clock: new VirtualClock(1000), priceOracle, costMeter, feeUsd: 1, initialBalances: { sol: 0.004 } });
+
+    const charged = await ledger.chargeFee('paper-1');
+    assert.equal(ledger.balances.sol, 0);
+    assert.equal(charged, 0.4);
+    assert.equal(ledger.feesPaid, 0.4);
+    assert.deepEqual(metered, [['paper-1', { asset: 'sol', amount: 0.004 }, 0.4]]);
+
+    // Nothing left to pay with, nothing booked
+    assert.equal(await ledger.chargeFee('paper-2'), 0);
+    assert.equal(ledger.feesPaid, 0.4);
+    assert.equal(metered.length, 1);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PnLAccountant } from '../src/services/pnl-accountant.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+// Two SOL lots, 10 at $100 then 10 at $200, and 1000 USDC
+async function bookWithTwoLots(method) {
+    const accountant = new PnLAccountant({ method, clock: new VirtualClock(1000) });
+    await accountant.mark({ holdings: [
+        { asset: 'sol', amount: 10, price: 100 },
+        { asset: 'usdc', amount: 1000, price: 1 }
+    ], totalValue: 2000 });
+    await accountant.recordSwap({ asset: 'usdc', amount: 1000, price: 1, target: 'sol', received: 5 });
+    await accountant.recordCapitalFlow({ direction: 'deposit', asset: 'sol', amount: 5, price: 200 });
+    return accountant;
+}
+
+test('FIFO disposes the oldest lot first and keeps the rest of a partly sold lot', async () => {
+    const accountant = await bookWithTwoLots('fifo');
+
+    // 15 SOL sold at $300: all 10 at $100 and 5 of the 10 at $200
+    const { cost, realized } = accountant.dispose('sol', 15, 300);
+    assert.equal(cost, 2000);
+    assert.equal(realized, 2500);
+    assert.deepEqual(accountant.lots.sol.map(lot => [lot.amount, lot.unitCost]), [[5, 200]]);
+    assert.equal(accountant.totals.realizedPnl, 2500);
+});
+
+test('average cost pools the lots and disposes at their mean cost', async () => {
+    const accountant = await bookWithTwoLots('average');
+    assert.deepEqual(accountant.lots.sol.map(lot => [lot.amount, lot.unitCost]), [[20, 150]]);
+
+    const { cost, realized } = accountant.dispose('sol', 15, 300);
+    assert.equal(cost, 2250);
+    assert.equal(realized, 2250);
+    assert.deepEqual(accountant.lots.sol.map(lot => [lot.amount, lot.unitCost]), [[5, 150]]);
+});
+
+test('a mark books units found on a yield-bearing holding as yield, elsewhere as an unrecorded deposit', async () => {
+    const accountant = new PnLAccountant({ clock: new VirtualClock(1000) });
+    await accountant.mark({ holdings: [
+        { asset: 'sol', amount: 10, price: 100, yieldSource: { protocol: 'marinade', apy: 0.07 } },
+        { asset: 'usdc', amount: 500, price: 1 }
+    ], totalValue: 1500 });
+
+    await accountant.mark({ holdings: [
+        { asset: 'sol', amount: 10.5, price: 100, yieldSource: { protocol: 'marinade', apy: 0.07 } },
+        { asset: 'usdc', amount: 700, price: 1 }
+    ], totalValue: 1750 });
+
+    assert.equal(accountant.totals.yieldIncome, 50);
+    assert.equal(accountant.totals.deposits, 200);
+    assert.deepEqual(accountant.flows.map(flow => flow.usd), [200]);
+    // The deposit is capital, only the yield counts as return
+    assert.equal(accountant.marks[1].flows, 200);
+    assert.ok(Math.abs(accountant.getReturns().timeWeighted - 50 / 1700 * 100) < 1e-9);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolicyEngine } from '../src/services/policy-engine.js';
+
+// $1000 NAV: 60% SOL, 30% liquid USDC, 10% USDC lent to Kamino; $2/day burn → $60 USDC reserve
+function holding(asset, kind, amount, price, protocol = null) {
+    return { asset, kind, amount, price, value: amount * price, protocol, chain: 'solana' };
+}
+
+const state = {
+    totalValue: 1000,
+    holdings: [
+        holding('sol', 'liquid', 6, 100),
+        holding('usdc', 'liquid', 300, 1),
+        holding('usdc', 'lending', 100, 1, 'kamino')
+    ]
+};
+
+function engine(policy = {}) {
+    return new PolicyEngine({ policy, costManager: { getDailyBurnRate: () => 2 } });
+}
+
+function decision(action, params) {
+    return { action, params: { chain: 'solana', ...params } };
+}
+
+function codes(result) {
+    return result.violations.map(v => v.code);
+}
+
+test('swaps past the asset cap are blocked, swaps out of an overweight asset are not', () => {
+    const policy = engine();
+
+    const buy = policy.evaluate(decision('swap', { asset: 'usdc', target: 'sol', amount: 150 }), state);
+    assert.deepEqual(codes(buy), ['MAX_ASSET_ALLOCATION']);
+    assert.equal(buy.violations[0].limit, 0.7);
+    assert.equal(buy.violations[0].actual, 0.75);
+
+    const overweight = engine({ maxAssetAllocation: { sol: 0.5 } });
+    const sell = overweight.evaluate(decision('swap', { asset: 'sol', target: 'usdc', amount: 1 }), state);
+    assert.equal(sell.allowed, true, JSON.stringify(sell.violations));
+});
+
+test('the asset cap applies to every effect that keeps an asset over it', () => {
+    const policy = engine({ maxAssetAllocation: { sol: 0.5 } });
+
+    const lend = policy.evaluate(decision('lend', { asset: 'sol', target: 'kamino', amount: 1 }), state);
+    assert.deepEqual(codes(lend), ['MAX_ASSET_ALLOCATION']);
+
+    const stake = policy.evaluate(decision('stake', { asset: 'sol', target: 'marinade', amount: 1 }), state);
+    assert.deepEqual(codes(stake), ['MAX_ASSET_ALLOCATION']);
+
+    // Outcome tokens bought with USDC count against their own cap
+    const predict = engine({ maxAssetAllocation: { default: 0.1 } }).evaluate(
+        decision('predict', { asset: 'usdc', target: 'KXBTC-26', side: 'buy', amount: 150 }),
+        { ...state, holdings: [...state.holdings, holding('KXBTC-26', 'outcome', 0, 1, 'dflow')] }
+    );
+    assert.deepEqual(codes(predict), ['MAX_ASSET_ALLOCATION']);
+});
+
+test('effects executed earlier in the cycle count towards the caps', () => {
+    const policy = engine();
+    const first = policy.evaluate(decision('lend', { asset: 'usdc', target: 'kamino', amount: 200 }), state);
+    assert.equal(first.allowed, true, JSON.stringify(first.violations));
+
+    const second = policy.evaluate(decision('lend', { asset: 'usdc', target: 'kamino', amount: 200 }), state, { executed: first.effects });
+    assert.deepEqual(codes(second), ['MAX_PROTOCOL_EXPOSURE', 'USDC_RUNWAY_RESERVE']);
+});
+
+test('any effect drawing liquid USDC below the runway reserve is blocked', () => {
+    const policy = engine();
+
+    for (const blocked of [
+        decision('lend', { asset: 'usdc', target: 'marginfi', amount: 150 }),
+        decision('swap', { asset: 'usdc', target: 'sol', amount: 50 }),
+        decision('bridge', { asset: 'usdc', target: 'base', amount: 150 })
+    ]) {
+        const result = policy.evaluate(blocked, engineState({ usdc: 100 }));
+        assert.ok(codes(result).includes('USDC_RUNWAY_RESERVE'), `${blocked.action} should break the reserve`);
+        assert.equal(result.violations.find(v => v.code === 'USDC_RUNWAY_RESERVE').limit, 60);
+    }
+});
+
+test('withdrawals and sales that refill liquid USDC pass while it is below the reserve', () => {
+    const policy = engine({ maxAssetAllocation: { sol: 0.9 } });
+    const short = engineState({ usdc: 20 });
+
+    const withdraw = policy.evaluate(decision('withdraw', { asset: 'usdc', target: 'kamino', amount: 20 }), short);
+    assert.equal(withdraw.allowed, true, JSON.stringify(withdraw.violations));
+
+    const sell = policy.evaluate(decision('swap', { asset: 'sol', target: 'usdc', amount: 0.2 }), short);
+    assert.equal(sell.allowed, true, JSON.stringify(sell.violations));
+
+    const lendSol = policy.evaluate(decision('lend', { asset: 'sol', target: 'kamino', amount: 0.1 }), short);
+    assert.equal(lendSol.allowed, true, JSON.stringify(lendSol.violations));
+});
+
+test('single trade size and daily turnover are capped', () => {
+    const policy = engine();
+    const large = policy.evaluate(decision('swap', { asset: 'sol', target: 'usdc', amount: 3 }), state);
+    assert.deepEqual(codes(large), ['MAX_TRADE_NOTIONAL']);
+
+    policy.recordExecution(450);
+    const turnover = policy.evaluate(decision('swap', { asset: 'sol', target: 'usdc', amount: 1 }), state);
+    assert.deepEqual(codes(turnover), ['DAILY_TURNOVER']);
+});
+
+test('decisions on unpriced assets are blocked', () => {
+    const result = engine().evaluate(decision('swap', { asset: 'jitosol', target: 'usdc', amount: 1 }), state);
+    assert.deepEqual(codes(result), ['UNPRICED_ASSET']);
+});
+
+// The sample state with liquid USDC replaced
+function engineState({ usdc }) {
+    return {
+        totalValue: state.totalValue - 300 + usdc,
+        holdings: state.holdings.map(h => (h.kind === 'liquid' && h.asset === 'usdc' ? holding('usdc', 'liquid', usdc, 1) : h))
+    };
+}
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import DFlowTrader from '../src/services/dflow-trader.js';
+import PredictionMarketStrategy from '../src/strategies/prediction-market-strategy.js';
+import { JsonlRepository } from '../src/storage/jsonl-repository.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+// A strategy over dataDir, as the agent builds it after each (re)start, trading against a stub DFlow API
+async function startStrategy(dataDir, clock) {
+    let sent = 0;
+    const trader = new DFlowTrader({
+        wallet: { signTransaction: async () => ({ signedTransaction: 'signed' }) },
+        rpc: { sendTransaction: async () => `sig-${++sent}` },
+        repository: new JsonlRepository({ dataDir }),
+        clock
+    });
+    trader.request = async (endpoint, options) => endpoint === '/transaction'
+        ? { transaction: 'unsigned' }
+        : { quote_id: 'q', ticker: 'BTC-100K', side: endpoint.endsWith('/buy') ? 'buy' : 'sell', amount: JSON.parse(options.body).amount, price: 0.4 };
+
+    const strategy = new PredictionMarketStrategy({ trader });
+    await strategy.restore();
+    return strategy;
+}
+
+async function withDataDir(run) {
+    const dataDir = await mkdtemp(join(tmpdir(), 'predictions-'));
+    try {
+        await run(dataDir);
+    } finally {
+        await rm(dataDir, { recursive: true, force: true });
+    }
+}
+
+const buy = amount => ({ action: 'predict', params: { target: 'BTC-100K', side: 'buy', amount } });
+const sell = amount => ({ action: 'predict', params: { target: 'BTC-100K', side: 'sell', amount } });
+
+test('a trade moves its position only once its signature is finalized', async () => {
+    await withDataDir(async (dataDir) => {
+        const strategy = await startStrategy(dataDir, new VirtualClock(1000));
+
+        const execution = await strategy.execute(buy(50));
+        assert.equal(execution.signature, 'sig-1');
+        assert.deepEqual(await strategy.getPositions(), []);
+
+        await strategy.onTransactionResolved({ txHash: 'sig-1', status: 'finalized' });
+        const [position] = await strategy.getPositions();
+        assert.equal(position.amount, 50);
+        assert.equal(position.costBasis, 20);
+
+        // Settling the same signature again changes nothing
+        await strategy.onTransactionResolved({ txHash: 'sig-1', status: 'finalized' });
+        assert.equal((await strategy.getPositions())[0].amount, 50);
+    });
+});
+
+test('a failed trade leaves the position unchanged, and a pending sell cannot be sold again', async () => {
+    await withDataDir(async (dataDir) => {
+        const strategy = await startStrategy(dataDir, new VirtualClock(1000));
+        await strategy.execute(buy(50));
+        await strategy.onTransactionResolved({ txHash: 'sig-1', status: 'finalized' });
+
+        await strategy.execute(sell(30));
+        await assert.rejects(strategy.execute(sell(30)), /holding 20 not already being sold/);
+
+        await strategy.onTransactionResolved({ txHash: 'sig-2', status: 'failed', error: 'slippage' });
+        assert.equal((await strategy.getPositions())[0].amount, 50);
+        assert.equal(strategy.trader.trades.get('sig-2').error, 'slippage');
+    });
+});
+
+test('positions and trades awaiting confirmation survive a restart', async () => {
+    await withDataDir(async (dataDir) => {
+        const clock = new VirtualClock(1000);
+        const first = await startStrategy(dataDir, clock);
+        await first.execute(buy(50));
+        await first.onTransactionResolved({ txHash: 'sig-1', status: 'finalized' });
+        await first.execute(buy(25));
+
+        const restarted = await startStrategy(dataDir, clock);
+        assert.equal((await restarted.getPositions())[0].amount, 50);
+        assert.deepEqual(restarted.trader.getPendingTrades().map(trade => trade.signature), ['sig-2']);
+
+        await restarted.onTransactionResolved({ txHash: 'sig-2', status: 'finalized' });
+        assert.equal((await restarted.getPositions())[0].amount, 75);
+    });
+});
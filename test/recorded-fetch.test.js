@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecordedFetch, recordFetch } from '../src/utils/recorded-fetch.js';
+import { KaminoAdapter } from '../src/protocols/lending-adapters.js';
+import { SolanaRpc } from '../src/protocols/solana-rpc.js';
+import { AgentWallet } from '../src/services/agent-wallet.js';
+
+const KAMINO_DEPOSIT = new URL('../fixtures/protocols/kamino-deposit.json', import.meta.url).pathname;
+const OWNER = 'AgntTrsry1111111111111111111111111111111111';
+
+function kaminoAdapter(fetch) {
+    const wallet = new AgentWallet({
+        username: 'treasury',
+        apiToken: 'test',
+        solanaAddress: OWNER,
+        agentWalletUrl: 'https://agentwallet.mcpay.tech/api',
+        fetch,
+        walletMaxAttempts: 1
+    });
+    return new KaminoAdapter({
+        wallet,
+        fetch,
+        baseUrl: 'https://api.kamino.finance',
+        market: '7u3HeHxYDLhnCoErrtycNokbQYbWGzLs6JSDqGAv5PfF',
+        rpc: new SolanaRpc({ url: 'https://api.devnet.solana.com', fetch, pollIntervalMs: 0 })
+    });
+}
+
+test('a Kamino deposit runs offline against its recording', async () => {
+    const fetch = createRecordedFetch(KAMINO_DEPOSIT);
+
+    const result = await kaminoAdapter(fetch).deposit({ asset: 'usdc', amount: 25 });
+
+    assert.equal(result.signature, '5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW');
+    assert.equal(result.slot, 301245120);
+    assert.deepEqual(result.position, { protocol: 'kamino', asset: 'usdc', supplied: 25, supplyAPY: 0.0712 });
+    assert.deepEqual(result.networkFee, { asset: 'sol', amount: 0.000005 });
+
+    // Reserve lookup, build, sign, submit, poll until confirmed, read the position and the fee
+    const kamino = 'https://api.kamino.finance/kamino-market/7u3HeHxYDLhnCoErrtycNokbQYbWGzLs6JSDqGAv5PfF';
+    assert.deepEqual(fetch.calls, [
+        `GET ${kamino}/reserves/metrics`,
+        'POST https://api.kamino.finance/ktx/klend/deposit',
+        'POST https://agentwallet.mcpay.tech/api/wallets/treasury/actions/sign-transaction',
+        'POST https://api.devnet.solana.com #sendTransaction',
+        'POST https://api.devnet.solana.com #getSignatureStatuses',
+        'POST https://api.devnet.solana.com #getSignatureStatuses',
+        'POST https://api.devnet.solana.com #getSignatureStatuses',
+        `GET ${kamino}/reserves/metrics`,
+        `GET ${kamino}/users/${OWNER}/obligations`,
+        'POST https://api.devnet.solana.com #getTransaction'
+    ]);
+});
+
+test('Kamino positions are read from the recorded reserves and obligations', async () => {
+    const positions = await kaminoAdapter(createRecordedFetch(KAMINO_DEPOSIT)).getPositions();
+
+    assert.deepEqual(positions, [
+        { kind: 'lending', protocol: 'kamino', chain: 'solana', asset: 'usdc', amount: 25, apy: 0.0712 }
+    ]);
+});
+
+test('requests missing from the recording fail instead of reaching the network', async () => {
+    const fetch = createRecordedFetch(KAMINO_DEPOSIT);
+
+    await assert.rejects(kaminoAdapter(fetch).withdraw({ asset: 'usdc', amount: 25 }), /No recorded response for POST https:\/\/api\.kamino\.finance\/ktx\/klend\/withdraw/);
+    await assert.rejects(fetch('https://example.com/'), /No recorded response for GET https:\/\/example\.com\//);
+});
+
+test('a recording captured with recordFetch replays the same responses', async () => {
+    const source = createRecordedFetch(KAMINO_DEPOSIT);
+    const recorder = recordFetch(source);
+    const live = await kaminoAdapter(recorder).deposit({ asset: 'usdc', amount: 25 });
+
+    const replayed = await kaminoAdapter(createRecordedFetch({ interactions: recorder.interactions })).deposit({ asset: 'usdc', amount: 25 });
+
+    assert.equal(recorder.interactions.length, 10);
+    assert.equal(recorder.interactions[1].request.body.amount, '25');
+    assert.deepEqual(replayed, live);
+});
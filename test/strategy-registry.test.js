@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Strategy } from '../src/strategies/strategy.js';
+import { createStrategyRegistry, registerStrategyFactory } from '../src/strategies/strategy-registry.js';
+import { DecisionEngine } from '../src/engines/decision-engine.js';
+import { validateDecisionOutput } from '../src/engines/decision-schema.js';
+import { LLMRouter } from '../src/engines/llm-router.js';
+import { MockLLMProvider } from '../src/engines/llm-providers.js';
+import { PolicyEngine } from '../src/services/policy-engine.js';
+
+// A strategy outside the schema: deposits USDC into a vault the policy engine has never heard of
+class VaultStrategy extends Strategy {
+    constructor() {
+        super({
+            id: 'vault',
+            actions: ['vault'],
+            actionSpecs: {
+                vault: { assets: ['usdc'], targets: ['acme'], chain: 'solana', requiresAmount: true }
+            },
+            risk: { level: 'low', protocols: ['acme'], chains: ['solana'] }
+        });
+    }
+
+    getPolicyEffects(decision) {
+        const { asset, target, amount } = decision.params;
+        return [{ kind: 'deposit', asset, protocol: target, amount }];
+    }
+}
+
+registerStrategyFactory('vault', () => new VaultStrategy());
+
+// $1000 NAV: 6 SOL and 400 liquid USDC
+const holdings = [
+    { asset: 'sol', kind: 'liquid', chain: 'solana', amount: 6, price: 100, value: 600 },
+    { asset: 'usdc', kind: 'liquid', chain: 'solana', amount: 400, price: 1, value: 400 }
+];
+
+function vaultDecision(params) {
+    return { action: 'vault', params, reasoning: 'park idle USDC', priority: 'medium', riskLevel: 'low' };
+}
+
+function engineAnswering(decisions) {
+    const provider = new MockLLMProvider({ response: JSON.stringify({ decisions }) });
+    return new DecisionEngine({ llmRouter: new LLMRouter({ providers: [provider] }) });
+}
+
+test('a registered strategy brings its action into validation and the policy check', async () => {
+    const registry = createStrategyRegistry(['vault']);
+    const state = { totalValue: 1000, holdings, strategies: registry.describe() };
+    const engine = engineAnswering([vaultDecision({ asset: 'USDC', target: 'acme', amount: 25, unit: 'percent' })]);
+
+    assert.deepEqual(engine.getActions(state), ['vault']);
+    assert.match(engine.buildAnalysisPrompt(state), /- vault: asset in \[usdc\], target in \[acme\]/);
+
+    const { decisions } = await engine.getValidatedDecisions('ANALYSIS', state);
+    assert.equal(decisions.length, 1);
+    const [decision] = decisions;
+    assert.equal(decision.params.amount, 100);
+    assert.equal(decision.params.chain, 'solana');
+
+    const strategy = registry.resolve(decision);
+    const policy = new PolicyEngine({ costManager: { getDailyBurnRate: () => 1 } });
+    const check = policy.evaluate(decision, state, { effects: strategy.getPolicyEffects(decision, state) });
+    assert.equal(check.allowed, true, JSON.stringify(check.violations));
+    assert.equal(check.notional, 100);
+
+    // Sized by policy: the vault is held to the default protocol cap of 30% of NAV
+    const tooBig = { ...decision, params: { ...decision.params, amount: 350 } };
+    const blocked = policy.evaluate(tooBig, state, { effects: strategy.getPolicyEffects(tooBig, state) });
+    assert.deepEqual(blocked.violations.map(v => v.code), ['MAX_TRADE_NOTIONAL', 'MAX_PROTOCOL_EXPOSURE']);
+});
+
+test('a strategy action is validated against its own spec', () => {
+    const registry = createStrategyRegistry(['vault']);
+    const state = { totalValue: 1000, holdings, strategies: registry.describe() };
+    const context = engineAnswering([]).buildValidationContext(state);
+
+    const result = validateDecisionOutput({
+        decisions: [vaultDecision({ asset: 'sol', target: 'other', amount: 1, unit: 'token' })]
+    }, context);
+    assert.deepEqual(result.errors.map(e => `${e.path}:${e.code}`), [
+        'decisions[0].params.asset:invalid_enum',
+        'decisions[0].params.target:invalid_enum'
+    ]);
+
+    // Built-in actions stay unknown unless a registered strategy owns them
+    const lend = validateDecisionOutput({
+        decisions: [{ ...vaultDecision({ asset: 'usdc', target: 'kamino', amount: 1, unit: 'token' }), action: 'lend' }]
+    }, context);
+    assert.deepEqual(lend.errors.map(e => e.code), ['invalid_enum']);
+});
+
+test('the policy engine refuses an action whose effects nobody describes', () => {
+    const policy = new PolicyEngine();
+    const check = policy.evaluate(vaultDecision({ asset: 'usdc', target: 'acme', amount: 10 }), { totalValue: 1000, holdings });
+    assert.equal(check.allowed, false);
+    assert.deepEqual(check.violations.map(v => v.code), ['UNDESCRIBED_ACTION']);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreasuryAgent } from '../src/treasury-agent.js';
+import { LLMRouter } from '../src/engines/llm-router.js';
+import { MockLLMProvider } from '../src/engines/llm-providers.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+// $100 liquid USDC, $400 lent on Kamino and 2 SOL
+const HOLDINGS = [
+    { kind: 'liquid', asset: 'usdc', amount: 100, price: 1, value: 100 },
+    { kind: 'lending', asset: 'usdc', protocol: 'kamino', amount: 400, price: 1, value: 400 },
+    { kind: 'liquid', asset: 'sol', amount: 2, price: 100, value: 200 }
+];
+
+function survivalAgent() {
+    return new TreasuryAgent({
+        executionMode: 'paper',
+        clock: new VirtualClock(1000),
+        priceOracle: { getPrice: async () => ({ price: 1 }) },
+        llmRouter: new LLMRouter({ providers: [new MockLLMProvider({ response: '{}' })] }),
+        runwayThresholds: { conserveDays: 30, survivalDays: 7 }
+    });
+}
+
+// Set the burn to dailyBurn USD a day and run the cycle's survival step
+async function burnAt(agent, dailyBurn) {
+    agent.costManager.rates = { hosting: dailyBurn / 24 };
+    const runway = agent.costManager.forecastRunway(HOLDINGS);
+    const { mode } = await agent.applySurvivalMode(runway);
+    return { mode, runway, decisions: agent.planReserveRestore({ holdings: HOLDINGS, runway }, 'cycle-1') };
+}
+
+const summarize = decisions => decisions.map(d => [d.action, d.params.asset, d.params.target, +d.params.amount.toFixed(6)]);
+
+test('a rising burn moves the agent from normal to conserve to survival', async () => {
+    const agent = survivalAgent();
+
+    const normal = await burnAt(agent, 1);
+    assert.equal(normal.runway.days, 100);
+    assert.equal(normal.mode, 'normal');
+    assert.equal(agent.decisionEngine.llmRouter.priceOf, null);
+
+    const conserve = await burnAt(agent, 5);
+    assert.equal(conserve.mode, 'conserve');
+    assert.notEqual(agent.decisionEngine.llmRouter.priceOf, null);
+    assert.equal(agent.getEffectiveLoopInterval(), agent.loopInterval * 3);
+
+    const survival = await burnAt(agent, 20);
+    assert.equal(survival.mode, 'survival');
+
+    const changes = agent.performanceTracker.events.filter(e => e.type === 'survival_mode_changed');
+    assert.deepEqual(changes.map(e => [e.data.from, e.data.to]), [['normal', 'conserve'], ['conserve', 'survival']]);
+});
+
+test('survival restores the reserve from lent USDC first, then by selling SOL above its fee reserve', async () => {
+    const agent = survivalAgent();
+
+    // 5 days of runway; the reserve is 37.5 days at $20, $650 more than the $100 held
+    const { decisions } = await burnAt(agent, 20);
+    assert.deepEqual(summarize(decisions), [
+        ['withdraw', 'usdc', 'kamino', 400],
+        ['swap', 'sol', 'usdc', 1.95]
+    ]);
+    assert.ok(decisions.every(d => d.emergency && d.id.startsWith('cycle-1-reserve-')));
+});
+
+test('survival is only left once runway clears the threshold with margin', async () => {
+    const agent = survivalAgent();
+    await burnAt(agent, 20);
+
+    // 8.3 days is above survivalDays but inside its 25% margin, a $350 shortfall the lent USDC covers
+    const held = await burnAt(agent, 12);
+    assert.equal(held.mode, 'survival');
+    assert.deepEqual(summarize(held.decisions), [['withdraw', 'usdc', 'kamino', 350]]);
+
+    const recovered = await burnAt(agent, 10);
+    assert.equal(recovered.mode, 'conserve');
+    assert.equal(agent.costManager.mode, 'conserve');
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { X402StubServer } from '../src/utils/x402-stub-server.js';
+import { AgentWallet } from '../src/services/agent-wallet.js';
+import { TransferJournal } from '../src/services/transfer-journal.js';
+import { JsonlRepository } from '../src/storage/jsonl-repository.js';
+
+const PAYEE = 'Payee11111111111111111111111111111111111111';
+const stub = new X402StubServer();
+before(() => stub.start());
+after(() => stub.stop());
+
+// A wallet journaling into dataDir, as the agent builds it after each (re)start
+async function startWallet(dataDir) {
+    const journal = new TransferJournal({ repository: new JsonlRepository({ dataDir }) });
+    await journal.restore();
+    const wallet = new AgentWallet({ username: 'treasury', apiToken: 'test', agentWalletUrl: `${stub.url}/api`, walletRetryDelayMs: 0 });
+    wallet.journal = journal;
+    return { wallet, journal };
+}
+
+async function withDataDir(run) {
+    const dataDir = await mkdtemp(join(tmpdir(), 'transfers-'));
+    try {
+        await run(dataDir);
+    } finally {
+        await rm(dataDir, { recursive: true, force: true });
+    }
+}
+
+// Transfers the stub wallet actually made, it answers repeats of a key with the first one
+const sentCount = () => stub.getTransfers().length;
+
+test('a transfer is journaled from intent to confirmed under its decision key', async () => {
+    await withDataDir(async (dataDir) => {
+        const { wallet, journal } = await startWallet(dataDir);
+        const sent = sentCount();
+
+        const result = await wallet.transferSolana(PAYEE, 1000000, 'usdc', 'devnet', { decisionId: 'cycle-1-1' });
+        const transfer = journal.get('transfer-cycle-1-1');
+
+        assert.equal(transfer.status, 'confirmed');
+        assert.equal(transfer.decisionId, 'cycle-1-1');
+        assert.equal(transfer.txHash, result.txHash);
+        assert.equal(transfer.request.body.idempotencyKey, 'transfer-cycle-1-1');
+
+        // Running the decision again returns the journaled transfer without sending
+        assert.deepEqual(await wallet.transferSolana(PAYEE, 1000000, 'usdc', 'devnet', { decisionId: 'cycle-1-1' }), result);
+        assert.equal(sentCount(), sent + 1);
+    });
+});
+
+test('an intent left by a crash is sent on restart', async () => {
+    await withDataDir(async (dataDir) => {
+        const before = await startWallet(dataDir);
+        await before.journal.recordIntent('cycle-2-1', {
+            endpoint: '/wallets/treasury/actions/transfer-solana',
+            body: { to: PAYEE, amount: '2000000', asset: 'usdc', network: 'devnet', idempotencyKey: 'cycle-2-1' }
+        }, 'cycle-2-1');
+
+        const { wallet, journal } = await startWallet(dataDir);
+        const sent = sentCount();
+        assert.deepEqual(journal.getUnresolved().map(t => t.key), ['cycle-2-1']);
+
+        const outcomes = await wallet.reconcileTransfers();
+
+        assert.deepEqual(outcomes, [{ key: 'cycle-2-1', decisionId: 'cycle-2-1', from: 'intent', status: 'confirmed' }]);
+        assert.equal(sentCount(), sent + 1);
+        assert.deepEqual(journal.getUnresolved(), []);
+    });
+});
+
+test('a submitted transfer is re-sent under the same key and not paid twice', async () => {
+    await withDataDir(async (dataDir) => {
+        const { wallet, journal } = await startWallet(dataDir);
+        const request = {
+            endpoint: '/wallets/treasury/actions/transfer-solana',
+            body: { to: PAYEE, amount: '3000000', asset: 'usdc', network: 'devnet', idempotencyKey: 'cycle-3-1' }
+        };
+
+        // The wallet accepted the transfer, the process died before it was confirmed
+        const accepted = await wallet.sendRequest(request.endpoint, { method: 'POST', body: request.body });
+        await journal.recordIntent('cycle-3-1', request, 'cycle-3-1');
+        await journal.recordSubmitted('cycle-3-1', { ...accepted, status: 'pending' });
+
+        const sent = sentCount();
+        const restarted = await startWallet(dataDir);
+        assert.equal(restarted.journal.get('cycle-3-1').status, 'submitted');
+
+        const outcomes = await restarted.wallet.reconcileTransfers();
+
+        assert.deepEqual(outcomes, [{ key: 'cycle-3-1', decisionId: 'cycle-3-1', from: 'submitted', status: 'confirmed' }]);
+        assert.equal(restarted.journal.get('cycle-3-1').txHash, accepted.txHash);
+        assert.equal(sentCount(), sent);
+    });
+});
+
+test('transient failures leave the intent open, rejections fail it for good', async () => {
+    await withDataDir(async (dataDir) => {
+        const { wallet, journal } = await startWallet(dataDir);
+        const sent = sentCount();
+
+        stub.failNext(1, 503);
+        await assert.rejects(wallet.transferSolana(PAYEE, 1000000, 'usdc', 'devnet', { idempotencyKey: 'flaky', retry: false }), /503/);
+        assert.equal(journal.get('flaky').status, 'intent');
+
+        stub.failNext(1, 400);
+        await assert.rejects(wallet.transferSolana(PAYEE, 1000000, 'usdc', 'devnet', { idempotencyKey: 'refused', retry: false }), /400/);
+        assert.equal(journal.get('refused').status, 'failed');
+
+        const outcomes = await wallet.reconcileTransfers();
+        assert.deepEqual(outcomes.map(o => [o.key, o.status]), [['flaky', 'confirmed']]);
+        assert.equal(sentCount(), sent + 1);
+    });
+});
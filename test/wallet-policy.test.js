@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { X402StubServer } from '../src/utils/x402-stub-server.js';
+import { AgentWallet } from '../src/services/agent-wallet.js';
+import { TransferJournal } from '../src/services/transfer-journal.js';
+import { WalletPolicy, translatePolicy } from '../src/services/wallet-policy.js';
+import { VirtualClock } from '../src/utils/clock.js';
+
+const PRICES = new URL('../fixtures/prices.json', import.meta.url).pathname;
+const PAYEE = 'Payee11111111111111111111111111111111111111';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const stub = new X402StubServer({
+    policy: { allow_chains: ['solana'], allowedTokens: ['USDC', 'SOL'], max_per_tx_usd: '5', dailyLimitUsd: 8 }
+});
+before(() => stub.start());
+after(() => stub.stop());
+
+test('wallet policy documents translate into local limits', () => {
+    assert.deepEqual(translatePolicy({ allowChains: ['Solana'], allow_tokens: ['USDC'], allowlist: ['Abc'], perTxLimitUsd: 10, max_daily_usd: '50' }), {
+        allowedChains: ['solana'],
+        allowedAssets: ['usdc'],
+        allowedDestinations: ['Abc'],
+        maxPerTxUsd: 10,
+        dailyLimitUsd: 50
+    });
+    assert.deepEqual(translatePolicy({ allowedChains: [], maxPerTxUsd: 'none' }), {
+        allowedChains: null,
+        allowedAssets: null,
+        allowedDestinations: null,
+        maxPerTxUsd: null,
+        dailyLimitUsd: null
+    });
+});
+
+test('chains, assets and destinations outside the policy are refused', () => {
+    const policy = new WalletPolicy({ policy: { allowedChains: ['base', 'solana-devnet'], allowedAssets: ['usdc'], allowedDestinations: ['0xAbC', 'pay.example.com'] } });
+
+    assert.deepEqual(policy.check({ kind: 'transfer', chain: 'solana', network: 'devnet', asset: 'USDC', to: 'pay.example.com', usd: 1 }), []);
+    assert.deepEqual(policy.check({ kind: 'transfer', chain: 'evm', chainId: 8453, asset: 'usdc', to: '0xabc', usd: 1 }), []);
+    assert.deepEqual(policy.check({ kind: 'x402', chain: null, asset: 'usdc', to: 'https://pay.example.com/compute', usd: null }), []);
+    assert.deepEqual(policy.check({ kind: 'transfer', chain: 'solana', network: 'mainnet', asset: 'sol', to: 'Elsewhere', usd: 1 }), [
+        'chain solana-mainnet is not allowed (base, solana-devnet)',
+        'asset SOL is not allowed (usdc)',
+        'destination Elsewhere is not on the allowlist'
+    ]);
+});
+
+test('spending past the per-transaction or rolling daily limit is refused', async () => {
+    const clock = new VirtualClock(0);
+    const violations = [];
+    const policy = new WalletPolicy({ clock, policy: { maxPerTxUsd: 5, dailyLimitUsd: 8 }, onViolation: v => violations.push(v) });
+    const transfer = usd => ({ kind: 'transfer', chain: 'solana', asset: 'usdc', to: PAYEE, usd });
+
+    await policy.preflight(transfer(5));
+    await policy.recordSpend(5, 'transfer');
+    clock.advance(DAY_MS / 2);
+    await policy.recordSpend(2, 'transfer');
+
+    await assert.rejects(policy.preflight(transfer(6)), error => {
+        assert.equal(error.code, 'WALLET_POLICY');
+        assert.match(error.message, /\$6\.00 exceeds the \$5 per-transaction limit; \$6\.00 on top of \$7\.00 spent exceeds the \$8 daily limit/);
+        return true;
+    });
+    await assert.rejects(policy.preflight(transfer(2)), /on top of \$7\.00 spent exceeds the \$8 daily limit/);
+    assert.deepEqual(violations.map(v => v.usd), [6, 2]);
+
+    // Unvalued transfers cannot be checked against USD limits, unpriced x402 only once the day is used up
+    assert.deepEqual(policy.check(transfer(null)), ['amount cannot be valued against the USD limits']);
+    assert.deepEqual(policy.check({ kind: 'x402', to: 'https://pay.example.com', usd: null }), []);
+
+    // The first spend leaves the 24h window
+    clock.advance(DAY_MS / 2 + 1);
+    await policy.preflight(transfer(5));
+});
+
+test('AgentWallet refuses a transfer over the synced policy before sending or journaling it', async () => {
+    const wallet = new AgentWallet({
+        username: 'treasury',
+        apiToken: 'test',
+        agentWalletUrl: `${stub.url}/api`,
+        priceProviders: ['fixture'],
+        priceFixtureFile: PRICES
+    });
+    wallet.journal = new TransferJournal();
+    wallet.policy = new WalletPolicy({ wallet });
+    await wallet.policy.sync();
+    const sent = stub.getTransfers().length;
+
+    await wallet.transferSolana(PAYEE, 4000000, 'usdc', 'devnet', { idempotencyKey: 'within' });
+    assert.equal(wallet.policy.getDailySpend(), 4);
+
+    await assert.rejects(
+        wallet.transferSolana(PAYEE, 4500000, 'usdc', 'devnet', { idempotencyKey: 'over' }),
+        error => error.code === 'WALLET_POLICY' && /exceeds the \$8 daily limit/.test(error.message)
+    );
+    await assert.rejects(wallet.transferSolana(PAYEE, 1000000, 'eth', 'devnet', { idempotencyKey: 'asset' }), /asset ETH is not allowed/);
+
+    assert.equal(stub.getTransfers().length, sent + 1);
+    assert.equal(wallet.journal.get('over'), null);
+});
+
+test('reconciling a submitted transfer does not count its spend again', async () => {
+    const wallet = new AgentWallet({
+        username: 'treasury',
+        apiToken: 'test',
+        agentWalletUrl: `${stub.url}/api`,
+        priceProviders: ['fixture'],
+        priceFixtureFile: PRICES
+    });
+    wallet.journal = new TransferJournal();
+    wallet.policy = new WalletPolicy({ wallet });
+    await wallet.policy.sync();
+
+    // The wallet accepted a 3 USDC transfer and its spend was counted, the confirmation never came
+    const request = {
+        endpoint: '/wallets/treasury/actions/transfer-solana',
+        body: { to: PAYEE, amount: '3000000', asset: 'usdc', network: 'devnet', idempotencyKey: 'in-flight' }
+    };
+    const accepted = await wallet.sendRequest(request.endpoint, { method: 'POST', body: request.body });
+    await wallet.journal.recordIntent('in-flight', request);
+    await wallet.journal.recordSubmitted('in-flight', { ...accepted, status: 'pending' });
+    await wallet.policy.recordSpend(3, 'transfer', 'in-flight');
+
+    const [outcome] = await wallet.reconcileTransfers();
+    assert.equal(outcome.status, 'confirmed');
+    assert.equal(wallet.policy.getDailySpend(), 3);
+
+    // The same reference is never counted twice, whoever records it
+    await wallet.policy.recordSpend(3, 'transfer', 'in-flight');
+    assert.equal(wallet.policy.getDailySpend(), 3);
+});
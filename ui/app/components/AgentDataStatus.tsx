@@ -0,0 +1,67 @@
+'use client'
+
+import { AlertTriangle, Loader2 } from 'lucide-react'
+import { Badge } from '@/components/ui/badge'
+import { timeAgo } from '@/lib/agent-api'
+import { useAgentDashboard } from '@/lib/use-agent-dashboard'
+
+export function AgentConnectionBadge() {
+  const { data, isLoading, error, isStale, isFixture, updatedAt } = useAgentDashboard()
+
+  if (isFixture) {
+    return (
+      <Badge variant="outline" className="gap-2">
+        <div className="h-2 w-2 rounded-full bg-gray-400" />
+        Fixture Data
+      </Badge>
+    )
+  }
+
+  if (isLoading) {
+    return (
+      <Badge variant="secondary" className="gap-2">
+        <Loader2 className="h-3 w-3 animate-spin" />
+        Connecting
+      </Badge>
+    )
+  }
+
+  if (!data || isStale) {
+    return (
+      <Badge variant="destructive" className="gap-2" title={error?.message}>
+        <div className="h-2 w-2 rounded-full bg-red-300" />
+        {data ? `Agent Unreachable · data from ${timeAgo(updatedAt)}` : 'Agent Unreachable'}
+      </Badge>
+    )
+  }
+
+  const paused = data.status.isPaused || !data.status.isActive
+  return (
+    <Badge variant="secondary" className="gap-2">
+      <div className={`h-2 w-2 rounded-full ${paused ? 'bg-yellow-500' : 'bg-green-500 animate-pulse'}`} />
+      {paused ? 'Agent Paused' : 'Agent Online'}
+    </Badge>
+  )
+}
+
+/**
+ * Stand-in for a panel body until the first dashboard payload arrives
+ */
+export function PanelPlaceholder({ isLoading, error }: { isLoading: boolean; error: Error | null }) {
+  if (isLoading) {
+    return (
+      <div className="space-y-3">
+        {[0, 1, 2].map((i) => (
+          <div key={i} className="h-12 rounded-xl bg-gray-800/40 animate-pulse" />
+        ))}
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex items-center gap-2 p-4 rounded-xl bg-red-500/10 text-sm text-red-400">
+      <AlertTriangle className="w-4 h-4 shrink-0" />
+      <span>Cannot reach the agent{error ? `: ${error.message}` : ''}</span>
+    </div>
+  )
+}
@@ -1,31 +1,22 @@
 'use client'
 
-import { useEffect, useState } from 'react'
 import { Bot, Zap, Activity, Server } from 'lucide-react'
+import { formatDuration, formatUsd, timeAgo, type AgentLoopStatus } from '@/lib/agent-api'
+import { useAgentDashboard } from '@/lib/use-agent-dashboard'
+import { PanelPlaceholder } from './AgentDataStatus'
 
-interface AgentMetrics {
-  status: 'online' | 'deciding' | 'executing'
-  uptime: string
-  decisionsMade: number
-  lastDecision: string
-  model: string
-  costPerDay: number
-}
+type LoopState = 'online' | 'deciding' | 'paused' | 'offline'
 
 export function AgentStatus() {
-  const [metrics, setMetrics] = useState<AgentMetrics>({
-    status: 'online',
-    uptime: '6h 24m',
-    decisionsMade: 73,
-    lastDecision: '2 min ago',
-    model: 'Llama 3.1',
-    costPerDay: 0
-  })
+  const { data, isLoading, error, isStale } = useAgentDashboard()
+
+  const loopState: LoopState = !data || isStale ? 'offline' : describeLoop(data.status)
 
-  const statusColors = {
+  const statusColors: Record<LoopState, string> = {
     online: 'bg-green-500',
     deciding: 'bg-yellow-500 animate-pulse',
-    executing: 'bg-blue-500 animate-pulse'
+    paused: 'bg-gray-500',
+    offline: 'bg-red-500'
   }
 
   return (
@@ -36,69 +27,89 @@ export function AgentStatus() {
           Agent Status
         </h2>
         <div className="flex items-center gap-2">
-          <span className={`w-2 h-2 rounded-full ${statusColors[metrics.status]}`} />
-          <span className="text-xs text-gray-400 capitalize">{metrics.status}</span>
+          <span className={`w-2 h-2 rounded-full ${statusColors[loopState]}`} />
+          <span className="text-xs text-gray-400 capitalize">{loopState}</span>
         </div>
       </div>
 
-      <div className="space-y-4">
-        <div className="p-4 bg-gray-800/30 rounded-xl">
-          <div className="flex items-center gap-3 mb-3">
-            <div className="w-12 h-12 bg-gradient-to-br from-blue-400 to-purple-500 rounded-full flex items-center justify-center">
-              <Bot className="w-6 h-6 text-white" />
+      {!data ? (
+        <PanelPlaceholder isLoading={isLoading} error={error} />
+      ) : (
+        <div className="space-y-4">
+          <div className="p-4 bg-gray-800/30 rounded-xl">
+            <div className="flex items-center gap-3 mb-3">
+              <div className="w-12 h-12 bg-gradient-to-br from-blue-400 to-purple-500 rounded-full flex items-center justify-center">
+                <Bot className="w-6 h-6 text-white" />
+              </div>
+              <div>
+                <p className="font-semibold">ClawDuck</p>
+                <p className="text-xs text-gray-400">Sovereign Treasury Agent</p>
+              </div>
             </div>
-            <div>
-              <p className="font-semibold">ClawDuck</p>
-              <p className="text-xs text-gray-400">Sovereign Treasury Agent</p>
+
+            <div className="grid grid-cols-2 gap-3 mt-4">
+              <div className="p-3 bg-gray-800/50 rounded-lg">
+                <p className="text-xs text-gray-400 flex items-center gap-1">
+                  <Activity className="w-3 h-3" /> Uptime
+                </p>
+                <p className="font-semibold">{formatDuration(data.costs.runtime.hours)}</p>
+              </div>
+              <div className="p-3 bg-gray-800/50 rounded-lg">
+                <p className="text-xs text-gray-400 flex items-center gap-1">
+                  <Zap className="w-3 h-3" /> Decisions
+                </p>
+                <p className="font-semibold">{data.metrics.autonomousDecisions + data.metrics.supervisedDecisions}</p>
+              </div>
             </div>
           </div>
-          
-          <div className="grid grid-cols-2 gap-3 mt-4">
-            <div className="p-3 bg-gray-800/50 rounded-lg">
-              <p className="text-xs text-gray-400 flex items-center gap-1">
-                <Activity className="w-3 h-3" /> Uptime
-              </p>
-              <p className="font-semibold">{metrics.uptime}</p>
+
+          <div className="space-y-3">
+            <div className="flex items-center justify-between p-3 bg-gray-800/30 rounded-lg">
+              <span className="text-sm text-gray-400 flex items-center gap-2">
+                <Server className="w-4 h-4" /> Next Cycle
+              </span>
+              <span className="text-sm font-medium">
+                {data.status.nextCycleAt ? new Date(data.status.nextCycleAt).toLocaleTimeString() : 'Not scheduled'}
+              </span>
             </div>
-            <div className="p-3 bg-gray-800/50 rounded-lg">
-              <p className="text-xs text-gray-400 flex items-center gap-1">
-                <Zap className="w-3 h-3" /> Decisions
-              </p>
-              <p className="font-semibold">{metrics.decisionsMade}</p>
+
+            <div className="flex items-center justify-between p-3 bg-gray-800/30 rounded-lg">
+              <span className="text-sm text-gray-400 flex items-center gap-2">
+                <Activity className="w-4 h-4" /> Last Decision
+              </span>
+              <span className="text-sm font-medium">{timeAgo(data.status.lastDecisionTime, data.generatedAt)}</span>
             </div>
-          </div>
-        </div>
 
-        <div className="space-y-3">
-          <div className="flex items-center justify-between p-3 bg-gray-800/30 rounded-lg">
-            <span className="text-sm text-gray-400 flex items-center gap-2">
-              <Server className="w-4 h-4" /> AI Model
-            </span>
-            <span className="text-sm font-medium">{metrics.model}</span>
-          </div>
-          
-          <div className="flex items-center justify-between p-3 bg-gray-800/30 rounded-lg">
-            <span className="text-sm text-gray-400 flex items-center gap-2">
-              <Activity className="w-4 h-4" /> Last Decision
-            </span>
-            <span className="text-sm font-medium">{metrics.lastDecision}</span>
+            <div className="flex items-center justify-between p-3 bg-gray-800/30 rounded-lg">
+              <span className="text-sm text-gray-400 flex items-center gap-2">
+                <Zap className="w-4 h-4" /> Daily Cost
+              </span>
+              <span className="text-sm font-bold text-green-400">{formatUsd(data.costs.dailyBurnRate)}</span>
+            </div>
           </div>
 
-          <div className="flex items-center justify-between p-3 bg-gray-800/30 rounded-lg">
-            <span className="text-sm text-gray-400 flex items-center gap-2">
-              <Zap className="w-4 h-4" /> Daily Cost
-            </span>
-            <span className="text-sm font-bold text-green-400">${metrics.costPerDay.toFixed(2)}</span>
+          <div className="p-4 bg-gradient-to-r from-primary-500/10 to-accent-500/10 rounded-xl border border-primary-500/20">
+            <p className="text-sm font-semibold text-primary-400 mb-1 capitalize">{data.status.approvalMode} Mode</p>
+            <p className="text-xs text-gray-400">
+              Making decisions every {Math.round(data.status.effectiveLoopInterval / 60000)} minutes
+              {data.status.survivalMode !== 'normal' && ` (${data.status.survivalMode} mode, runway ${formatRunway(data.costs.survival.runwayDays)})`}
+              {data.status.approvalMode === 'supervised'
+                ? `, large or unusual ones wait for approval (${data.metrics.approvals.requested} requested)`
+                : ' without human intervention'}
+            </p>
           </div>
         </div>
-
-        <div className="p-4 bg-gradient-to-r from-primary-500/10 to-accent-500/10 rounded-xl border border-primary-500/20">
-          <p className="text-sm font-semibold text-primary-400 mb-1">Autonomous Mode</p>
-          <p className="text-xs text-gray-400">
-            Making decisions every 5 minutes without human intervention
-          </p>
-        </div>
-      </div>
+      )}
     </div>
   )
-}
\ No newline at end of file
+}
+
+function describeLoop(status: AgentLoopStatus): LoopState {
+  if (!status.isActive) return 'offline'
+  if (status.isPaused) return 'paused'
+  return status.cycleInProgress ? 'deciding' : 'online'
+}
+
+function formatRunway(days: number | null): string {
+  return days === null ? 'unlimited' : `${days.toFixed(1)} days`
+}
@@ -2,43 +2,26 @@
 
 import { useState } from 'react'
 import { Vote, CheckCircle, Clock, Users } from 'lucide-react'
+import { formatAmount, formatUsd, timeAgo, type ApprovalRequest } from '@/lib/agent-api'
+import { useAgentDashboard } from '@/lib/use-agent-dashboard'
+import { PanelPlaceholder } from './AgentDataStatus'
 
-interface Proposal {
-  id: string
-  title: string
-  description: string
-  status: 'active' | 'passed' | 'failed'
-  votesFor: number
-  votesAgainst: number
-  endTime: string
-  executed: boolean
+const statusStyles: Record<ApprovalRequest['status'], string> = {
+  pending: 'bg-purple-500/20 text-purple-400',
+  approved: 'bg-green-500/20 text-green-400',
+  rejected: 'bg-red-500/20 text-red-400',
+  expired: 'bg-gray-500/20 text-gray-400'
 }
 
-const mockProposals: Proposal[] = [
-  {
-    id: '1',
-    title: 'Increase Staking Allocation',
-    description: 'Allocate 40% of treasury to Marinade staking for 8.5% APY',
-    status: 'active',
-    votesFor: 75,
-    votesAgainst: 25,
-    endTime: '2 days',
-    executed: false
-  },
-  {
-    id: '2',
-    title: 'Add USDC Lending Strategy',
-    description: 'Integrate Kamino Finance for 12% APY on USDC deposits',
-    status: 'passed',
-    votesFor: 89,
-    votesAgainst: 11,
-    endTime: 'Ended',
-    executed: true
-  },
-]
-
+/**
+ * Human oversight of the agent: decisions parked in the approval queue (supervised mode)
+ */
 export function GovernancePanel() {
   const [activeTab, setActiveTab] = useState<'active' | 'passed'>('active')
+  const { data, isLoading, error } = useAgentDashboard()
+
+  const requests = (data?.approvals || [])
+    .filter(r => activeTab === 'active' ? r.status === 'pending' : r.status !== 'pending')
 
   return (
     <div className="bg-gray-900/50 backdrop-blur-sm border border-gray-800 rounded-2xl p-6">
@@ -49,7 +32,7 @@ export function GovernancePanel() {
         </h2>
         <div className="flex items-center gap-2 text-sm text-gray-400">
           <Users className="w-4 h-4" />
-          <span>GOV Token</span>
+          <span className="capitalize">{data ? `${data.status.approvalMode} mode` : 'Approvals'}</span>
         </div>
       </div>
 
@@ -62,7 +45,7 @@ export function GovernancePanel() {
               : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
           }`}
         >
-          Active
+          Pending
         </button>
         <button
           onClick={() => setActiveTab('passed')}
@@ -76,62 +59,67 @@ export function GovernancePanel() {
         </button>
       </div>
 
-      <div className="space-y-4">
-        {mockProposals
-          .filter(p => activeTab === 'active' ? p.status === 'active' : p.status !== 'active')
-          .map((proposal) => (
-          <div 
-            key={proposal.id}
-            className="p-4 bg-gray-800/30 rounded-xl border border-gray-700/50 hover:border-purple-500/30 transition-colors"
-          >
-            <div className="flex items-start justify-between mb-2">
-              <h3 className="font-semibold text-sm">{proposal.title}</h3>
-              <span className={`text-xs px-2 py-1 rounded-full ${
-                proposal.status === 'active' ? 'bg-purple-500/20 text-purple-400' :
-                proposal.status === 'passed' ? 'bg-green-500/20 text-green-400' :
-                'bg-red-500/20 text-red-400'
-              }`}>
-                {proposal.status}
-              </span>
-            </div>
-            <p className="text-xs text-gray-400 mb-3">{proposal.description}</p>
-            
-            <div className="space-y-2">
-              <div className="flex justify-between text-xs">
-                <span className="text-green-400">For: {proposal.votesFor}%</span>
-                <span className="text-red-400">Against: {proposal.votesAgainst}%</span>
-              </div>
-              <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
-                <div 
-                  className="h-full bg-gradient-to-r from-green-500 to-red-500 rounded-full"
-                  style={{ 
-                    background: `linear-gradient(to right, #22c55e ${proposal.votesFor}%, #ef4444 ${proposal.votesFor}%)` 
-                  }}
-                />
-              </div>
-            </div>
-
-            <div className="flex items-center justify-between mt-3 text-xs text-gray-500">
-              <span className="flex items-center gap-1">
-                <Clock className="w-3 h-3" />
-                {proposal.endTime}
-              </span>
-              {proposal.executed && (
-                <span className="flex items-center gap-1 text-green-400">
-                  <CheckCircle className="w-3 h-3" />
-                  Executed
-                </span>
-              )}
-            </div>
-          </div>
-        ))}
-      </div>
+      {!data ? (
+        <PanelPlaceholder isLoading={isLoading} error={error} />
+      ) : requests.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">
+          {activeTab === 'active' ? 'No decisions awaiting approval' : 'No resolved approval requests'}
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {requests.map((request) => (
+            <ApprovalCard key={request.id} request={request} now={data.generatedAt} />
+          ))}
+        </div>
+      )}
 
       <div className="mt-4 pt-4 border-t border-gray-800">
         <p className="text-xs text-gray-500 text-center">
-          Connect wallet to vote with GOV tokens
+          Approve or reject with <code className="font-mono">npm run approve</code> or the control API
         </p>
       </div>
     </div>
   )
-}
\ No newline at end of file
+}
+
+function ApprovalCard({ request, now }: { request: ApprovalRequest; now: number }) {
+  const { decision } = request
+  const { params } = decision
+
+  return (
+    <div className="p-4 bg-gray-800/30 rounded-xl border border-gray-700/50 hover:border-purple-500/30 transition-colors">
+      <div className="flex items-start justify-between mb-2">
+        <h3 className="font-semibold text-sm capitalize">
+          {decision.action} {formatAmount(params.amount, params.asset)}
+          {params.target ? ` → ${params.target}` : ''}
+          <span className="text-gray-400 font-normal"> · {formatUsd(request.notional)}</span>
+        </h3>
+        <span className={`text-xs px-2 py-1 rounded-full ${statusStyles[request.status]}`}>
+          {request.status}
+        </span>
+      </div>
+      <p className="text-xs text-gray-400 mb-3">{decision.reasoning}</p>
+
+      <div className="flex flex-wrap gap-2">
+        {request.reasons.map((reason) => (
+          <span key={reason} className="text-xs px-2 py-0.5 rounded-full bg-gray-700/60 text-gray-300">{reason}</span>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between mt-3 text-xs text-gray-500">
+        <span className="flex items-center gap-1">
+          <Clock className="w-3 h-3" />
+          {request.status === 'pending'
+            ? `Expires ${new Date(request.expiresAt).toLocaleTimeString()}`
+            : `Requested ${timeAgo(request.requestedAt, now)}${request.resolvedBy ? ` · ${request.status} by ${request.resolvedBy}` : ''}`}
+        </span>
+        {request.outcome === 'executed' && (
+          <span className="flex items-center gap-1 text-green-400">
+            <CheckCircle className="w-3 h-3" />
+            Executed
+          </span>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,31 +1,27 @@
 'use client'
 
 import { useState } from 'react'
-import { ArrowUpRight, ArrowDownRight, Clock, ExternalLink } from 'lucide-react'
+import { ArrowUpRight, ArrowDownRight, Clock, ExternalLink, ShieldAlert, XCircle } from 'lucide-react'
+import { formatAmount, formatUsd, timeAgo, type AgentEvent } from '@/lib/agent-api'
+import { useAgentDashboard } from '@/lib/use-agent-dashboard'
+import { PanelPlaceholder } from './AgentDataStatus'
 
-interface Transaction {
-  id: string
-  type: 'stake' | 'lend' | 'swap' | 'claim'
-  amount: string
-  timestamp: string
-  status: 'completed' | 'pending'
-  txHash: string
+// Events that describe an attempted execution, as recorded by TreasuryAgent.executeDecision
+const EXECUTION_EVENTS: Record<string, { label: string; className: string }> = {
+  decision_executed: { label: 'executed', className: 'text-green-400' },
+  decision_failed: { label: 'failed', className: 'text-red-400' },
+  decision_blocked: { label: 'blocked by policy', className: 'text-yellow-400' }
 }
 
-const mockTransactions: Transaction[] = [
-  { id: '1', type: 'stake', amount: '2.5 SOL', timestamp: '2 min ago', status: 'completed', txHash: '0x123...abc' },
-  { id: '2', type: 'lend', amount: '10 USDC', timestamp: '15 min ago', status: 'completed', txHash: '0x456...def' },
-  { id: '3', type: 'claim', amount: '0.5 SOL', timestamp: '1 hour ago', status: 'completed', txHash: '0x789...ghi' },
-  { id: '4', type: 'swap', amount: '5 USDC → SOL', timestamp: '2 hours ago', status: 'completed', txHash: '0xabc...jkl' },
-  { id: '5', type: 'stake', amount: '1.0 SOL', timestamp: '3 hours ago', status: 'completed', txHash: '0xdef...mno' },
-]
+type Filter = 'all' | 'stake' | 'lend' | 'swap'
 
 export function TransactionHistory() {
-  const [filter, setFilter] = useState<'all' | 'stake' | 'lend' | 'swap'>('all')
+  const [filter, setFilter] = useState<Filter>('all')
+  const { data, isLoading, error } = useAgentDashboard()
 
-  const filteredTransactions = filter === 'all' 
-    ? mockTransactions 
-    : mockTransactions.filter(t => t.type === filter)
+  const transactions = (data?.events || [])
+    .filter((e) => EXECUTION_EVENTS[e.type])
+    .filter((e) => filter === 'all' || e.data.action === filter)
 
   return (
     <div className="bg-gray-900/50 backdrop-blur-sm border border-gray-800 rounded-2xl p-6">
@@ -40,8 +36,8 @@ export function TransactionHistory() {
               key={f}
               onClick={() => setFilter(f)}
               className={`px-3 py-1 text-xs rounded-full capitalize transition-colors ${
-                filter === f 
-                  ? 'bg-primary-500 text-white' 
+                filter === f
+                  ? 'bg-primary-500 text-white'
                   : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
               }`}
             >
@@ -51,43 +47,81 @@ export function TransactionHistory() {
         </div>
       </div>
 
-      <div className="space-y-3">
-        {filteredTransactions.map((tx) => (
-          <div 
-            key={tx.id}
-            className="flex items-center justify-between p-4 bg-gray-800/30 rounded-xl hover:bg-gray-800/50 transition-colors"
-          >
-            <div className="flex items-center gap-4">
-              <div className={`w-10 h-10 rounded-full flex items-center justify-center ${
-                tx.type === 'stake' ? 'bg-primary-500/20 text-primary-400' :
-                tx.type === 'lend' ? 'bg-accent-500/20 text-accent-400' :
-                tx.type === 'swap' ? 'bg-purple-500/20 text-purple-400' :
-                'bg-green-500/20 text-green-400'
-              }`}>
-                {tx.type === 'stake' && <ArrowUpRight className="w-5 h-5" />}
-                {tx.type === 'lend' && <ArrowDownRight className="w-5 h-5" />}
-                {tx.type === 'swap' && <ArrowUpRight className="w-5 h-5 rotate-45" />}
-                {tx.type === 'claim' && <ArrowDownRight className="w-5 h-5" />}
-              </div>
-              <div>
-                <p className="font-semibold capitalize">{tx.type}</p>
-                <p className="text-sm text-gray-400">{tx.timestamp}</p>
-              </div>
-            </div>
-            <div className="text-right">
-              <p className="font-semibold">{tx.amount}</p>
-              <a 
-                href={`https://explorer.solana.com/tx/${tx.txHash}?cluster=devnet`}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-xs text-primary-400 flex items-center gap-1 hover:underline"
-              >
-                View <ExternalLink className="w-3 h-3" />
-              </a>
-            </div>
+      {!data ? (
+        <PanelPlaceholder isLoading={isLoading} error={error} />
+      ) : transactions.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-8">No {filter === 'all' ? '' : `${filter} `}executions yet</p>
+      ) : (
+        <div className="space-y-3">
+          {transactions.map((tx) => (
+            <TransactionRow
+              key={tx.id}
+              tx={tx}
+              now={data.generatedAt}
+              explorerLinks={data.status.executionMode === 'live'}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function TransactionRow({ tx, now, explorerLinks }: { tx: AgentEvent; now: number; explorerLinks: boolean }) {
+  const { action = 'unknown', params = {}, reasoning, notional, supervised, error, violations } = tx.data
+  const outcome = EXECUTION_EVENTS[tx.type]
+  const txHash = tx.data.txHashes?.[0]
+  const amount = action === 'swap'
+    ? `${formatAmount(params.amount, params.asset)} → ${params.target?.toUpperCase()}`
+    : formatAmount(params.amount, params.asset)
+
+  return (
+    <div className="p-4 bg-gray-800/30 rounded-xl hover:bg-gray-800/50 transition-colors">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <div className={`w-10 h-10 rounded-full flex items-center justify-center ${
+            action === 'stake' ? 'bg-primary-500/20 text-primary-400' :
+            action === 'lend' ? 'bg-accent-500/20 text-accent-400' :
+            action === 'swap' ? 'bg-purple-500/20 text-purple-400' :
+            'bg-green-500/20 text-green-400'
+          }`}>
+            {tx.type === 'decision_blocked' && <ShieldAlert className="w-5 h-5" />}
+            {tx.type === 'decision_failed' && <XCircle className="w-5 h-5" />}
+            {tx.type === 'decision_executed' && (action === 'lend'
+              ? <ArrowDownRight className="w-5 h-5" />
+              : <ArrowUpRight className={`w-5 h-5 ${action === 'swap' ? 'rotate-45' : ''}`} />)}
+          </div>
+          <div>
+            <p className="font-semibold capitalize">
+              {action}{params.target && action !== 'swap' ? ` · ${params.target}` : ''}
+            </p>
+            <p className="text-sm text-gray-400">
+              {timeAgo(tx.timestamp, now)} · <span className={outcome.className}>{outcome.label}</span>
+              {supervised ? ' · human approved' : ''}
+            </p>
           </div>
-        ))}
+        </div>
+        <div className="text-right">
+          <p className="font-semibold">{amount || formatUsd(notional)}</p>
+          {txHash && (explorerLinks ? (
+            <a
+              href={`https://explorer.solana.com/tx/${txHash}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-xs text-primary-400 flex items-center gap-1 hover:underline justify-end"
+            >
+              View <ExternalLink className="w-3 h-3" />
+            </a>
+          ) : (
+            <p className="text-xs text-gray-500 font-mono">{txHash}</p>
+          ))}
+        </div>
       </div>
+      {reasoning && <p className="text-xs text-gray-400 mt-3">{reasoning}</p>}
+      {error && <p className="text-xs text-red-400 mt-2">{error}</p>}
+      {violations?.map((v) => (
+        <p key={v.code} className="text-xs text-yellow-400 mt-2">{v.message}</p>
+      ))}
     </div>
   )
-}
\ No newline at end of file
+}
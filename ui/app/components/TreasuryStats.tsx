@@ -1,26 +1,22 @@
 'use client'
 
-import { useEffect, useState } from 'react'
 import { Wallet, TrendingUp, Clock, Activity } from 'lucide-react'
-
-interface TreasuryData {
-  totalBalance: number
-  solBalance: number
-  usdcBalance: number
-  transactions: number
-  uptime: string
-  roi: number
-}
+import { formatAmount, formatUsd, type Holding } from '@/lib/agent-api'
+import { useAgentDashboard } from '@/lib/use-agent-dashboard'
+import { PanelPlaceholder } from './AgentDataStatus'
+import { ValueChart } from './ValueChart'
 
 export function TreasuryStats() {
-  const [data, setData] = useState<TreasuryData>({
-    totalBalance: 471.35,
-    solBalance: 5.1,
-    usdcBalance: 20,
-    transactions: 30,
-    uptime: '6h 24m',
-    roi: 0.5
-  })
+  const { data, isLoading, error } = useAgentDashboard()
+
+  const holdings = data?.state?.holdings || []
+  const sol = summarizeAsset(holdings, 'sol')
+  const usdc = summarizeAsset(holdings, 'usdc')
+  const metrics = data?.metrics
+  const transactions = metrics ? metrics.autonomousDecisions + metrics.supervisedDecisions : 0
+  const chains = Object.entries(data?.state?.exposure?.byChain || {})
+    .filter(([, value]) => value > 0)
+    .sort(([, a], [, b]) => b - a)
 
   return (
     <div className="bg-gray-900/50 backdrop-blur-sm border border-gray-800 rounded-2xl p-6">
@@ -29,56 +25,89 @@ export function TreasuryStats() {
           <Wallet className="w-5 h-5 text-primary-400" />
           Treasury Overview
         </h2>
-        <span className="text-xs text-gray-500">Devnet Mode</span>
+        {data && (
+          <span className="text-xs text-gray-500 capitalize">
+            {data.status.executionMode} mode
+            {data.state?.stalePrices.length ? ` · stale prices: ${data.state.stalePrices.join(', ').toUpperCase()}` : ''}
+          </span>
+        )}
       </div>
 
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-        <StatCard 
-          label="Total Balance"
-          value={`$${data.totalBalance.toFixed(2)}`}
-          icon={<Wallet className="w-4 h-4" />}
-          trend="+2.4%"
-        />
-        <StatCard 
-          label="SOL Holdings"
-          value={`${data.solBalance} SOL`}
-          icon={<TrendingUp className="w-4 h-4" />}
-          trend="+5.1%"
-        />
-        <StatCard 
-          label="USDC Holdings"
-          value={`${data.usdcBalance} USDC`}
-          icon={<Activity className="w-4 h-4" />}
-          trend="Stable"
-        />
-        <StatCard 
-          label="Transactions"
-          value={data.transactions.toString()}
-          icon={<Clock className="w-4 h-4" />}
-          trend="Autonomous"
-        />
-      </div>
+      {!data || !metrics ? (
+        <PanelPlaceholder isLoading={isLoading} error={error} />
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <StatCard
+              label="Total Balance"
+              value={formatUsd(data.state?.totalValue)}
+              icon={<Wallet className="w-4 h-4" />}
+              trend={`${metrics.totalReturn >= 0 ? '+' : ''}${metrics.totalReturn.toFixed(2)}% total return`}
+            />
+            <StatCard
+              label="SOL Holdings"
+              value={formatAmount(sol.amount, 'sol')}
+              icon={<TrendingUp className="w-4 h-4" />}
+              trend={sol.deployed > 0 ? `${formatAmount(sol.deployed)} deployed` : 'Liquid'}
+            />
+            <StatCard
+              label="USDC Holdings"
+              value={formatAmount(usdc.amount, 'usdc')}
+              icon={<Activity className="w-4 h-4" />}
+              trend={usdc.deployed > 0 ? `${formatAmount(usdc.deployed)} deployed` : 'Liquid'}
+            />
+            <StatCard
+              label="Transactions"
+              value={transactions.toString()}
+              icon={<Clock className="w-4 h-4" />}
+              trend={`${metrics.autonomousDecisions} autonomous · ${metrics.supervisedDecisions} approved`}
+            />
+          </div>
 
-      <div className="mt-6 pt-6 border-t border-gray-800">
-        <div className="flex items-center justify-between">
-          <div>
-            <p className="text-sm text-gray-400">Treasury Address</p>
-            <p className="text-xs font-mono text-gray-500 mt-1">
-              9cnWNADTkSWGdtWTNhGA3YRJa5tEgtsu6MAaHJSQonjV
-            </p>
+          <div className="mt-6">
+            <ValueChart points={data.valueHistory} />
           </div>
-          <div className="text-right">
-            <p className="text-sm text-gray-400">AI Cost</p>
-            <p className="text-xl font-bold text-primary-400">$0.00</p>
-            <p className="text-xs text-gray-500">Using Local Llama 3.1</p>
+
+          <div className="mt-6 pt-6 border-t border-gray-800">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-400">Max Drawdown</p>
+                <p className="text-xl font-bold">{metrics.maxDrawdown.toFixed(2)}%</p>
+              </div>
+              {chains.length > 0 && (
+                <div>
+                  <p className="text-sm text-gray-400">NAV by Chain</p>
+                  {chains.map(([chain, value]) => (
+                    <p key={chain} className="text-sm">
+                      <span className="capitalize">{chain}</span>{' '}
+                      <span className="font-bold">{formatUsd(value)}</span>
+                    </p>
+                  ))}
+                </div>
+              )}
+              <div className="text-right">
+                <p className="text-sm text-gray-400">Compute Spend</p>
+                <p className="text-xl font-bold text-primary-400">{formatUsd(data.costs.costs.compute)}</p>
+                <p className="text-xs text-gray-500">{formatUsd(data.costs.dailyBurnRate)}/day burn</p>
+              </div>
+            </div>
           </div>
-        </div>
-      </div>
+        </>
+      )}
     </div>
   )
 }
 
-function StatCard({ label, value, icon, trend }: { 
+// Liquid plus deployed amount of one asset across wallets and protocol positions
+function summarizeAsset(holdings: Holding[], asset: string) {
+  const matching = holdings.filter((h) => h.asset === asset)
+  return {
+    amount: matching.reduce((sum, h) => sum + h.amount, 0),
+    deployed: matching.filter((h) => h.kind !== 'liquid').reduce((sum, h) => sum + h.amount, 0),
+  }
+}
+
+function StatCard({ label, value, icon, trend }: {
   label: string
   value: string
   icon: React.ReactNode
@@ -94,4 +123,4 @@ function StatCard({ label, value, icon, trend }: {
       <p className="text-xs text-primary-400 mt-1">{trend}</p>
     </div>
   )
-}
\ No newline at end of file
+}
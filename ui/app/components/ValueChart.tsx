@@ -0,0 +1,57 @@
+'use client'
+
+import { formatUsd, type ValuePoint } from '@/lib/agent-api'
+
+const WIDTH = 600
+const HEIGHT = 160
+const PADDING = 8
+
+/**
+ * Treasury value over time from PerformanceTracker snapshots, drawn as a plain SVG line
+ */
+export function ValueChart({ points }: { points: ValuePoint[] }) {
+  const series = points.filter((p) => Number.isFinite(p.totalValue))
+
+  if (series.length < 2) {
+    return (
+      <div className="h-40 flex items-center justify-center text-xs text-gray-500">
+        Value history appears after the first decision cycles
+      </div>
+    )
+  }
+
+  const values = series.map((p) => p.totalValue)
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  const range = max - min || 1
+  const start = series[0].timestamp
+  const span = series[series.length - 1].timestamp - start || 1
+
+  const x = (timestamp: number) => PADDING + ((timestamp - start) / span) * (WIDTH - PADDING * 2)
+  const y = (value: number) => HEIGHT - PADDING - ((value - min) / range) * (HEIGHT - PADDING * 2)
+
+  const line = series.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.timestamp).toFixed(1)},${y(p.totalValue).toFixed(1)}`).join(' ')
+  const area = `${line} L${x(series[series.length - 1].timestamp).toFixed(1)},${HEIGHT - PADDING} L${x(start).toFixed(1)},${HEIGHT - PADDING} Z`
+  const rising = values[values.length - 1] >= values[0]
+  const color = rising ? '#22c55e' : '#ef4444'
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-40" preserveAspectRatio="none" role="img" aria-label="Treasury value history">
+        <defs>
+          <linearGradient id="value-fill" x1="0" x2="0" y1="0" y2="1">
+            <stop offset="0%" stopColor={color} stopOpacity={0.3} />
+            <stop offset="100%" stopColor={color} stopOpacity={0} />
+          </linearGradient>
+        </defs>
+        <path d={area} fill="url(#value-fill)" />
+        <path d={line} fill="none" stroke={color} strokeWidth={2} vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 mt-2">
+        <span>{new Date(start).toLocaleString()}</span>
+        <span>Low {formatUsd(min)} · High {formatUsd(max)}</span>
+        <span>{new Date(series[series.length - 1].timestamp).toLocaleString()}</span>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,182 @@
+import fixture from './fixtures/agent-dashboard.json'
+
+// Shapes returned by the agent's GET /api/dashboard (src/api/control-server.js)
+
+export type SurvivalMode = 'normal' | 'conserve' | 'survival'
+
+export interface AgentLoopStatus {
+  isActive: boolean
+  isPaused: boolean
+  executionMode: 'live' | 'paper'
+  approvalMode: 'autonomous' | 'supervised'
+  loopInterval: number
+  effectiveLoopInterval: number
+  survivalMode: SurvivalMode
+  cycleInProgress: boolean
+  pendingConfirmations: number
+  bridgesInFlight: number
+  lastDecisionTime: number | null
+  nextCycleAt: number | null
+}
+
+export type HoldingKind = 'liquid' | 'liquid_staking' | 'lending' | 'staking' | 'lp' | 'outcome' | 'pending'
+
+// One typed holding from the agent's Portfolio model (src/services/portfolio.js)
+export interface Holding {
+  kind: HoldingKind
+  asset: string
+  chain: string | null
+  protocol: string | null
+  amount: number
+  price: number
+  value: number
+  stale: boolean
+  valuation: 'oracle' | 'underlying' | 'position'
+  costBasis: number | null
+  unrealizedPnl: number | null
+  yieldSource: { protocol: string; apy: number | null } | null
+  availableAt: number | null
+}
+
+export interface TreasuryState {
+  totalValue: number
+  holdings: Holding[]
+  allocation: Record<string, number>
+  stalePrices: string[]
+  exposure: {
+    byKind: Record<string, number>
+    byProtocol: Record<string, number>
+    byChain: Record<string, number>
+  }
+  timestamp: number
+}
+
+export interface AgentMetrics {
+  totalReturn: number
+  maxDrawdown: number
+  sharpeRatio: number
+  volatility: number
+  autonomousDecisions: number
+  supervisedDecisions: number
+  selfSufficientCycles: number
+  approvals: { requested: number; approved: number; rejected: number; expired: number }
+}
+
+export interface AgentCosts {
+  runtime: { hours: number; startTime: number; lifetimeStartTime: number; currentTime: number }
+  costs: { compute: number; api: number; transactions: number; total: number; outstanding: number }
+  payments: { method: 'x402' | 'transfer' | 'paper' | 'simulated'; count: number; total: number; lastPaymentAt: number | null }
+  survival: { mode: SurvivalMode; since: number; runwayDays: number | null; exhaustedAt: number | null }
+  efficiency: { costPerHour: number; isOperating: boolean; isSelfSufficient: boolean }
+  dailyBurnRate: number
+}
+
+export interface ValuePoint {
+  timestamp: number
+  totalValue: number
+  type: string
+}
+
+export interface DecisionParams {
+  asset?: string
+  target?: string
+  amount?: number
+  strategy?: string
+}
+
+export interface AgentEvent {
+  id: string
+  type: string
+  timestamp: number
+  data: {
+    action?: string
+    params?: DecisionParams
+    reasoning?: string
+    notional?: number
+    supervised?: boolean
+    error?: string
+    approvalId?: string
+    violations?: { code: string; message: string }[]
+    txHashes?: string[]
+    amount?: number
+  }
+}
+
+export interface ApprovalRequest {
+  id: string
+  status: 'pending' | 'approved' | 'rejected' | 'expired'
+  decision: { action: string; reasoning: string; params: DecisionParams }
+  reasons: string[]
+  notional: number
+  requestedAt: number
+  expiresAt: number
+  resolvedBy?: string | null
+  note?: string | null
+  outcome?: string
+}
+
+export interface AgentDashboard {
+  generatedAt: number
+  status: AgentLoopStatus
+  state: TreasuryState | null
+  metrics: AgentMetrics
+  costs: AgentCosts
+  valueHistory: ValuePoint[]
+  events: AgentEvent[]
+  approvals: ApprovalRequest[]
+}
+
+const API_URL = process.env.NEXT_PUBLIC_AGENT_API_URL
+// Read-only token the agent accepts for GET /api/dashboard alone, never its AGENT_API_TOKEN
+const DASHBOARD_TOKEN = process.env.NEXT_PUBLIC_AGENT_DASHBOARD_TOKEN
+
+// Without an agent URL the dashboard renders recorded fixture data
+export const isFixtureMode = !API_URL || process.env.NEXT_PUBLIC_AGENT_DATA_SOURCE === 'fixture'
+
+export const POLL_INTERVAL_MS = Number(process.env.NEXT_PUBLIC_AGENT_POLL_MS || 15000)
+
+export async function fetchDashboard(): Promise<AgentDashboard> {
+  if (isFixtureMode) {
+    return fixture as unknown as AgentDashboard
+  }
+
+  const response = await fetch(`${API_URL}/api/dashboard`, {
+    headers: DASHBOARD_TOKEN ? { Authorization: `Bearer ${DASHBOARD_TOKEN}` } : {},
+    cache: 'no-store'
+  })
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => null)
+    throw new Error(body?.error || `Agent API responded ${response.status}`)
+  }
+
+  return response.json()
+}
+
+export function formatUsd(value: number | undefined | null): string {
+  if (value === undefined || value === null || !Number.isFinite(value)) return '—'
+  return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+export function formatAmount(value: number | undefined, asset?: string): string {
+  if (value === undefined) return ''
+  const digits = value >= 100 ? 2 : 4
+  return `${Number(value.toFixed(digits))}${asset ? ` ${asset.toUpperCase()}` : ''}`
+}
+
+export function timeAgo(timestamp: number | null | undefined, now = Date.now()): string {
+  if (!timestamp) return 'never'
+  const seconds = Math.max(0, Math.round((now - timestamp) / 1000))
+  if (seconds < 60) return `${seconds}s ago`
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`
+  return `${Math.floor(seconds / 86400)}d ago`
+}
+
+export function formatDuration(hours: number): string {
+  const totalMinutes = Math.floor(hours * 60)
+  const days = Math.floor(totalMinutes / 1440)
+  const h = Math.floor((totalMinutes % 1440) / 60)
+  const m = totalMinutes % 60
+  return days > 0 ? `${days}d ${h}h` : `${h}h ${m}m`
+}
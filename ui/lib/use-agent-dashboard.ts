@@ -0,0 +1,29 @@
+'use client'
+
+import { useQuery } from '@tanstack/react-query'
+import { fetchDashboard, isFixtureMode, POLL_INTERVAL_MS } from './agent-api'
+
+/**
+ * Polls the agent's dashboard endpoint; every component shares one request via the query cache.
+ * Data counts as stale when the last refresh failed or is more than three poll intervals old.
+ */
+export function useAgentDashboard() {
+  const query = useQuery({
+    queryKey: ['agent-dashboard'],
+    queryFn: fetchDashboard,
+    refetchInterval: isFixtureMode ? false : POLL_INTERVAL_MS,
+    retry: 1,
+  })
+
+  const age = query.dataUpdatedAt ? Date.now() - query.dataUpdatedAt : 0
+  const isStale = !isFixtureMode && !!query.data && (query.isError || age > POLL_INTERVAL_MS * 3)
+
+  return {
+    data: query.data,
+    isLoading: query.isPending,
+    error: query.error,
+    isStale,
+    isFixture: isFixtureMode,
+    updatedAt: query.dataUpdatedAt,
+  }
+}